@@ -4,37 +4,137 @@
 // And Firebase Cloud Sync
 // ============================
 
+// Editable wine fields, grouped the way they are shown in the merge view (labels are message keys)
+const WINE_FIELD_GROUPS = [
+    { label: 'field.name', keys: ['name'] },
+    { label: 'field.producer', keys: ['producer'] },
+    { label: 'field.type', keys: ['type'] },
+    { label: 'field.year', keys: ['year'] },
+    { label: 'field.drinkWindow', keys: ['drinkFrom', 'drinkUntil'] },
+    { label: 'field.region', keys: ['region'] },
+    { label: 'field.grape', keys: ['grape'] },
+    { label: 'field.boldness', keys: ['boldness'] },
+    { label: 'field.tannins', keys: ['tannins'] },
+    { label: 'field.acidity', keys: ['acidity'] },
+    { label: 'field.price', keys: ['price'] },
+    { label: 'field.quantity', keys: ['quantity'] },
+    { label: 'field.store', keys: ['store'] },
+    { label: 'field.barcode', keys: ['barcode'] },
+    { label: 'field.notes', keys: ['notes'] },
+    { label: 'field.image', keys: ['image', 'imagePath', 'imageUrl', 'thumbnail', 'imageSource'] }
+];
+
+// Structured filters of the wine list, by name and by the keys of the search syntax (type:red).
+// Range filters hold an inclusive { min, max }; step turns "<" and ">" into inclusive bounds
+const LIST_FILTERS = {
+    type: { label: 'field.type', keys: ['type', 'soort'] },
+    year: { label: 'field.year', keys: ['year', 'jaar', 'vintage'], range: true, step: 1 },
+    price: { label: 'field.price', keys: ['price', 'prijs'], range: true, step: 0.01 },
+    country: { label: 'field.country', keys: ['country', 'land'] },
+    grape: { label: 'field.grape', keys: ['grape', 'druif'] },
+    store: { label: 'field.store', keys: ['store', 'winkel'] },
+    boldness: { label: 'field.boldness', keys: ['boldness', 'body'], range: true, step: 1 },
+    tannins: { label: 'field.tannins', keys: ['tannins', 'tannines'], range: true, step: 1 },
+    acidity: { label: 'field.acidity', keys: ['acidity', 'zuur', 'zuurgraad'], range: true, step: 1 }
+};
+
+// Drinking window states, most urgent first
+const DRINK_WINDOW_STATUSES = {
+    past: { label: 'drink.past', urgency: 0 },
+    soon: { label: 'drink.soon', urgency: 1 },
+    ready: { label: 'drink.ready', urgency: 2 },
+    hold: { label: 'drink.hold', urgency: 3 }
+};
+
+// Label photos analyzed at the same time when scanning a case
+const BATCH_SCAN_CONCURRENCY = 3;
+
+// Receipt photos keep this many pixels on their longest side, so small print stays readable
+const RECEIPT_IMAGE_SIZE = 1600;
+
 class WineCellar {
     constructor() {
         this.wines = [];
-        this.filteredWines = [];
         this.archive = [];
         this.filteredArchive = [];
         this.currentWineId = null;
         this.currentArchiveId = null;
         this.editMode = false;
+        this.editBase = null;
+        this.editImageFields = null;
+        this.mergeState = null;
+        this.duplicateState = null;
         this.currentImage = null;
+        this.currentImageSource = null;
         this.searchQuery = '';
+        this.searchIndex = new SearchIndex();
         this.archiveSearchQuery = '';
 
         // Archive modal state
         this.archiveRating = 0;
         this.archiveRebuy = null;
 
+        // Opened bottles, and the state of the "bottle opened" modal
+        this.consumption = [];
+        this.consumeLocation = null;
+        this.consumeRating = 0;
+        this.consumeRebuy = null;
+
         // Firebase
         this.db = null;
+        this.storage = null;
         this.userId = null;
         this.firebaseEnabled = false;
-        this.syncInProgress = false;
+
+        // Shared cellars ('personal' is users/{uid} itself)
+        this.cellarId = 'personal';
+        this.cellarRole = 'owner';
+        this.cellars = [];
+        this.cellarMembers = {};
+        this.cellarInfo = null;
+        this.pendingInvite = null;
+        this.listenerRoot = null;
+
+        // Wine list order, drinking window filter and structured filters (chips and search syntax)
+        this.sortOrder = 'added';
+        this.drinkFilter = 'all';
+        this.listFilters = {};
+        this.queryFilters = {};
+
+        // Bottle locations of the selected cellar (racks, fridges, ...)
+        this.locations = [];
+
+        // File being imported: parsed rows, column mapping and preview items
+        this.importState = null;
+
+        // Photos being scanned in batch mode and the wines found on them
+        this.batchState = null;
+
+        // Receipt being reviewed: its photo and the wines bought on it
+        this.receiptState = null;
+
+        // Offline-first storage
+        this.localStore = null;
+        this.pendingWrites = [];
+        this.isOnline = false;
+        this.flushingQueue = false;
+        this.imageMigrationRunning = false;
 
         // Cloud Functions status
         this.cloudFunctionsAvailable = false;
 
+        // Interface language (messages-*.js) and number/date formatting
+        this.i18n = new I18n(I18n.detect(localStorage.getItem('thecork-language')));
+
         this.init();
     }
 
     async init() {
+        this.i18n.apply();
+        this.renderLanguageSettings();
         this.bindEvents();
+        this.readInviteFromUrl();
+        this.readFiltersFromUrl();
 
         // Initialize Firebase - user must be logged in to use app
         await this.initFirebase();
@@ -89,6 +189,7 @@ class WineCellar {
             }
 
             this.db = firebase.database();
+            this.storage = firebase.storage ? firebase.storage() : null;
             this.updateSyncStatus('connecting');
 
             // Handle redirect result (for mobile sign-in)
@@ -96,32 +197,40 @@ class WineCellar {
                 const result = await firebase.auth().getRedirectResult();
                 if (result.user) {
                     console.log('Redirect sign-in successful:', result.user.displayName);
-                    this.showToast(`Ingelogd als ${result.user.displayName}`);
+                    this.showToast(this.t('auth.signedInAs', { name: result.user.displayName }));
                 }
             } catch (redirectError) {
                 console.error('Redirect result error:', redirectError);
                 // Don't show error for initial page load (no redirect pending)
                 if (redirectError.code !== 'auth/null-user') {
-                    this.showToast('Inloggen mislukt: ' + redirectError.message);
+                    this.showToast(this.t('auth.signInFailed', { error: redirectError.message }));
                 }
             }
 
             // Listen for auth state changes
-            firebase.auth().onAuthStateChanged((user) => {
+            firebase.auth().onAuthStateChanged(async (user) => {
                 if (user) {
                     this.userId = user.uid;
                     this.firebaseEnabled = true;
-                    this.setupFirebaseListener();
-                    this.updateSyncStatus('synced');
                     this.updateAuthUI(user);
                     this.showAppContent(true);
+
+                    this.setupConnectionListener();
+                    this.setupCellarListListener();
+                    this.setupNotificationListener();
+                    await this.acceptPendingInvite();
+
+                    // Show the locally cached cellar first, then let Firebase catch up
+                    await this.selectCellar(this.loadSelectedCellarId());
                     console.log('Signed in as:', user.displayName || 'Anonymous', '- UID:', user.uid);
                 } else {
                     this.firebaseEnabled = false;
                     this.userId = null;
                     this.wines = [];
                     this.archive = [];
-                    this.updateSyncStatus('disconnected');
+                    this.cellars = [];
+                    this.closeLocalStore();
+                    this.updateSyncStatus('signedOut');
                     this.updateAuthUI(null);
                     this.showAppContent(false);
                     this.renderWineList();
@@ -132,7 +241,7 @@ class WineCellar {
         } catch (error) {
             console.error('Firebase initialization error:', error);
             this.updateSyncStatus('error');
-            this.showToast('Cloud sync unavailable - using local storage');
+            this.showToast(this.t('sync.unavailable'));
         }
     }
 
@@ -152,14 +261,14 @@ class WineCellar {
             } else {
                 // Use popup for desktop (faster UX)
                 const result = await firebase.auth().signInWithPopup(provider);
-                this.showToast(`Ingelogd als ${result.user.displayName}`);
+                this.showToast(this.t('auth.signedInAs', { name: result.user.displayName }));
             }
         } catch (error) {
             console.error('Google sign-in error:', error);
             if (error.code !== 'auth/popup-closed-by-user') {
-                this.showToast('Inloggen mislukt: ' + error.message);
+                this.showToast(this.t('auth.signInFailed', { error: error.message }));
             }
-            this.updateSyncStatus('disconnected');
+            this.updateSyncStatus('signedOut');
         }
     }
 
@@ -167,18 +276,21 @@ class WineCellar {
         try {
             // Detach Firebase listeners before signing out
             if (this.db && this.userId) {
-                this.db.ref(`users/${this.userId}/wines`).off();
-                this.db.ref(`users/${this.userId}/archive`).off();
+                this.detachCellarListeners();
+                this.db.ref(`users/${this.userId}/cellars`).off();
+                this.db.ref(`users/${this.userId}/notifications`).off();
+                this.db.ref('.info/connected').off();
             }
             await firebase.auth().signOut();
             this.firebaseEnabled = false;
             this.userId = null;
             this.wines = [];
             this.archive = [];
+            this.closeLocalStore();
             this.renderWineList();
             this.updateStats();
-            this.showToast('Uitgelogd');
-            this.updateSyncStatus('disconnected');
+            this.showToast(this.t('auth.signedOut'));
+            this.updateSyncStatus('signedOut');
             this.showAppContent(false);
         } catch (error) {
             console.error('Sign out error:', error);
@@ -213,7 +325,7 @@ class WineCellar {
         if (user && !user.isAnonymous) {
             // User is signed in with Google
             if (userInfo) {
-                userInfo.innerHTML = `✓ Ingelogd als <strong>${user.displayName || user.email}</strong>`;
+                userInfo.innerHTML = `✓ ${this.t('auth.signedInAsHtml', { name: `<strong>${this.escapeHtml(user.displayName || user.email)}</strong>` })}`;
                 userInfo.style.display = 'block';
             }
             if (signInBtn) signInBtn.style.display = 'none';
@@ -230,122 +342,297 @@ class WineCellar {
         if (!this.db || !this.userId) return;
 
         // Detach any existing listeners first
-        this.db.ref(`users/${this.userId}/wines`).off();
-        this.db.ref(`users/${this.userId}/archive`).off();
+        this.detachCellarListeners();
+        this.listenerRoot = this.cellarRoot();
 
         // Wines listener
-        const winesRef = this.db.ref(`users/${this.userId}/wines`);
+        const winesRef = this.db.ref(`${this.listenerRoot}/wines`);
         winesRef.on('value', (snapshot) => {
-            console.log('📥 Firebase wines listener triggered. syncInProgress:', this.syncInProgress);
-
-            if (this.syncInProgress) {
-                console.log('  ⏸️ Ignoring update (sync in progress)');
-                return;
-            }
+            console.log('📥 Firebase wines listener triggered');
 
             const data = snapshot.val();
             const firebaseWines = data ? Object.values(data) : [];
 
             console.log('  📊 Firebase data received:', firebaseWines.length, 'wines');
 
-            // Firebase is the source of truth
-            this.wines = firebaseWines;
+            // Firebase is the source of truth, plus any local writes it hasn't seen yet
+            this.wines = LocalStore.applyPendingWrites('wines', firebaseWines, this.pendingWrites);
 
             // Sort by addedAt date (newest first)
             this.wines.sort((a, b) => new Date(b.addedAt) - new Date(a.addedAt));
+            this.cacheCollection('wines', this.wines);
 
             this.renderWineList();
             this.updateStats();
             this.updateSearchVisibility();
+            this.renderLocationSettings();
 
             console.log('  ✅ Wines synced from cloud:', this.wines.length);
-        });
+
+            this.migrateInlineImages();
+        }, (error) => this.handleCellarAccessError(error));
 
         // Archive listener
-        const archiveRef = this.db.ref(`users/${this.userId}/archive`);
+        const archiveRef = this.db.ref(`${this.listenerRoot}/archive`);
         archiveRef.on('value', (snapshot) => {
-            if (this.syncInProgress) return;
-
             const data = snapshot.val();
             const firebaseArchive = data ? Object.values(data) : [];
 
             console.log('📚 Archive synced from cloud:', firebaseArchive.length, 'items');
 
-            this.archive = firebaseArchive;
+            this.archive = LocalStore.applyPendingWrites('archive', firebaseArchive, this.pendingWrites);
             this.archive.sort((a, b) => new Date(b.archivedAt) - new Date(a.archivedAt));
+            this.cacheCollection('archive', this.archive);
         });
-    }
 
-    async pushWineToFirebase(wine) {
-        if (!this.firebaseEnabled || !this.db || !this.userId) return;
+        // Locations listener
+        const locationsRef = this.db.ref(`${this.listenerRoot}/locations`);
+        locationsRef.on('value', (snapshot) => {
+            const data = snapshot.val();
+            const firebaseLocations = data ? Object.values(data) : [];
+
+            this.locations = LocalStore.applyPendingWrites('locations', firebaseLocations, this.pendingWrites);
+            this.locations.sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt));
+            this.cacheCollection('locations', this.locations);
+            this.renderLocationSettings();
+        });
 
-        try {
-            await this.db.ref(`users/${this.userId}/wines/${wine.id}`).set(wine);
-        } catch (error) {
-            console.error('Error pushing wine to Firebase:', error);
+        // Consumption listener
+        const consumptionRef = this.db.ref(`${this.listenerRoot}/consumption`);
+        consumptionRef.on('value', (snapshot) => {
+            const data = snapshot.val();
+            const firebaseConsumption = data ? Object.values(data) : [];
+
+            this.consumption = LocalStore.applyPendingWrites('consumption', firebaseConsumption, this.pendingWrites);
+            this.sortConsumption();
+            this.cacheCollection('consumption', this.consumption);
+        });
+
+        // Members of a shared cellar (also tells us our own role)
+        if (this.cellarId !== 'personal') {
+            this.db.ref(`cellars/${this.cellarId}/members`).on('value', (snapshot) => {
+                this.cellarMembers = snapshot.val() || {};
+                const me = this.cellarMembers[this.userId];
+                if (!me) {
+                    this.handleCellarAccessError(new Error('No longer a member'));
+                    return;
+                }
+                this.cellarRole = me.role;
+                this.applyRoleUI();
+                this.renderCellarSettings();
+            }, (error) => this.handleCellarAccessError(error));
+
+            this.db.ref(`cellars/${this.cellarId}/info`).on('value', (snapshot) => {
+                this.cellarInfo = snapshot.val();
+                this.renderCellarSettings();
+            });
         }
     }
 
-    async deleteWineFromFirebase(wineId) {
-        if (!this.firebaseEnabled || !this.db || !this.userId) {
-            console.log('❌ Cannot delete from Firebase - not enabled or no user');
-            console.log('  firebaseEnabled:', this.firebaseEnabled);
-            console.log('  db:', !!this.db);
-            console.log('  userId:', this.userId);
-            return false;
+    detachCellarListeners() {
+        if (!this.db || !this.listenerRoot) return;
+
+        this.db.ref(`${this.listenerRoot}/wines`).off();
+        this.db.ref(`${this.listenerRoot}/archive`).off();
+        this.db.ref(`${this.listenerRoot}/locations`).off();
+        this.db.ref(`${this.listenerRoot}/consumption`).off();
+        if (this.listenerRoot.startsWith('cellars/')) {
+            this.db.ref(`${this.listenerRoot}/members`).off();
+            this.db.ref(`${this.listenerRoot}/info`).off();
         }
+        this.listenerRoot = null;
+    }
 
-        try {
-            const path = `users/${this.userId}/wines/${wineId}`;
-            console.log('🗑️ Deleting wine from Firebase...');
-            console.log('  Wine ID:', wineId);
-            console.log('  Full path:', path);
-
-            // First check if the wine exists in Firebase
-            const snapshot = await this.db.ref(path).once('value');
-            console.log('  Wine exists in Firebase:', snapshot.exists());
-
-            if (snapshot.exists()) {
-                await this.db.ref(path).remove();
-                console.log('✅ Wine deleted from Firebase successfully');
-
-                // Verify the delete worked
-                const verifySnapshot = await this.db.ref(path).once('value');
-                console.log('  Verified deleted:', !verifySnapshot.exists());
-                return true;
+    setupConnectionListener() {
+        if (!this.db) return;
+
+        const connectedRef = this.db.ref('.info/connected');
+        connectedRef.off();
+        connectedRef.on('value', (snapshot) => {
+            this.isOnline = snapshot.val() === true;
+            console.log('🔌 Connection state:', this.isOnline ? 'online' : 'offline');
+
+            if (this.isOnline) {
+                this.updateSyncStatus(this.pendingWrites.length > 0 ? 'syncing' : 'synced');
+                this.flushWriteQueue();
+                this.migrateInlineImages();
             } else {
-                console.log('⚠️ Wine was not found in Firebase - may already be deleted');
-                return true;
+                this.updateSyncStatus('disconnected');
             }
+        });
+    }
+
+    // ============================
+    // Local Storage & Write Queue
+    // ============================
+
+    async loadLocalCellar(userId, cellarId) {
+        if (!LocalStore.isSupported()) return;
+
+        try {
+            this.localStore = new LocalStore(userId, cellarId);
+            await this.localStore.open();
+
+            const [wines, archive, locations, consumption, queue] = await Promise.all([
+                this.localStore.getAll('wines'),
+                this.localStore.getAll('archive'),
+                this.localStore.getAll('locations'),
+                this.localStore.getAll('consumption'),
+                this.localStore.getQueue()
+            ]);
+
+            this.pendingWrites = queue;
+            this.wines = wines.sort((a, b) => new Date(b.addedAt) - new Date(a.addedAt));
+            this.archive = archive.sort((a, b) => new Date(b.archivedAt) - new Date(a.archivedAt));
+            this.locations = locations.sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt));
+            this.consumption = consumption;
+            this.sortConsumption();
+
+            this.renderWineList();
+            this.updateStats();
+            this.updateSearchVisibility();
+            this.renderLocationSettings();
+
+            console.log('💾 Loaded local cellar:', this.wines.length, 'wines,', queue.length, 'pending writes');
         } catch (error) {
-            console.error('❌ Error deleting wine from Firebase:', error);
-            return false;
+            console.error('Local storage unavailable:', error);
+            this.localStore = null;
         }
     }
 
-    async saveWinesToFirebase() {
-        if (!this.firebaseEnabled || !this.db || !this.userId) return;
+    closeLocalStore() {
+        this.localStore?.close();
+        this.localStore = null;
+        this.pendingWrites = [];
+        this.isOnline = false;
+    }
+
+    cacheCollection(storeName, records) {
+        if (!this.localStore) return;
+        this.localStore.replaceAll(storeName, records).catch(error => {
+            console.error(`Error caching ${storeName} locally:`, error);
+        });
+    }
+
+    // Record a write locally and replay it against {cellar root}/{path} when online
+    async queueWrite(op, path, value = null) {
+        if (!this.userId) return;
+        if (!this.canEdit()) {
+            this.showToast(this.t('cellar.readOnly'));
+            return;
+        }
+
+        // Track the write in memory right away so a listener firing before
+        // IndexedDB finishes still sees it as pending
+        const write = { op, root: this.cellarRoot(), path, value };
+        write.stored = this.localStore
+            ? this.localStore.enqueue(write)
+                .then(entry => { write.seq = entry.seq; })
+                .catch(error => console.error('Error queueing write locally:', error))
+            : Promise.resolve();
+        this.pendingWrites.push(write);
+
+        this.updateSyncStatus(this.isOnline ? 'syncing' : 'disconnected');
+        await write.stored;
+        this.flushWriteQueue();
+    }
+
+    async flushWriteQueue() {
+        if (this.flushingQueue || !this.isOnline || !this.db || !this.userId) return;
 
-        this.syncInProgress = true;
-        this.updateSyncStatus('syncing');
+        // Switching cellars swaps the queue; stop replaying the old one when that happens
+        const queue = this.pendingWrites;
+        const store = this.localStore;
 
+        this.flushingQueue = true;
         try {
-            // Convert array to object with wine IDs as keys
-            const winesObject = {};
-            this.wines.forEach(wine => {
-                winesObject[wine.id] = wine;
-            });
+            while (queue.length > 0 && this.isOnline && queue === this.pendingWrites) {
+                const write = queue[0];
+                await write.stored;
+
+                let conflict = null;
+                try {
+                    write.inFlight = true;
+                    await this.executeWrite(write);
+                } catch (error) {
+                    write.inFlight = false;
+                    // A rejected or stale write will never succeed, so don't block the rest of the queue on it
+                    if (error.code === 'REVISION_CONFLICT') {
+                        conflict = error;
+                    } else if (error.code === 'PERMISSION_DENIED') {
+                        console.error('Dropping write rejected by Firebase:', write.path, error);
+                    } else {
+                        throw error;
+                    }
+                }
 
-            await this.db.ref(`users/${this.userId}/wines`).set(winesObject);
+                queue.shift();
+                if (store && write.seq !== undefined) {
+                    await store.dequeue(write.seq);
+                }
+
+                if (conflict && queue === this.pendingWrites) this.handleWriteConflict(write, conflict.remote);
+            }
 
-            this.updateSyncStatus('synced');
-            console.log('Wines saved to cloud');
+            this.updateSyncStatus(this.pendingWrites.length > 0 ? 'disconnected' : 'synced');
         } catch (error) {
-            console.error('Error saving to Firebase:', error);
+            console.error('Error replaying write queue:', error);
             this.updateSyncStatus('error');
-            this.showToast('Sync error - saved locally');
         } finally {
-            this.syncInProgress = false;
+            this.flushingQueue = false;
+        }
+    }
+
+    executeWrite(write) {
+        // Writes queued before shared cellars existed have no root
+        const root = write.root || `users/${this.userId}`;
+        const ref = this.db.ref(`${root}/${write.path}`);
+        if (write.op === 'remove') return ref.remove();
+        if (write.op === 'update') return ref.update(write.value);
+        if (write.op === 'increment') return this.incrementRecord(ref, write.value);
+        if (write.op === 'revise') return this.reviseRecord(ref, write.value);
+        if (write.op === 'bottles') return this.changeBottlesRecord(ref, write.value);
+        return ref.set(write.value);
+    }
+
+    // Adjust a counter relative to whatever the server has, so taps on two devices add up
+    incrementRecord(ref, { field, delta, min, stamp }) {
+        return ref.transaction((current) => {
+            // null is either "not cached yet" or "record deleted": writing null back lets the
+            // server retry with the real value, and leaves a deleted record deleted
+            if (current === null) return null;
+            const next = (current[field] || 0) + delta;
+            return {
+                ...current,
+                ...stamp,
+                [field]: min !== undefined ? Math.max(min, next) : next,
+                revision: (current.revision || 0) + 1
+            };
+        }, undefined, false);
+    }
+
+    // Add, remove or move bottles against the server's counts, so changes on two devices add up
+    changeBottlesRecord(ref, change) {
+        return ref.transaction((current) => {
+            if (current === null) return null;
+            // undefined aborts: the change would remove the last bottle
+            return LocalStore.applyBottleChange(current, change) || undefined;
+        }, undefined, false);
+    }
+
+    // Apply an edit only if nobody else changed the record since it was opened
+    async reviseRecord(ref, { changes, baseRevision, stamp }) {
+        const result = await ref.transaction((current) => {
+            if (current === null) return null;
+            if ((current.revision || 0) !== baseRevision) return; // abort: stale base
+            return { ...current, ...changes, ...stamp, revision: baseRevision + 1 };
+        }, undefined, false);
+
+        if (!result.committed && result.snapshot.exists()) {
+            const error = new Error('Revision conflict');
+            error.code = 'REVISION_CONFLICT';
+            error.remote = result.snapshot.val();
+            throw error;
         }
     }
 
@@ -354,518 +641,3687 @@ class WineCellar {
         const settingsStatusEl = document.getElementById('firebaseSyncStatus');
 
         const statusMap = {
-            'local': { icon: '💾', text: 'Lokale opslag', class: 'status-local', settingsText: 'Niet geconfigureerd - Data wordt alleen lokaal opgeslagen' },
-            'connecting': { icon: '🔄', text: 'Verbinden...', class: 'status-connecting', settingsText: 'Verbinden met cloud...' },
-            'synced': { icon: '☁️', text: 'Cloud sync', class: 'status-synced', settingsText: '✓ Verbonden - Je wijnen worden automatisch gesynchroniseerd' },
-            'syncing': { icon: '🔄', text: 'Syncing...', class: 'status-syncing', settingsText: 'Synchroniseren...' },
-            'error': { icon: '⚠️', text: 'Sync error', class: 'status-error', settingsText: '⚠️ Synchronisatie fout - Probeer later opnieuw' },
-            'disconnected': { icon: '📴', text: 'Offline', class: 'status-disconnected', settingsText: 'Offline - Data wordt lokaal opgeslagen' }
+            'local': { icon: '💾', class: 'status-local' },
+            'signedOut': { icon: '👤', class: 'status-disconnected' },
+            'connecting': { icon: '🔄', class: 'status-connecting' },
+            'synced': { icon: '☁️', class: 'status-synced' },
+            'syncing': { icon: '🔄', class: 'status-syncing' },
+            'error': { icon: '⚠️', class: 'status-error' },
+            'disconnected': { icon: '📴', class: 'status-disconnected' }
         };
 
-        const s = statusMap[status] || statusMap['local'];
+        if (!statusMap[status]) status = 'local';
+        const s = statusMap[status];
+        this.syncStatus = status;
+        const pending = this.pendingWrites.length;
+        const pendingText = pending > 0 ? ` · ${pending}` : '';
+        const pendingSettingsText = pending > 0
+            ? ` ${this.t('sync.pending', { count: pending })}`
+            : '';
 
         if (statusEl) {
-            statusEl.innerHTML = `<span class="${s.class}">${s.icon} ${s.text}</span>`;
+            statusEl.innerHTML = `<span class="${s.class}">${s.icon} ${this.t(`sync.${status}`)}${pendingText}</span>`;
         }
 
         if (settingsStatusEl) {
             const statusClass = status === 'synced' ? 'status-connected' : 'status-disconnected';
-            settingsStatusEl.innerHTML = `<span class="${statusClass}">${s.settingsText}</span>`;
+            settingsStatusEl.innerHTML = `<span class="${statusClass}">${this.t(`sync.${status}Details`)}${pendingSettingsText}</span>`;
         }
     }
 
     // ============================
-    // Wine Storage (Firebase only)
+    // Wine Storage (local first, one wine per write)
     // ============================
 
-    saveWines() {
-        if (this.firebaseEnabled) {
-            this.saveWinesToFirebase();
-        }
+    async saveWine(wine) {
+        Object.assign(wine, this.revisionStamp(), { revision: (wine.revision || 0) + 1 });
+        await this.queueWrite('set', `wines/${wine.id}`, wine);
+    }
+
+    async updateWine(wineId, changes) {
+        if (Object.keys(changes).length === 0) return;
+        await this.queueWrite('update', `wines/${wineId}`, changes);
+    }
+
+    // Edit a wine on top of the revision it was based on; stale edits end up in the merge view
+    async reviseWine(wineId, changes, base) {
+        if (Object.keys(changes).length === 0) return;
+
+        const baseValues = {};
+        Object.keys(changes).forEach(key => {
+            baseValues[key] = base[key] ?? null;
+        });
+
+        await this.queueWrite('revise', `wines/${wineId}`, {
+            changes,
+            base: baseValues,
+            baseRevision: base.revision || 0,
+            stamp: this.revisionStamp()
+        });
+    }
+
+    // change is { location, delta } or { from, to, count, bin }
+    async changeWineBottles(wineId, change) {
+        await this.queueWrite('bottles', `wines/${wineId}`, {
+            ...change,
+            stamp: this.revisionStamp()
+        });
+    }
+
+    revisionStamp() {
+        return {
+            updatedAt: new Date().toISOString(),
+            updatedBy: this.userId,
+            updatedByName: firebase.auth().currentUser?.displayName || null
+        };
+    }
+
+    async removeWine(wineId) {
+        await this.queueWrite('remove', `wines/${wineId}`);
     }
 
     // ============================
-    // Archive Storage (Firebase only)
+    // Archive Storage (local first, synced to Firebase)
     // ============================
 
     async pushToArchive(archivedWine) {
         this.archive.unshift(archivedWine);
-
-        if (this.firebaseEnabled && this.db && this.userId) {
-            try {
-                await this.db.ref(`users/${this.userId}/archive/${archivedWine.id}`).set(archivedWine);
-            } catch (error) {
-                console.error('Error pushing to archive in Firebase:', error);
-            }
-        }
+        await this.queueWrite('set', `archive/${archivedWine.id}`, archivedWine);
     }
 
     async deleteFromArchive(archiveId) {
+        const archivedWine = this.archive.find(w => w.id === archiveId);
         this.archive = this.archive.filter(w => w.id !== archiveId);
+        await this.queueWrite('remove', `archive/${archiveId}`);
+        this.deleteRecordImages(archivedWine);
+    }
 
-        if (this.firebaseEnabled && this.db && this.userId) {
-            try {
-                await this.db.ref(`users/${this.userId}/archive/${archiveId}`).remove();
-            } catch (error) {
-                console.error('Error deleting from archive in Firebase:', error);
-            }
-        }
+    async saveConsumption(event) {
+        this.consumption.push(event);
+        this.sortConsumption();
+        await this.queueWrite('set', `consumption/${event.id}`, event);
     }
 
 
     // ============================
-    // Event Binding
+    // Shared Cellars
     // ============================
 
-    bindEvents() {
-        // Settings button
-        document.getElementById('settingsBtn')?.addEventListener('click', () => this.openModal('settingsModal'));
-
-        // Search functionality
-        const searchInput = document.getElementById('searchInput');
-        const clearSearchBtn = document.getElementById('clearSearch');
+    // Database path that holds the selected cellar's wines and archive
+    cellarRoot() {
+        return this.cellarId === 'personal' ? `users/${this.userId}` : `cellars/${this.cellarId}`;
+    }
 
-        searchInput?.addEventListener('input', (e) => {
-            this.searchQuery = e.target.value.trim().toLowerCase();
-            this.handleSearch();
-        });
+    canEdit() {
+        return this.cellarRole !== 'viewer';
+    }
 
-        clearSearchBtn?.addEventListener('click', () => {
-            searchInput.value = '';
-            this.searchQuery = '';
-            this.handleSearch();
-            searchInput.focus();
-        });
+    loadSelectedCellarId() {
+        const saved = localStorage.getItem(`thecork-cellar-${this.userId}`);
+        return saved || 'personal';
+    }
 
-        // FAB button
-        document.getElementById('addWineBtn')?.addEventListener('click', () => this.openAddModal());
+    async selectCellar(cellarId) {
+        if (!this.userId) return;
 
-        // Close buttons
-        document.querySelectorAll('[data-close]').forEach(btn => {
-            btn.addEventListener('click', (e) => {
-                const modalId = e.currentTarget.dataset.close;
-                this.closeModal(modalId);
-            });
-        });
+        this.detachCellarListeners();
+        this.closeLocalStore();
 
-        // Modal backdrop click
-        document.querySelectorAll('.modal').forEach(modal => {
-            modal.addEventListener('click', (e) => {
-                if (e.target === modal) {
-                    this.closeModal(modal.id);
-                }
-            });
-        });
+        this.cellarId = cellarId;
+        // The members listener confirms the real role once it is online
+        this.cellarRole = cellarId === 'personal' ? 'owner' : (this.cellars.find(c => c.id === cellarId)?.role || 'editor');
+        this.cellarMembers = {};
+        this.cellarInfo = null;
+        this.wines = [];
+        this.archive = [];
+        this.locations = [];
+        this.consumption = [];
+        localStorage.setItem(`thecork-cellar-${this.userId}`, cellarId);
 
-        // Image upload
-        document.getElementById('imagePreview')?.addEventListener('click', () => {
-            document.getElementById('galleryInput')?.click();
-        });
+        this.applyRoleUI();
+        this.renderWineList();
+        this.updateStats();
 
-        document.getElementById('cameraBtn')?.addEventListener('click', (e) => {
-            e.stopPropagation();
-            document.getElementById('cameraInput')?.click();
-        });
+        await this.loadLocalCellar(this.userId, cellarId);
+        this.setupFirebaseListener();
+        this.renderCellarSettings();
+        this.renderLocationSettings();
 
-        document.getElementById('galleryBtn')?.addEventListener('click', (e) => {
-            e.stopPropagation();
-            document.getElementById('galleryInput')?.click();
-        });
+        if (this.isOnline) {
+            this.updateSyncStatus(this.pendingWrites.length > 0 ? 'syncing' : 'synced');
+            this.flushWriteQueue();
+        }
+    }
 
-        document.getElementById('cameraInput')?.addEventListener('change', (e) => this.handleImageUpload(e));
-        document.getElementById('galleryInput')?.addEventListener('change', (e) => this.handleImageUpload(e));
+    // We were removed from a shared cellar (or it was deleted): fall back to the personal one
+    handleCellarAccessError(error) {
+        if (this.cellarId === 'personal') {
+            console.error('Error reading cellar:', error);
+            return;
+        }
 
-        // Form submission
-        document.getElementById('wineForm')?.addEventListener('submit', (e) => this.handleFormSubmit(e));
+        console.log('⛔ No access to cellar', this.cellarId, '-', error.message);
+        this.db.ref(`users/${this.userId}/cellars/${this.cellarId}`).remove().catch(() => {});
+        this.showToast(this.t('cellar.accessLost'));
+        this.selectCellar('personal');
+    }
 
-        // Characteristic sliders
-        ['boldness', 'tannins', 'acidity'].forEach(id => {
-            const slider = document.getElementById(id);
-            const value = document.getElementById(`${id}Value`);
-            slider?.addEventListener('input', () => {
-                if (value) value.textContent = slider.value;
-            });
+    setupCellarListListener() {
+        const ref = this.db.ref(`users/${this.userId}/cellars`);
+        ref.off();
+        ref.on('value', (snapshot) => {
+            const data = snapshot.val() || {};
+            this.cellars = Object.entries(data).map(([id, cellar]) => ({ id, ...cellar }));
+            this.cellars.sort((a, b) => (a.name || '').localeCompare(b.name || ''));
+            this.renderCellarSettings();
         });
+    }
 
-        // Quantity controls in form
-        document.querySelectorAll('.quantity-control .qty-btn').forEach(btn => {
-            btn.addEventListener('click', () => {
-                const input = document.getElementById('wineQuantity');
-                const action = btn.dataset.action;
-                let val = parseInt(input.value) || 1;
-                if (action === 'increase') val++;
-                if (action === 'decrease' && val > 1) val--;
-                input.value = val;
-            });
-        });
+    async createCellar() {
+        const nameInput = document.getElementById('newCellarName');
+        const name = nameInput.value.trim();
+        if (!name) {
+            this.showToast(this.t('cellar.nameMissing'));
+            return;
+        }
+        if (!this.isOnline) {
+            this.showToast(this.t('common.offline'));
+            return;
+        }
 
-        // Detail modal quantity controls
-        document.getElementById('detailIncrease')?.addEventListener('click', () => this.updateDetailQuantity(1));
-        document.getElementById('detailDecrease')?.addEventListener('click', () => this.updateDetailQuantity(-1));
+        const copyWines = document.getElementById('copyCellarWines').checked;
+        const cellarId = this.db.ref('cellars').push().key;
+        const now = new Date().toISOString();
+        const user = firebase.auth().currentUser;
 
-        // Detail modal actions
-        document.getElementById('editWineBtn')?.addEventListener('click', () => this.editCurrentWine());
-        document.getElementById('deleteWineBtn')?.addEventListener('click', () => this.openDeleteModal());
+        const updates = {
+            [`cellars/${cellarId}/info`]: { name, owner: this.userId, createdAt: now },
+            [`cellars/${cellarId}/members/${this.userId}`]: {
+                role: 'owner',
+                name: user?.displayName || user?.email || null,
+                joinedAt: now
+            },
+            [`users/${this.userId}/cellars/${cellarId}`]: { name, role: 'owner', joinedAt: now }
+        };
 
-        // Google Sign-In / Sign-Out buttons
-        document.getElementById('googleSignInBtn')?.addEventListener('click', () => this.signInWithGoogle());
-        document.getElementById('loginGoogleBtn')?.addEventListener('click', () => this.signInWithGoogle());
-        document.getElementById('signOutBtn')?.addEventListener('click', () => this.signOut());
+        // Start the shared cellar with the bottles of the current one
+        if (copyWines) {
+            this.wines.forEach(wine => { updates[`cellars/${cellarId}/wines/${wine.id}`] = wine; });
+            this.archive.forEach(wine => { updates[`cellars/${cellarId}/archive/${wine.id}`] = wine; });
+        }
 
-        // Archive button
-        document.getElementById('archiveBtn')?.addEventListener('click', () => this.openArchiveList());
+        try {
+            await this.db.ref().update(updates);
+            nameInput.value = '';
+            this.showToast(this.t('cellar.created', { name }));
+            await this.selectCellar(cellarId);
+        } catch (error) {
+            console.error('Error creating cellar:', error);
+            this.showToast(this.t('cellar.createFailed'));
+        }
+    }
 
-        // Archive modal - Star rating
-        document.querySelectorAll('#archiveRating .star').forEach(star => {
-            star.addEventListener('click', () => this.setArchiveRating(parseInt(star.dataset.rating)));
-            star.addEventListener('mouseenter', () => this.previewRating(parseInt(star.dataset.rating)));
-            star.addEventListener('mouseleave', () => this.previewRating(0));
-        });
+    async createInvite() {
+        if (this.cellarId === 'personal' || this.cellarRole !== 'owner') return;
 
-        // Archive modal - Rebuy options
-        document.querySelectorAll('#rebuyOptions .rebuy-btn').forEach(btn => {
-            btn.addEventListener('click', () => this.setRebuyOption(btn.dataset.rebuy));
-        });
+        const role = document.getElementById('inviteRole').value;
+        const token = this.db.ref(`cellars/${this.cellarId}/invites`).push().key;
+        const expiresAt = Date.now() + 7 * 24 * 60 * 60 * 1000;
 
-        // Archive modal - Actions
-        const skipArchiveBtn = document.getElementById('skipArchive');
-        const confirmArchiveBtn = document.getElementById('confirmArchive');
+        try {
+            await this.db.ref(`cellars/${this.cellarId}/invites/${token}`).set({
+                role,
+                cellarName: this.cellarInfo?.name || null,
+                createdBy: this.userId,
+                createdAt: new Date().toISOString(),
+                expiresAt
+            });
 
-        console.log('Archive buttons found:', { skipArchive: !!skipArchiveBtn, confirmArchive: !!confirmArchiveBtn });
+            const link = `${window.location.origin}${window.location.pathname}?invite=${this.cellarId}.${token}`;
+            const linkInput = document.getElementById('inviteLink');
+            linkInput.value = link;
+            linkInput.parentElement.classList.remove('hidden');
 
-        if (skipArchiveBtn) {
-            skipArchiveBtn.addEventListener('click', (e) => {
-                e.preventDefault();
-                e.stopPropagation();
-                console.log('Skip archive clicked');
-                this.skipArchiveAndDelete();
-            });
+            if (navigator.share) {
+                navigator.share({ title: 'The Cork', text: this.t('invite.shareText', { name: this.cellarInfo?.name }), url: link }).catch(() => {});
+            }
+        } catch (error) {
+            console.error('Error creating invite:', error);
+            this.showToast(this.t('invite.createFailed'));
         }
+    }
 
-        if (confirmArchiveBtn) {
-            confirmArchiveBtn.addEventListener('click', (e) => {
-                e.preventDefault();
-                e.stopPropagation();
-                console.log('Confirm archive clicked');
-                this.confirmArchive();
-            });
+    async copyInviteLink() {
+        const link = document.getElementById('inviteLink').value;
+        try {
+            await navigator.clipboard.writeText(link);
+            this.showToast(this.t('invite.linkCopied'));
+        } catch (error) {
+            document.getElementById('inviteLink').select();
         }
+    }
 
-        // Archive list - Search
-        const archiveSearchInput = document.getElementById('archiveSearchInput');
-        const clearArchiveSearchBtn = document.getElementById('clearArchiveSearch');
+    readInviteFromUrl() {
+        const params = new URLSearchParams(window.location.search);
+        const invite = params.get('invite');
+        if (!invite) return;
 
-        archiveSearchInput?.addEventListener('input', (e) => {
-            this.archiveSearchQuery = e.target.value.trim().toLowerCase();
-            this.filterAndRenderArchive();
-        });
+        const [cellarId, token] = invite.split('.');
+        if (cellarId && token) this.pendingInvite = { cellarId, token };
 
-        clearArchiveSearchBtn?.addEventListener('click', () => {
-            archiveSearchInput.value = '';
-            this.archiveSearchQuery = '';
-            this.filterAndRenderArchive();
-        });
+        // Don't accept the same invite again on the next reload
+        params.delete('invite');
+        const query = params.toString();
+        window.history.replaceState(null, '', `${window.location.pathname}${query ? `?${query}` : ''}${window.location.hash}`);
+    }
 
-        // Archive list - Filters
-        document.getElementById('archiveTypeFilter')?.addEventListener('change', () => this.filterAndRenderArchive());
-        document.getElementById('archiveRebuyFilter')?.addEventListener('change', () => this.filterAndRenderArchive());
+    async acceptPendingInvite() {
+        if (!this.pendingInvite || !this.userId) return;
 
-        // Archive detail - Actions
-        document.getElementById('restoreWineBtn')?.addEventListener('click', () => this.restoreWineFromArchive());
-        document.getElementById('deleteArchiveBtn')?.addEventListener('click', () => this.deleteFromArchiveConfirm());
+        const { cellarId, token } = this.pendingInvite;
+        this.pendingInvite = null;
+
+        try {
+            const inviteSnapshot = await this.db.ref(`cellars/${cellarId}/invites/${token}`).once('value');
+            const invite = inviteSnapshot.val();
+            if (!invite || invite.expiresAt < Date.now()) {
+                this.showToast(this.t('invite.invalid'));
+                return;
+            }
+
+            const membership = await this.db.ref(`users/${this.userId}/cellars/${cellarId}`).once('value');
+            if (membership.exists()) {
+                localStorage.setItem(`thecork-cellar-${this.userId}`, cellarId);
+                return;
+            }
+
+            const user = firebase.auth().currentUser;
+            const now = new Date().toISOString();
+            await this.db.ref().update({
+                [`cellars/${cellarId}/members/${this.userId}`]: {
+                    role: invite.role,
+                    name: user?.displayName || user?.email || null,
+                    invite: token,
+                    joinedAt: now
+                },
+                [`users/${this.userId}/cellars/${cellarId}`]: {
+                    name: invite.cellarName || this.t('cellar.sharedName'),
+                    role: invite.role,
+                    joinedAt: now
+                }
+            });
+
+            localStorage.setItem(`thecork-cellar-${this.userId}`, cellarId);
+            this.showToast(invite.cellarName
+                ? this.t('invite.joined', { name: invite.cellarName })
+                : this.t('invite.joinedUnnamed'));
+        } catch (error) {
+            console.error('Error accepting invite:', error);
+            this.showToast(this.t('invite.acceptFailed'));
+        }
     }
 
-    // ============================
-    // Modal Management
-    // ============================
+    async setMemberRole(memberId, role) {
+        if (this.cellarRole !== 'owner' || memberId === this.userId) return;
 
-    openModal(modalId) {
-        document.getElementById(modalId).classList.add('active');
-        document.body.style.overflow = 'hidden';
+        try {
+            await this.db.ref(`cellars/${this.cellarId}/members/${memberId}/role`).set(role);
+        } catch (error) {
+            console.error('Error changing member role:', error);
+            this.showToast(this.t('members.roleFailed'));
+        }
     }
 
-    closeModal(modalId) {
-        document.getElementById(modalId).classList.remove('active');
-        document.body.style.overflow = '';
+    async removeMember(memberId) {
+        const leaving = memberId === this.userId;
+        if (!leaving && this.cellarRole !== 'owner') return;
+        if (leaving && this.cellarRole === 'owner') {
+            this.showToast(this.t('members.ownerCannotLeave'));
+            return;
+        }
 
-        if (modalId === 'addModal') {
-            this.resetForm();
+        const question = leaving
+            ? this.t('members.confirmLeave')
+            : this.t('members.confirmRemove', { name: this.cellarMembers[memberId]?.name || this.t('members.thisMember') });
+        if (!confirm(question)) return;
+
+        try {
+            await this.db.ref(`cellars/${this.cellarId}/members/${memberId}`).remove();
+            if (leaving) {
+                await this.db.ref(`users/${this.userId}/cellars/${this.cellarId}`).remove();
+                this.showToast(this.t('members.left'));
+                await this.selectCellar('personal');
+            }
+        } catch (error) {
+            console.error('Error removing member:', error);
+            this.showToast(this.t('common.deleteFailed'));
         }
     }
 
-    openAddModal() {
-        this.editMode = false;
-        this.currentWineId = null;
-        this.resetForm();
-        document.querySelector('#addModal .modal-header h2').textContent = 'Add Wine';
-        document.querySelector('#addModal .submit-btn').textContent = 'Add to Cellar';
-        this.openModal('addModal');
+    // Hide everything that changes the cellar for members with read-only access
+    applyRoleUI() {
+        document.body.classList.toggle('read-only', !this.canEdit());
     }
 
-    resetForm() {
-        document.getElementById('wineForm').reset();
-        document.getElementById('imagePreview').classList.remove('has-image');
-        document.getElementById('previewImg').src = '';
-        this.currentImage = null;
+    renderCellarSettings() {
+        const select = document.getElementById('cellarSelect');
+        if (!select) return;
 
-        ['boldness', 'tannins', 'acidity'].forEach(id => {
-            document.getElementById(id).value = 3;
-            document.getElementById(`${id}Value`).textContent = '3';
+        const user = firebase.auth().currentUser;
+        const personalName = user?.displayName ? this.t('cellar.personalOf', { name: user.displayName }) : this.t('cellar.personal');
+        const options = [{ id: 'personal', name: personalName }, ...this.cellars];
+        select.innerHTML = options.map(cellar => `
+            <option value="${this.escapeHtml(cellar.id)}" ${cellar.id === this.cellarId ? 'selected' : ''}>${this.escapeHtml(cellar.name || this.t('cellar.sharedName'))}</option>
+        `).join('');
+
+        const membersSection = document.getElementById('cellarMembersSection');
+        const isShared = this.cellarId !== 'personal';
+        membersSection.classList.toggle('hidden', !isShared);
+        if (!isShared) return;
+
+        const isOwner = this.cellarRole === 'owner';
+        const roleLabels = { owner: this.t('members.owner'), editor: this.t('members.editor'), viewer: this.t('members.viewer') };
+
+        document.getElementById('cellarMembers').innerHTML = Object.entries(this.cellarMembers).map(([uid, member]) => `
+            <div class="member-row" data-uid="${this.escapeHtml(uid)}">
+                <span class="member-name">${this.escapeHtml(member.name || this.t('common.unknown'))}${uid === this.userId ? ` ${this.t('members.you')}` : ''}</span>
+                ${isOwner && member.role !== 'owner'
+                    ? `<select class="member-role-select">
+                            <option value="editor" ${member.role === 'editor' ? 'selected' : ''}>${roleLabels.editor}</option>
+                            <option value="viewer" ${member.role === 'viewer' ? 'selected' : ''}>${roleLabels.viewer}</option>
+                       </select>
+                       <button type="button" class="member-remove-btn" aria-label="${this.t('common.delete')}">✕</button>`
+                    : `<span class="member-role">${roleLabels[member.role] || member.role}</span>`
+                }
+            </div>
+        `).join('');
+
+        document.querySelectorAll('#cellarMembers .member-row').forEach(row => {
+            row.querySelector('.member-role-select')?.addEventListener('change', (e) => this.setMemberRole(row.dataset.uid, e.target.value));
+            row.querySelector('.member-remove-btn')?.addEventListener('click', () => this.removeMember(row.dataset.uid));
         });
 
-        document.getElementById('wineQuantity').value = 1;
-        document.getElementById('scanningIndicator').classList.add('hidden');
+        document.getElementById('cellarInviteControls').classList.toggle('hidden', !isOwner);
+        document.getElementById('leaveCellarBtn').classList.toggle('hidden', isOwner);
     }
 
     // ============================
-    // Image Handling & AI Analysis
+    // Bottle Locations
     // ============================
 
-    handleImageUpload(e) {
-        const file = e.target.files[0];
-        if (!file) return;
+    locationName(locationId) {
+        if (locationId === LocalStore.UNASSIGNED) return this.t('location.unassigned');
+        return this.locations.find(l => l.id === locationId)?.name || this.t('location.unknown');
+    }
 
-        // Compress and resize image to prevent localStorage quota issues
-        this.compressImage(file, (compressedImageData) => {
-            this.currentImage = compressedImageData;
+    formatBin(entry) {
+        const parts = [];
+        if (entry.row) parts.push(this.t('location.row', { row: entry.row }));
+        if (entry.column) parts.push(this.t('location.column', { column: entry.column }));
+        return parts.join(' · ');
+    }
 
-            const preview = document.getElementById('previewImg');
-            preview.src = compressedImageData;
-            document.getElementById('imagePreview').classList.add('has-image');
+    // Total number of bottles across all locations
+    wineQuantity(wine) {
+        return Object.values(LocalStore.bottleLocations(wine)).reduce((sum, entry) => sum + entry.count, 0);
+    }
 
-            this.analyzeWineLabel(compressedImageData);
-        });
+    // Locations holding the wine, in the order they were created (unassigned last)
+    wineLocationEntries(wine) {
+        const order = this.locations.map(l => l.id);
+        const rank = (locationId) => {
+            const index = order.indexOf(locationId);
+            return locationId === LocalStore.UNASSIGNED ? order.length + 1 : (index === -1 ? order.length : index);
+        };
+        return Object.entries(LocalStore.bottleLocations(wine))
+            .map(([locationId, entry]) => ({ locationId, ...entry }))
+            .sort((a, b) => rank(a.locationId) - rank(b.locationId));
+    }
 
-        e.target.value = '';
+    // Where the +/- stepper adds and takes bottles: the location holding most of them
+    primaryLocation(wine) {
+        const entries = this.wineLocationEntries(wine);
+        if (entries.length === 0) return LocalStore.UNASSIGNED;
+        return entries.reduce((best, entry) => entry.count > best.count ? entry : best).locationId;
     }
 
-    compressImage(file, callback) {
-        const reader = new FileReader();
-        reader.onload = (event) => {
-            const img = new Image();
-            img.onload = () => {
-                const canvas = document.createElement('canvas');
-                const maxSize = 800; // Max width/height
-                let { width, height } = img;
-
-                // Resize if needed
-                if (width > maxSize || height > maxSize) {
-                    if (width > height) {
-                        height = (height / width) * maxSize;
-                        width = maxSize;
-                    } else {
-                        width = (width / height) * maxSize;
-                        height = maxSize;
-                    }
-                }
+    renderLocationOptions(select, selected, excluded = null) {
+        const options = [{ id: LocalStore.UNASSIGNED, name: this.locationName(LocalStore.UNASSIGNED) }, ...this.locations]
+            .filter(location => location.id !== excluded);
+        select.innerHTML = options.map(location => `
+            <option value="${this.escapeHtml(location.id)}" ${location.id === selected ? 'selected' : ''}>${this.escapeHtml(location.name)}</option>
+        `).join('');
+    }
 
-                canvas.width = width;
-                canvas.height = height;
+    // Row/column inputs only make sense for locations laid out as a grid
+    updateBinInputs(locationId, containerId) {
+        const location = this.locations.find(l => l.id === locationId);
+        const container = document.getElementById(containerId);
+        const [rowInput, columnInput] = container.querySelectorAll('input');
+
+        rowInput.classList.toggle('hidden', !location?.rows);
+        columnInput.classList.toggle('hidden', !location?.columns);
+        rowInput.max = location?.rows || '';
+        columnInput.max = location?.columns || '';
+        container.classList.toggle('hidden', !location?.rows && !location?.columns);
+    }
 
-                const ctx = canvas.getContext('2d');
-                ctx.drawImage(img, 0, 0, width, height);
+    readBin(containerId) {
+        const container = document.getElementById(containerId);
+        if (container.classList.contains('hidden')) return null;
 
-                // Compress to JPEG with 0.7 quality
-                const compressedData = canvas.toDataURL('image/jpeg', 0.7);
-                callback(compressedData);
-            };
-            img.src = event.target.result;
+        const [rowInput, columnInput] = container.querySelectorAll('input');
+        const clamp = (input) => {
+            const value = parseInt(input.value);
+            if (!value || input.classList.contains('hidden')) return null;
+            return Math.min(Math.max(value, 1), parseInt(input.max) || value);
         };
-        reader.readAsDataURL(file);
+        const bin = { row: clamp(rowInput), column: clamp(columnInput) };
+        return bin.row || bin.column ? bin : null;
     }
 
-    async analyzeWineLabel(imageData) {
-        const indicator = document.getElementById('scanningIndicator');
-        const indicatorText = indicator.querySelector('p');
+    async addLocation() {
+        const nameInput = document.getElementById('newLocationName');
+        const name = nameInput.value.trim();
+        if (!name) {
+            this.showToast(this.t('location.nameMissing'));
+            return;
+        }
 
-        indicator.classList.remove('hidden');
+        const gridSize = (id) => {
+            const value = parseInt(document.getElementById(id).value);
+            return value > 0 ? Math.min(value, 100) : null;
+        };
+        const location = {
+            id: Date.now().toString(),
+            name,
+            rows: gridSize('newLocationRows'),
+            columns: gridSize('newLocationColumns'),
+            createdAt: new Date().toISOString()
+        };
 
-        // Check if Cloud Functions are available
-        if (!this.cloudFunctionsAvailable) {
-            indicatorText.textContent = 'AI niet beschikbaar - demo modus...';
-            setTimeout(() => {
-                indicator.classList.add('hidden');
-                const wineData = this.generateDemoWineData();
-                this.populateForm(wineData);
-                this.showToast('Demo modus: Cloud Functions nog niet geconfigureerd');
-            }, 1500);
+        this.locations.push(location);
+        await this.queueWrite('set', `locations/${location.id}`, location);
+
+        nameInput.value = '';
+        document.getElementById('newLocationRows').value = '';
+        document.getElementById('newLocationColumns').value = '';
+        this.renderLocationSettings();
+        this.showToast(this.t('location.added', { name }));
+    }
+
+    async deleteLocation(locationId) {
+        const inUse = this.wines.some(wine => LocalStore.bottleLocations(wine)[locationId]);
+        if (inUse) {
+            this.showToast(this.t('location.inUse'));
             return;
         }
 
-        indicatorText.textContent = 'Wijn analyseren met AI...';
+        this.locations = this.locations.filter(l => l.id !== locationId);
+        await this.queueWrite('remove', `locations/${locationId}`);
+        this.renderLocationSettings();
+    }
 
-        try {
-            const wineData = await this.callChatGPTVision(imageData);
-            this.populateForm(wineData);
+    renderLocationSettings() {
+        const list = document.getElementById('locationList');
+        if (!list) return;
 
-            // Zoek productfoto via Cloud Function
-            if (wineData.name && wineData.producer) {
-                indicatorText.textContent = 'Zoeken naar productfoto...';
-                try {
-                    const productImage = await this.searchGoogleImage(wineData);
-                    if (productImage) {
-                        this.showToast('Wijn herkend met productfoto!');
-                    } else {
-                        this.showToast('Wijn herkend! Geen productfoto gevonden.');
-                    }
-                } catch (imgError) {
-                    console.log('Could not load product image:', imgError);
-                    this.showToast('Wijn herkend! Productfoto niet beschikbaar.');
-                }
-            } else {
-                this.showToast('Wijn herkend! Controleer de gegevens.');
-            }
+        list.innerHTML = this.locations.map(location => {
+            const bottles = this.wines.reduce((sum, wine) => sum + (LocalStore.bottleLocations(wine)[location.id]?.count || 0), 0);
+            const grid = location.rows || location.columns
+                ? ` · ${location.rows || '?'} × ${location.columns || '?'}`
+                : '';
+            return `
+                <div class="member-row" data-location="${this.escapeHtml(location.id)}">
+                    <span class="member-name">${this.escapeHtml(location.name)}</span>
+                    <span class="member-role">${this.t('common.bottles', { count: bottles })}${grid}</span>
+                    <button type="button" class="member-remove-btn" aria-label="${this.t('common.delete')}">✕</button>
+                </div>
+            `;
+        }).join('');
+        list.classList.toggle('hidden', this.locations.length === 0);
 
-            indicator.classList.add('hidden');
-        } catch (error) {
-            console.error('Vision API error:', error);
-            indicator.classList.add('hidden');
+        list.querySelectorAll('.member-row').forEach(row => {
+            row.querySelector('.member-remove-btn').addEventListener('click', () => this.deleteLocation(row.dataset.location));
+        });
+    }
 
-            if (error.message.includes('401') || error.message.includes('Unauthorized')) {
-                this.showToast('Niet geautoriseerd. Log opnieuw in.');
-            } else if (error.message.includes('429')) {
-                this.showToast('Te veel verzoeken. Probeer het later.');
-            } else if (error.message.includes('not configured')) {
-                this.showToast('AI service niet geconfigureerd.');
-            } else {
-                this.showToast('Kan afbeelding niet analyseren. Voer handmatig in.');
-            }
-        }
+    renderDetailLocations(wine) {
+        const entries = this.wineLocationEntries(wine);
+
+        document.getElementById('detailLocations').innerHTML = entries.map(entry => {
+            const bin = this.formatBin(entry);
+            return `
+                <div class="location-row" data-location="${this.escapeHtml(entry.locationId)}">
+                    <div class="location-info">
+                        <span class="location-name">${this.escapeHtml(this.locationName(entry.locationId))}</span>
+                        ${bin ? `<span class="location-bin">${bin}</span>` : ''}
+                    </div>
+                    <div class="location-count">
+                        <button type="button" class="qty-btn" data-delta="-1">−</button>
+                        <span>${entry.count}</span>
+                        <button type="button" class="qty-btn" data-delta="1">+</button>
+                    </div>
+                </div>
+            `;
+        }).join('');
+
+        document.querySelectorAll('#detailLocations .location-row').forEach(row => {
+            row.querySelectorAll('.qty-btn').forEach(btn => {
+                btn.addEventListener('click', () => this.changeLocationCount(row.dataset.location, parseInt(btn.dataset.delta)));
+            });
+        });
+
+        // Moving only makes sense when there is somewhere else to put the bottles
+        const moveForm = document.getElementById('moveBottles');
+        moveForm.classList.toggle('hidden', this.locations.length === 0);
+        if (this.locations.length === 0) return;
+
+        const fromSelect = document.getElementById('moveFrom');
+        fromSelect.innerHTML = entries.map(entry => `
+            <option value="${this.escapeHtml(entry.locationId)}">${this.escapeHtml(this.locationName(entry.locationId))} (${entry.count})</option>
+        `).join('');
+        this.updateMoveTargets();
     }
 
-    async searchGoogleImage(wineData) {
-        // Use Cloud Function for Google Image Search (keys are stored securely on server)
-        // The Cloud Function fetches the image and returns it as base64 to avoid CORS issues
-        if (!CONFIG.FUNCTIONS?.searchWineImage) {
-            console.log('Google Image Search not configured');
-            return null;
-        }
+    updateMoveTargets() {
+        const from = document.getElementById('moveFrom').value;
+        const toSelect = document.getElementById('moveTo');
+        const previous = toSelect.value;
+        this.renderLocationOptions(toSelect, previous, from);
+        this.updateBinInputs(toSelect.value, 'moveBin');
+    }
 
-        const idToken = await this.getIdToken();
-        if (!idToken) {
-            console.log('Not authenticated for image search');
-            return null;
+    changeBottles(wine, change) {
+        const updated = LocalStore.applyBottleChange(wine, change);
+        if (!updated) return false;
+
+        Object.assign(wine, updated);
+        this.changeWineBottles(wine.id, change);
+
+        document.getElementById('detailQuantity').textContent = this.wineQuantity(wine);
+        this.renderDetailLocations(wine);
+        this.renderWineList();
+        this.updateStats();
+        this.renderLocationSettings();
+        return true;
+    }
+
+    changeLocationCount(locationId, delta) {
+        const wine = this.wines.find(w => w.id === this.currentWineId);
+        if (!wine) return;
+
+        // Every bottle that leaves the cellar is logged
+        if (delta < 0) {
+            this.openConsumeModal(locationId);
+            return;
         }
+        this.changeBottles(wine, { location: locationId, delta });
+    }
 
-        const searchQuery = `${wineData.producer} ${wineData.name}`;
-        const wineType = wineData.type || 'red';
-        console.log('🔍 Google Image Search Query:', searchQuery, 'Type:', wineType);
+    moveBottles() {
+        const wine = this.wines.find(w => w.id === this.currentWineId);
+        if (!wine) return;
 
-        try {
-            const response = await fetch(CONFIG.FUNCTIONS.searchWineImage, {
-                method: 'POST',
-                headers: {
-                    'Content-Type': 'application/json',
-                    'Authorization': `Bearer ${idToken}`
-                },
-                body: JSON.stringify({ query: searchQuery, type: wineType })
-            });
+        const from = document.getElementById('moveFrom').value;
+        const to = document.getElementById('moveTo').value;
+        const count = parseInt(document.getElementById('moveCount').value) || 1;
+        if (!from || !to || from === to) return;
 
-            if (!response.ok) {
-                console.error('❌ Google Image Search API error:', response.status);
-                return null;
-            }
+        const bin = this.readBin('moveBin');
+        this.changeBottles(wine, { from, to, count, ...(bin ? { bin } : {}) });
+        this.showToast(this.t('location.moved', { name: this.locationName(to) }));
+    }
 
-            const result = await response.json();
-            console.log('📦 searchWineImage response:', JSON.stringify(result).substring(0, 200));
+    // ============================
+    // Image Storage (Firebase Storage)
+    // ============================
 
-            // The Cloud Function now returns base64 encoded image directly
-            if (result.imageBase64) {
-                console.log('✅ Found image (base64)');
-                // Update the preview with the base64 image
-                this.currentImage = result.imageBase64;
-                const preview = document.getElementById('previewImg');
-                if (preview) {
-                    preview.src = result.imageBase64;
-                    document.getElementById('imagePreview')?.classList.add('has-image');
-                }
-                return result.imageBase64;
-            }
+    // Upload a label photo and return the image fields for its wine record.
+    // Without a connection the photo stays inline and is moved by migrateInlineImages later.
+    async storeImage(recordId, dataUrl) {
+        const thumbnail = await this.resizeImageData(dataUrl, 160, 0.6).catch(() => null);
+        const inline = { image: dataUrl, imagePath: null, imageUrl: null, thumbnail };
 
-            console.log('⚠️ No image found:', result.message);
-            return null;
+        if (!this.storage || !this.userId || !this.isOnline) return inline;
+
+        try {
+            const imagePath = `users/${this.userId}/images/${recordId}-${Date.now()}.jpg`;
+            const ref = this.storage.ref(imagePath);
+            await ref.putString(dataUrl, 'data_url', {
+                contentType: 'image/jpeg',
+                cacheControl: 'public, max-age=31536000'
+            });
+            const imageUrl = await ref.getDownloadURL();
+            return { image: null, imagePath, imageUrl, thumbnail };
         } catch (error) {
-            console.error('❌ Google Image Search error:', error);
-            return null;
+            console.error('Error uploading image:', error);
+            return inline;
         }
     }
 
-    async loadExternalImage(imageUrl) {
-        return new Promise((resolve, reject) => {
-            const img = new Image();
-            img.crossOrigin = 'anonymous';
+    // Receipt fields for a purchase lot. Offline the photo can't be uploaded and a full
+    // inline copy on every lot is too much, so only the thumbnail is kept
+    async storeReceiptImage(recordId, dataUrl) {
+        const stored = await this.storeImage(recordId, dataUrl);
+        const receipt = stored.imagePath
+            ? { imagePath: stored.imagePath, imageUrl: stored.imageUrl, thumbnail: stored.thumbnail }
+            : { thumbnail: stored.thumbnail };
+        Object.keys(receipt).forEach(key => !receipt[key] && delete receipt[key]);
+        return receipt;
+    }
 
-            const timeout = setTimeout(() => {
-                reject(new Error('Image load timeout'));
-            }, 8000);
+    // The label photo and receipt photos of a removed wine or archive entry
+    deleteRecordImages(record) {
+        if (!record) return;
+        this.deleteImageIfUnused(record.imagePath);
+        Object.values(record.purchases || {}).forEach(lot => this.deleteImageIfUnused(lot.receipt?.imagePath));
+    }
 
-            img.onload = () => {
-                clearTimeout(timeout);
-                try {
-                    // Converteer naar canvas om als base64 op te slaan
-                    const canvas = document.createElement('canvas');
-                    const maxSize = 800;
-                    let { width, height } = img;
+    // Remove a stored photo once no wine or archive entry points at it anymore
+    async deleteImageIfUnused(imagePath) {
+        // In a shared cellar photos stay in the folder of whoever uploaded them
+        if (!imagePath || !this.storage || !imagePath.startsWith(`users/${this.userId}/`)) return;
 
-                    if (width > maxSize || height > maxSize) {
-                        if (width > height) {
-                            height = (height / width) * maxSize;
-                            width = maxSize;
-                        } else {
-                            width = (width / height) * maxSize;
-                            height = maxSize;
-                        }
-                    }
+        const inUse = [...this.wines, ...this.archive].some(w => w.imagePath === imagePath
+            || Object.values(w.purchases || {}).some(lot => lot.receipt?.imagePath === imagePath));
+        if (inUse) return;
 
-                    canvas.width = width;
-                    canvas.height = height;
+        try {
+            await this.storage.ref(imagePath).delete();
+        } catch (error) {
+            console.error('Error deleting image:', error);
+        }
+    }
 
-                    const ctx = canvas.getContext('2d');
-                    ctx.drawImage(img, 0, 0, width, height);
+    // One-time move of base64 images that were stored inside the database records
+    async migrateInlineImages() {
+        if (this.imageMigrationRunning || !this.storage || !this.isOnline || !this.userId || !this.canEdit()) return;
+
+        const records = [
+            ...this.wines.map(record => ({ collection: 'wines', record })),
+            ...this.archive.map(record => ({ collection: 'archive', record }))
+        ].filter(({ record }) => typeof record.image === 'string' && record.image.startsWith('data:'));
 
-                    const compressedData = canvas.toDataURL('image/jpeg', 0.8);
+        if (records.length === 0) return;
 
-                    // Update preview en currentImage
-                    this.currentImage = compressedData;
-                    const preview = document.getElementById('previewImg');
-                    preview.src = compressedData;
-                    document.getElementById('imagePreview').classList.add('has-image');
+        this.imageMigrationRunning = true;
+        console.log('🖼️ Moving', records.length, 'inline images to Cloud Storage');
 
-                    resolve(compressedData);
-                } catch (e) {
-                    reject(e);
+        try {
+            // A wine and its archive copy share the same photo, upload it only once
+            const uploaded = new Map();
+
+            for (const { collection, record } of records) {
+                let fields = uploaded.get(record.image);
+                if (!fields) {
+                    fields = await this.storeImage(record.id, record.image);
+                    if (fields.image) break; // Upload failed, try again on the next sync
+                    uploaded.set(record.image, fields);
                 }
-            };
 
-            img.onerror = () => {
-                clearTimeout(timeout);
-                reject(new Error('Failed to load image'));
-            };
+                Object.assign(record, fields);
+                await this.queueWrite('update', `${collection}/${record.id}`, fields);
+            }
 
-            img.src = imageUrl;
-        });
+            this.renderWineList();
+        } finally {
+            this.imageMigrationRunning = false;
+        }
     }
 
-    async callChatGPTVision(imageData) {
-        // Use Cloud Function for API call (keys are stored securely on server)
-        if (!CONFIG.FUNCTIONS?.analyzeWineLabel) {
-            throw new Error('Cloud Functions not configured');
-        }
+    wineThumbnail(wine) {
+        return wine.thumbnail || wine.imageUrl || wine.image || null;
+    }
 
-        const idToken = await this.getIdToken();
-        if (!idToken) {
-            throw new Error('Not authenticated');
+    wineFullImage(wine) {
+        return wine.imageUrl || wine.image || wine.thumbnail || null;
+    }
+
+    // ============================
+    // Event Binding
+    // ============================
+
+    bindEvents() {
+        // Settings button
+        document.getElementById('settingsBtn')?.addEventListener('click', () => this.openModal('settingsModal'));
+        document.getElementById('languageSelect')?.addEventListener('change', (e) => this.setLanguage(e.target.value));
+
+        // Cellar switcher & members
+        document.getElementById('cellarSelect')?.addEventListener('change', (e) => this.selectCellar(e.target.value));
+        document.getElementById('createCellarBtn')?.addEventListener('click', () => this.createCellar());
+        document.getElementById('createInviteBtn')?.addEventListener('click', () => this.createInvite());
+        document.getElementById('copyInviteBtn')?.addEventListener('click', () => this.copyInviteLink());
+        document.getElementById('leaveCellarBtn')?.addEventListener('click', () => this.removeMember(this.userId));
+
+        // Bottle locations
+        document.getElementById('addLocationBtn')?.addEventListener('click', () => this.addLocation());
+        document.getElementById('wineLocation')?.addEventListener('change', (e) => this.updateBinInputs(e.target.value, 'wineBin'));
+        document.getElementById('moveFrom')?.addEventListener('change', () => this.updateMoveTargets());
+        document.getElementById('moveTo')?.addEventListener('change', (e) => this.updateBinInputs(e.target.value, 'moveBin'));
+        document.getElementById('moveBottlesBtn')?.addEventListener('click', () => this.moveBottles());
+
+        // Search functionality
+        const searchInput = document.getElementById('searchInput');
+        const clearSearchBtn = document.getElementById('clearSearch');
+
+        searchInput?.addEventListener('input', () => this.handleSearch());
+        searchInput?.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter') this.commitQueryFilters();
+        });
+
+        clearSearchBtn?.addEventListener('click', () => {
+            searchInput.value = '';
+            this.handleSearch();
+            searchInput.focus();
+        });
+
+        // Sort, drinking window and structured filters
+        document.getElementById('sortOrder')?.addEventListener('change', (e) => {
+            this.sortOrder = e.target.value;
+            this.applyFilters();
+        });
+        document.getElementById('drinkFilter')?.addEventListener('change', (e) => {
+            this.drinkFilter = e.target.value;
+            this.applyFilters();
+        });
+        document.getElementById('filterToggle')?.addEventListener('click', () => this.toggleFilterPanel());
+        document.getElementById('clearFilters')?.addEventListener('click', () => this.clearFilters());
+        document.querySelectorAll('#filterPanel [data-filter]').forEach(field => {
+            field.addEventListener('change', () => this.readFilterPanel(field.dataset.filter));
+        });
+
+        // FAB button
+        document.getElementById('addWineBtn')?.addEventListener('click', () => this.openAddModal());
+
+        // Close buttons
+        document.querySelectorAll('[data-close]').forEach(btn => {
+            btn.addEventListener('click', (e) => {
+                const modalId = e.currentTarget.dataset.close;
+                this.closeModal(modalId);
+            });
+        });
+
+        // Modal backdrop click
+        document.querySelectorAll('.modal').forEach(modal => {
+            modal.addEventListener('click', (e) => {
+                if (e.target === modal) {
+                    this.closeModal(modal.id);
+                }
+            });
+        });
+
+        // Image upload
+        document.getElementById('imagePreview')?.addEventListener('click', () => {
+            document.getElementById('galleryInput')?.click();
+        });
+
+        document.getElementById('cameraBtn')?.addEventListener('click', (e) => {
+            e.stopPropagation();
+            document.getElementById('cameraInput')?.click();
+        });
+
+        document.getElementById('galleryBtn')?.addEventListener('click', (e) => {
+            e.stopPropagation();
+            document.getElementById('galleryInput')?.click();
+        });
+
+        document.getElementById('cameraInput')?.addEventListener('change', (e) => this.handleImageUpload(e));
+        document.getElementById('galleryInput')?.addEventListener('change', (e) => this.handleImageUpload(e));
+
+        // Batch scanning
+        document.getElementById('batchScanBtn')?.addEventListener('click', () => this.openBatchScan());
+        document.getElementById('batchPickBtn')?.addEventListener('click', () => document.getElementById('batchInput')?.click());
+        document.getElementById('batchInput')?.addEventListener('change', (e) => this.handleBatchUpload(e));
+        document.getElementById('saveBatchBtn')?.addEventListener('click', () => this.saveBatch());
+
+        // Receipt scanning
+        document.getElementById('receiptScanBtn')?.addEventListener('click', () => this.openReceiptScan());
+        document.getElementById('receiptPickBtn')?.addEventListener('click', () => document.getElementById('receiptInput')?.click());
+        document.getElementById('receiptInput')?.addEventListener('change', (e) => this.handleReceiptUpload(e));
+        document.getElementById('saveReceiptBtn')?.addEventListener('click', () => this.saveReceipt());
+
+        // Form submission
+        document.getElementById('wineForm')?.addEventListener('submit', (e) => this.handleFormSubmit(e));
+
+        // Editing a highlighted AI guess confirms it
+        document.getElementById('wineForm')?.addEventListener('input', (e) => {
+            const target = e.target.type === 'range' ? e.target.closest('.characteristic-slider') : e.target;
+            target?.classList.remove('ai-guess');
+        });
+
+        // Characteristic sliders
+        ['boldness', 'tannins', 'acidity'].forEach(id => {
+            const slider = document.getElementById(id);
+            const value = document.getElementById(`${id}Value`);
+            slider?.addEventListener('input', () => {
+                if (value) value.textContent = slider.value;
+            });
+        });
+
+        // Quantity controls in form
+        document.querySelectorAll('.quantity-control .qty-btn').forEach(btn => {
+            btn.addEventListener('click', () => {
+                const input = document.getElementById('wineQuantity');
+                const action = btn.dataset.action;
+                let val = parseInt(input.value) || 1;
+                if (action === 'increase') val++;
+                if (action === 'decrease' && val > 1) val--;
+                input.value = val;
+            });
+        });
+
+        // Bottle opened modal
+        document.querySelectorAll('#consumeRating .star').forEach(star => {
+            star.addEventListener('click', () => this.setConsumeRating(parseInt(star.dataset.rating)));
+        });
+        document.querySelectorAll('#consumeRebuyOptions .rebuy-btn').forEach(btn => {
+            btn.addEventListener('click', () => {
+                this.consumeRebuy = btn.dataset.rebuy;
+                document.querySelectorAll('#consumeRebuyOptions .rebuy-btn').forEach(b => {
+                    b.classList.toggle('active', b === btn);
+                });
+            });
+        });
+        document.getElementById('confirmConsume')?.addEventListener('click', () => this.confirmConsume());
+
+        // Detail modal quantity controls
+        document.getElementById('detailIncrease')?.addEventListener('click', () => this.updateDetailQuantity(1));
+        document.getElementById('detailDecrease')?.addEventListener('click', () => this.updateDetailQuantity(-1));
+
+        // Detail modal actions
+        document.getElementById('editWineBtn')?.addEventListener('click', () => this.editCurrentWine());
+        document.getElementById('deleteWineBtn')?.addEventListener('click', () => this.openDeleteModal());
+
+        // Purchase lots
+        document.getElementById('addPurchaseBtn')?.addEventListener('click', () => this.openPurchaseModal());
+        document.getElementById('purchaseLocation')?.addEventListener('change', (e) => this.updateBinInputs(e.target.value, 'purchaseBin'));
+        document.getElementById('savePurchaseBtn')?.addEventListener('click', () => this.savePurchase());
+
+        // Google Sign-In / Sign-Out buttons
+        document.getElementById('googleSignInBtn')?.addEventListener('click', () => this.signInWithGoogle());
+        document.getElementById('loginGoogleBtn')?.addEventListener('click', () => this.signInWithGoogle());
+        document.getElementById('signOutBtn')?.addEventListener('click', () => this.signOut());
+
+        // Archive button
+        document.getElementById('archiveBtn')?.addEventListener('click', () => this.openArchiveList());
+
+        // Statistics
+        document.getElementById('statsBtn')?.addEventListener('click', () => this.openStats());
+        document.querySelector('.header-stats')?.addEventListener('click', () => this.openStats());
+
+        // Taste profile
+        document.getElementById('openTasteBtn')?.addEventListener('click', () => this.openTasteProfile());
+
+        // Shopping list
+        document.getElementById('shoppingBtn')?.addEventListener('click', () => this.openShoppingList());
+        document.getElementById('shoppingIncludeMaybe')?.addEventListener('change', (e) => this.setShoppingIncludeMaybe(e.target.checked));
+        document.getElementById('copyShoppingBtn')?.addEventListener('click', () => this.copyShoppingList());
+
+        // Food pairing
+        document.getElementById('pairingBtn')?.addEventListener('click', () => this.openPairing());
+        document.getElementById('findPairingBtn')?.addEventListener('click', () => this.findPairing());
+
+        // Duplicates
+        document.getElementById('findDuplicatesBtn')?.addEventListener('click', () => this.openDuplicates());
+
+        // Import & export
+        document.getElementById('exportCsvBtn')?.addEventListener('click', () => this.exportCSV());
+        document.getElementById('exportJsonBtn')?.addEventListener('click', () => this.exportJSON());
+        document.getElementById('importBtn')?.addEventListener('click', () => document.getElementById('importFile').click());
+        document.getElementById('importFile')?.addEventListener('change', (e) => {
+            this.openImportFile(e.target.files[0]);
+            e.target.value = '';
+        });
+        document.getElementById('importDuplicates')?.addEventListener('change', () => this.buildImportPreview());
+        document.getElementById('confirmImport')?.addEventListener('click', () => this.confirmImport());
+
+        // Archive modal - Star rating
+        document.querySelectorAll('#archiveRating .star').forEach(star => {
+            star.addEventListener('click', () => this.setArchiveRating(parseInt(star.dataset.rating)));
+            star.addEventListener('mouseenter', () => this.previewRating(parseInt(star.dataset.rating)));
+            star.addEventListener('mouseleave', () => this.previewRating(0));
+        });
+
+        // Archive modal - Rebuy options
+        document.querySelectorAll('#rebuyOptions .rebuy-btn').forEach(btn => {
+            btn.addEventListener('click', () => this.setRebuyOption(btn.dataset.rebuy));
+        });
+
+        // Archive modal - Actions
+        const skipArchiveBtn = document.getElementById('skipArchive');
+        const confirmArchiveBtn = document.getElementById('confirmArchive');
+
+        console.log('Archive buttons found:', { skipArchive: !!skipArchiveBtn, confirmArchive: !!confirmArchiveBtn });
+
+        if (skipArchiveBtn) {
+            skipArchiveBtn.addEventListener('click', (e) => {
+                e.preventDefault();
+                e.stopPropagation();
+                console.log('Skip archive clicked');
+                this.skipArchiveAndDelete();
+            });
+        }
+
+        if (confirmArchiveBtn) {
+            confirmArchiveBtn.addEventListener('click', (e) => {
+                e.preventDefault();
+                e.stopPropagation();
+                console.log('Confirm archive clicked');
+                this.confirmArchive();
+            });
+        }
+
+        // Archive list - Search
+        const archiveSearchInput = document.getElementById('archiveSearchInput');
+        const clearArchiveSearchBtn = document.getElementById('clearArchiveSearch');
+
+        archiveSearchInput?.addEventListener('input', (e) => {
+            this.archiveSearchQuery = e.target.value.trim().toLowerCase();
+            this.filterAndRenderArchive();
+        });
+
+        clearArchiveSearchBtn?.addEventListener('click', () => {
+            archiveSearchInput.value = '';
+            this.archiveSearchQuery = '';
+            this.filterAndRenderArchive();
+        });
+
+        // Archive list - Filters
+        document.getElementById('archiveTypeFilter')?.addEventListener('change', () => this.filterAndRenderArchive());
+        document.getElementById('archiveRebuyFilter')?.addEventListener('change', () => this.filterAndRenderArchive());
+
+        // Archive detail - Actions
+        document.getElementById('restoreWineBtn')?.addEventListener('click', () => this.restoreWineFromArchive());
+        document.getElementById('deleteArchiveBtn')?.addEventListener('click', () => this.deleteFromArchiveConfirm());
+    }
+
+    // ============================
+    // Modal Management
+    // ============================
+
+    openModal(modalId) {
+        document.getElementById(modalId).classList.add('active');
+        document.body.style.overflow = 'hidden';
+    }
+
+    closeModal(modalId) {
+        document.getElementById(modalId).classList.remove('active');
+        document.body.style.overflow = '';
+
+        if (modalId === 'addModal') {
+            this.resetForm();
+        }
+    }
+
+    openAddModal() {
+        this.editMode = false;
+        this.editBase = null;
+        this.editImageFields = null;
+        this.currentWineId = null;
+        this.resetForm();
+        document.querySelector('#addModal .modal-header h2').textContent = this.t('form.addTitle');
+        document.querySelector('#addModal .submit-btn').textContent = this.t('form.addSubmit');
+        this.openModal('addModal');
+    }
+
+    resetForm() {
+        document.getElementById('wineForm').reset();
+        document.getElementById('imagePreview').classList.remove('has-image');
+        document.getElementById('previewImg').src = '';
+        this.currentImage = null;
+        this.currentImageSource = null;
+
+        ['boldness', 'tannins', 'acidity'].forEach(id => {
+            document.getElementById(id).value = 3;
+            document.getElementById(`${id}Value`).textContent = '3';
+        });
+
+        document.getElementById('wineQuantity').value = 1;
+        document.getElementById('wineLocationGroup').classList.remove('hidden');
+        this.renderLocationOptions(document.getElementById('wineLocation'), LocalStore.UNASSIGNED);
+        this.updateBinInputs(LocalStore.UNASSIGNED, 'wineBin');
+        document.getElementById('scanningIndicator').classList.add('hidden');
+        this.clearGuessHighlights();
+        this.hideMergeView();
+        this.hideDuplicateView();
+    }
+
+    // ============================
+    // Image Handling & AI Analysis
+    // ============================
+
+    handleImageUpload(e) {
+        const file = e.target.files[0];
+        if (!file) return;
+
+        // Compress and resize image to prevent localStorage quota issues
+        this.compressImage(file, async (compressedImageData) => {
+            this.currentImage = compressedImageData;
+            this.currentImageSource = null;
+
+            const preview = document.getElementById('previewImg');
+            preview.src = compressedImageData;
+            document.getElementById('imagePreview').classList.add('has-image');
+
+            // A bottle scanned before is filled in at once; only unknown codes go to the AI
+            if (await this.fillFromBarcode(file)) return;
+            this.analyzeWineLabel(compressedImageData);
+        });
+
+        e.target.value = '';
+    }
+
+    // maxSize is the max width/height in pixels
+    compressImage(file, callback, maxSize = 800) {
+        this.readCompressedImage(file, maxSize).then(callback, error => console.error('Error reading image:', error));
+    }
+
+    // Promise version of compressImage; rejects with code IMAGE_UNREADABLE when
+    // the file is no image the browser can decode
+    readCompressedImage(file, maxSize = 800) {
+        return new Promise((resolve, reject) => {
+            const unreadable = () => {
+                const error = new Error('Failed to read image');
+                error.code = 'IMAGE_UNREADABLE';
+                reject(error);
+            };
+
+            const reader = new FileReader();
+            reader.onload = (event) => {
+                const img = new Image();
+                img.onload = () => {
+                    const canvas = document.createElement('canvas');
+                    let { width, height } = img;
+
+                    // Resize if needed
+                    if (width > maxSize || height > maxSize) {
+                        if (width > height) {
+                            height = (height / width) * maxSize;
+                            width = maxSize;
+                        } else {
+                            width = (width / height) * maxSize;
+                            height = maxSize;
+                        }
+                    }
+
+                    canvas.width = width;
+                    canvas.height = height;
+
+                    const ctx = canvas.getContext('2d');
+                    ctx.drawImage(img, 0, 0, width, height);
+
+                    // Compress to JPEG with 0.7 quality
+                    resolve(canvas.toDataURL('image/jpeg', 0.7));
+                };
+                img.onerror = unreadable;
+                img.src = event.target.result;
+            };
+            reader.onerror = unreadable;
+            reader.readAsDataURL(file);
+        });
+    }
+
+    resizeImageData(dataUrl, maxSize, quality) {
+        return new Promise((resolve, reject) => {
+            const img = new Image();
+            img.onload = () => {
+                const scale = Math.min(1, maxSize / Math.max(img.width, img.height));
+                const canvas = document.createElement('canvas');
+                canvas.width = Math.round(img.width * scale);
+                canvas.height = Math.round(img.height * scale);
+                canvas.getContext('2d').drawImage(img, 0, 0, canvas.width, canvas.height);
+                resolve(canvas.toDataURL('image/jpeg', quality));
+            };
+            img.onerror = () => reject(new Error('Failed to load image'));
+            img.src = dataUrl;
+        });
+    }
+
+    async analyzeWineLabel(imageData) {
+        const indicator = document.getElementById('scanningIndicator');
+        const indicatorText = indicator.querySelector('p');
+
+        indicator.classList.remove('hidden');
+
+        // Check if Cloud Functions are available
+        if (!this.cloudFunctionsAvailable) {
+            indicatorText.textContent = this.t('scan.demoRunning');
+            setTimeout(() => {
+                indicator.classList.add('hidden');
+                const wineData = this.generateDemoWineData();
+                this.populateForm(wineData);
+                this.showToast(this.t('scan.demoMode'));
+            }, 1500);
+            return;
+        }
+
+        indicatorText.textContent = this.t('scan.analyzing');
+
+        try {
+            const wineData = await this.callChatGPTVision(imageData);
+            this.populateForm(wineData);
+
+            // Zoek productfoto via Cloud Function
+            if (wineData.name && wineData.producer) {
+                indicatorText.textContent = this.t('scan.searchingPhoto');
+                try {
+                    const productImage = await this.searchGoogleImage(wineData);
+                    if (productImage) {
+                        this.showToast(this.t('scan.recognizedWithPhoto'));
+                    } else {
+                        this.showToast(this.t('scan.recognizedNoPhoto'));
+                    }
+                } catch (imgError) {
+                    console.log('Could not load product image:', imgError);
+                    this.showToast(this.t('scan.recognizedPhotoUnavailable'));
+                }
+            } else {
+                this.showToast(this.t('scan.recognizedCheck'));
+            }
+
+            indicator.classList.add('hidden');
+        } catch (error) {
+            console.error('Vision API error:', error);
+            indicator.classList.add('hidden');
+            this.showToast(this.visionErrorMessage(error));
+        }
+    }
+
+    visionErrorMessage(error) {
+        if (error.message.includes('401') || error.message.includes('Unauthorized')) {
+            return this.t('scan.unauthorized');
+        }
+        if (error.message.includes('429')) return this.t('scan.tooManyRequests');
+        if (error.message.includes('not configured')) return this.t('scan.notConfigured');
+        if (error.code === 'IMAGE_UNREADABLE') return this.t('image.unreadable');
+        return this.t('scan.failed');
+    }
+
+    async searchGoogleImage(wineData) {
+        // Use Cloud Function for Google Image Search (keys are stored securely on server)
+        // The Cloud Function fetches the image and returns it as base64 to avoid CORS issues
+        if (!CONFIG.FUNCTIONS?.searchWineImage) {
+            console.log('Google Image Search not configured');
+            return null;
+        }
+
+        const idToken = await this.getIdToken();
+        if (!idToken) {
+            console.log('Not authenticated for image search');
+            return null;
+        }
+
+        const searchQuery = `${wineData.producer} ${wineData.name}`;
+        const wineType = wineData.type || 'red';
+        console.log('🔍 Google Image Search Query:', searchQuery, 'Type:', wineType);
+
+        try {
+            const response = await fetch(CONFIG.FUNCTIONS.searchWineImage, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                    'Authorization': `Bearer ${idToken}`
+                },
+                body: JSON.stringify({ query: searchQuery, type: wineType })
+            });
+
+            if (!response.ok) {
+                console.error('❌ Google Image Search API error:', response.status);
+                return null;
+            }
+
+            const result = await response.json();
+            console.log('📦 searchWineImage response:', JSON.stringify(result).substring(0, 200));
+
+            // The Cloud Function returns the image proxied, resized and base64 encoded
+            if (result.imageBase64) {
+                console.log('✅ Found image (base64) from', result.source?.site);
+                // Update the preview with the base64 image
+                this.currentImage = result.imageBase64;
+                this.currentImageSource = result.source || null;
+                const preview = document.getElementById('previewImg');
+                if (preview) {
+                    preview.src = result.imageBase64;
+                    document.getElementById('imagePreview')?.classList.add('has-image');
+                }
+                return result.imageBase64;
+            }
+
+            console.log('⚠️ No image found:', result.message);
+            return null;
+        } catch (error) {
+            console.error('❌ Google Image Search error:', error);
+            return null;
+        }
+    }
+
+    // multiple: the photo shows several bottles; returns [{ data, confidence, bottles }] instead
+    async callChatGPTVision(imageData, multiple = false) {
+        // Use Cloud Function for API call (keys are stored securely on server)
+        if (!CONFIG.FUNCTIONS?.analyzeWineLabel) {
+            throw new Error('Cloud Functions not configured');
+        }
+
+        const idToken = await this.getIdToken();
+        if (!idToken) {
+            throw new Error('Not authenticated');
+        }
+
+        const response = await fetch(CONFIG.FUNCTIONS.analyzeWineLabel, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                'Authorization': `Bearer ${idToken}`
+            },
+            body: JSON.stringify({
+                imageBase64: imageData,
+                multiple,
+                language: this.i18n.language
+            })
+        });
+
+        if (!response.ok) {
+            const errorData = await response.json().catch(() => ({}));
+            throw new Error(errorData.error || `API error: ${response.status}`);
+        }
+
+        const result = await response.json();
+
+        if (!result.success) {
+            throw new Error(result.error || 'Failed to analyze image');
+        }
+
+        if (multiple) return result.wines || [];
+        return { ...result.data, confidence: result.confidence || null };
+    }
+
+    generateDemoWineData() {
+        const wines = [
+            { name: 'Grand Vin', producer: 'Château Margaux', type: 'red', year: 2015, region: 'Margaux, Bordeaux, France', grape: 'Cabernet Sauvignon, Merlot', boldness: 4, tannins: 4, acidity: 3, price: 450, notes: 'Elegant with blackcurrant, violet, and cedar notes.' },
+            { name: 'Sauvignon Blanc', producer: 'Cloudy Bay', type: 'white', year: 2022, region: 'Marlborough, New Zealand', grape: 'Sauvignon Blanc', boldness: 2, tannins: 1, acidity: 4, price: 28, notes: 'Crisp with citrus and passion fruit.' },
+            { name: 'Whispering Angel', producer: 'Château d\'Esclans', type: 'rosé', year: 2023, region: 'Provence, France', grape: 'Grenache, Cinsault', boldness: 2, tannins: 1, acidity: 3, price: 22, notes: 'Delicate strawberry and peach flavors.' },
+            { name: 'Tignanello', producer: 'Antinori', type: 'red', year: 2019, region: 'Tuscany, Italy', grape: 'Sangiovese, Cabernet Sauvignon', boldness: 5, tannins: 4, acidity: 4, price: 120, notes: 'Rich with cherry, plum, and spicy oak.' },
+            { name: 'Brut Vintage', producer: 'Dom Pérignon', type: 'sparkling', year: 2012, region: 'Champagne, France', grape: 'Chardonnay, Pinot Noir', boldness: 3, tannins: 1, acidity: 4, price: 200, notes: 'Fine bubbles with brioche and citrus.' }
+        ];
+        return wines[Math.floor(Math.random() * wines.length)];
+    }
+
+    populateForm(data) {
+        document.getElementById('wineName').value = data.name || '';
+        document.getElementById('wineProducer').value = data.producer || '';
+        document.getElementById('wineType').value = data.type || 'red';
+        document.getElementById('wineYear').value = data.year || '';
+        document.getElementById('wineRegion').value = data.region || '';
+        document.getElementById('wineGrape').value = data.grape || '';
+        document.getElementById('winePrice').value = data.price || '';
+        document.getElementById('wineDrinkFrom').value = data.drinkFrom || '';
+        document.getElementById('wineDrinkUntil').value = data.drinkUntil || '';
+
+        if (data.notes) {
+            document.getElementById('wineNotes').value = data.notes;
+        }
+
+        ['boldness', 'tannins', 'acidity'].forEach(id => {
+            const value = data[id] || 3;
+            document.getElementById(id).value = value;
+            document.getElementById(`${id}Value`).textContent = value;
+        });
+
+        this.highlightGuesses(data.confidence);
+    }
+
+    // Mark fields the AI was unsure about so the user double-checks them
+    highlightGuesses(confidence) {
+        const fields = {
+            name: 'wineName',
+            producer: 'wineProducer',
+            type: 'wineType',
+            year: 'wineYear',
+            region: 'wineRegion',
+            grape: 'wineGrape',
+            price: 'winePrice',
+            notes: 'wineNotes',
+            drinkFrom: 'wineDrinkFrom',
+            drinkUntil: 'wineDrinkUntil',
+            boldness: 'boldness',
+            tannins: 'tannins',
+            acidity: 'acidity'
+        };
+
+        this.clearGuessHighlights();
+        if (!confidence) return;
+
+        Object.entries(fields).forEach(([field, id]) => {
+            const score = confidence[field];
+            if (typeof score !== 'number' || score >= 0.6) return;
+
+            const el = document.getElementById(id);
+            const target = el?.type === 'range' ? el.closest('.characteristic-slider') : el;
+            target?.classList.add('ai-guess');
+        });
+    }
+
+    clearGuessHighlights() {
+        document.querySelectorAll('#wineForm .ai-guess').forEach(el => el.classList.remove('ai-guess'));
+    }
+
+    // ============================
+    // Barcodes
+    // ============================
+
+    // Wine data saved before for this code: the cellar and archive first (works offline),
+    // then the user's own lookup table, then the table shared by all users
+    async lookupBarcode(code) {
+        const own = [...this.wines, ...this.archive]
+            .filter(record => record.barcode === code)
+            .sort((a, b) => (b.updatedAt || b.addedAt || '').localeCompare(a.updatedAt || a.addedAt || ''))[0];
+        if (own) return { source: 'cellar', wine: own };
+
+        if (!this.db || !this.userId || !this.isOnline) return null;
+
+        try {
+            const personal = await this.db.ref(`users/${this.userId}/barcodes/${code}`).once('value');
+            if (personal.exists()) return { source: 'personal', wine: personal.val() };
+
+            const shared = await this.db.ref(`barcodes/${code}`).once('value');
+            if (shared.exists()) return { source: 'shared', wine: shared.val() };
+        } catch (error) {
+            console.error('Barcode lookup failed:', error);
+        }
+        return null;
+    }
+
+    async fillFromBarcode(file) {
+        const code = await Barcode.detect(file);
+        if (!code) return false;
+
+        document.getElementById('wineBarcode').value = code;
+        const known = await this.lookupBarcode(code);
+        if (!known) return false;
+
+        this.populateForm(known.wine);
+        if (known.wine.store) document.getElementById('wineStore').value = known.wine.store;
+
+        // The photo of the barcode is replaced by the one saved with the wine
+        const photo = known.source === 'cellar' ? this.wineFullImage(known.wine) : null;
+        if (photo) {
+            this.editImageFields = {};
+            CellarIO.IMAGE_FIELDS.forEach(key => {
+                this.editImageFields[key] = known.wine[key] ?? null;
+            });
+            this.currentImage = photo;
+            this.currentImageSource = known.wine.imageSource || null;
+            document.getElementById('previewImg').src = photo;
+        }
+
+        this.showToast(this.t(known.source === 'shared' ? 'barcode.recognized' : 'barcode.boughtBefore'));
+        return true;
+    }
+
+    // Save the wine under its code, for this user and (if nobody described it before) for everyone
+    rememberBarcode(code, wine) {
+        if (!this.db || !this.userId) return;
+
+        this.db.ref(`users/${this.userId}/barcodes/${code}`)
+            .set(Barcode.entry(wine, this.userId, true))
+            .catch(error => console.error('Error saving barcode:', error));
+
+        const shared = Barcode.entry(wine, this.userId);
+        this.db.ref(`barcodes/${code}`)
+            .transaction(current => (!current || current.updatedBy === this.userId ? shared : undefined))
+            .catch(error => console.error('Error sharing barcode:', error));
+    }
+
+    // ============================
+    // Batch Scanning
+    // ============================
+
+    openBatchScan() {
+        if (!this.canEdit()) return;
+        this.batchState = { items: [], running: 0, nextKey: 0 };
+        document.getElementById('batchMultiple').checked = false;
+        document.getElementById('batchStore').value = '';
+        this.renderBatchQueue();
+        this.closeModal('addModal');
+        this.openModal('batchModal');
+    }
+
+    handleBatchUpload(e) {
+        const state = this.batchState;
+        const files = Array.from(e.target.files || []);
+        e.target.value = '';
+        if (!state || files.length === 0) return;
+
+        const multiple = document.getElementById('batchMultiple').checked;
+        files.forEach(file => {
+            const item = { key: state.nextKey++, status: 'waiting', file, multiple, image: null };
+            state.items.push(item);
+            this.renderBatchItem(item);
+        });
+        this.pumpBatchQueue(state);
+    }
+
+    // Start waiting photos until BATCH_SCAN_CONCURRENCY are being analyzed
+    pumpBatchQueue(state) {
+        while (this.batchState === state && state.running < BATCH_SCAN_CONCURRENCY) {
+            const item = state.items.find(candidate => candidate.status === 'waiting');
+            if (!item) return;
+
+            state.running++;
+            this.scanBatchItem(item, state).finally(() => {
+                state.running--;
+                this.pumpBatchQueue(state);
+            });
+        }
+    }
+
+    async scanBatchItem(item, state) {
+        item.status = 'scanning';
+        this.renderBatchItem(item);
+
+        try {
+            const code = item.multiple ? null : await Barcode.detect(item.file);
+            if (!item.image) {
+                item.image = await this.readCompressedImage(item.file);
+                item.file = null;
+            }
+
+            const known = code ? await this.lookupBarcode(code) : null;
+            const results = known
+                ? [{ data: known.wine, confidence: null }]
+                : await this.recognizeBatchPhoto(item.image, item.multiple);
+            if (this.batchState !== state) return;
+            if (results.length === 0) {
+                item.status = 'error';
+                item.error = this.t('batch.nothingFound');
+                this.renderBatchItem(item);
+                return;
+            }
+
+            // The first wine takes the place of the photo, the others follow it
+            const [first, ...others] = results.map(result => this.batchWine(result));
+            if (code) first.wine.barcode = code;
+            Object.assign(item, first);
+            const extra = others.map(wine => ({ key: state.nextKey++, multiple: true, image: item.image, ...wine }));
+            state.items.splice(state.items.indexOf(item) + 1, 0, ...extra);
+
+            this.renderBatchItem(item);
+            extra.forEach(other => this.renderBatchItem(other));
+        } catch (error) {
+            console.error('Batch scan error:', error);
+            if (this.batchState !== state) return;
+            item.status = 'error';
+            item.error = this.visionErrorMessage(error);
+            this.renderBatchItem(item);
+        }
+    }
+
+    // As [{ data, confidence, bottles }], whether the photo shows one bottle or several
+    async recognizeBatchPhoto(image, multiple) {
+        if (!this.cloudFunctionsAvailable) {
+            await new Promise(resolve => setTimeout(resolve, 1500));
+            return Array.from({ length: multiple ? 3 : 1 }, () => ({ data: this.generateDemoWineData(), confidence: null }));
+        }
+
+        if (multiple) return this.callChatGPTVision(image, true);
+        const { confidence, ...data } = await this.callChatGPTVision(image);
+        return [{ data, confidence }];
+    }
+
+    batchWine({ data, confidence, bottles }) {
+        const wine = {
+            name: data.name || '',
+            producer: data.producer || null,
+            type: data.type || 'red',
+            year: data.year || null,
+            drinkFrom: data.drinkFrom || null,
+            drinkUntil: data.drinkUntil || null,
+            region: data.region || null,
+            grape: data.grape || null,
+            boldness: data.boldness || 3,
+            tannins: data.tannins || 3,
+            acidity: data.acidity || 3,
+            price: data.price || null,
+            quantity: bottles || 1,
+            barcode: null,
+            notes: data.notes || null
+        };
+        return { status: 'ready', wine, confidence: confidence || null, mergeWith: this.batchDefaultMerge(wine) };
+    }
+
+    // Cellar wines of the same producer and name, any vintage
+    batchMergeCandidates(wine) {
+        if (!wine.name) return [];
+        const key = (record) => [record.producer, record.name].map(CellarIO.normalizeText).join('|');
+        return this.wines.filter(existing => key(existing) === key(wine));
+    }
+
+    batchDefaultMerge(wine) {
+        const exact = this.batchMergeCandidates(wine)
+            .find(existing => CellarIO.duplicateKey(existing) === CellarIO.duplicateKey(wine));
+        return exact ? exact.id : '';
+    }
+
+    batchMergeOptions(item) {
+        const options = this.batchMergeCandidates(item.wine).map(existing => {
+            const label = `${existing.name} ${existing.year || 'NV'}`;
+            const bottles = this.wineQuantity(existing);
+            return `<option value="${this.escapeHtml(existing.id)}" ${existing.id === item.mergeWith ? 'selected' : ''}>
+                ${this.t('batch.addTo', { name: this.escapeHtml(label), bottles: this.t('common.bottles', { count: bottles }) })}
+            </option>`;
+        });
+        return `<option value="">${this.t('batch.newWine')}</option>${options.join('')}`;
+    }
+
+    renderBatchQueue() {
+        document.getElementById('batchQueue').innerHTML = '';
+        (this.batchState?.items || []).forEach(item => this.renderBatchItem(item));
+        this.renderBatchSummary();
+    }
+
+    // Replaces only the card of this item, so the card being edited keeps its focus
+    renderBatchItem(item) {
+        const queue = document.getElementById('batchQueue');
+        const template = document.createElement('div');
+        template.innerHTML = this.batchCardHtml(item).trim();
+        const card = template.firstElementChild;
+        this.bindBatchCard(card, item);
+
+        const existing = queue.querySelector(`[data-key="${item.key}"]`);
+        if (existing) {
+            existing.replaceWith(card);
+        } else {
+            const items = this.batchState.items;
+            const next = items.slice(items.indexOf(item) + 1)
+                .map(other => queue.querySelector(`[data-key="${other.key}"]`))
+                .find(Boolean);
+            queue.insertBefore(card, next || null);
+        }
+        this.renderBatchSummary();
+    }
+
+    batchCardHtml(item) {
+        const photo = item.image ? `<img src="${item.image}" alt="">` : '';
+
+        if (item.status === 'waiting' || item.status === 'scanning') {
+            return `
+                <div class="batch-item" data-key="${item.key}">
+                    ${photo}
+                    <div class="batch-item-body">
+                        <p class="batch-item-status">${this.t(item.status === 'waiting' ? 'batch.waiting' : 'batch.scanning')}</p>
+                    </div>
+                </div>
+            `;
+        }
+
+        if (item.status === 'error') {
+            return `
+                <div class="batch-item error" data-key="${item.key}">
+                    ${photo}
+                    <div class="batch-item-body">
+                        <p class="batch-item-status">${this.escapeHtml(item.error)}</p>
+                        <div class="batch-item-actions">
+                            <button type="button" data-action="retry">${this.t('batch.retry')}</button>
+                            <button type="button" data-action="discard">${this.t('batch.discard')}</button>
+                        </div>
+                    </div>
+                </div>
+            `;
+        }
+
+        const { wine } = item;
+        if (item.status === 'discarded') {
+            return `
+                <div class="batch-item discarded" data-key="${item.key}">
+                    ${photo}
+                    <div class="batch-item-body">
+                        <p class="batch-item-status">${this.t('batch.discarded', { name: this.escapeHtml(wine?.name || this.t('batch.thisPhoto')) })}</p>
+                        <div class="batch-item-actions">
+                            <button type="button" data-action="restore">${this.t('batch.restore')}</button>
+                        </div>
+                    </div>
+                </div>
+            `;
+        }
+
+        const guess = (field) => {
+            const score = item.confidence?.[field];
+            return typeof score === 'number' && score < 0.6 ? 'ai-guess' : '';
+        };
+        return `
+            <div class="batch-item" data-key="${item.key}">
+                ${photo}
+                <div class="batch-item-body">
+                    <div class="batch-item-fields">
+                        <input type="text" data-field="name" class="${guess('name')}" value="${this.escapeHtml(wine.name)}" placeholder="${this.t('field.name')}" aria-label="${this.t('field.name')}">
+                        <input type="text" data-field="producer" class="${guess('producer')}" value="${this.escapeHtml(wine.producer || '')}" placeholder="${this.t('field.producer')}" aria-label="${this.t('field.producer')}">
+                        <input type="number" data-field="year" class="${guess('year')}" value="${wine.year || ''}" placeholder="${this.t('field.year')}" aria-label="${this.t('field.year')}" min="1900" max="2100">
+                        <select data-field="type" class="${guess('type')}" aria-label="${this.t('field.type')}">
+                            ${this.wineTypeOptions(wine.type)}
+                        </select>
+                        <input type="number" data-field="quantity" value="${wine.quantity}" min="1" max="99" aria-label="${this.t('batch.bottleCount')}">
+                        <input type="number" data-field="price" class="${guess('price')}" value="${wine.price ?? ''}" placeholder="${this.t('batch.pricePlaceholder')}" aria-label="${this.t('field.price')}" min="0" step="0.01">
+                    </div>
+                    <select class="batch-item-merge" data-merge aria-label="${this.t('batch.mergeLabel')}">
+                        ${this.batchMergeOptions(item)}
+                    </select>
+                    <div class="batch-item-actions">
+                        <button type="button" data-action="discard">${this.t('batch.discard')}</button>
+                    </div>
+                </div>
+            </div>
+        `;
+    }
+
+    bindBatchCard(card, item) {
+        card.querySelectorAll('[data-field]').forEach(input => {
+            input.addEventListener('input', () => {
+                const field = input.dataset.field;
+                const value = input.value.trim();
+                if (field === 'year') item.wine.year = parseInt(value, 10) || null;
+                else if (field === 'quantity') item.wine.quantity = Math.max(1, Math.min(99, parseInt(value, 10) || 1));
+                else if (field === 'price') item.wine.price = parseFloat(value) || null;
+                else item.wine[field] = value || (field === 'name' ? '' : null);
+                input.classList.remove('ai-guess');
+
+                // Another name or vintage can match other cellar wines
+                if (['name', 'producer', 'year'].includes(field)) {
+                    const candidates = this.batchMergeCandidates(item.wine);
+                    if (!candidates.some(existing => existing.id === item.mergeWith)) {
+                        item.mergeWith = this.batchDefaultMerge(item.wine);
+                    }
+                    card.querySelector('[data-merge]').innerHTML = this.batchMergeOptions(item);
+                }
+                this.renderBatchSummary();
+            });
+        });
+
+        card.querySelector('[data-merge]')?.addEventListener('change', (e) => {
+            item.mergeWith = e.target.value;
+            this.renderBatchSummary();
+        });
+
+        card.querySelectorAll('[data-action]').forEach(button => {
+            button.addEventListener('click', () => {
+                const action = button.dataset.action;
+                if (action === 'retry') {
+                    item.status = 'waiting';
+                    this.renderBatchItem(item);
+                    this.pumpBatchQueue(this.batchState);
+                    return;
+                }
+                if (action === 'discard') {
+                    item.previousStatus = item.status;
+                    item.status = 'discarded';
+                } else if (action === 'restore') {
+                    item.status = item.previousStatus || 'ready';
+                }
+                this.renderBatchItem(item);
+            });
+        });
+    }
+
+    renderBatchSummary() {
+        const items = this.batchState?.items || [];
+        const count = (status) => items.filter(item => item.status === status).length;
+        const busy = count('waiting') + count('scanning');
+        const ready = items.filter(item => item.status === 'ready');
+        const merged = ready.filter(item => item.mergeWith).length;
+
+        const parts = [
+            busy > 0 ? this.t('batch.busy', { count: busy }) : null,
+            ready.length - merged > 0 ? this.t('batch.new', { count: ready.length - merged }) : null,
+            merged > 0 ? this.t('batch.merged', { count: merged }) : null,
+            count('error') > 0 ? this.t('batch.failed', { count: count('error') }) : null
+        ].filter(Boolean);
+        document.getElementById('batchSummary').textContent = items.length === 0
+            ? this.t('batch.empty')
+            : parts.join(' · ');
+
+        const bottles = ready.reduce((sum, item) => sum + item.wine.quantity, 0);
+        const button = document.getElementById('saveBatchBtn');
+        button.disabled = busy > 0 || ready.length === 0;
+        button.textContent = busy > 0 ? this.t('common.wait') : this.t('batch.save', { count: bottles });
+    }
+
+    async saveBatch() {
+        const state = this.batchState;
+        if (!state || !this.canEdit()) return;
+
+        const ready = state.items.filter(item => item.status === 'ready');
+        if (ready.some(item => !item.mergeWith && !item.wine.name)) {
+            this.showToast(this.t('batch.nameMissing'));
+            return;
+        }
+
+        const button = document.getElementById('saveBatchBtn');
+        button.disabled = true;
+
+        const store = document.getElementById('batchStore').value.trim() || null;
+        const baseId = Date.now();
+        let added = 0;
+        let merged = 0;
+
+        try {
+            for (const [index, item] of ready.entries()) {
+                const target = item.mergeWith ? this.wines.findIndex(w => w.id === item.mergeWith) : -1;
+                const id = (baseId + index).toString();
+                const lot = PurchaseLots.create({ id, store, price: item.wine.price, quantity: item.wine.quantity });
+                if (target !== -1) {
+                    const updated = await this.addPurchase(item.mergeWith, lot, { location: this.primaryLocation(this.wines[target]) });
+                    if (updated) {
+                        merged++;
+                        this.dropBatchItem(state, item);
+                        continue;
+                    }
+                }
+
+                const wine = { id, ...item.wine, store, purchases: { [lot.id]: lot }, addedAt: new Date().toISOString() };
+
+                // A photo of several bottles is no label photo of any of them
+                const imageFields = item.multiple
+                    ? { image: null, imagePath: null, imageUrl: null, thumbnail: null }
+                    : await this.storeImage(id, item.image);
+                Object.assign(wine, imageFields, { imageSource: null });
+
+                this.wines.unshift(wine);
+                await this.saveWine(wine);
+                if (wine.barcode) this.rememberBarcode(wine.barcode, wine);
+                added++;
+                this.dropBatchItem(state, item);
+            }
+
+            this.renderWineList();
+            this.updateStats();
+            this.updateSearchVisibility();
+            this.closeModal('batchModal');
+            this.batchState = null;
+
+            const parts = [
+                added > 0 ? this.t('batch.added', { count: added }) : null,
+                merged > 0 ? this.t('batch.merged', { count: merged }) : null
+            ].filter(Boolean);
+            this.showToast(parts.join(', ') || this.t('batch.nothingSaved'));
+        } catch (error) {
+            // What was saved is off the list, so saving again only adds the rest
+            console.error('Error saving batch:', error);
+            this.renderWineList();
+            this.updateStats();
+            this.showToast(this.t('common.saveFailed'));
+        } finally {
+            button.disabled = false;
+            if (this.batchState === state) this.renderBatchSummary();
+        }
+    }
+
+    // Takes a saved item off the batch so it is not saved twice
+    dropBatchItem(state, item) {
+        state.items.splice(state.items.indexOf(item), 1);
+        document.querySelector(`#batchQueue [data-key="${item.key}"]`)?.remove();
+    }
+
+    // ============================
+    // Receipt Scanning
+    // ============================
+
+    openReceiptScan() {
+        if (!this.canEdit()) return;
+        this.receiptState = null;
+        document.getElementById('receiptStatus').textContent = '';
+        document.getElementById('receiptDetails').classList.add('hidden');
+        this.closeModal('addModal');
+        this.openModal('receiptModal');
+    }
+
+    async handleReceiptUpload(e) {
+        const file = e.target.files[0];
+        e.target.value = '';
+        if (!file) return;
+
+        const state = { image: null, items: [] };
+        this.receiptState = state;
+        document.getElementById('receiptDetails').classList.add('hidden');
+        document.getElementById('receiptStatus').textContent = this.t('receipt.reading');
+
+        try {
+            state.image = await this.readCompressedImage(file, RECEIPT_IMAGE_SIZE);
+            const receipt = await this.recognizeReceipt(state.image);
+            if (this.receiptState !== state) return;
+
+            state.items = receipt.items.map((result, index) => {
+                const { wine, confidence } = this.batchWine({ ...result, bottles: result.quantity });
+                return { key: index, status: 'ready', wine, confidence, match: this.receiptDefaultMatch(wine) };
+            });
+            document.getElementById('receiptStore').value = receipt.store || '';
+            document.getElementById('receiptDate').value = receipt.date || this.todayString();
+            document.getElementById('receiptStatus').textContent = state.items.length === 0
+                ? this.t('receipt.nothingFound')
+                : '';
+            this.renderReceiptItems();
+            document.getElementById('receiptDetails').classList.toggle('hidden', state.items.length === 0);
+        } catch (error) {
+            console.error('Receipt scan error:', error);
+            if (this.receiptState !== state) return;
+            document.getElementById('receiptStatus').textContent = this.visionErrorMessage(error);
+        }
+    }
+
+    // { store, date, items: [{ data, confidence, quantity }] } where data.price is the price paid per bottle
+    async recognizeReceipt(image) {
+        if (!this.cloudFunctionsAvailable) {
+            await new Promise(resolve => setTimeout(resolve, 1500));
+            return {
+                store: 'Gall & Gall',
+                date: this.todayString(),
+                items: [1, 2].map(quantity => ({ data: this.generateDemoWineData(), confidence: null, quantity }))
+            };
+        }
+
+        if (!CONFIG.FUNCTIONS?.analyzeReceipt) {
+            throw new Error('Cloud Functions not configured');
+        }
+
+        const idToken = await this.getIdToken();
+        if (!idToken) {
+            throw new Error('Not authenticated');
+        }
+
+        const response = await fetch(CONFIG.FUNCTIONS.analyzeReceipt, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                'Authorization': `Bearer ${idToken}`
+            },
+            body: JSON.stringify({ imageBase64: image, language: this.i18n.language })
+        });
+
+        if (!response.ok) {
+            const errorData = await response.json().catch(() => ({}));
+            throw new Error(errorData.error || `API error: ${response.status}`);
+        }
+
+        const result = await response.json();
+        if (!result.success) {
+            throw new Error(result.error || 'Failed to analyze receipt');
+        }
+        return { store: result.store || null, date: result.date || null, items: result.items || [] };
+    }
+
+    // Wines a receipt line can be; a line without vintage (most receipts) may be any vintage
+    receiptCandidates(wine, records) {
+        return records
+            .map(record => ({ record, score: DuplicateFinder.score(wine.year ? wine : { ...wine, year: record.year }, record) }))
+            .filter(match => match.score > 0)
+            .sort((a, b) => b.score - a.score)
+            .slice(0, 3)
+            .map(match => match.record);
+    }
+
+    // "wine:<id>" for a cellar wine, "archive:<id>" for a wine bought before, '' for a new wine
+    receiptDefaultMatch(wine) {
+        const [inCellar] = this.receiptCandidates(wine, this.wines);
+        if (inCellar) return `wine:${inCellar.id}`;
+        const [archived] = this.receiptCandidates(wine, this.archive);
+        return archived ? `archive:${archived.id}` : '';
+    }
+
+    receiptMatchOptions(item) {
+        const label = (record) => this.escapeHtml(`${record.name} ${record.year || 'NV'}`);
+        const options = [
+            ...this.receiptCandidates(item.wine, this.wines).map(existing => {
+                const bottles = this.wineQuantity(existing);
+                return { value: `wine:${existing.id}`, text: this.t('batch.addTo', { name: label(existing), bottles: this.t('common.bottles', { count: bottles }) }) };
+            }),
+            ...this.receiptCandidates(item.wine, this.archive).map(entry => ({
+                value: `archive:${entry.id}`,
+                text: this.t('receipt.boughtAgain', { name: label(entry) })
+            }))
+        ];
+        if (item.match && !options.some(option => option.value === item.match)) item.match = '';
+
+        return `<option value="">${this.t('batch.newWine')}</option>${options.map(option =>
+            `<option value="${this.escapeHtml(option.value)}" ${option.value === item.match ? 'selected' : ''}>${option.text}</option>`).join('')}`;
+    }
+
+    renderReceiptItems() {
+        const items = this.receiptState?.items || [];
+        const container = document.getElementById('receiptItems');
+
+        container.innerHTML = items.map(item => {
+            if (item.status === 'discarded') {
+                return `
+                    <div class="batch-item discarded" data-key="${item.key}">
+                        <div class="batch-item-body">
+                            <p class="batch-item-status">${this.t('batch.discarded', { name: this.escapeHtml(item.wine.name || this.t('receipt.thisLine')) })}</p>
+                            <div class="batch-item-actions">
+                                <button type="button" data-action="restore">${this.t('batch.restore')}</button>
+                            </div>
+                        </div>
+                    </div>
+                `;
+            }
+
+            const guess = (field) => {
+                const score = item.confidence?.[field];
+                return typeof score === 'number' && score < 0.6 ? 'ai-guess' : '';
+            };
+            const { wine } = item;
+            return `
+                <div class="batch-item" data-key="${item.key}">
+                    <div class="batch-item-body">
+                        <div class="batch-item-fields">
+                            <input type="text" data-field="name" class="${guess('name')}" value="${this.escapeHtml(wine.name)}" placeholder="${this.t('field.name')}" aria-label="${this.t('field.name')}">
+                            <input type="text" data-field="producer" class="${guess('producer')}" value="${this.escapeHtml(wine.producer || '')}" placeholder="${this.t('field.producer')}" aria-label="${this.t('field.producer')}">
+                            <input type="number" data-field="year" class="${guess('year')}" value="${wine.year || ''}" placeholder="${this.t('field.year')}" aria-label="${this.t('field.year')}" min="1900" max="2100">
+                            <select data-field="type" class="${guess('type')}" aria-label="${this.t('field.type')}">
+                                ${this.wineTypeOptions(wine.type)}
+                            </select>
+                            <input type="number" data-field="quantity" value="${wine.quantity}" min="1" max="99" aria-label="${this.t('batch.bottleCount')}">
+                            <input type="number" data-field="price" class="${guess('price')}" value="${wine.price ?? ''}" placeholder="${this.t('receipt.unitPricePlaceholder')}" aria-label="${this.t('receipt.unitPrice')}" min="0" step="0.01">
+                        </div>
+                        <select class="batch-item-merge" data-match aria-label="${this.t('batch.mergeLabel')}">
+                            ${this.receiptMatchOptions(item)}
+                        </select>
+                        <div class="batch-item-actions">
+                            <button type="button" data-action="discard">${this.t('batch.discard')}</button>
+                        </div>
+                    </div>
+                </div>
+            `;
+        }).join('');
+
+        container.querySelectorAll('.batch-item').forEach(card => {
+            const item = items.find(candidate => String(candidate.key) === card.dataset.key);
+
+            card.querySelectorAll('[data-field]').forEach(input => {
+                input.addEventListener('input', () => {
+                    const field = input.dataset.field;
+                    const value = input.value.trim();
+                    if (field === 'year') item.wine.year = parseInt(value, 10) || null;
+                    else if (field === 'quantity') item.wine.quantity = Math.max(1, Math.min(99, parseInt(value, 10) || 1));
+                    else if (field === 'price') item.wine.price = parseFloat(value) || null;
+                    else item.wine[field] = value || (field === 'name' ? '' : null);
+                    input.classList.remove('ai-guess');
+
+                    if (['name', 'producer', 'year'].includes(field)) {
+                        card.querySelector('[data-match]').innerHTML = this.receiptMatchOptions(item);
+                    }
+                    this.renderReceiptSummary();
+                });
+            });
+
+            card.querySelector('[data-match]')?.addEventListener('change', (e) => {
+                item.match = e.target.value;
+                this.renderReceiptSummary();
+            });
+
+            card.querySelectorAll('[data-action]').forEach(button => {
+                button.addEventListener('click', () => {
+                    item.status = button.dataset.action === 'discard' ? 'discarded' : 'ready';
+                    this.renderReceiptItems();
+                });
+            });
+        });
+
+        this.renderReceiptSummary();
+    }
+
+    renderReceiptSummary() {
+        const ready = (this.receiptState?.items || []).filter(item => item.status === 'ready');
+        const matched = ready.filter(item => item.match).length;
+        const total = ready.reduce((sum, item) => sum + (item.wine.price || 0) * item.wine.quantity, 0);
+
+        document.getElementById('receiptSummary').textContent = [
+            ready.length - matched > 0 ? this.t('batch.new', { count: ready.length - matched }) : null,
+            matched > 0 ? this.t('receipt.matched', { count: matched }) : null,
+            total > 0 ? this.t('receipt.total', { total: this.i18n.formatPrice(total) }) : null
+        ].filter(Boolean).join(' · ');
+
+        const bottles = ready.reduce((sum, item) => sum + item.wine.quantity, 0);
+        const button = document.getElementById('saveReceiptBtn');
+        button.disabled = ready.length === 0;
+        button.textContent = this.t('batch.save', { count: bottles });
+    }
+
+    // Every line becomes a lot with the store, date and photo of the receipt
+    async saveReceipt() {
+        const state = this.receiptState;
+        if (!state || !this.canEdit()) return;
+
+        const ready = state.items.filter(item => item.status === 'ready');
+        if (ready.some(item => !item.match && !item.wine.name)) {
+            this.showToast(this.t('batch.nameMissing'));
+            return;
+        }
+
+        const button = document.getElementById('saveReceiptBtn');
+        button.disabled = true;
+
+        const store = document.getElementById('receiptStore').value.trim() || null;
+        const date = document.getElementById('receiptDate').value || this.todayString();
+        const baseId = Date.now();
+        const saved = new Set();
+        let added = 0;
+        let merged = 0;
+
+        try {
+            // Uploaded once, also when saving again after an error
+            state.receipt = state.receipt || await this.storeReceiptImage(`receipt-${baseId}`, state.image);
+            const { receipt } = state;
+
+            for (const [index, item] of ready.entries()) {
+                const id = (baseId + index).toString();
+                const lot = PurchaseLots.create({ id, date, store, price: item.wine.price, quantity: item.wine.quantity, receipt });
+                const [kind, matchId] = item.match.split(':');
+
+                if (kind === 'wine') {
+                    const existing = this.wines.find(w => w.id === matchId);
+                    if (existing && await this.addPurchase(matchId, lot, { location: this.primaryLocation(existing) })) {
+                        merged++;
+                        saved.add(item);
+                        continue;
+                    }
+                } else if (kind === 'archive') {
+                    const archivedWine = this.archive.find(entry => entry.id === matchId);
+                    if (archivedWine && await this.restockFromArchive(archivedWine, lot, true)) {
+                        merged++;
+                        saved.add(item);
+                        continue;
+                    }
+                }
+
+                const wine = {
+                    id,
+                    ...item.wine,
+                    store,
+                    purchases: { [lot.id]: lot },
+                    image: null,
+                    imagePath: null,
+                    imageUrl: null,
+                    thumbnail: null,
+                    imageSource: null,
+                    addedAt: new Date().toISOString()
+                };
+                this.wines.unshift(wine);
+                await this.saveWine(wine);
+                added++;
+                saved.add(item);
+            }
+
+            this.renderWineList();
+            this.updateStats();
+            this.updateSearchVisibility();
+            this.closeModal('receiptModal');
+            this.receiptState = null;
+
+            const parts = [
+                added > 0 ? this.t('batch.added', { count: added }) : null,
+                merged > 0 ? this.t('batch.merged', { count: merged }) : null
+            ].filter(Boolean);
+            this.showToast(parts.join(', ') || this.t('batch.nothingSaved'));
+        } catch (error) {
+            console.error('Error saving receipt:', error);
+            this.renderWineList();
+            this.updateStats();
+            this.showToast(this.t('common.saveFailed'));
+        } finally {
+            // Saved lines are taken off the receipt, so saving again only adds the rest
+            state.items = state.items.filter(item => !saved.has(item));
+            button.disabled = false;
+            if (this.receiptState === state) this.renderReceiptItems();
+        }
+    }
+
+    // ============================
+    // Form Handling
+    // ============================
+
+    async handleFormSubmit(e) {
+        e.preventDefault();
+
+        const { drinkFrom, drinkUntil, barcode } = this.readFormValues();
+        if (drinkFrom && drinkUntil && drinkFrom > drinkUntil) {
+            this.showToast(this.t('form.drinkWindowInvalid'));
+            document.getElementById('wineDrinkFrom').focus();
+            return;
+        }
+        if (!barcode && document.getElementById('wineBarcode').value.trim()) {
+            this.showToast(this.t('form.barcodeInvalid'));
+            document.getElementById('wineBarcode').focus();
+            return;
+        }
+
+        const existing = this.editMode ? this.wines.find(w => w.id === this.currentWineId) : null;
+        const wineData = {
+            id: existing ? existing.id : Date.now().toString(),
+            ...this.readFormValues(),
+            addedAt: existing ? existing.addedAt : new Date().toISOString()
+        };
+
+        // The same wine bought again is added to the existing card, unless asked otherwise
+        if (!this.editMode) {
+            if (this.duplicateState) {
+                const choice = document.querySelector('input[name="duplicate-choice"]:checked')?.value;
+                if (choice && choice !== 'separate') {
+                    await this.addBottlesToDuplicate(choice, wineData);
+                    return;
+                }
+            } else {
+                const matches = DuplicateFinder.matches(wineData, this.wines).slice(0, 3);
+                if (matches.length > 0) {
+                    this.showDuplicateView(matches);
+                    return;
+                }
+            }
+        }
+
+        const submitBtn = document.querySelector('#addModal .submit-btn');
+        submitBtn.disabled = true;
+        try {
+            Object.assign(wineData, await this.prepareImageFields(wineData.id, existing));
+        } finally {
+            submitBtn.disabled = false;
+        }
+
+        if (this.editMode) {
+            const index = this.wines.findIndex(w => w.id === this.currentWineId);
+            if (index === -1) {
+                this.showToast(this.t('form.wineDeleted'));
+                this.closeModal('addModal');
+                return;
+            }
+
+            // Only send the fields that changed since the form was opened
+            const base = this.editBase || existing;
+            const latest = this.wines[index];
+            const changes = this.diffWineFields(base, wineData);
+
+            // A new bottle count is added to or taken from the main location instead of overwriting the total
+            let quantityDelta = 0;
+            if ('quantity' in changes) {
+                quantityDelta = changes.quantity - this.wineQuantity(base);
+                delete changes.quantity;
+            }
+
+            if (this.mergeState && this.mergeState.revision === (latest.revision || 0)) {
+                this.applyMergeChoices(changes);
+            } else if ((latest.revision || 0) !== (base.revision || 0)) {
+                const conflicts = this.findConflicts(base, latest, changes);
+                if (conflicts.length > 0) {
+                    this.showMergeView(latest, conflicts);
+                    return;
+                }
+            }
+
+            // Price and store on the form are those of the latest purchase
+            if (latest.purchases && ('price' in changes || 'store' in changes)) {
+                const lot = { ...PurchaseLots.latest(latest) };
+                if ('price' in changes) lot.price = changes.price;
+                if ('store' in changes) lot.store = changes.store;
+                Object.keys(lot).forEach(key => lot[key] === null && delete lot[key]);
+                changes.purchases = { ...latest.purchases, [lot.id]: lot };
+            }
+
+            this.wines[index] = { ...latest, ...changes };
+            this.reviseWine(wineData.id, changes, latest);
+            if (quantityDelta !== 0) {
+                const change = { location: this.primaryLocation(latest), delta: quantityDelta };
+                const updated = LocalStore.applyBottleChange(this.wines[index], change);
+                if (updated) {
+                    this.wines[index] = updated;
+                    this.changeWineBottles(wineData.id, change);
+                }
+            }
+            if (changes.imagePath !== undefined) this.deleteImageIfUnused(latest.imagePath);
+            if (this.wines[index].barcode) this.rememberBarcode(this.wines[index].barcode, this.wines[index]);
+            this.showToast(this.t('form.updated'));
+        } else {
+            const locationId = document.getElementById('wineLocation').value;
+            if (locationId && locationId !== LocalStore.UNASSIGNED) {
+                wineData.locations = { [locationId]: { count: wineData.quantity, ...this.readBin('wineBin') } };
+            }
+            const lot = PurchaseLots.create({ store: wineData.store, price: wineData.price, quantity: wineData.quantity });
+            wineData.purchases = { [lot.id]: lot };
+            this.wines.unshift(wineData);
+            this.saveWine(wineData);
+            if (wineData.barcode) this.rememberBarcode(wineData.barcode, wineData);
+            this.showToast(this.t('form.added'));
+        }
+
+        this.renderWineList();
+        this.updateStats();
+        this.closeModal('addModal');
+    }
+
+    // ============================
+    // Revisions & Conflict Resolution
+    // ============================
+
+    sameValue(a, b) {
+        return JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+    }
+
+    diffWineFields(base, wineData) {
+        const changes = {};
+        WINE_FIELD_GROUPS.forEach(group => {
+            group.keys.forEach(key => {
+                if (key in wineData && !this.sameValue(base[key], wineData[key])) {
+                    changes[key] = wineData[key] ?? null;
+                }
+            });
+        });
+        return changes;
+    }
+
+    // Field groups changed both locally and remotely (to different values) since base
+    findConflicts(base, remote, changes) {
+        return WINE_FIELD_GROUPS.filter(group => {
+            const changedLocally = group.keys.some(key => key in changes);
+            const changedRemotely = group.keys.some(key => !this.sameValue(base[key], remote[key]));
+            const differs = group.keys.some(key => key in changes && !this.sameValue(changes[key], remote[key]));
+            return changedLocally && changedRemotely && differs;
+        });
+    }
+
+    showMergeView(remote, conflicts) {
+        const panel = document.getElementById('conflictPanel');
+        const fieldsEl = document.getElementById('conflictFields');
+        const local = { ...this.readFormValues(), image: this.currentImage };
+
+        this.mergeState = { revision: remote.revision || 0, conflicts };
+
+        const who = remote.updatedByName || this.t(remote.updatedBy === this.userId ? 'conflict.youElsewhere' : 'conflict.someoneElse');
+        const when = remote.updatedAt
+            ? this.i18n.formatDate(remote.updatedAt, { day: 'numeric', month: 'short', hour: '2-digit', minute: '2-digit' })
+            : '';
+        document.getElementById('conflictIntro').textContent =
+            this.t('conflict.intro', { who, when: when ? ` (${when})` : '' });
+
+        fieldsEl.innerHTML = conflicts.map((group, index) => `
+            <div class="conflict-field">
+                <span class="conflict-label">${this.t(group.label)}</span>
+                <label class="conflict-option">
+                    <input type="radio" name="conflict-${index}" value="mine" checked>
+                    <span><strong>${this.t('conflict.mine')}</strong> ${this.escapeHtml(this.formatFieldGroup(group, local))}</span>
+                </label>
+                <label class="conflict-option">
+                    <input type="radio" name="conflict-${index}" value="theirs">
+                    <span><strong>${this.t('conflict.theirs')}</strong> ${this.escapeHtml(this.formatFieldGroup(group, remote))}</span>
+                </label>
+            </div>
+        `).join('');
+
+        panel.classList.remove('hidden');
+        document.querySelector('#addModal .submit-btn').textContent = this.t('conflict.submit');
+        document.querySelector('#addModal .modal-body').scrollTop = 0;
+    }
+
+    hideMergeView() {
+        this.mergeState = null;
+        document.getElementById('conflictPanel')?.classList.add('hidden');
+    }
+
+    // Drop local changes for every field where the other version was chosen
+    applyMergeChoices(changes) {
+        this.mergeState.conflicts.forEach((group, index) => {
+            const choice = document.querySelector(`input[name="conflict-${index}"]:checked`)?.value;
+            if (choice === 'theirs') {
+                group.keys.forEach(key => delete changes[key]);
+            }
+        });
+        this.hideMergeView();
+    }
+
+    formatFieldGroup(group, wine) {
+        const key = group.keys[0];
+        if (key === 'image') return this.t(this.wineFullImage(wine) ? 'field.image' : 'conflict.noPhoto');
+        if (key === 'price') return wine.price ? this.i18n.formatPrice(wine.price) : '—';
+        if (key === 'drinkFrom') return this.formatDrinkWindow(wine) || '—';
+        const value = wine[key];
+        return value === null || value === undefined || value === '' ? '—' : String(value);
+    }
+
+    readFormValues() {
+        return {
+            name: document.getElementById('wineName').value,
+            producer: document.getElementById('wineProducer').value || null,
+            type: document.getElementById('wineType').value,
+            year: document.getElementById('wineYear').value || null,
+            drinkFrom: parseInt(document.getElementById('wineDrinkFrom').value) || null,
+            drinkUntil: parseInt(document.getElementById('wineDrinkUntil').value) || null,
+            region: document.getElementById('wineRegion').value || null,
+            grape: document.getElementById('wineGrape').value || null,
+            boldness: parseInt(document.getElementById('boldness').value),
+            tannins: parseInt(document.getElementById('tannins').value),
+            acidity: parseInt(document.getElementById('acidity').value),
+            price: parseFloat(document.getElementById('winePrice').value) || null,
+            quantity: parseInt(document.getElementById('wineQuantity').value) || 1,
+            store: document.getElementById('wineStore').value || null,
+            barcode: Barcode.normalize(document.getElementById('wineBarcode').value),
+            notes: document.getElementById('wineNotes').value || null
+        };
+    }
+
+    // A queued edit was rejected because the wine changed on another device in the meantime
+    handleWriteConflict(write, remote) {
+        const [collection, wineId] = write.path.split('/');
+        if (collection !== 'wines' || write.op !== 'revise') return;
+
+        console.log('⚠️ Edit conflict on wine:', wineId);
+
+        // Show the server version again until the conflict is resolved
+        const index = this.wines.findIndex(w => w.id === wineId);
+        if (index === -1) return;
+        this.wines[index] = remote;
+        this.cacheCollection('wines', this.wines);
+        this.renderWineList();
+
+        const { changes, base, baseRevision } = write.value;
+        const baseWine = { ...remote, ...base, revision: baseRevision };
+
+        // Changes to other fields than the ones edited remotely can simply be re-applied
+        const conflicts = this.findConflicts(baseWine, remote, changes);
+        if (conflicts.length === 0) {
+            this.wines[index] = { ...remote, ...changes };
+            this.reviseWine(wineId, changes, remote);
+            return;
+        }
+
+        if (document.getElementById('addModal').classList.contains('active')) {
+            this.showToast(this.t('conflict.clash'));
+            return;
+        }
+
+        this.currentWineId = wineId;
+        this.openEditForm({ ...remote, ...changes }, baseWine);
+        this.showMergeView(remote, conflicts);
+        this.showToast(this.t('conflict.changedElsewhere'));
+    }
+
+    // Image fields for the record being saved: keep the stored photo if it wasn't changed
+    async prepareImageFields(wineId, existing) {
+        const image = this.currentImage;
+        const imageSource = this.currentImageSource || null;
+
+        if (!image) {
+            return { image: null, imagePath: null, imageUrl: null, thumbnail: null, imageSource: null };
+        }
+
+        // The photo shown when the form was opened (or the stored version of it)
+        const stored = [existing, this.editImageFields]
+            .find(record => record && [record.imageUrl, record.image, record.thumbnail].includes(image));
+        if (stored) {
+            return {
+                image: stored.image ?? null,
+                imagePath: stored.imagePath ?? null,
+                imageUrl: stored.imageUrl ?? null,
+                thumbnail: stored.thumbnail ?? null,
+                imageSource
+            };
+        }
+
+        return { ...await this.storeImage(wineId, image), imageSource };
+    }
+
+    // ============================
+    // Duplicates
+    // ============================
+
+    // Ask before a wine that is already in the cellar gets a second card
+    showDuplicateView(matches) {
+        this.duplicateState = { matches };
+
+        document.getElementById('duplicateIntro').textContent = matches.length === 1
+            ? this.t('duplicate.introOne')
+            : this.t('duplicate.introMany');
+
+        document.getElementById('duplicateOptions').innerHTML = `
+            ${matches.map(({ record }, index) => {
+                const bottles = this.wineQuantity(record);
+                const title = [record.producer, record.name, record.year].filter(Boolean).join(' ');
+                return `
+                    <label class="conflict-option">
+                        <input type="radio" name="duplicate-choice" value="${this.escapeHtml(record.id)}" ${index === 0 ? 'checked' : ''}>
+                        <span><strong>${this.t('duplicate.addTo')}</strong> ${this.escapeHtml(title)} (${this.t('common.bottles', { count: bottles })})</span>
+                    </label>
+                `;
+            }).join('')}
+            <label class="conflict-option">
+                <input type="radio" name="duplicate-choice" value="separate">
+                <span><strong>${this.t('duplicate.separate')}</strong> ${this.t('duplicate.separateDetails')}</span>
+            </label>
+        `;
+
+        document.getElementById('duplicatePanel').classList.remove('hidden');
+        document.querySelector('#addModal .submit-btn').textContent = this.t('common.save');
+        document.querySelector('#addModal .modal-body').scrollTop = 0;
+    }
+
+    hideDuplicateView() {
+        this.duplicateState = null;
+        document.getElementById('duplicatePanel')?.classList.add('hidden');
+    }
+
+    async addBottlesToDuplicate(wineId, wineData) {
+        const index = this.wines.findIndex(w => w.id === wineId);
+        if (index === -1) {
+            this.showToast(this.t('form.wineDeleted'));
+            this.hideDuplicateView();
+            return;
+        }
+
+        const location = document.getElementById('wineLocation').value || LocalStore.UNASSIGNED;
+        const change = { location };
+        if (location !== LocalStore.UNASSIGNED) change.bin = this.readBin('wineBin');
+
+        const lot = PurchaseLots.create({ store: wineData.store, price: wineData.price, quantity: wineData.quantity });
+        const updated = await this.addPurchase(wineId, lot, change);
+        if (!updated) return;
+
+        if (wineData.barcode && !updated.barcode) {
+            this.wines[index] = { ...updated, barcode: wineData.barcode };
+            this.reviseWine(wineId, { barcode: wineData.barcode }, updated);
+        }
+        if (wineData.barcode) this.rememberBarcode(wineData.barcode, this.wines[index]);
+
+        this.renderWineList();
+        this.updateStats();
+        this.closeModal('addModal');
+        this.showToast(this.t('duplicate.bottlesAdded', { count: wineData.quantity, name: updated.name }));
+    }
+
+    openDuplicates() {
+        this.renderDuplicates();
+        this.openModal('duplicatesModal');
+    }
+
+    renderDuplicates() {
+        const render = (collection, records) => {
+            const groups = DuplicateFinder.groups(records);
+            const container = document.getElementById(collection === 'wines' ? 'duplicateWines' : 'duplicateArchive');
+
+            if (groups.length === 0) {
+                container.innerHTML = `<p class="stats-empty">${this.t('duplicate.none')}</p>`;
+                return;
+            }
+
+            container.innerHTML = groups.map((group, groupIndex) => `
+                <div class="duplicate-group" data-collection="${collection}" data-ids="${this.escapeHtml(group.map(record => record.id).join(','))}">
+                    ${group.map((record, index) => `
+                        <label class="conflict-option">
+                            <input type="radio" name="keep-${collection}-${groupIndex}" value="${this.escapeHtml(record.id)}" ${index === 0 ? 'checked' : ''}>
+                            <span>
+                                ${this.escapeHtml([record.producer, record.name, record.year].filter(Boolean).join(' '))}
+                                <small>${this.escapeHtml(this.duplicateDetails(collection, record))}</small>
+                            </span>
+                        </label>
+                    `).join('')}
+                    <button type="button" class="save-key-btn">${this.t('duplicate.merge')}</button>
+                </div>
+            `).join('');
+        };
+
+        render('wines', this.wines);
+        render('archive', this.archive);
+
+        document.querySelectorAll('#duplicatesModal .duplicate-group').forEach(groupEl => {
+            groupEl.querySelector('button').addEventListener('click', () => {
+                const keepId = groupEl.querySelector('input:checked').value;
+                const otherIds = groupEl.dataset.ids.split(',').filter(id => id !== keepId);
+                this.mergeDuplicates(groupEl.dataset.collection, keepId, otherIds);
+            });
+        });
+    }
+
+    duplicateDetails(collection, record) {
+        const date = (iso) => iso
+            ? this.i18n.formatDate(iso, { day: 'numeric', month: 'short', year: 'numeric' })
+            : null;
+
+        if (collection === 'wines') {
+            const bottles = this.wineQuantity(record);
+            return [this.t('common.bottles', { count: bottles }), record.store, date(record.addedAt) && this.t('duplicate.added', { date: date(record.addedAt) })]
+                .filter(Boolean).join(' · ');
+        }
+        return [record.rating ? `${record.rating}★` : null, record.archivedAt && this.t('duplicate.archived', { date: date(record.archivedAt) })]
+            .filter(Boolean).join(' · ');
+    }
+
+    // Fields that are empty in the kept record, taken from the first duplicate that has them
+    missingFields(keep, others, extraKeys = []) {
+        const isEmpty = (value) => value === null || value === undefined || value === '';
+        const changes = {};
+
+        WINE_FIELD_GROUPS
+            .filter(group => !['field.quantity', 'field.image'].includes(group.label))
+            .flatMap(group => group.keys)
+            .concat(extraKeys)
+            .forEach(key => {
+                if (!isEmpty(keep[key])) return;
+                const source = others.find(other => !isEmpty(other[key]));
+                if (source) changes[key] = source[key];
+            });
+
+        // A photo is taken over as a whole
+        if (!this.wineFullImage(keep)) {
+            const source = others.find(other => this.wineFullImage(other));
+            if (source) {
+                CellarIO.IMAGE_FIELDS.forEach(key => {
+                    changes[key] = source[key] ?? null;
+                });
+            }
+        }
+        return changes;
+    }
+
+    async mergeDuplicates(collection, keepId, otherIds) {
+        if (!this.canEdit()) return;
+        const records = collection === 'wines' ? this.wines : this.archive;
+        const others = otherIds.map(id => records.find(record => record.id === id)).filter(Boolean);
+        if (!records.some(record => record.id === keepId) || others.length === 0) return;
+
+        try {
+            if (collection === 'wines') {
+                await this.mergeWineDuplicates(keepId, others);
+            } else {
+                await this.mergeArchiveDuplicates(keepId, others);
+            }
+
+            this.renderWineList();
+            this.updateStats();
+            this.filterAndRenderArchive();
+            this.renderDuplicates();
+            this.showToast(this.t('duplicate.merged', { count: others.length + 1 }));
+        } catch (error) {
+            console.error('Error merging duplicates:', error);
+            this.showToast(this.t('duplicate.mergeFailed'));
+        }
+    }
+
+    async mergeWineDuplicates(keepId, others) {
+        const indexOf = () => this.wines.findIndex(w => w.id === keepId);
+        const keep = this.wines[indexOf()];
+
+        const changes = this.missingFields(keep, others);
+        changes.purchases = this.mergedPurchases(keep, others, false);
+        if (Object.keys(changes).length > 0) {
+            this.wines[indexOf()] = { ...keep, ...changes };
+            await this.reviseWine(keepId, changes, keep);
+        }
+
+        for (const other of others) {
+            // Bottles stay in their location; where both wines lie there, the bin of the kept wine wins
+            for (const [location, entry] of Object.entries(LocalStore.bottleLocations(other))) {
+                const change = { location, delta: entry.count };
+                const shared = LocalStore.bottleLocations(this.wines[indexOf()])[location];
+                if (!shared && (entry.row || entry.column)) change.bin = { row: entry.row, column: entry.column };
+                const updated = LocalStore.applyBottleChange(this.wines[indexOf()], change);
+                if (!updated) continue;
+                this.wines[indexOf()] = updated;
+                await this.changeWineBottles(keepId, change);
+            }
+
+            await this.moveConsumption(other.id, keepId);
+            this.wines = this.wines.filter(w => w.id !== other.id);
+            await this.removeWine(other.id);
+            this.deleteRecordImages(other);
+        }
+    }
+
+    async mergeArchiveDuplicates(keepId, others) {
+        const keep = this.archive.find(entry => entry.id === keepId);
+        const all = [keep, ...others];
+
+        const merged = {
+            ...keep,
+            ...this.missingFields(keep, others, ['rating', 'rebuy']),
+            purchases: this.mergedPurchases(keep, others, true),
+            ...this.revisionStamp(),
+            archivedAt: all.map(entry => entry.archivedAt).filter(Boolean).sort().pop() || keep.archivedAt
+        };
+        const notes = [...new Set(all.map(entry => (entry.archiveNotes || '').trim()).filter(Boolean))];
+        if (notes.length > 0) merged.archiveNotes = notes.join('\n\n').substring(0, 5000);
+        if (all.some(entry => entry.bottlesConsumed)) {
+            merged.bottlesConsumed = all.reduce((sum, entry) => sum + (entry.bottlesConsumed || 0), 0);
+        }
+
+        this.archive = this.archive.map(entry => (entry.id === keepId ? merged : entry));
+        await this.queueWrite('set', `archive/${keepId}`, merged);
+
+        for (const other of others) {
+            await this.moveConsumption(other.id, keepId);
+            await this.deleteFromArchive(other.id);
+        }
+    }
+
+    // Opened bottles logged for a merged wine now belong to the wine that was kept
+    async moveConsumption(fromId, toId) {
+        for (const event of this.consumption.filter(e => e.wineId === fromId)) {
+            event.wineId = toId;
+            await this.queueWrite('update', `consumption/${event.id}`, { wineId: toId });
+        }
+    }
+
+    // ============================
+    // Search Functionality
+    // ============================
+
+    updateSearchVisibility() {
+        const searchContainer = document.getElementById('searchContainer');
+        if (this.wines.length > 0) {
+            searchContainer?.classList.remove('hidden');
+        } else {
+            searchContainer?.classList.add('hidden');
+        }
+    }
+
+    handleSearch() {
+        const input = document.getElementById('searchInput');
+        const { text, filters } = this.parseSearchQuery(input?.value || '');
+        this.searchQuery = text;
+        this.queryFilters = filters;
+
+        document.getElementById('clearSearch')?.classList.toggle('hidden', !input?.value);
+        this.updateFilterUrl();
+        this.renderWineList();
+    }
+
+    // ============================
+    // Search, Filters & Sorting
+    // ============================
+
+    // Split the search box into free text and filters: "type:red year:<2015 price:>30 barolo"
+    parseSearchQuery(input) {
+        const filters = {};
+        const rest = [];
+        const tokens = input.match(/[^\s:"]+:"[^"]*"|"[^"]*"|\S+/g) || [];
+
+        tokens.forEach(token => {
+            const match = token.match(/^([^:]+):"?(.*?)"?$/);
+            const name = match && this.filterName(match[1]);
+            const value = name && this.parseFilterValue(name, match[2]);
+            if (value) {
+                filters[name] = value;
+            } else {
+                rest.push(token);
+            }
+        });
+
+        return { text: rest.join(' ').replace(/"/g, '').toLowerCase(), rest: rest.join(' '), filters };
+    }
+
+    filterName(key) {
+        const normalized = CellarIO.normalizeText(key);
+        return Object.keys(LIST_FILTERS).find(name => LIST_FILTERS[name].keys.includes(normalized)) || null;
+    }
+
+    // "red", "<2015", ">=4", "2010-2015" or "30.." to a filter value; ranges become { min, max } inclusive
+    parseFilterValue(name, value) {
+        const filter = LIST_FILTERS[name];
+        const str = String(value || '').trim();
+        if (!str) return null;
+
+        if (!filter.range) {
+            return name === 'type' ? CellarIO.normalizeType(str) : str;
+        }
+
+        const number = (part) => part === undefined || part === '' ? null : parseFloat(part.replace(',', '.'));
+        const comparison = str.match(/^(<=|>=|<|>|=)?(\d+(?:[.,]\d+)?)$/);
+        if (comparison) {
+            const [, operator = '=', amount] = comparison;
+            const num = number(amount);
+            if (operator === '<') return { min: null, max: num - filter.step };
+            if (operator === '<=') return { min: null, max: num };
+            if (operator === '>') return { min: num + filter.step, max: null };
+            if (operator === '>=') return { min: num, max: null };
+            return { min: num, max: num };
+        }
+
+        const between = str.match(/^(\d+(?:[.,]\d+)?)?(?:-|\.\.)(\d+(?:[.,]\d+)?)?$/);
+        if (between && (between[1] || between[2])) {
+            return { min: number(between[1]), max: number(between[2]) };
+        }
+        return null;
+    }
+
+    // Inverse of parseFilterValue, used for the URL
+    formatFilterValue(name, value) {
+        if (!LIST_FILTERS[name].range) return value;
+        if (value.min !== null && value.min === value.max) return String(value.min);
+        return `${value.min ?? ''}-${value.max ?? ''}`;
+    }
+
+    activeFilters() {
+        return { ...this.listFilters, ...this.queryFilters };
+    }
+
+    // Search hits as a map of record -> relevance, or null without a search text
+    searchHits(records, query) {
+        if (!query) return null;
+        return new Map(this.searchIndex.search(records, query).map(hit => [hit.record, hit.score]));
+    }
+
+    wineMatchesFilter(wine, name, value) {
+        const contains = (text) => CellarIO.normalizeText(text).includes(CellarIO.normalizeText(value));
+
+        if (name === 'type') return wine.type === value;
+        if (name === 'country') return contains(this.wineCountry(wine) || wine.region);
+        if (name === 'grape') return this.wineGrapes(wine).some(contains);
+        if (name === 'store') return contains(wine.store);
+
+        const num = name === 'year' ? parseInt(wine.year) : Number(wine[name]);
+        if (wine[name] === null || wine[name] === undefined || Number.isNaN(num)) return false;
+        return (value.min === null || num >= value.min) && (value.max === null || num <= value.max);
+    }
+
+    visibleWines() {
+        const filters = Object.entries(this.activeFilters());
+        const hits = this.searchHits(this.wines, this.searchQuery);
+        const wines = this.wines.filter(wine =>
+            (!hits || hits.has(wine)) && filters.every(([name, value]) => this.wineMatchesFilter(wine, name, value)));
+        const sorted = this.sortWines(this.filterByDrinkWindow(wines));
+
+        // Without a chosen order, search results come best match first
+        return hits && this.sortOrder === 'added' ? sorted.sort((a, b) => hits.get(b) - hits.get(a)) : sorted;
+    }
+
+    // Archive entries matching the main search, so one search covers both
+    archiveSearchResults() {
+        if (!this.searchQuery) return [];
+        return this.searchIndex.search(this.archive, this.searchQuery).map(hit => hit.record);
+    }
+
+    sortWines(wines) {
+        const text = (a, b) => (a || '').localeCompare(b || '', this.i18n.locale, { sensitivity: 'base' });
+        // Wines without a value go last in every order
+        const number = (value, descending) => {
+            const num = parseFloat(value);
+            if (Number.isNaN(num)) return Infinity;
+            return descending ? -num : num;
+        };
+        const urgency = (wine) => DRINK_WINDOW_STATUSES[this.drinkWindowStatus(wine)]?.urgency ?? 4;
+        const predictions = new Map();
+        if (this.sortOrder === 'liking') {
+            const profile = this.buildTasteProfile();
+            wines.forEach(wine => predictions.set(wine, profile.predict(wine).rating));
+        }
+        const liking = (wine) => predictions.get(wine);
+
+        const compare = {
+            name: (a, b) => text(a.name, b.name) || text(a.producer, b.producer),
+            year: (a, b) => number(a.year) - number(b.year) || text(a.name, b.name),
+            price: (a, b) => number(a.price, true) - number(b.price, true) || text(a.name, b.name),
+            quantity: (a, b) => this.wineQuantity(b) - this.wineQuantity(a) || text(a.name, b.name),
+            liking: (a, b) => liking(b) - liking(a) || text(a.name, b.name),
+            // Most urgent first, then the window that closes first; wines without a window last
+            urgency: (a, b) => urgency(a) - urgency(b) || (a.drinkUntil || Infinity) - (b.drinkUntil || Infinity)
+        }[this.sortOrder] || ((a, b) => new Date(b.addedAt) - new Date(a.addedAt));
+
+        return [...wines].sort((a, b) => {
+            const result = compare(a, b);
+            return Number.isNaN(result) ? 0 : result;
+        });
+    }
+
+    // Turn the filters typed in the search box into chips
+    commitQueryFilters() {
+        if (Object.keys(this.queryFilters).length === 0) return;
+
+        const input = document.getElementById('searchInput');
+        const { rest, filters } = this.parseSearchQuery(input.value);
+        this.listFilters = { ...this.listFilters, ...filters };
+        input.value = rest;
+        this.handleSearch();
+        this.renderFilterPanel();
+    }
+
+    removeFilter(name) {
+        delete this.listFilters[name];
+        this.renderFilterPanel();
+        this.applyFilters();
+    }
+
+    clearFilters() {
+        this.listFilters = {};
+        this.drinkFilter = 'all';
+        document.getElementById('drinkFilter').value = 'all';
+        this.renderFilterPanel();
+        this.applyFilters();
+    }
+
+    applyFilters() {
+        this.renderFilterChips();
+        this.updateFilterUrl();
+        this.renderWineList();
+    }
+
+    filterLabel(name, value) {
+        const filter = LIST_FILTERS[name];
+        const label = this.t(filter.label);
+        if (!filter.range) {
+            const option = Array.from(document.querySelector('#filterPanel select[data-filter="type"]').options)
+                .find(o => o.value === value);
+            return `${label}: ${name === 'type' && option ? option.textContent : value}`;
+        }
+
+        const format = (num) => name === 'price' ? this.formatEuro(num) : num;
+        if (value.min !== null && value.max !== null) {
+            return value.min === value.max
+                ? `${label}: ${format(value.min)}`
+                : `${label}: ${format(value.min)}–${format(value.max)}`;
+        }
+        return value.min !== null ? `${label} ≥ ${format(value.min)}` : `${label} ≤ ${format(value.max)}`;
+    }
+
+    renderFilterChips() {
+        const container = document.getElementById('filterChips');
+        const entries = Object.entries(this.listFilters);
+        container.classList.toggle('hidden', entries.length === 0);
+        document.getElementById('filterToggle')?.classList.toggle('active', entries.length > 0);
+
+        container.innerHTML = entries.map(([name, value]) => `
+            <button type="button" class="filter-chip" data-filter="${name}">
+                ${this.escapeHtml(this.filterLabel(name, value))}
+                <span class="filter-chip-remove">×</span>
+            </button>
+        `).join('');
+
+        container.querySelectorAll('.filter-chip').forEach(chip => {
+            chip.addEventListener('click', () => this.removeFilter(chip.dataset.filter));
+        });
+    }
+
+    toggleFilterPanel() {
+        const panel = document.getElementById('filterPanel');
+        const open = panel.classList.toggle('hidden') === false;
+        document.getElementById('filterToggle').setAttribute('aria-expanded', open);
+        if (open) this.renderFilterPanel();
+    }
+
+    // Fill the panel from listFilters, with the countries, grapes and stores of the cellar as options
+    renderFilterPanel() {
+        const panel = document.getElementById('filterPanel');
+        const unique = (values) => Array.from(new Set(values.filter(Boolean)))
+            .sort((a, b) => a.localeCompare(b, this.i18n.locale, { sensitivity: 'base' }));
+        const options = {
+            country: unique(this.wines.map(wine => this.wineCountry(wine))),
+            grape: unique(this.wines.flatMap(wine => this.wineGrapes(wine))),
+            store: unique(this.wines.map(wine => wine.store))
+        };
+
+        panel.querySelectorAll('select[data-options]').forEach(select => {
+            const name = select.dataset.options;
+            const values = unique([...options[name], this.listFilters[name]]);
+            select.innerHTML = `<option value="">${this.t('filter.all')}</option>` + values.map(value =>
+                `<option value="${this.escapeHtml(value)}">${this.escapeHtml(value)}</option>`).join('');
+        });
+
+        panel.querySelectorAll('[data-filter]').forEach(field => {
+            const value = this.listFilters[field.dataset.filter];
+            field.value = field.dataset.bound ? (value?.[field.dataset.bound] ?? '') : (value || '');
+        });
+    }
+
+    readFilterPanel(name) {
+        const fields = document.querySelectorAll(`#filterPanel [data-filter="${name}"]`);
+        if (!LIST_FILTERS[name].range) {
+            const value = fields[0].value;
+            if (value) this.listFilters[name] = value;
+            else delete this.listFilters[name];
+        } else {
+            const bounds = {};
+            fields.forEach(field => {
+                const num = parseFloat(field.value);
+                bounds[field.dataset.bound] = Number.isNaN(num) ? null : num;
+            });
+            if (bounds.min !== null || bounds.max !== null) this.listFilters[name] = bounds;
+            else delete this.listFilters[name];
+        }
+        this.applyFilters();
+    }
+
+    // ?q=barolo&type=red&year=2010-2015&sort=price keeps the current view when sharing or reloading
+    updateFilterUrl() {
+        const params = new URLSearchParams(window.location.search);
+        ['q', 'sort', 'drink', ...Object.keys(LIST_FILTERS)].forEach(key => params.delete(key));
+
+        const query = document.getElementById('searchInput')?.value.trim();
+        if (query) params.set('q', query);
+        Object.entries(this.listFilters).forEach(([name, value]) => params.set(name, this.formatFilterValue(name, value)));
+        if (this.sortOrder !== 'added') params.set('sort', this.sortOrder);
+        if (this.drinkFilter !== 'all') params.set('drink', this.drinkFilter);
+
+        const search = params.toString();
+        window.history.replaceState(null, '', `${window.location.pathname}${search ? `?${search}` : ''}${window.location.hash}`);
+    }
+
+    readFiltersFromUrl() {
+        const params = new URLSearchParams(window.location.search);
+
+        Object.keys(LIST_FILTERS).forEach(name => {
+            const value = params.has(name) && this.parseFilterValue(name, params.get(name));
+            if (value) this.listFilters[name] = value;
+        });
+
+        const hasOption = (id, value) => Array.from(document.getElementById(id)?.options || []).some(o => o.value === value);
+        if (hasOption('sortOrder', params.get('sort'))) {
+            this.sortOrder = document.getElementById('sortOrder').value = params.get('sort');
+        }
+        if (hasOption('drinkFilter', params.get('drink'))) {
+            this.drinkFilter = document.getElementById('drinkFilter').value = params.get('drink');
+        }
+
+        const searchInput = document.getElementById('searchInput');
+        if (params.has('q') && searchInput) searchInput.value = params.get('q');
+
+        this.renderFilterChips();
+        this.handleSearch();
+    }
+
+    // ============================
+    // Drinking Window
+    // ============================
+
+    // The window runs from 1 January of drinkFrom through 31 December of drinkUntil;
+    // its last year counts as "drink soon". Keep in sync with drinkWindowStatus in functions/index.js
+    drinkWindowStatus(wine, year = new Date().getFullYear()) {
+        if (!wine.drinkUntil) return null;
+        if (year > wine.drinkUntil) return 'past';
+        if (wine.drinkFrom && year < wine.drinkFrom) return 'hold';
+        if (year === wine.drinkUntil) return 'soon';
+        return 'ready';
+    }
+
+    formatDrinkWindow(wine) {
+        if (!wine.drinkUntil) return '';
+        return wine.drinkFrom && wine.drinkFrom !== wine.drinkUntil
+            ? `${wine.drinkFrom}–${wine.drinkUntil}`
+            : this.t('drink.until', { year: wine.drinkUntil });
+    }
+
+    drinkWindowBadge(wine) {
+        const status = this.drinkWindowStatus(wine);
+        if (!status) return '';
+        return `<span class="drink-badge ${status}" title="${this.t('drink.badgeTitle', { window: this.formatDrinkWindow(wine) })}">${this.t(DRINK_WINDOW_STATUSES[status].label)}</span>`;
+    }
+
+    filterByDrinkWindow(wines) {
+        if (this.drinkFilter === 'all') return wines;
+        if (this.drinkFilter === 'now') {
+            return wines.filter(wine => ['ready', 'soon'].includes(this.drinkWindowStatus(wine)));
+        }
+        if (this.drinkFilter === 'unknown') return wines.filter(wine => !this.drinkWindowStatus(wine));
+        return wines.filter(wine => this.drinkWindowStatus(wine) === this.drinkFilter);
+    }
+
+    // Bottles that entered or left their window, written by the drinkWindowAlerts function
+    setupNotificationListener() {
+        const ref = this.db.ref(`users/${this.userId}/notifications`);
+        ref.off();
+        ref.orderByChild('read').equalTo(false).on('value', (snapshot) => {
+            const notifications = snapshot.val();
+            if (!notifications) return;
+
+            const entries = Object.values(notifications).filter(n => n.type === 'drinkWindow');
+            if (entries.length === 1) {
+                const [entry] = entries;
+                const name = [entry.wineName, entry.year].filter(Boolean).join(' ');
+                const status = DRINK_WINDOW_STATUSES[entry.status];
+                this.showToast(`🍷 ${name}: ${status ? this.t(status.label) : entry.status}`);
+            } else if (entries.length > 1) {
+                this.showToast(`🍷 ${this.t('drink.notifications', { count: entries.length })}`);
+            }
+
+            const updates = {};
+            Object.keys(notifications).forEach(key => { updates[`${key}/read`] = true; });
+            ref.update(updates).catch(error => console.error('Error marking notifications read:', error));
+        }, (error) => console.error('Error reading notifications:', error));
+    }
+
+    // ============================
+    // Wine List Rendering
+    // ============================
+
+    renderWineList() {
+        const list = document.getElementById('wineList');
+        const emptyState = document.getElementById('emptyState');
+
+        // Determine which wines to show
+        const winesToShow = this.visibleWines();
+        const archiveHits = this.archiveSearchResults();
+        const filtering = Boolean(this.searchQuery) || Object.keys(this.activeFilters()).length > 0;
+        document.getElementById('searchResults')?.classList.toggle('hidden', !filtering);
+        document.getElementById('searchResultCount').textContent =
+            this.t('search.results', { count: winesToShow.length }) +
+            (archiveHits.length > 0 ? ` · ${this.t('search.inArchive', { count: archiveHits.length })}` : '');
+
+        if (this.wines.length === 0) {
+            list.innerHTML = '';
+            emptyState.classList.remove('hidden');
+            this.updateSearchVisibility();
+            return;
+        }
+
+        emptyState.classList.add('hidden');
+        this.updateSearchVisibility();
+
+        // Show no results message if search or filter returned nothing
+        if (winesToShow.length === 0 && archiveHits.length === 0) {
+            list.innerHTML = `
+                <div class="no-results">
+                    <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="1.5">
+                        <circle cx="11" cy="11" r="8"/>
+                        <path d="M21 21l-4.35-4.35"/>
+                    </svg>
+                    <p>${this.searchQuery
+                        ? this.t('search.noResults', { query: this.escapeHtml(this.searchQuery) })
+                        : this.t(filtering ? 'search.noFilterResults' : 'search.noDrinkResults')}</p>
+                </div>
+            `;
+            return;
+        }
+
+        list.innerHTML = winesToShow.map(wine => `
+            <div class="wine-card" data-id="${this.escapeHtml(wine.id)}">
+                <div class="wine-card-image">
+                    ${this.wineThumbnail(wine)
+                        ? `<img src="${this.escapeHtml(this.wineThumbnail(wine))}" alt="${this.escapeHtml(wine.name)}" loading="lazy">`
+                        : `<div class="placeholder-image ${wine.type}">🍷</div>`
+                    }
+                </div>
+                <div class="wine-card-info">
+                    <h3 class="wine-card-name">${this.highlightMatch(wine.name)}</h3>
+                    ${wine.producer ? `<p class="wine-card-producer">${this.highlightMatch(wine.producer)}</p>` : ''}
+                    <p class="wine-card-meta">${this.highlightMatch([wine.grape, wine.year].filter(Boolean).join(' · ') || wine.region || this.t('list.noDetails'))}</p>
+                    <div class="wine-card-footer">
+                        <span class="wine-type-tag ${wine.type}">${this.t(`type.${wine.type}`)}</span>
+                        ${this.drinkWindowBadge(wine)}
+                        <span class="wine-quantity">${this.t('common.bottles', { count: this.wineQuantity(wine) })}</span>
+                    </div>
+                </div>
+            </div>
+        `).join('') + (archiveHits.length > 0 ? `
+            <div class="search-archive-hits">
+                <h3 class="search-archive-title">${this.t('search.archiveTitle')}</h3>
+                ${archiveHits.map(entry => this.archiveCardHtml(entry, this.searchQuery)).join('')}
+            </div>
+        ` : '');
+
+        list.querySelectorAll('.wine-card').forEach(card => {
+            card.addEventListener('click', () => this.openDetailModal(card.dataset.id));
+        });
+        list.querySelectorAll('.archive-card').forEach(card => {
+            card.addEventListener('click', () => this.openArchiveDetail(card.dataset.id));
+        });
+    }
+
+    // Mark the parts of text that matched the search, also when they differ in accents or by a typo
+    highlightMatch(text, query = this.searchQuery) {
+        if (!query || !text) return this.escapeHtml(text || '');
+
+        let html = '';
+        let position = 0;
+        SearchIndex.matchRanges(text, query).forEach(({ start, end }) => {
+            html += this.escapeHtml(text.substring(position, start));
+            html += `<mark>${this.escapeHtml(text.substring(start, end))}</mark>`;
+            position = end;
+        });
+        return html + this.escapeHtml(text.substring(position));
+    }
+
+    updateStats() {
+        const totalBottles = this.wines.reduce((sum, wine) => sum + this.wineQuantity(wine), 0);
+        document.getElementById('totalBottles').textContent = totalBottles;
+    }
+
+    // ============================
+    // Statistics
+    // ============================
+
+    openStats() {
+        this.renderStats();
+        this.openModal('statsModal');
+    }
+
+    // Sum weight(item) per key(item); a key function may return several keys (e.g. blended grapes)
+    groupTotals(items, key, weight = () => 1) {
+        const totals = new Map();
+        items.forEach(item => {
+            const keys = [].concat(key(item)).filter(Boolean);
+            keys.forEach(k => totals.set(k, (totals.get(k) || 0) + weight(item)));
+        });
+        return Array.from(totals, ([label, value]) => ({ label, value }))
+            .sort((a, b) => b.value - a.value);
+    }
+
+    // Averages per key for items that have a value
+    groupAverages(items, key, value) {
+        const groups = new Map();
+        items.forEach(item => {
+            const v = value(item);
+            if (!v) return;
+            [].concat(key(item)).filter(Boolean).forEach(k => {
+                const group = groups.get(k) || { sum: 0, count: 0 };
+                group.sum += v;
+                group.count++;
+                groups.set(k, group);
+            });
+        });
+        return Array.from(groups, ([label, { sum, count }]) => ({ label, value: sum / count, count }))
+            .sort((a, b) => b.value - a.value || b.count - a.count);
+    }
+
+    wineCountry(wine) {
+        const parts = (wine.region || '').split(',').map(part => part.trim()).filter(Boolean);
+        return parts.length > 1 ? parts[parts.length - 1] : null;
+    }
+
+    wineRegionName(wine) {
+        const parts = (wine.region || '').split(',').map(part => part.trim()).filter(Boolean);
+        return parts.length > 1 ? parts[parts.length - 2] : parts[0] || null;
+    }
+
+    wineGrapes(wine) {
+        return (wine.grape || '').split(/,|\/|&| en | and /).map(grape => grape.trim()).filter(Boolean);
+    }
+
+    // Last n months as { key: 'YYYY-MM', label } from oldest to newest
+    recentMonths(n) {
+        const now = new Date();
+        return Array.from({ length: n }, (_, index) => {
+            const date = new Date(now.getFullYear(), now.getMonth() - (n - 1 - index), 1);
+            return {
+                key: `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}`,
+                label: this.i18n.formatDate(date, { month: 'short' }).replace('.', '')
+            };
+        });
+    }
+
+    formatEuro(amount) {
+        return this.i18n.formatPrice(Math.round(amount), 0);
+    }
+
+    // Bottles bought of a cellar or archive entry: what is left plus what was opened
+    bottlesBought(wine, archived) {
+        const opened = this.consumptionFor(wine.id).length;
+        if (archived) return Math.max(wine.bottlesConsumed || 0, opened, wine.quantity || 1);
+        return this.wineQuantity(wine) + opened;
+    }
+
+    renderStats() {
+        const bottles = this.wines.reduce((sum, wine) => sum + this.wineQuantity(wine), 0);
+        // Every bottle is worth what was paid for its own lot
+        const { value, bottles: pricedBottles } = this.wines.reduce((total, wine) => {
+            const lots = PurchaseLots.value(this.purchaseLots(wine), this.wineQuantity(wine));
+            return { value: total.value + lots.value, bottles: total.bottles + lots.bottles };
+        }, { value: 0, bottles: 0 });
+
+        document.getElementById('statsSummary').innerHTML = [
+            { value: this.i18n.formatNumber(bottles), label: this.t('stats.bottles') },
+            { value: this.formatEuro(value), label: this.t('stats.value') },
+            { value: pricedBottles ? this.formatEuro(value / pricedBottles) : '—', label: this.t('stats.averagePrice') }
+        ].map(tile => `
+            <div class="stats-tile">
+                <span class="stats-tile-value">${tile.value}</span>
+                <span class="stats-tile-label">${tile.label}</span>
+            </div>
+        `).join('');
+
+        const byBottles = (wine) => this.wineQuantity(wine);
+        const archiveRating = (wine) => wine.rating || this.consumptionSummary(wine.id).rating;
+        const oneDecimal = (n) => this.i18n.formatNumber(n, { minimumFractionDigits: 1, maximumFractionDigits: 1 });
+
+        document.getElementById('statsCharts').innerHTML = [
+            this.renderBarChart(this.t('stats.byType'), this.groupTotals(this.wines, wine => this.t(`type.${wine.type}`), byBottles)),
+            this.renderBarChart(this.t('stats.byCountry'), this.groupTotals(this.wines, wine => this.wineCountry(wine), byBottles)),
+            this.renderBarChart(this.t('stats.byRegion'), this.groupTotals(this.wines, wine => this.wineRegionName(wine), byBottles)),
+            this.renderBarChart(this.t('stats.byGrape'), this.groupTotals(this.wines, wine => this.wineGrapes(wine), byBottles)),
+            this.renderBarChart(this.t('stats.byVintage'), this.groupTotals(this.wines, wine => wine.year ? String(wine.year) : null, byBottles)
+                .sort((a, b) => b.label.localeCompare(a.label))),
+            this.renderSpendChart(),
+            this.renderConsumedChart(),
+            this.renderBarChart(this.t('stats.ratingByRegion'),
+                this.groupAverages(this.archive, wine => this.wineRegionName(wine), archiveRating), oneDecimal, 5),
+            this.renderBarChart(this.t('stats.ratingByGrape'),
+                this.groupAverages(this.archive, wine => this.wineGrapes(wine), archiveRating), oneDecimal, 5)
+        ].join('');
+    }
+
+    renderBarChart(title, rows, format = (n) => n, max = null, limit = 8) {
+        if (rows.length === 0) {
+            return `<div class="stats-chart"><h3>${title}</h3><p class="stats-empty">${this.t('stats.noData')}</p></div>`;
         }
 
-        const response = await fetch(CONFIG.FUNCTIONS.analyzeWineLabel, {
+        const shown = rows.slice(0, limit);
+        const scale = max || Math.max(...shown.map(row => row.value));
+        return `
+            <div class="stats-chart">
+                <h3>${title}</h3>
+                ${shown.map(row => `
+                    <div class="bar-row">
+                        <span class="bar-label">${this.escapeHtml(row.label)}</span>
+                        <div class="bar-track"><div class="bar-fill" style="width: ${Math.round(row.value / scale * 100)}%"></div></div>
+                        <span class="bar-value">${format(row.value)}</span>
+                    </div>
+                `).join('')}
+            </div>
+        `;
+    }
+
+    // columns: [{ label, segments: [value per series] }], series: [names] (one series needs no legend)
+    renderColumnChart(title, columns, series = [], format = (n) => n) {
+        const totals = columns.map(column => column.segments.reduce((sum, v) => sum + v, 0));
+        const max = Math.max(...totals);
+        if (max === 0) {
+            return `<div class="stats-chart"><h3>${title}</h3><p class="stats-empty">${this.t('stats.noData')}</p></div>`;
+        }
+
+        return `
+            <div class="stats-chart">
+                <h3>${title}</h3>
+                <div class="column-chart">
+                    ${columns.map((column, index) => `
+                        <div class="column" title="${column.label}: ${format(totals[index])}">
+                            ${column.segments.map((v, i) => v > 0
+                                ? `<div class="column-segment segment-${i}" style="height: ${v / max * 100}%"></div>`
+                                : '').join('')}
+                            <span class="column-label">${column.label}</span>
+                        </div>
+                    `).join('')}
+                </div>
+                ${series.length > 1 ? `
+                    <div class="chart-legend">
+                        ${series.map((name, i) => `<span><span class="legend-swatch segment-${i}"></span>${this.escapeHtml(name)}</span>`).join('')}
+                    </div>
+                ` : ''}
+            </div>
+        `;
+    }
+
+    // Spend per month over the last year, split by the four biggest stores
+    renderSpendChart() {
+        const months = this.recentMonths(12);
+        const purchases = [
+            ...this.wines.map(wine => ({ wine, archived: false })),
+            ...this.archive.map(wine => ({ wine, archived: true }))
+        ].flatMap(({ wine, archived }) => this.purchaseLots(wine, archived))
+            .filter(lot => lot.price && lot.date)
+            .map(lot => ({
+                month: lot.date.slice(0, 7),
+                store: lot.store || this.t('common.unknown'),
+                amount: lot.price * lot.quantity
+            }))
+            .filter(purchase => months.some(month => month.key === purchase.month));
+
+        const stores = this.groupTotals(purchases, p => p.store, p => p.amount).map(row => row.label);
+        const series = stores.length > 5 ? [...stores.slice(0, 4), this.t('stats.otherStores')] : stores;
+        const seriesIndex = (store) => {
+            const index = series.indexOf(store);
+            return index === -1 ? series.length - 1 : index;
+        };
+
+        const columns = months.map(month => {
+            const segments = series.map(() => 0);
+            purchases.filter(p => p.month === month.key).forEach(p => { segments[seriesIndex(p.store)] += p.amount; });
+            return { label: month.label, segments };
+        });
+
+        return this.renderColumnChart(this.t('stats.spendByStore'), columns, series, (n) => this.formatEuro(n)) +
+            this.renderBarChart(this.t('stats.totalByStore'), this.groupTotals(purchases, p => p.store, p => p.amount), (n) => this.formatEuro(n));
+    }
+
+    // Opened bottles per month; archived wines without a log count once when archived
+    renderConsumedChart() {
+        const months = this.recentMonths(12);
+        const loggedWines = new Set(this.consumption.map(event => event.wineId));
+        const opened = [
+            ...this.consumption.map(event => (event.consumedAt || '').slice(0, 7)),
+            ...this.archive.filter(wine => !loggedWines.has(wine.id) && wine.archivedAt)
+                .map(wine => wine.archivedAt.slice(0, 7))
+        ];
+
+        const columns = months.map(month => ({
+            label: month.label,
+            segments: [opened.filter(key => key === month.key).length]
+        }));
+        return this.renderColumnChart(this.t('stats.openedByMonth'), columns);
+    }
+
+    // ============================
+    // Taste Profile
+    // ============================
+
+    // Every rated bottle: archive entries, plus opened bottles of wines still in the cellar
+    ratedWines() {
+        const archived = this.archive.map(entry => ({
+            ...entry,
+            rating: entry.rating || this.consumptionSummary(entry.id).rating
+        }));
+        const opened = this.wines.map(wine => ({ ...wine, rating: this.consumptionSummary(wine.id).rating }));
+        return [...archived, ...opened].filter(wine => wine.rating);
+    }
+
+    buildTasteProfile() {
+        return new TasteProfile(this.ratedWines());
+    }
+
+    // Archived wines marked to buy again that are no longer in the cellar, any vintage.
+    // 'yes' comes before 'maybe', then the best rated
+    rebuySuggestions(includeMaybe = true) {
+        const key = (wine) => [wine.producer, wine.name].map(CellarIO.normalizeText).join('|');
+        const inCellar = new Set(this.wines.map(key));
+        const latest = new Map();
+
+        this.archive
+            .filter(entry => entry.rebuy === 'yes' || (includeMaybe && entry.rebuy === 'maybe'))
+            .filter(entry => !inCellar.has(key(entry)) && !this.cellarMatch(entry))
+            .forEach(entry => {
+                const existing = latest.get(key(entry));
+                if (!existing || (entry.archivedAt || '') > (existing.archivedAt || '')) latest.set(key(entry), entry);
+            });
+
+        const rating = (entry) => entry.rating || this.consumptionSummary(entry.id).rating || 0;
+        return Array.from(latest.values()).sort((a, b) =>
+            (a.rebuy === 'yes' ? 0 : 1) - (b.rebuy === 'yes' ? 0 : 1) || rating(b) - rating(a));
+    }
+
+    openTasteProfile() {
+        this.renderTasteProfile();
+        this.closeModal('statsModal');
+        this.openModal('tasteModal');
+    }
+
+    formatPrediction(rating) {
+        return `${this.i18n.formatNumber(rating, { minimumFractionDigits: 1, maximumFractionDigits: 1 })}★`;
+    }
+
+    // Taste profile features hold raw values; wine types and the 1-5 scales get their name here
+    tasteFeatureLabel(feature) {
+        if (feature.kind === 'type') return this.t(`type.${feature.label}`);
+        if (TasteProfile.SCALES.includes(feature.kind)) return `${this.t(`field.${feature.kind}`)} ${feature.label}`;
+        return feature.label;
+    }
+
+    // "Nebbiolo: gemiddeld 4,5★ over 3 flessen" for the feature that weighed most
+    predictionReason(prediction) {
+        const reason = prediction.reasons[0];
+        if (!reason) return this.t('taste.nothingSimilar');
+        return this.t('taste.reason', {
+            label: this.tasteFeatureLabel(reason),
+            average: this.formatPrediction(reason.average),
+            bottles: this.t('common.bottles', { count: reason.count })
+        });
+    }
+
+    renderTasteProfile() {
+        const profile = this.buildTasteProfile();
+        const summary = document.getElementById('tasteSummary');
+        const cellar = document.getElementById('tasteCellar');
+
+        if (!profile.isReady) {
+            summary.innerHTML = `
+                <p class="taste-description">${this.t('taste.notReady', { count: TasteProfile.MIN_RATINGS })}</p>
+            `;
+            cellar.innerHTML = `<p class="stats-empty">${this.t('taste.tooFewRatings')}</p>`;
+        } else {
+            const liked = profile.likedCharacteristics();
+            const scales = TasteProfile.SCALES
+                .filter(scale => liked[scale])
+                .map(scale => `${this.t(`field.${scale}`).toLowerCase()} ${this.i18n.formatNumber(liked[scale], { minimumFractionDigits: 1, maximumFractionDigits: 1 })}`);
+            const averages = (rows) => rows.map(row => ({ label: row.label, value: row.average }));
+            const format = (n) => this.formatPrediction(n);
+
+            summary.innerHTML = `
+                <p class="taste-description">
+                    ${this.t('taste.summary', { bottles: this.t('common.bottles', { count: profile.wines.length }), average: this.formatPrediction(profile.mean) })}
+                    ${scales.length > 0 ? this.t('taste.likedScales', { scales: scales.join(', ') }) : ''}
+                </p>
+                ${this.renderBarChart(this.t('taste.favouriteGrapes'), averages(profile.favourites('grape')), format, 5, 5)}
+                ${this.renderBarChart(this.t('taste.favouriteRegions'), averages(profile.favourites('region')), format, 5, 5)}
+            `;
+
+            const ranked = profile.rank(this.wines).slice(0, 5);
+            cellar.innerHTML = ranked.length === 0
+                ? `<p class="stats-empty">${this.t('taste.cellarEmpty')}</p>`
+                : ranked.map(({ wine, prediction }) => this.tasteCardHtml(wine, prediction, 'wine')).join('');
+        }
+
+        const rebuys = this.rebuySuggestions();
+        document.getElementById('tasteRebuy').innerHTML = rebuys.length === 0
+            ? `<p class="stats-empty">${this.t('taste.noRebuys')}</p>`
+            : rebuys.slice(0, 10).map(entry => this.tasteCardHtml(entry, null, 'archive')).join('');
+
+        document.querySelectorAll('#tasteModal .suggestion-card').forEach(card => {
+            card.addEventListener('click', () => {
+                this.closeModal('tasteModal');
+                if (card.dataset.kind === 'archive') {
+                    this.openArchiveDetail(card.dataset.id);
+                } else {
+                    this.openDetailModal(card.dataset.id);
+                }
+            });
+        });
+    }
+
+    tasteCardHtml(wine, prediction, kind) {
+        const rating = prediction ? prediction.rating : (wine.rating || this.consumptionSummary(wine.id).rating);
+        const rebuyLabels = { yes: this.t('rebuy.yesShort'), maybe: this.t('rebuy.maybeShort') };
+        const detail = prediction
+            ? this.predictionReason(prediction)
+            : [rebuyLabels[wine.rebuy], wine.store, wine.price ? this.formatEuro(wine.price) : null].filter(Boolean).join(' · ');
+
+        return `
+            <div class="suggestion-card" data-id="${this.escapeHtml(wine.id)}" data-kind="${kind}">
+                <div class="suggestion-card-info">
+                    <div class="suggestion-card-name">${this.escapeHtml(wine.name)}</div>
+                    <div class="suggestion-card-meta">${this.escapeHtml([wine.producer, wine.year].filter(Boolean).join(' · '))}</div>
+                    <p class="suggestion-card-reason">${this.escapeHtml(detail)}</p>
+                </div>
+                ${rating ? `<span class="taste-prediction">${prediction ? '≈ ' : ''}${this.formatPrediction(rating)}</span>` : ''}
+            </div>
+        `;
+    }
+
+    // ============================
+    // Shopping List
+    // ============================
+
+    openShoppingList() {
+        document.getElementById('shoppingIncludeMaybe').checked =
+            localStorage.getItem('thecork-shopping-maybe') === 'true';
+        this.renderShoppingList();
+        this.openModal('shoppingModal');
+    }
+
+    setShoppingIncludeMaybe(includeMaybe) {
+        localStorage.setItem('thecork-shopping-maybe', includeMaybe ? 'true' : 'false');
+        this.renderShoppingList();
+    }
+
+    // Rebuy suggestions per store as [{ store, items }], wines without a store last
+    shoppingGroups() {
+        const includeMaybe = document.getElementById('shoppingIncludeMaybe')?.checked || false;
+        const groups = new Map();
+
+        this.rebuySuggestions(includeMaybe).forEach(entry => {
+            const store = (entry.store || '').trim();
+            const key = store.toLowerCase();
+            if (!groups.has(key)) groups.set(key, { store, items: [] });
+            groups.get(key).items.push(entry);
+        });
+
+        return Array.from(groups.values()).sort((a, b) => {
+            if (!a.store) return 1;
+            if (!b.store) return -1;
+            return a.store.localeCompare(b.store, this.i18n.locale);
+        });
+    }
+
+    renderShoppingList() {
+        const container = document.getElementById('shoppingList');
+        const groups = this.shoppingGroups();
+
+        if (groups.length === 0) {
+            container.innerHTML = `<p class="stats-empty">${this.t('shopping.empty')}</p>`;
+            return;
+        }
+
+        const rebuyLabels = { yes: this.t('rebuy.yes'), maybe: this.t('rebuy.maybe') };
+        container.innerHTML = groups.map(group => {
+            const total = group.items.reduce((sum, entry) => sum + (entry.price || 0), 0);
+            return `
+                <div class="shopping-store">
+                    <h3>
+                        <span>${this.escapeHtml(group.store || this.t('shopping.unknownStore'))}</span>
+                        ${total > 0 ? `<span>${this.formatEuro(total)}</span>` : ''}
+                    </h3>
+                    ${group.items.map(entry => `
+                        <div class="shopping-item" data-id="${this.escapeHtml(entry.id)}">
+                            <div class="shopping-item-info">
+                                <div class="shopping-item-name">${this.escapeHtml(entry.name)}</div>
+                                <div class="shopping-item-meta">${this.escapeHtml([
+                                    entry.producer,
+                                    entry.year,
+                                    rebuyLabels[entry.rebuy],
+                                    entry.price ? this.t('shopping.lastPrice', { price: this.formatEuro(entry.price) }) : null
+                                ].filter(Boolean).join(' · '))}</div>
+                            </div>
+                            <input type="number" class="shopping-item-qty editor-only" value="1" min="1" max="99" aria-label="${this.t('batch.bottleCount')}">
+                            <button type="button" class="shopping-bought-btn editor-only">${this.t('shopping.bought')}</button>
+                        </div>
+                    `).join('')}
+                </div>
+            `;
+        }).join('');
+
+        container.querySelectorAll('.shopping-item').forEach(item => {
+            item.querySelector('.shopping-item-info').addEventListener('click', () => {
+                this.closeModal('shoppingModal');
+                this.openArchiveDetail(item.dataset.id);
+            });
+            item.querySelector('.shopping-bought-btn').addEventListener('click', () => {
+                const quantity = parseInt(item.querySelector('.shopping-item-qty').value, 10) || 1;
+                this.markBought(item.dataset.id, quantity);
+            });
+        });
+    }
+
+    // Puts the wine back in the cellar; the archive entry stays for its tasting notes
+    async markBought(archiveId, quantity = 1) {
+        if (!this.canEdit()) return;
+        const archivedWine = this.archive.find(entry => entry.id === archiveId);
+        if (!archivedWine) return;
+
+        const lot = PurchaseLots.create({
+            store: archivedWine.store,
+            price: archivedWine.price,
+            quantity: Math.max(1, Math.min(99, quantity))
+        });
+        const wine = await this.restockFromArchive(archivedWine, lot, true);
+        if (!wine) return;
+
+        this.renderWineList();
+        this.updateStats();
+        this.renderShoppingList();
+        this.showToast(this.t('shopping.restocked', { name: wine.name }));
+    }
+
+    async copyShoppingList() {
+        const groups = this.shoppingGroups();
+        if (groups.length === 0) {
+            this.showToast(this.t('shopping.listEmpty'));
+            return;
+        }
+
+        const text = groups.map(group => [
+            group.store || this.t('shopping.unknownStore'),
+            ...group.items.map(entry => {
+                const wine = [entry.producer, entry.name, entry.year].filter(Boolean).join(' ');
+                return `- ${wine}${entry.price ? ` (${this.formatEuro(entry.price)})` : ''}`;
+            })
+        ].join('\n')).join('\n\n');
+
+        try {
+            await navigator.clipboard.writeText(text);
+            this.showToast(this.t('shopping.copied'));
+        } catch (error) {
+            console.error('Error copying shopping list:', error);
+            this.showToast(this.t('shopping.copyFailed'));
+        }
+    }
+
+    // ============================
+    // Food Pairing
+    // ============================
+
+    openPairing() {
+        if (this.wines.length === 0) {
+            this.showToast(this.t('pairing.cellarEmpty'));
+            return;
+        }
+        this.openModal('pairingModal');
+        document.getElementById('pairingDish').focus();
+    }
+
+    async findPairing() {
+        const dish = document.getElementById('pairingDish').value.trim();
+        if (!dish) {
+            this.showToast(this.t('pairing.dishMissing'));
+            return;
+        }
+        if (!this.cloudFunctionsAvailable || !CONFIG.FUNCTIONS?.pairFood) {
+            this.showToast(this.t('pairing.unavailable'));
+            return;
+        }
+
+        const button = document.getElementById('findPairingBtn');
+        button.disabled = true;
+        button.textContent = this.t('pairing.thinking');
+
+        try {
+            const result = await this.callPairingFunction(dish);
+            this.renderPairings(result);
+        } catch (error) {
+            console.error('Pairing error:', error);
+            if (error.message.includes('401') || error.message.includes('Unauthorized')) {
+                this.showToast(this.t('scan.unauthorized'));
+            } else {
+                this.showToast(this.t('pairing.failed'));
+            }
+        } finally {
+            button.disabled = false;
+            button.textContent = this.t('pairing.find');
+        }
+    }
+
+    async callPairingFunction(dish) {
+        const idToken = await this.getIdToken();
+        if (!idToken) {
+            throw new Error('Not authenticated');
+        }
+
+        // Only what a sommelier needs; no notes, prices or photos
+        const wines = this.wines.map(wine => ({
+            id: wine.id,
+            name: wine.name,
+            producer: wine.producer,
+            type: wine.type,
+            year: wine.year,
+            grape: wine.grape,
+            region: wine.region,
+            boldness: wine.boldness,
+            tannins: wine.tannins,
+            acidity: wine.acidity
+        }));
+
+        const response = await fetch(CONFIG.FUNCTIONS.pairFood, {
             method: 'POST',
             headers: {
                 'Content-Type': 'application/json',
                 'Authorization': `Bearer ${idToken}`
             },
-            body: JSON.stringify({
-                imageBase64: imageData
-            })
+            body: JSON.stringify({ dish, wines, language: this.i18n.language })
         });
 
         if (!response.ok) {
@@ -874,206 +4330,563 @@ class WineCellar {
         }
 
         const result = await response.json();
-
         if (!result.success) {
-            throw new Error(result.error || 'Failed to analyze image');
+            throw new Error(result.error || 'Failed to pair wines');
+        }
+        return result;
+    }
+
+    renderPairings({ pairings, advice }) {
+        const list = document.getElementById('pairingList');
+        document.getElementById('pairingResults').classList.remove('hidden');
+        document.getElementById('pairingAdvice').textContent = advice || '';
+
+        // The cellar may have changed while waiting for the answer
+        const matches = pairings
+            .map(pairing => ({ ...pairing, wine: this.wines.find(w => w.id === pairing.id) }))
+            .filter(pairing => pairing.wine);
+
+        if (matches.length === 0) {
+            list.innerHTML = `
+                <div class="no-results">
+                    <p>${this.t('pairing.noMatch')}</p>
+                </div>
+            `;
+            return;
         }
 
-        return result.data;
+        list.innerHTML = matches.map(({ wine, reason }, index) => `
+            <div class="suggestion-card" data-id="${this.escapeHtml(wine.id)}">
+                <span class="suggestion-card-rank">${index + 1}</span>
+                <div class="suggestion-card-info">
+                    <div class="suggestion-card-name">${this.escapeHtml(wine.name)}</div>
+                    <div class="suggestion-card-meta">
+                        ${this.escapeHtml([wine.producer, wine.year, wine.grape].filter(Boolean).join(' · '))}
+                        · ${this.t('common.bottles', { count: this.wineQuantity(wine) })}
+                    </div>
+                    ${reason ? `<p class="suggestion-card-reason">${this.escapeHtml(reason)}</p>` : ''}
+                </div>
+            </div>
+        `).join('');
+
+        list.querySelectorAll('.suggestion-card').forEach(card => {
+            card.addEventListener('click', () => {
+                this.closeModal('pairingModal');
+                this.openDetailModal(card.dataset.id);
+            });
+        });
     }
 
-    generateDemoWineData() {
-        const wines = [
-            { name: 'Grand Vin', producer: 'Château Margaux', type: 'red', year: 2015, region: 'Margaux, Bordeaux, France', grape: 'Cabernet Sauvignon, Merlot', boldness: 4, tannins: 4, acidity: 3, price: 450, description: 'Elegant with blackcurrant, violet, and cedar notes.' },
-            { name: 'Sauvignon Blanc', producer: 'Cloudy Bay', type: 'white', year: 2022, region: 'Marlborough, New Zealand', grape: 'Sauvignon Blanc', boldness: 2, tannins: 1, acidity: 4, price: 28, description: 'Crisp with citrus and passion fruit.' },
-            { name: 'Whispering Angel', producer: 'Château d\'Esclans', type: 'rosé', year: 2023, region: 'Provence, France', grape: 'Grenache, Cinsault', boldness: 2, tannins: 1, acidity: 3, price: 22, description: 'Delicate strawberry and peach flavors.' },
-            { name: 'Tignanello', producer: 'Antinori', type: 'red', year: 2019, region: 'Tuscany, Italy', grape: 'Sangiovese, Cabernet Sauvignon', boldness: 5, tannins: 4, acidity: 4, price: 120, description: 'Rich with cherry, plum, and spicy oak.' },
-            { name: 'Brut Vintage', producer: 'Dom Pérignon', type: 'sparkling', year: 2012, region: 'Champagne, France', grape: 'Chardonnay, Pinot Noir', boldness: 3, tannins: 1, acidity: 4, price: 200, description: 'Fine bubbles with brioche and citrus.' }
-        ];
-        return wines[Math.floor(Math.random() * wines.length)];
+    // ============================
+    // Import & Export
+    // ============================
+
+    exportFileName(extension) {
+        const fallback = this.t('export.fileName');
+        const cellarName = this.cellarId === 'personal' ? fallback : (this.cellarInfo?.name || fallback);
+        const slug = CellarIO.normalizeText(cellarName).replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+        return `the-cork-${slug || fallback}-${this.todayString()}.${extension}`;
     }
 
-    populateForm(data) {
-        document.getElementById('wineName').value = data.name || '';
-        document.getElementById('wineProducer').value = data.producer || '';
-        document.getElementById('wineType').value = data.type || 'red';
-        document.getElementById('wineYear').value = data.year || '';
-        document.getElementById('wineRegion').value = data.region || '';
-        document.getElementById('wineGrape').value = data.grape || '';
-        document.getElementById('winePrice').value = data.price || '';
+    downloadFile(fileName, content, mimeType) {
+        const url = URL.createObjectURL(new Blob([content], { type: mimeType }));
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = fileName;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+    }
+
+    exportCSV() {
+        const includeImages = document.getElementById('exportImages').checked;
+        const csv = CellarIO.toCSV(this.wines, this.archive, { includeImages });
+        // The byte order mark makes Excel read the file as UTF-8 (rosé, Château, ...)
+        this.downloadFile(this.exportFileName('csv'), '\uFEFF' + csv, 'text/csv;charset=utf-8');
+        this.showToast(this.t('export.exported', { count: this.wines.length + this.archive.length }));
+    }
+
+    exportJSON() {
+        const includeImages = document.getElementById('exportImages').checked;
+        const backup = CellarIO.toBackup({
+            wines: this.wines,
+            archive: this.archive,
+            locations: this.locations,
+            consumption: this.consumption,
+            cellarName: this.cellarId === 'personal' ? null : this.cellarInfo?.name
+        }, { includeImages });
+        this.downloadFile(this.exportFileName('json'), JSON.stringify(backup, null, 2), 'application/json');
+        this.showToast(this.t('export.backupDownloaded'));
+    }
+
+    async openImportFile(file) {
+        if (!file) return;
+        if (!this.canEdit()) {
+            this.showToast(this.t('import.readOnly'));
+            return;
+        }
+
+        const text = await file.text();
+        const isJSON = file.name.toLowerCase().endsWith('.json') || text.trim().startsWith('{');
+
+        if (isJSON) {
+            try {
+                this.importState = { fileName: file.name, backup: CellarIO.validateBackup(JSON.parse(text)) };
+            } catch (error) {
+                const messages = { NOT_A_BACKUP: 'import.notABackup', NEWER_BACKUP: 'import.newerBackup' };
+                this.showToast(error instanceof SyntaxError ? this.t('import.invalidJson') : this.t(messages[error.code] || 'import.failed'));
+                return;
+            }
+        } else {
+            const { headers, rows } = CellarIO.parseCSV(text);
+            if (rows.length === 0) {
+                this.showToast(this.t('import.nothingFound'));
+                return;
+            }
+
+            // CellarTracker and Vivino exports have a known layout and need no column mapping
+            const format = CellarIO.detectFormat(headers);
+            this.importState = format
+                ? { fileName: file.name, format, records: CellarIO.convertExport(format, headers, rows) }
+                : { fileName: file.name, headers, rows, mapping: CellarIO.guessMapping(headers) };
+        }
+
+        const { format } = this.importState;
+        document.getElementById('importFileName').textContent = format
+            ? `${file.name} · ${this.t('import.formatExport', { format: CellarIO.FORMATS[format].label })}`
+            : file.name;
+        document.getElementById('importDuplicates').value = 'skip';
+        this.renderImportMapping();
+        this.buildImportPreview();
+        this.openModal('importModal');
+    }
+
+    renderImportMapping() {
+        const section = document.getElementById('importMappingSection');
+        const { headers, mapping } = this.importState;
+        section.classList.toggle('hidden', !headers);
+        if (!headers) return;
+
+        const container = document.getElementById('importMapping');
+        container.innerHTML = CellarIO.COLUMNS.map(column => `
+            <label for="importMap-${column.key}">${this.escapeHtml(this.t(`field.${column.key}`))}</label>
+            <select id="importMap-${column.key}" class="settings-select" data-field="${column.key}">
+                <option value="">${this.t('import.skipColumn')}</option>
+                ${headers.map((header, index) => `
+                    <option value="${index}" ${mapping[column.key] === index ? 'selected' : ''}>${this.escapeHtml(header || this.t('import.column', { number: index + 1 }))}</option>
+                `).join('')}
+            </select>
+        `).join('');
+
+        container.querySelectorAll('select').forEach(select => {
+            select.addEventListener('change', () => {
+                if (select.value === '') {
+                    delete mapping[select.dataset.field];
+                } else {
+                    mapping[select.dataset.field] = parseInt(select.value);
+                }
+                this.buildImportPreview();
+            });
+        });
+    }
+
+    // Turn the file into import items: { raw, target: 'wines' | 'archive', wine, errors, warnings, status }
+    buildImportPreview() {
+        const state = this.importState;
+        const mode = document.getElementById('importDuplicates').value;
+
+        let records = state.records;
+        if (state.backup) {
+            records = [
+                ...state.backup.wines.map(raw => ({ raw, target: 'wines' })),
+                ...(state.backup.archive || []).map(raw => ({ raw, target: 'archive' }))
+            ];
+        } else if (!records) {
+            records = state.rows.map(row => {
+                const raw = CellarIO.rowToRecord(row, state.mapping);
+                return { raw, target: CellarIO.isArchiveStatus(raw.status) ? 'archive' : 'wines' };
+            });
+        }
+
+        // Earlier rows of the same file count as well, so a list with one row per bottle is merged
+        const known = {
+            wines: new Map(this.wines.map(wine => [CellarIO.duplicateKey(wine), wine])),
+            archive: new Map(this.archive.map(wine => [CellarIO.duplicateKey(wine), wine]))
+        };
+
+        state.items = records.map(({ raw, target }) => {
+            const { wine, errors, warnings } = CellarIO.normalizeRecord(raw);
+            const item = { raw, target, wine, errors, warnings, status: 'new' };
+            if (errors.length > 0) {
+                item.status = 'error';
+                return item;
+            }
+
+            const key = CellarIO.duplicateKey(wine);
+            const duplicate = known[target].get(key);
+            if (duplicate && mode !== 'add') {
+                item.status = mode === 'merge' && target === 'wines' ? 'merge' : 'skip';
+                item.duplicateOf = duplicate;
+            } else if (!duplicate) {
+                known[target].set(key, wine);
+            }
+            return item;
+        });
+
+        this.renderImportPreview();
+    }
+
+    renderImportPreview() {
+        const items = this.importState.items;
+        const count = (status) => items.filter(item => item.status === status).length;
+        const parts = [
+            this.t('batch.new', { count: count('new') }),
+            count('merge') > 0 ? this.t('batch.merged', { count: count('merge') }) : null,
+            count('skip') > 0 ? this.t('import.skipped', { count: count('skip') }) : null,
+            count('error') > 0 ? this.t('import.withErrors', { count: count('error') }) : null
+        ].filter(Boolean);
+        document.getElementById('importSummary').textContent = parts.join(' · ');
+
+        const statusText = (item) => {
+            if (item.status === 'error') return this.t('import.statusError');
+            if (item.status === 'skip') return this.t('import.statusDuplicate');
+            if (item.status === 'merge') return `+${this.t('common.bottles', { count: item.wine.quantity })}`;
+            return this.t(item.target === 'archive' ? 'import.statusArchive' : 'import.statusCellar');
+        };
+        // Issues are { key, field, value } from CellarIO.normalizeRecord
+        const issueText = (issue) => this.t(issue.key, { ...issue, field: issue.field && this.t(`field.${issue.field}`) });
+
+        document.getElementById('importPreview').innerHTML = items.map(item => {
+            const { wine } = item;
+            const title = [wine.producer, wine.name, wine.year].filter(Boolean).join(' ') || this.t('import.unnamed');
+            const issues = [...item.errors, ...item.warnings].map(issueText);
+            return `
+                <div class="import-row ${item.status === 'merge' || item.status === 'skip' ? 'duplicate' : item.status}">
+                    <span class="import-row-name">
+                        ${this.escapeHtml(title)}
+                        ${issues.length > 0 ? `<span class="import-row-issues">${this.escapeHtml(issues.join(' · '))}</span>` : ''}
+                    </span>
+                    <span class="import-row-status">${statusText(item)}</span>
+                </div>
+            `;
+        }).join('');
+
+        const importable = count('new') + count('merge');
+        const button = document.getElementById('confirmImport');
+        button.disabled = importable === 0;
+        button.textContent = importable === 0 ? this.t('import.nothingToImport') : this.t('import.submit', { count: importable });
+    }
+
+    async confirmImport() {
+        const state = this.importState;
+        if (!state || !this.canEdit()) return;
+
+        const button = document.getElementById('confirmImport');
+        button.disabled = true;
+
+        try {
+            if (state.backup) await this.importBackupLocations(state.backup.locations || []);
+
+            // Backups keep their ids where possible; consumption events follow their wine
+            const idMap = new Map();
+            const baseId = Date.now();
+            let imported = 0;
+
+            for (const item of state.items) {
+                if (item.status === 'merge') {
+                    const index = this.wines.findIndex(w => w.id === item.duplicateOf.id);
+                    if (index === -1) continue;
+                    const change = { location: this.primaryLocation(this.wines[index]), delta: item.wine.quantity };
+                    const updated = LocalStore.applyBottleChange(this.wines[index], change);
+                    if (!updated) continue;
+                    this.wines[index] = updated;
+                    await this.changeWineBottles(updated.id, change);
+                    imported++;
+                } else if (item.status === 'new') {
+                    const record = this.importRecord(item, (baseId + imported).toString());
+                    if (item.raw.id) idMap.set(item.raw.id, record.id);
+                    if (item.raw.bottleLocations && item.target === 'wines') {
+                        record.locations = await this.importBottleLocations(item.raw.bottleLocations);
+                    }
+                    if (item.target === 'archive') {
+                        await this.pushToArchive(record);
+                    } else {
+                        this.wines.unshift(record);
+                        await this.saveWine(record);
+                    }
+                    imported++;
+                }
+            }
+
+            if (state.backup) await this.importBackupConsumption(state.backup.consumption || [], idMap);
 
-        if (data.description) {
-            document.getElementById('wineNotes').value = data.description;
+            this.renderWineList();
+            this.updateStats();
+            this.updateSearchVisibility();
+            this.renderLocationSettings();
+            this.closeModal('importModal');
+            this.importState = null;
+            this.showToast(this.t('import.imported', { count: imported }));
+        } catch (error) {
+            console.error('Error importing wines:', error);
+            this.showToast(this.t('import.failed'));
+        } finally {
+            button.disabled = false;
         }
-
-        ['boldness', 'tannins', 'acidity'].forEach(id => {
-            const value = data[id] || 3;
-            document.getElementById(id).value = value;
-            document.getElementById(`${id}Value`).textContent = value;
-        });
     }
 
-    // ============================
-    // Form Handling
-    // ============================
+    importRecord(item, fallbackId) {
+        const { rating, rebuy, archiveNotes, archivedAt, ...wine } = item.wine;
+        const collection = item.target === 'archive' ? this.archive : this.wines;
+        const raw = item.raw;
 
-    handleFormSubmit(e) {
-        e.preventDefault();
+        const keepId = typeof raw.id === 'string' && /^[^.#$[\]/]+$/.test(raw.id) && !collection.some(w => w.id === raw.id);
+        const record = { ...wine, id: keepId ? raw.id : fallbackId };
 
-        const wineData = {
-            id: this.editMode ? this.currentWineId : Date.now().toString(),
-            name: document.getElementById('wineName').value,
-            producer: document.getElementById('wineProducer').value || null,
-            type: document.getElementById('wineType').value,
-            year: document.getElementById('wineYear').value || null,
-            region: document.getElementById('wineRegion').value || null,
-            grape: document.getElementById('wineGrape').value || null,
-            boldness: parseInt(document.getElementById('boldness').value),
-            tannins: parseInt(document.getElementById('tannins').value),
-            acidity: parseInt(document.getElementById('acidity').value),
-            price: parseFloat(document.getElementById('winePrice').value) || null,
-            quantity: parseInt(document.getElementById('wineQuantity').value) || 1,
-            store: document.getElementById('wineStore').value || null,
-            notes: document.getElementById('wineNotes').value || null,
-            image: this.currentImage,
-            addedAt: this.editMode ? this.wines.find(w => w.id === this.currentWineId)?.addedAt : new Date().toISOString()
-        };
+        // Bottle locations only survive when the location exists in this cellar
+        if (raw.locations && typeof raw.locations === 'object') {
+            const locations = {};
+            Object.entries(raw.locations).forEach(([locationId, entry]) => {
+                if (this.locations.some(l => l.id === locationId) && Number.isInteger(entry?.count) && entry.count > 0) {
+                    locations[locationId] = { count: entry.count, row: entry.row || null, column: entry.column || null };
+                }
+            });
+            const assigned = Object.values(locations).reduce((sum, entry) => sum + entry.count, 0);
+            if (assigned > 0 && assigned <= record.quantity) record.locations = locations;
+        }
 
-        if (this.editMode) {
-            const index = this.wines.findIndex(w => w.id === this.currentWineId);
-            if (index !== -1) this.wines[index] = wineData;
-            this.showToast('Wine updated!');
-        } else {
-            this.wines.unshift(wineData);
-            this.showToast('Wine added to cellar!');
+        if (item.target === 'archive') {
+            Object.assign(record, { rating, rebuy, archiveNotes, archivedAt: archivedAt || new Date().toISOString() });
         }
+        return record;
+    }
 
-        this.saveWines();
-        this.renderWineList();
-        this.updateStats();
-        this.closeModal('addModal');
+    async importBackupLocations(locations) {
+        for (const location of locations) {
+            if (!location?.id || !location.name || this.locations.some(l => l.id === location.id)) continue;
+
+            const gridSize = (value) => Number.isInteger(value) ? Math.min(100, Math.max(1, value)) : null;
+            const record = {
+                id: location.id,
+                name: String(location.name).substring(0, 100),
+                rows: gridSize(location.rows),
+                columns: gridSize(location.columns),
+                createdAt: location.createdAt || new Date().toISOString()
+            };
+            this.locations.push(record);
+            await this.queueWrite('set', `locations/${record.id}`, record);
+        }
     }
 
-    // ============================
-    // Search Functionality
-    // ============================
+    // Locations from another app are matched by name; missing ones are created
+    async importBottleLocations(bottleLocations) {
+        const locations = {};
+        for (const { name, count, row, column } of bottleLocations) {
+            const label = String(name).substring(0, 100);
+            let location = this.locations.find(l => CellarIO.normalizeText(l.name) === CellarIO.normalizeText(label));
+            if (!location) {
+                location = {
+                    id: (Date.now() + this.locations.length).toString(),
+                    name: label,
+                    rows: null,
+                    columns: null,
+                    createdAt: new Date().toISOString()
+                };
+                this.locations.push(location);
+                await this.queueWrite('set', `locations/${location.id}`, location);
+            }
 
-    updateSearchVisibility() {
-        const searchContainer = document.getElementById('searchContainer');
-        if (this.wines.length > 0) {
-            searchContainer?.classList.remove('hidden');
-        } else {
-            searchContainer?.classList.add('hidden');
+            const entry = locations[location.id] || { count: 0, row: row || null, column: column || null };
+            locations[location.id] = { ...entry, count: entry.count + count };
         }
+        return locations;
     }
 
-    handleSearch() {
-        const clearBtn = document.getElementById('clearSearch');
-        const resultsDiv = document.getElementById('searchResults');
-        const resultCount = document.getElementById('searchResultCount');
-
-        if (this.searchQuery) {
-            clearBtn?.classList.remove('hidden');
-            resultsDiv?.classList.remove('hidden');
-
-            // Filter wines by name, producer, region, or grape
-            this.filteredWines = this.wines.filter(wine => {
-                const name = (wine.name || '').toLowerCase();
-                const producer = (wine.producer || '').toLowerCase();
-                const region = (wine.region || '').toLowerCase();
-                const grape = (wine.grape || '').toLowerCase();
-
-                return name.includes(this.searchQuery) ||
-                       producer.includes(this.searchQuery) ||
-                       region.includes(this.searchQuery) ||
-                       grape.includes(this.searchQuery);
-            });
+    async importBackupConsumption(events, idMap) {
+        for (const event of events) {
+            const wineId = idMap.get(event?.wineId);
+            if (!wineId || !event.id || this.consumption.some(e => e.id === event.id)) continue;
+            if (!/^\d{4}-\d{2}-\d{2}$/.test(event.consumedAt || '')) continue;
 
-            resultCount.textContent = `${this.filteredWines.length} result${this.filteredWines.length !== 1 ? 's' : ''}`;
-        } else {
-            clearBtn?.classList.add('hidden');
-            resultsDiv?.classList.add('hidden');
-            this.filteredWines = [];
+            await this.saveConsumption({ ...event, wineId });
         }
-
-        this.renderWineList();
     }
 
     // ============================
-    // Wine List Rendering
+    // Purchase Lots
     // ============================
 
-    renderWineList() {
-        const list = document.getElementById('wineList');
-        const emptyState = document.getElementById('emptyState');
+    // Lots of a cellar or archive entry; older entries have one lot of everything they held
+    purchaseLots(wine, archived = false) {
+        return PurchaseLots.list(wine, this.bottlesBought(wine, archived));
+    }
 
-        // Determine which wines to show
-        const winesToShow = this.searchQuery ? this.filteredWines : this.wines;
+    // Lots of a record that is merged into another one; an implicit lot gets its own id there
+    foreignLots(record, archived) {
+        return this.purchaseLots(record, archived).map(lot =>
+            (lot.id === PurchaseLots.LEGACY_ID ? { ...lot, id: `${PurchaseLots.LEGACY_ID}-${record.id}` } : lot));
+    }
 
-        if (this.wines.length === 0) {
-            list.innerHTML = '';
-            emptyState.classList.remove('hidden');
-            this.updateSearchVisibility();
-            return;
+    // All lots of the merged records on the record that was kept
+    mergedPurchases(keep, others, archived) {
+        const lots = others.flatMap(other => this.foreignLots(other, archived));
+        return PurchaseLots.withLots(keep, lots, this.bottlesBought(keep, archived));
+    }
+
+    // Bottles bought again: added at change.location (and bin) as a new lot; history holds
+    // earlier lots that come along, like those of an archive entry that is restored
+    async addPurchase(wineId, lot, change = {}, history = []) {
+        const index = this.wines.findIndex(w => w.id === wineId);
+        if (index === -1) return null;
+
+        const wine = this.wines[index];
+        const changes = PurchaseLots.addChanges(wine, lot, this.bottlesBought(wine, false));
+        changes.purchases = PurchaseLots.withLots({ purchases: changes.purchases }, history);
+
+        const bottleChange = { location: LocalStore.UNASSIGNED, ...change, delta: lot.quantity };
+        const updated = LocalStore.applyBottleChange(wine, bottleChange);
+        if (!updated) return null;
+
+        this.wines[index] = { ...updated, ...changes };
+        await this.changeWineBottles(wineId, bottleChange);
+        await this.updateWine(wineId, changes);
+        return this.wines[index];
+    }
+
+    // The cellar wine that rebought bottles of an archived wine are added to
+    cellarMatch(archivedWine) {
+        return this.wines.find(w => w.id === archivedWine.id)
+            || DuplicateFinder.matches(archivedWine, this.wines)[0]?.record
+            || null;
+    }
+
+    // An archived wine bought again. When it (or the same wine under another name) is in the
+    // cellar the bottles become a new lot there, otherwise the wine comes back with the lot.
+    // A restored archive entry brings its earlier lots and opened bottles along; one that
+    // stays in the archive (bought from the shopping list) keeps them
+    async restockFromArchive(archivedWine, lot, keepArchive = false) {
+        const match = this.cellarMatch(archivedWine);
+
+        if (match) {
+            const history = keepArchive ? [] : this.foreignLots(archivedWine, true);
+            const updated = await this.addPurchase(match.id, lot, { location: this.primaryLocation(match) }, history);
+            if (updated && !keepArchive) await this.moveConsumption(archivedWine.id, match.id);
+            return updated;
         }
 
-        emptyState.classList.add('hidden');
-        this.updateSearchVisibility();
+        const wine = this.wineFromArchive(archivedWine, lot.quantity);
+        if (keepArchive) {
+            wine.purchases = { [lot.id]: lot };
+            if (typeof lot.price === 'number') wine.price = lot.price;
+            if (lot.store) wine.store = lot.store;
+        } else {
+            // Same id as the archive entry, so the opened bottles stay with it
+            wine.id = archivedWine.id;
+            wine.addedAt = archivedWine.addedAt || wine.addedAt;
+            Object.assign(wine, PurchaseLots.addChanges(archivedWine, lot, this.bottlesBought(archivedWine, true)));
+        }
 
-        // Show no results message if search returned nothing
-        if (this.searchQuery && winesToShow.length === 0) {
-            list.innerHTML = `
-                <div class="no-results">
-                    <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="1.5">
-                        <circle cx="11" cy="11" r="8"/>
-                        <path d="M21 21l-4.35-4.35"/>
-                    </svg>
-                    <p>No wines found for "${this.escapeHtml(this.searchQuery)}"</p>
-                </div>
-            `;
-            return;
+        this.wines.unshift(wine);
+        await this.saveWine(wine);
+        return wine;
+    }
+
+    renderPurchaseHistory(wine) {
+        const lots = this.purchaseLots(wine);
+        const remaining = PurchaseLots.remaining(lots, this.wineQuantity(wine));
+        const change = PurchaseLots.priceChange(lots);
+
+        const trendEl = document.getElementById('detailPriceChange');
+        trendEl.classList.toggle('hidden', !change);
+        if (change) {
+            const sign = change.percent > 0 ? '+' : '';
+            trendEl.textContent = this.t('purchase.priceChange', {
+                first: this.i18n.formatPrice(change.first),
+                last: this.i18n.formatPrice(change.last),
+                percent: `${sign}${this.i18n.formatNumber(change.percent)}`
+            });
+            trendEl.classList.toggle('price-up', change.percent > 0);
+            trendEl.classList.toggle('price-down', change.percent < 0);
         }
 
-        list.innerHTML = winesToShow.map(wine => `
-            <div class="wine-card" data-id="${wine.id}">
-                <div class="wine-card-image">
-                    ${wine.image
-                        ? `<img src="${wine.image}" alt="${wine.name}">`
-                        : `<div class="placeholder-image ${wine.type}">🍷</div>`
-                    }
-                </div>
-                <div class="wine-card-info">
-                    <h3 class="wine-card-name">${this.highlightMatch(wine.name)}</h3>
-                    ${wine.producer ? `<p class="wine-card-producer">${this.highlightMatch(wine.producer)}</p>` : ''}
-                    <p class="wine-card-meta">${this.highlightMatch([wine.grape, wine.year].filter(Boolean).join(' · ') || wine.region || 'No details')}</p>
-                    <div class="wine-card-footer">
-                        <span class="wine-type-tag ${wine.type}">${wine.type}</span>
-                        <span class="wine-quantity">${wine.quantity} fles${wine.quantity !== 1 ? 'sen' : ''}</span>
+        document.getElementById('detailPurchases').innerHTML = remaining.slice().reverse().map(lot => {
+            const date = lot.date ? this.i18n.formatDate(lot.date) : this.t('purchase.unknownDate');
+            const price = typeof lot.price === 'number' ? ` × ${this.i18n.formatPrice(lot.price)}` : '';
+            const receipt = lot.receipt ? (lot.receipt.imageUrl || lot.receipt.image || lot.receipt.thumbnail) : null;
+            return `
+                <div class="consumption-item purchase-item">
+                    <div class="consumption-header">
+                        <span>${date}</span>
+                        <span class="purchase-amount">${lot.quantity}${price}</span>
+                    </div>
+                    <div class="consumption-meta">
+                        ${this.escapeHtml(lot.store || this.t('shopping.unknownStore'))} · ${this.t('purchase.remaining', { count: lot.remaining })}
+                        ${receipt ? ` · <a href="${this.escapeHtml(receipt)}" target="_blank" rel="noopener">${this.t('purchase.receipt')}</a>` : ''}
                     </div>
                 </div>
-            </div>
-        `).join('');
+            `;
+        }).join('');
+    }
 
-        list.querySelectorAll('.wine-card').forEach(card => {
-            card.addEventListener('click', () => this.openDetailModal(card.dataset.id));
-        });
+    openPurchaseModal() {
+        const wine = this.wines.find(w => w.id === this.currentWineId);
+        if (!wine || !this.canEdit()) return;
+
+        const latest = PurchaseLots.latest(wine);
+        document.getElementById('purchaseWineName').textContent = [wine.name, wine.year].filter(Boolean).join(' ');
+        document.getElementById('purchaseDate').value = this.todayString();
+        document.getElementById('purchaseStore').value = latest.store || '';
+        document.getElementById('purchasePrice').value = typeof latest.price === 'number' ? latest.price : '';
+        document.getElementById('purchaseQuantity').value = 1;
+        document.getElementById('purchaseReceipt').value = '';
+        const locationSelect = document.getElementById('purchaseLocation');
+        this.renderLocationOptions(locationSelect, this.primaryLocation(wine));
+        this.updateBinInputs(locationSelect.value, 'purchaseBin');
+
+        this.openModal('purchaseModal');
     }
 
-    highlightMatch(text) {
-        if (!this.searchQuery || !text) return this.escapeHtml(text || '');
+    async savePurchase() {
+        const wine = this.wines.find(w => w.id === this.currentWineId);
+        if (!wine || !this.canEdit()) return;
 
-        const escaped = this.escapeHtml(text);
-        const regex = new RegExp(`(${this.escapeRegex(this.searchQuery)})`, 'gi');
-        return escaped.replace(regex, '<mark>$1</mark>');
-    }
+        const button = document.getElementById('savePurchaseBtn');
+        button.disabled = true;
+        try {
+            const priceValue = parseFloat(document.getElementById('purchasePrice').value);
+            const lot = PurchaseLots.create({
+                date: document.getElementById('purchaseDate').value,
+                store: document.getElementById('purchaseStore').value.trim(),
+                price: isNaN(priceValue) ? null : Math.round(priceValue * 100) / 100,
+                quantity: Math.min(99, parseInt(document.getElementById('purchaseQuantity').value, 10) || 1)
+            });
 
-    escapeRegex(string) {
-        return string.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
-    }
+            const file = document.getElementById('purchaseReceipt').files[0];
+            if (file) {
+                const image = await this.readCompressedImage(file);
+                const receipt = await this.storeReceiptImage(`${wine.id}-receipt`, image);
+                if (Object.keys(receipt).length > 0) lot.receipt = receipt;
+            }
 
-    updateStats() {
-        const totalBottles = this.wines.reduce((sum, wine) => sum + wine.quantity, 0);
-        document.getElementById('totalBottles').textContent = totalBottles;
+            const location = document.getElementById('purchaseLocation').value;
+            const change = { location };
+            if (location !== LocalStore.UNASSIGNED) change.bin = this.readBin('purchaseBin');
+
+            const updated = await this.addPurchase(wine.id, lot, change);
+            if (!updated) return;
+
+            this.renderWineList();
+            this.updateStats();
+            this.closeModal('purchaseModal');
+            this.openDetailModal(wine.id);
+            this.showToast(this.t('purchase.added', { count: lot.quantity }));
+        } catch (error) {
+            console.error('Error saving purchase:', error);
+            this.showToast(error.code === 'IMAGE_UNREADABLE' ? this.t('image.unreadable') : this.t('common.saveFailed'));
+        } finally {
+            button.disabled = false;
+        }
     }
 
     // ============================
@@ -1087,10 +4900,10 @@ class WineCellar {
         this.currentWineId = wineId;
 
         const detailImage = document.getElementById('detailImage');
-        if (wine.image) {
-            detailImage.innerHTML = `<img src="${wine.image}" alt="${wine.name}"><div class="wine-type-badge">${wine.type}</div>`;
+        if (this.wineFullImage(wine)) {
+            detailImage.innerHTML = `<img src="${this.escapeHtml(this.wineFullImage(wine))}" alt="${this.escapeHtml(wine.name)}"><div class="wine-type-badge">${this.t(`type.${wine.type}`)}</div>${this.renderImageCredit(wine.imageSource)}`;
         } else {
-            detailImage.innerHTML = `<div class="placeholder-bg ${wine.type}"><span style="font-size: 3rem;">🍷</span></div><div class="wine-type-badge">${wine.type}</div>`;
+            detailImage.innerHTML = `<div class="placeholder-bg ${wine.type}"><span style="font-size: 3rem;">🍷</span></div><div class="wine-type-badge">${this.t(`type.${wine.type}`)}</div>`;
         }
 
         document.getElementById('detailName').textContent = wine.name;
@@ -1103,10 +4916,10 @@ class WineCellar {
             producerEl.style.display = 'none';
         }
 
-        document.getElementById('detailRegion').textContent = wine.region || 'Region not specified';
+        document.getElementById('detailRegion').textContent = wine.region || this.t('detail.noRegion');
         document.getElementById('detailYear').textContent = wine.year || '—';
         document.getElementById('detailGrape').textContent = wine.grape || '—';
-        document.getElementById('detailPrice').textContent = wine.price ? `€${wine.price.toFixed(2)}` : '—';
+        document.getElementById('detailPrice').textContent = wine.price ? this.i18n.formatPrice(wine.price) : '—';
 
         document.getElementById('detailBoldness').style.width = `${wine.boldness * 20}%`;
         document.getElementById('detailTannins').style.width = `${wine.tannins * 20}%`;
@@ -1121,6 +4934,16 @@ class WineCellar {
             storeSection.style.display = 'none';
         }
 
+        const drinkSection = document.getElementById('detailDrinkSection');
+        const drinkWindow = this.formatDrinkWindow(wine);
+        if (drinkWindow) {
+            drinkSection.style.display = 'flex';
+            const status = DRINK_WINDOW_STATUSES[this.drinkWindowStatus(wine)];
+            document.getElementById('detailDrinkWindow').textContent = `${this.t('drink.badgeTitle', { window: drinkWindow })} · ${this.t(status.label)}`;
+        } else {
+            drinkSection.style.display = 'none';
+        }
+
         const notesSection = document.getElementById('detailNotesSection');
         const notesText = document.getElementById('detailNotes');
         if (wine.notes) {
@@ -1130,7 +4953,10 @@ class WineCellar {
             notesSection.style.display = 'none';
         }
 
-        document.getElementById('detailQuantity').textContent = wine.quantity;
+        document.getElementById('detailQuantity').textContent = this.wineQuantity(wine);
+        this.renderDetailLocations(wine);
+        this.renderConsumptionHistory(wine.id, 'detailHistory');
+        this.renderPurchaseHistory(wine);
         this.openModal('detailModal');
     }
 
@@ -1138,15 +4964,11 @@ class WineCellar {
         const wine = this.wines.find(w => w.id === this.currentWineId);
         if (!wine) return;
 
-        const newQty = wine.quantity + change;
-        if (newQty < 1) return;
-
-        wine.quantity = newQty;
-        this.saveWines();
-
-        document.getElementById('detailQuantity').textContent = newQty;
-        this.renderWineList();
-        this.updateStats();
+        if (change < 0) {
+            this.openConsumeModal(this.primaryLocation(wine));
+            return;
+        }
+        this.changeBottles(wine, { location: this.primaryLocation(wine), delta: change });
     }
 
     // ============================
@@ -1159,35 +4981,196 @@ class WineCellar {
 
         this.closeModal('detailModal');
 
-        setTimeout(() => {
-            this.editMode = true;
-            document.querySelector('#addModal .modal-header h2').textContent = 'Edit Wine';
-            document.querySelector('#addModal .submit-btn').textContent = 'Save Changes';
-
-            document.getElementById('wineName').value = wine.name;
-            document.getElementById('wineProducer').value = wine.producer || '';
-            document.getElementById('wineType').value = wine.type;
-            document.getElementById('wineYear').value = wine.year || '';
-            document.getElementById('wineRegion').value = wine.region || '';
-            document.getElementById('wineGrape').value = wine.grape || '';
-            document.getElementById('winePrice').value = wine.price || '';
-            document.getElementById('wineQuantity').value = wine.quantity;
-            document.getElementById('wineStore').value = wine.store || '';
-            document.getElementById('wineNotes').value = wine.notes || '';
-
-            ['boldness', 'tannins', 'acidity'].forEach(id => {
-                document.getElementById(id).value = wine[id];
-                document.getElementById(`${id}Value`).textContent = wine[id];
-            });
+        setTimeout(() => this.openEditForm(wine, { ...wine }), 300);
+    }
 
-            if (wine.image) {
-                this.currentImage = wine.image;
-                document.getElementById('previewImg').src = wine.image;
-                document.getElementById('imagePreview').classList.add('has-image');
-            }
+    // Fill the add form with values and remember the version they are based on
+    openEditForm(wine, base) {
+        this.resetForm();
+        this.editMode = true;
+        this.editBase = base;
+        this.editImageFields = {};
+        WINE_FIELD_GROUPS.find(group => group.label === 'field.image').keys.forEach(key => {
+            this.editImageFields[key] = wine[key] ?? null;
+        });
+        document.querySelector('#addModal .modal-header h2').textContent = this.t('form.editTitle');
+        document.querySelector('#addModal .submit-btn').textContent = this.t('form.editSubmit');
+
+        document.getElementById('wineName').value = wine.name;
+        document.getElementById('wineProducer').value = wine.producer || '';
+        document.getElementById('wineType').value = wine.type;
+        document.getElementById('wineYear').value = wine.year || '';
+        document.getElementById('wineDrinkFrom').value = wine.drinkFrom || '';
+        document.getElementById('wineDrinkUntil').value = wine.drinkUntil || '';
+        document.getElementById('wineRegion').value = wine.region || '';
+        document.getElementById('wineGrape').value = wine.grape || '';
+        document.getElementById('winePrice').value = wine.price || '';
+        document.getElementById('wineQuantity').value = this.wineQuantity(wine);
+        // Bottles are moved between locations from the detail view
+        document.getElementById('wineLocationGroup').classList.add('hidden');
+        document.getElementById('wineStore').value = wine.store || '';
+        document.getElementById('wineBarcode').value = wine.barcode || '';
+        document.getElementById('wineNotes').value = wine.notes || '';
+
+        ['boldness', 'tannins', 'acidity'].forEach(id => {
+            document.getElementById(id).value = wine[id];
+            document.getElementById(`${id}Value`).textContent = wine[id];
+        });
+
+        const fullImage = this.wineFullImage(wine);
+        if (fullImage) {
+            this.currentImage = fullImage;
+            this.currentImageSource = wine.imageSource || null;
+            document.getElementById('previewImg').src = fullImage;
+            document.getElementById('imagePreview').classList.add('has-image');
+        }
+
+        this.openModal('addModal');
+    }
+
+    // ============================
+    // Consumption Log
+    // ============================
+
+    sortConsumption() {
+        this.consumption.sort((a, b) => (b.consumedAt || '').localeCompare(a.consumedAt || '') ||
+            new Date(b.createdAt) - new Date(a.createdAt));
+    }
+
+    consumptionFor(wineId) {
+        return this.consumption.filter(event => event.wineId === wineId);
+    }
+
+    // What the archive shows for a wine: derived from its opened bottles
+    consumptionSummary(wineId) {
+        const events = this.consumptionFor(wineId);
+        const ratings = events.map(event => event.rating).filter(Boolean);
+        return {
+            count: events.length,
+            rating: ratings.length > 0
+                ? Math.round(ratings.reduce((sum, rating) => sum + rating, 0) / ratings.length)
+                : null,
+            lastNotes: events.find(event => event.notes)?.notes || null
+        };
+    }
+
+    renderConsumptionHistory(wineId, elementId) {
+        const events = this.consumptionFor(wineId);
+        const listEl = document.getElementById(elementId);
+        listEl.closest('.detail-notes').style.display = events.length > 0 ? 'block' : 'none';
+
+        listEl.innerHTML = events.map(event => {
+            const date = this.i18n.formatDate(event.consumedAt);
+            const meta = [event.occasion, event.drankBy ? this.t('consume.with', { name: event.drankBy }) : null].filter(Boolean).join(' · ');
+            return `
+                <div class="consumption-item">
+                    <div class="consumption-header">
+                        <span>${date}</span>
+                        ${event.rating ? `<span class="consumption-stars">${'★'.repeat(event.rating)}</span>` : ''}
+                    </div>
+                    ${meta ? `<div class="consumption-meta">${this.escapeHtml(meta)}</div>` : ''}
+                    ${event.notes ? `<p class="consumption-notes">${this.escapeHtml(event.notes)}</p>` : ''}
+                </div>
+            `;
+        }).join('');
+    }
+
+    openConsumeModal(locationId) {
+        const wine = this.wines.find(w => w.id === this.currentWineId);
+        if (!wine) return;
+
+        this.consumeLocation = locationId;
+        this.consumeRating = 0;
+        this.consumeRebuy = null;
+
+        const isLast = this.wineQuantity(wine) <= 1;
+        document.getElementById('consumeWineName').textContent = [wine.name, wine.year].filter(Boolean).join(' ');
+        document.getElementById('consumeDate').value = this.todayString();
+        document.getElementById('consumeOccasion').value = '';
+        document.getElementById('consumeDrankBy').value = '';
+        document.getElementById('consumeNotes').value = '';
+        document.getElementById('consumeRebuySection').classList.toggle('hidden', !isLast);
+        document.querySelectorAll('#consumeRating .star').forEach(star => star.classList.remove('active'));
+        document.querySelectorAll('#consumeRebuyOptions .rebuy-btn').forEach(btn => btn.classList.remove('active'));
+
+        this.openModal('consumeModal');
+    }
+
+    setConsumeRating(rating) {
+        this.consumeRating = rating;
+        document.querySelectorAll('#consumeRating .star').forEach((star, index) => {
+            star.classList.toggle('active', index < rating);
+        });
+    }
+
+    // Local date as YYYY-MM-DD (toISOString would give the UTC date)
+    todayString() {
+        const now = new Date();
+        return new Date(now.getTime() - now.getTimezoneOffset() * 60000).toISOString().slice(0, 10);
+    }
+
+    consumptionEvent(wine, fields) {
+        const user = firebase.auth().currentUser;
+        return {
+            id: Date.now().toString(),
+            wineId: wine.id,
+            wineName: wine.name,
+            producer: wine.producer || null,
+            year: wine.year || null,
+            type: wine.type,
+            price: wine.price || null,
+            locationId: null,
+            consumedAt: this.todayString(),
+            occasion: null,
+            drankBy: null,
+            rating: null,
+            notes: null,
+            createdAt: new Date().toISOString(),
+            createdBy: this.userId,
+            createdByName: user?.displayName || null,
+            ...fields
+        };
+    }
+
+    async confirmConsume() {
+        const wine = this.wines.find(w => w.id === this.currentWineId);
+        if (!wine) return;
+
+        const event = this.consumptionEvent(wine, {
+            locationId: this.consumeLocation,
+            consumedAt: document.getElementById('consumeDate').value || this.todayString(),
+            occasion: document.getElementById('consumeOccasion').value.trim() || null,
+            drankBy: document.getElementById('consumeDrankBy').value.trim() || null,
+            rating: this.consumeRating || null,
+            notes: document.getElementById('consumeNotes').value.trim() || null
+        });
+
+        await this.saveConsumption(event);
+        this.closeModal('consumeModal');
+
+        if (this.wineQuantity(wine) > 1) {
+            // Fall back to the main location if the bottle was moved in the meantime
+            const location = LocalStore.bottleLocations(wine)[this.consumeLocation]
+                ? this.consumeLocation
+                : this.primaryLocation(wine);
+            this.changeBottles(wine, { location, delta: -1 });
+            this.renderConsumptionHistory(wine.id, 'detailHistory');
+            this.showToast(this.t('consume.opened'));
+            return;
+        }
 
-            this.openModal('addModal');
-        }, 300);
+        // The last bottle moves the wine to the archive, rated by all its opened bottles
+        const summary = this.consumptionSummary(wine.id);
+        await this.pushToArchive({
+            ...wine,
+            rating: summary.rating,
+            rebuy: this.consumeRebuy,
+            archiveNotes: summary.lastNotes,
+            bottlesConsumed: summary.count,
+            archivedAt: new Date().toISOString()
+        });
+        await this.deleteCurrentWine();
+        this.showToast(this.t('consume.lastBottle'));
     }
 
     // ============================
@@ -1211,7 +5194,7 @@ class WineCellar {
         document.querySelectorAll('#archiveRating .star').forEach(star => {
             star.classList.remove('active');
         });
-        document.getElementById('ratingLabel').textContent = 'Selecteer een beoordeling';
+        document.getElementById('ratingLabel').textContent = this.t('archive.selectRating');
 
         // Reset rebuy buttons
         document.querySelectorAll('#rebuyOptions .rebuy-btn').forEach(btn => {
@@ -1221,13 +5204,16 @@ class WineCellar {
         // Clear notes
         document.getElementById('archiveNotes').value = '';
 
+        // Start from what the opened bottles were rated
+        const { rating } = this.consumptionSummary(wine.id);
+        if (rating) this.setArchiveRating(rating);
+
         this.openModal('archiveModal');
     }
 
     setArchiveRating(rating) {
         this.archiveRating = rating;
-        const labels = ['', 'Slecht', 'Matig', 'Goed', 'Heel goed', 'Uitstekend!'];
-        document.getElementById('ratingLabel').textContent = labels[rating];
+        document.getElementById('ratingLabel').textContent = this.t(`archive.rating${rating}`);
 
         document.querySelectorAll('#archiveRating .star').forEach((star, index) => {
             star.classList.toggle('active', index < rating);
@@ -1261,7 +5247,7 @@ class WineCellar {
             // Just delete without archiving
             await this.deleteCurrentWine();
             this.closeModal('archiveModal');
-            this.showToast('Wijn verwijderd');
+            this.showToast(this.t('archive.deleted'));
         } catch (error) {
             console.error('Error in skipArchiveAndDelete:', error);
         }
@@ -1275,10 +5261,24 @@ class WineCellar {
             return;
         }
 
+        // The bottles still in the cellar are opened now, one event each like the consume flow
+        const batchId = Date.now();
+        let index = 0;
+        for (const [locationId, { count }] of Object.entries(LocalStore.bottleLocations(wine))) {
+            for (let i = 0; i < count; i++) {
+                await this.saveConsumption(this.consumptionEvent(wine, {
+                    id: `${batchId}-${index++}`,
+                    locationId,
+                    rating: this.archiveRating || null
+                }));
+            }
+        }
+
         // Create archive entry
         const archivedWine = {
             ...wine,
-            rating: this.archiveRating,
+            rating: this.archiveRating || null,
+            bottlesConsumed: this.consumptionSummary(wine.id).count,
             rebuy: this.archiveRebuy,
             archiveNotes: document.getElementById('archiveNotes').value.trim() || null,
             archivedAt: new Date().toISOString()
@@ -1291,42 +5291,29 @@ class WineCellar {
         await this.deleteCurrentWine();
 
         this.closeModal('archiveModal');
-        this.showToast('Wijn gearchiveerd!');
+        this.showToast(this.t('archive.archived'));
     }
 
     async deleteCurrentWine() {
         const wineIdToDelete = this.currentWineId;
-        const wineName = this.wines.find(w => w.id === wineIdToDelete)?.name || 'Unknown';
+        const deletedWine = this.wines.find(w => w.id === wineIdToDelete);
+        const wineName = deletedWine?.name || 'Unknown';
 
         console.log('🍷 Starting delete process for:', wineName, '(ID:', wineIdToDelete, ')');
 
-        // Set flag to prevent Firebase listener from re-adding the wine
-        this.syncInProgress = true;
-
         // Remove from local array
         this.wines = this.wines.filter(w => w.id !== wineIdToDelete);
         console.log('  Removed from local array. Wines remaining:', this.wines.length);
 
-        // Delete from Firebase and wait for it to complete
-        if (this.firebaseEnabled) {
-            console.log('  Firebase is enabled, deleting from cloud...');
-            const deleteSuccess = await this.deleteWineFromFirebase(wineIdToDelete);
-            console.log('  Firebase delete result:', deleteSuccess ? 'SUCCESS' : 'FAILED');
-        } else {
-            console.log('  Firebase not enabled, skip cloud delete');
-        }
+        // Queue the delete; it is replayed against Firebase when online
+        await this.removeWine(wineIdToDelete);
+        this.deleteRecordImages(deletedWine);
 
         this.renderWineList();
         this.updateStats();
         this.updateSearchVisibility();
 
         this.closeModal('detailModal');
-
-        // Reset flag after a short delay to allow Firebase to sync
-        setTimeout(() => {
-            this.syncInProgress = false;
-            console.log('  Sync flag reset');
-        }, 2000);
     }
 
     // ============================
@@ -1356,7 +5343,8 @@ class WineCellar {
             clearBtn?.classList.add('hidden');
         }
 
-        // Filter archive
+        // Filter archive; with a search text the best matches come first
+        const hits = this.searchHits(this.archive, this.archiveSearchQuery);
         this.filteredArchive = this.archive.filter(wine => {
             // Type filter
             if (typeFilter && wine.type !== typeFilter) return false;
@@ -1365,20 +5353,9 @@ class WineCellar {
             if (rebuyFilter && wine.rebuy !== rebuyFilter) return false;
 
             // Search query
-            if (this.archiveSearchQuery) {
-                const searchFields = [
-                    wine.name,
-                    wine.producer,
-                    wine.region,
-                    wine.grape,
-                    wine.store
-                ].filter(Boolean).join(' ').toLowerCase();
-
-                if (!searchFields.includes(this.archiveSearchQuery)) return false;
-            }
-
-            return true;
+            return !hits || hits.has(wine);
         });
+        if (hits) this.filteredArchive.sort((a, b) => hits.get(b) - hits.get(a));
 
         this.renderArchiveList();
     }
@@ -1389,7 +5366,7 @@ class WineCellar {
         const statsEl = document.getElementById('archiveCount');
 
         // Update count
-        statsEl.textContent = `${this.filteredArchive.length} wijn${this.filteredArchive.length !== 1 ? 'en' : ''}`;
+        statsEl.textContent = this.t('archive.count', { count: this.filteredArchive.length });
 
         if (this.archive.length === 0) {
             list.innerHTML = '';
@@ -1402,36 +5379,13 @@ class WineCellar {
         if (this.filteredArchive.length === 0) {
             list.innerHTML = `
                 <div class="no-results">
-                    <p>Geen wijnen gevonden</p>
+                    <p>${this.t('archive.noResults')}</p>
                 </div>
             `;
             return;
         }
 
-        list.innerHTML = this.filteredArchive.map(wine => {
-            const stars = '★'.repeat(wine.rating || 0) + '☆'.repeat(5 - (wine.rating || 0));
-            const rebuyLabels = { yes: 'Opnieuw', maybe: 'Misschien', no: 'Niet meer' };
-            const rebuyLabel = rebuyLabels[wine.rebuy] || '';
-
-            return `
-                <div class="archive-card" data-id="${wine.id}">
-                    <div class="archive-card-image">
-                        ${wine.image
-                            ? `<img src="${wine.image}" alt="${wine.name}">`
-                            : `<div class="placeholder-image ${wine.type}">🍷</div>`
-                        }
-                    </div>
-                    <div class="archive-card-info">
-                        <h4 class="archive-card-name">${this.escapeHtml(wine.name)}</h4>
-                        ${wine.producer ? `<p class="archive-card-producer">${this.escapeHtml(wine.producer)}</p>` : ''}
-                        <div class="archive-card-meta">
-                            ${wine.rating ? `<span class="archive-card-stars">${stars}</span>` : ''}
-                            ${wine.rebuy ? `<span class="archive-card-rebuy ${wine.rebuy}">${rebuyLabel}</span>` : ''}
-                        </div>
-                    </div>
-                </div>
-            `;
-        }).join('');
+        list.innerHTML = this.filteredArchive.map(entry => this.archiveCardHtml(entry, this.archiveSearchQuery)).join('');
 
         // Bind click events
         list.querySelectorAll('.archive-card').forEach(card => {
@@ -1439,18 +5393,44 @@ class WineCellar {
         });
     }
 
+    archiveCardHtml(entry, query) {
+        const wine = { ...entry, rating: entry.rating || this.consumptionSummary(entry.id).rating };
+        const stars = '★'.repeat(wine.rating || 0) + '☆'.repeat(5 - (wine.rating || 0));
+        const rebuyLabel = wine.rebuy ? this.t(`archive.rebuy.${wine.rebuy}`) : '';
+
+        return `
+            <div class="archive-card" data-id="${this.escapeHtml(wine.id)}">
+                <div class="archive-card-image">
+                    ${this.wineThumbnail(wine)
+                        ? `<img src="${this.escapeHtml(this.wineThumbnail(wine))}" alt="${this.escapeHtml(wine.name)}" loading="lazy">`
+                        : `<div class="placeholder-image ${wine.type}">🍷</div>`
+                    }
+                </div>
+                <div class="archive-card-info">
+                    <h4 class="archive-card-name">${this.highlightMatch(wine.name, query)}</h4>
+                    ${wine.producer ? `<p class="archive-card-producer">${this.highlightMatch(wine.producer, query)}</p>` : ''}
+                    <div class="archive-card-meta">
+                        ${wine.rating ? `<span class="archive-card-stars">${stars}</span>` : ''}
+                        ${wine.rebuy ? `<span class="archive-card-rebuy ${wine.rebuy}">${rebuyLabel}</span>` : ''}
+                    </div>
+                </div>
+            </div>
+        `;
+    }
+
     openArchiveDetail(archiveId) {
-        const wine = this.archive.find(w => w.id === archiveId);
-        if (!wine) return;
+        const entry = this.archive.find(w => w.id === archiveId);
+        if (!entry) return;
+        const wine = { ...entry, rating: entry.rating || this.consumptionSummary(entry.id).rating };
 
         this.currentArchiveId = archiveId;
 
         // Image
         const detailImage = document.getElementById('archiveDetailImage');
-        if (wine.image) {
-            detailImage.innerHTML = `<img src="${wine.image}" alt="${wine.name}"><div class="wine-type-badge">${wine.type}</div>`;
+        if (this.wineFullImage(wine)) {
+            detailImage.innerHTML = `<img src="${this.escapeHtml(this.wineFullImage(wine))}" alt="${this.escapeHtml(wine.name)}"><div class="wine-type-badge">${this.t(`type.${wine.type}`)}</div>`;
         } else {
-            detailImage.innerHTML = `<div class="placeholder-bg ${wine.type}"><span style="font-size: 3rem;">🍷</span></div><div class="wine-type-badge">${wine.type}</div>`;
+            detailImage.innerHTML = `<div class="placeholder-bg ${wine.type}"><span style="font-size: 3rem;">🍷</span></div><div class="wine-type-badge">${this.t(`type.${wine.type}`)}</div>`;
         }
 
         // Basic info
@@ -1464,7 +5444,7 @@ class WineCellar {
             producerEl.style.display = 'none';
         }
 
-        document.getElementById('archiveDetailRegion').textContent = wine.region || 'Regio onbekend';
+        document.getElementById('archiveDetailRegion').textContent = wine.region || this.t('detail.noRegion');
 
         // Rating display
         const starsEl = document.getElementById('archiveDetailStars');
@@ -1481,12 +5461,12 @@ class WineCellar {
         const rebuyEl = document.getElementById('archiveDetailRebuy');
         if (wine.rebuy) {
             const rebuyConfig = {
-                yes: { icon: '👍', text: 'Opnieuw kopen', class: 'yes' },
-                maybe: { icon: '🤔', text: 'Misschien', class: 'maybe' },
-                no: { icon: '👎', text: 'Niet meer', class: 'no' }
+                yes: { icon: '👍', text: 'archive.rebuyBadge.yes', class: 'yes' },
+                maybe: { icon: '🤔', text: 'archive.rebuyBadge.maybe', class: 'maybe' },
+                no: { icon: '👎', text: 'archive.rebuyBadge.no', class: 'no' }
             };
             const config = rebuyConfig[wine.rebuy];
-            rebuyEl.innerHTML = `<span class="rebuy-icon">${config.icon}</span><span>${config.text}</span>`;
+            rebuyEl.innerHTML = `<span class="rebuy-icon">${config.icon}</span><span>${this.t(config.text)}</span>`;
             rebuyEl.className = `rebuy-badge ${config.class}`;
             rebuyEl.style.display = 'flex';
         } else {
@@ -1496,7 +5476,7 @@ class WineCellar {
         // Meta info
         document.getElementById('archiveDetailYear').textContent = wine.year || '—';
         document.getElementById('archiveDetailGrape').textContent = wine.grape || '—';
-        document.getElementById('archiveDetailPrice').textContent = wine.price ? `€${wine.price.toFixed(2)}` : '—';
+        document.getElementById('archiveDetailPrice').textContent = wine.price ? this.i18n.formatPrice(wine.price) : '—';
 
         // Store
         const storeSection = document.getElementById('archiveDetailStoreSection');
@@ -1530,11 +5510,12 @@ class WineCellar {
             reviewSection.style.display = 'none';
         }
 
+        this.renderConsumptionHistory(wine.id, 'archiveDetailHistory');
+
         // Archive date
         const dateEl = document.getElementById('archiveDetailDate');
         if (wine.archivedAt) {
-            const date = new Date(wine.archivedAt);
-            dateEl.textContent = `Gearchiveerd op ${date.toLocaleDateString('nl-NL', { day: 'numeric', month: 'long', year: 'numeric' })}`;
+            dateEl.textContent = this.t('archive.archivedOn', { date: this.i18n.formatDate(wine.archivedAt) });
         } else {
             dateEl.textContent = '';
         }
@@ -1542,36 +5523,43 @@ class WineCellar {
         this.openModal('archiveDetailModal');
     }
 
-    async restoreWineFromArchive() {
-        const archivedWine = this.archive.find(w => w.id === this.currentArchiveId);
-        if (!archivedWine) return;
-
-        // Create a new wine entry (without archive-specific fields)
-        const restoredWine = {
+    // A new cellar entry for an archived wine (without archive-specific fields)
+    wineFromArchive(archivedWine, quantity = 1) {
+        return {
             id: Date.now().toString(), // New ID
             name: archivedWine.name,
             producer: archivedWine.producer,
             type: archivedWine.type,
             year: archivedWine.year,
+            drinkFrom: archivedWine.drinkFrom ?? null,
+            drinkUntil: archivedWine.drinkUntil ?? null,
             region: archivedWine.region,
             grape: archivedWine.grape,
             boldness: archivedWine.boldness,
             tannins: archivedWine.tannins,
             acidity: archivedWine.acidity,
             price: archivedWine.price,
-            quantity: 1,
+            quantity,
             store: archivedWine.store,
+            barcode: archivedWine.barcode ?? null,
             notes: archivedWine.notes,
-            image: archivedWine.image,
+            image: archivedWine.image ?? null,
+            imagePath: archivedWine.imagePath ?? null,
+            imageUrl: archivedWine.imageUrl ?? null,
+            thumbnail: archivedWine.thumbnail ?? null,
+            imageSource: archivedWine.imageSource || null,
             addedAt: new Date().toISOString()
         };
+    }
 
-        // Add to wines
-        this.wines.unshift(restoredWine);
+    async restoreWineFromArchive() {
+        const archivedWine = this.archive.find(w => w.id === this.currentArchiveId);
+        if (!archivedWine) return;
 
-        if (this.firebaseEnabled) {
-            await this.pushWineToFirebase(restoredWine);
-        }
+        // The restored bottle is bought again: a new lot on the wine, not a new wine
+        const lot = PurchaseLots.create({ store: archivedWine.store, price: archivedWine.price, quantity: 1 });
+        const restoredWine = await this.restockFromArchive(archivedWine, lot);
+        if (!restoredWine) return;
 
         // Remove from archive
         await this.deleteFromArchive(this.currentArchiveId);
@@ -1581,11 +5569,11 @@ class WineCellar {
         this.filterAndRenderArchive();
 
         this.closeModal('archiveDetailModal');
-        this.showToast('Wijn teruggezet naar kelder!');
+        this.showToast(this.t('archive.restored'));
     }
 
     async deleteFromArchiveConfirm() {
-        if (!confirm('Weet je zeker dat je deze wijn definitief wilt verwijderen uit het archief?')) {
+        if (!confirm(this.t('archive.deleteConfirm'))) {
             return;
         }
 
@@ -1593,7 +5581,47 @@ class WineCellar {
         this.filterAndRenderArchive();
 
         this.closeModal('archiveDetailModal');
-        this.showToast('Wijn verwijderd uit archief');
+        this.showToast(this.t('archive.removed'));
+    }
+
+    // ============================
+    // Language
+    // ============================
+
+    t(key, params = {}) {
+        return this.i18n.t(key, params);
+    }
+
+    renderLanguageSettings() {
+        const select = document.getElementById('languageSelect');
+        if (!select) return;
+        select.innerHTML = Object.entries(I18n.LANGUAGES)
+            .map(([code, { name }]) => `<option value="${code}" ${code === this.i18n.language ? 'selected' : ''}>${name}</option>`)
+            .join('');
+    }
+
+    // Wine type <option>s with translated names
+    wineTypeOptions(selected) {
+        return CellarIO.WINE_TYPES
+            .map(type => `<option value="${type}" ${type === selected ? 'selected' : ''}>${this.t(`type.${type}`)}</option>`)
+            .join('');
+    }
+
+    // Switch the interface language; texts rendered by code are rendered again
+    setLanguage(language) {
+        localStorage.setItem('thecork-language', language);
+        this.i18n = new I18n(language);
+        this.i18n.apply();
+        this.renderLanguageSettings();
+
+        this.updateSyncStatus(this.syncStatus);
+        if (this.firebaseEnabled) {
+            this.updateAuthUI(firebase.auth().currentUser);
+            this.renderCellarSettings();
+        }
+        this.renderLocationSettings();
+        this.renderFilterChips();
+        this.renderWineList();
     }
 
     // ============================
@@ -1610,10 +5638,21 @@ class WineCellar {
         setTimeout(() => toast.classList.remove('show'), 3000);
     }
 
+    // Attribution for product photos found through image search
+    renderImageCredit(source) {
+        if (!source?.site) return '';
+        const href = [source.pageUrl, source.imageUrl].find(url => /^https?:\/\//i.test(url || ''));
+        const label = this.t('image.credit', { site: this.escapeHtml(source.site) });
+        return href
+            ? `<a class="image-credit" href="${this.escapeHtml(href)}" target="_blank" rel="noopener noreferrer">${label}</a>`
+            : `<span class="image-credit">${label}</span>`;
+    }
+
+    // Also escapes quotes so the result is safe inside attribute values
     escapeHtml(text) {
         const div = document.createElement('div');
         div.textContent = text;
-        return div.innerHTML;
+        return div.innerHTML.replace(/"/g, '&quot;').replace(/'/g, '&#39;');
     }
 }
 
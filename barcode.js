@@ -0,0 +1,95 @@
+// ============================
+// The Cork - Barcodes
+// Reads EAN/UPC codes from bottle photos with the browser's
+// BarcodeDetector and turns them into lookup table entries
+// ============================
+
+class Barcode {
+    static get FORMATS() {
+        return ['ean_13', 'ean_8', 'upc_a', 'upc_e'];
+    }
+
+    // Fields that describe the bottle itself; everyone who scans the code may see them
+    static get SHARED_FIELDS() {
+        return ['name', 'producer', 'type', 'year', 'region', 'grape', 'boldness', 'tannins', 'acidity', 'drinkFrom', 'drinkUntil'];
+    }
+
+    // What someone paid and where only goes into their own table
+    static get PERSONAL_FIELDS() {
+        return [...Barcode.SHARED_FIELDS, 'price', 'store'];
+    }
+
+    static isSupported() {
+        return typeof window !== 'undefined' && 'BarcodeDetector' in window;
+    }
+
+    // "0 12345 67890 5" -> "0012345678905"; null for anything that isn't a valid EAN/UPC.
+    // An 8-digit code is EAN-8 or UPC-E; pass the detected format when it is known
+    static normalize(code, format = null) {
+        let digits = String(code || '').replace(/[\s-]/g, '');
+        if (!/^[0-9]+$/.test(digits) || ![8, 12, 13, 14].includes(digits.length)) return null;
+
+        if (digits.length === 8 && (format === 'upc_e' || (!format && !Barcode.hasValidCheckDigit(digits)))) {
+            digits = Barcode.expandUpcE(digits);
+            if (!digits) return null;
+        }
+        if (!Barcode.hasValidCheckDigit(digits)) return null;
+
+        // UPC-A is an EAN-13 starting with 0, so both scans of a bottle give the same code
+        return digits.length === 12 ? `0${digits}` : digits;
+    }
+
+    // UPC-E is a UPC-A with its zeros left out: "04252614" -> "042100005264"; null if it can't be one
+    static expandUpcE(digits) {
+        if (!/^[01][0-9]{7}$/.test(digits)) return null;
+        const [system, d1, d2, d3, d4, d5, d6, check] = digits;
+        let body;
+        if (d6 <= '2') body = `${d1}${d2}${d6}0000${d3}${d4}${d5}`;
+        else if (d6 === '3') body = `${d1}${d2}${d3}00000${d4}${d5}`;
+        else if (d6 === '4') body = `${d1}${d2}${d3}${d4}00000${d5}`;
+        else body = `${d1}${d2}${d3}${d4}${d5}0000${d6}`;
+        return `${system}${body}${check}`;
+    }
+
+    static hasValidCheckDigit(digits) {
+        let sum = 0;
+        for (let i = digits.length - 2, weight = 3; i >= 0; i--, weight = 4 - weight) {
+            sum += Number(digits[i]) * weight;
+        }
+        return (10 - (sum % 10)) % 10 === Number(digits[digits.length - 1]);
+    }
+
+    // First valid code on the photo, or null (also when the browser can't read barcodes)
+    static async detect(file) {
+        if (!Barcode.isSupported() || !file) return null;
+
+        try {
+            const supported = await window.BarcodeDetector.getSupportedFormats();
+            const formats = Barcode.FORMATS.filter(format => supported.includes(format));
+            if (formats.length === 0) return null;
+
+            const detector = new window.BarcodeDetector({ formats });
+            const bitmap = await createImageBitmap(file);
+            const found = await detector.detect(bitmap);
+            bitmap.close();
+
+            for (const barcode of found) {
+                const code = Barcode.normalize(barcode.rawValue, barcode.format);
+                if (code) return code;
+            }
+        } catch (error) {
+            console.log('Barcode detection failed:', error);
+        }
+        return null;
+    }
+
+    // Lookup table entry for a code; personal entries also remember price and store
+    static entry(wine, userId, personal = false) {
+        const entry = { updatedAt: new Date().toISOString(), updatedBy: userId };
+        (personal ? Barcode.PERSONAL_FIELDS : Barcode.SHARED_FIELDS).forEach(field => {
+            const value = wine[field];
+            if (value !== null && value !== undefined && value !== '') entry[field] = value;
+        });
+        return entry;
+    }
+}
@@ -0,0 +1,598 @@
+// ============================
+// The Cork - Import & Export
+// CSV and JSON backups of the cellar, and turning
+// imported rows into valid wine records
+// ============================
+
+class CellarIO {
+    static get BACKUP_VERSION() {
+        return 1;
+    }
+
+    static get WINE_TYPES() {
+        return ['red', 'white', 'rosé', 'sparkling', 'dessert'];
+    }
+
+    // Columns of the CSV export, in order. `aliases` are header names recognised on import;
+    // the mapping screen names a column by the message key field.{key}
+    static get COLUMNS() {
+        return [
+            { key: 'status', header: 'status', aliases: ['status', 'collection', 'lijst'] },
+            { key: 'name', header: 'name', aliases: ['name', 'naam', 'wine', 'wijn', 'wine name'] },
+            { key: 'producer', header: 'producer', aliases: ['producer', 'producent', 'house', 'huis', 'château', 'domaine', 'winery'] },
+            { key: 'type', header: 'type', aliases: ['type', 'kleur', 'color', 'colour', 'soort'] },
+            { key: 'year', header: 'year', aliases: ['year', 'jaar', 'jaargang', 'vintage', 'oogst'] },
+            { key: 'drinkFrom', header: 'drinkFrom', aliases: ['drinkfrom', 'drinken vanaf', 'drink from', 'vanaf'] },
+            { key: 'drinkUntil', header: 'drinkUntil', aliases: ['drinkuntil', 'drinken tot', 'drink until', 'drink by', 'tot'] },
+            { key: 'region', header: 'region', aliases: ['region', 'regio', 'streek', 'appellation', 'land', 'country'] },
+            { key: 'grape', header: 'grape', aliases: ['grape', 'druif', 'druiven', 'grapes', 'varietal', 'cépage'] },
+            { key: 'boldness', header: 'boldness', aliases: ['boldness', 'body', 'volheid', 'krachtig'] },
+            { key: 'tannins', header: 'tannins', aliases: ['tannins', 'tannine', 'tannines', 'tannin'] },
+            { key: 'acidity', header: 'acidity', aliases: ['acidity', 'zuur', 'zuurgraad', 'frisheid'] },
+            { key: 'price', header: 'price', aliases: ['price', 'prijs', 'cost', 'kosten', 'bedrag'] },
+            { key: 'quantity', header: 'quantity', aliases: ['quantity', 'aantal', 'flessen', 'bottles', 'qty', 'stuks'] },
+            { key: 'store', header: 'store', aliases: ['store', 'winkel', 'shop', 'gekocht bij', 'leverancier'] },
+            { key: 'barcode', header: 'barcode', aliases: ['barcode', 'ean', 'upc', 'gtin', 'streepjescode'] },
+            { key: 'notes', header: 'notes', aliases: ['notes', 'notities', 'opmerkingen', 'tasting notes', 'proefnotities'] },
+            { key: 'addedAt', header: 'addedAt', aliases: ['addedat', 'toegevoegd', 'added', 'datum', 'date'] },
+            { key: 'rating', header: 'rating', aliases: ['rating', 'beoordeling', 'score', 'sterren'] },
+            { key: 'rebuy', header: 'rebuy', aliases: ['rebuy', 'opnieuw kopen', 'herhalen'] },
+            { key: 'archiveNotes', header: 'archiveNotes', aliases: ['archivenotes', 'review', 'recensie'] },
+            { key: 'archivedAt', header: 'archivedAt', aliases: ['archivedat', 'gearchiveerd', 'gedronken'] },
+            { key: 'imageUrl', header: 'imageUrl', aliases: ['imageurl', 'image', 'foto', 'photo'] }
+        ];
+    }
+
+    static get IMAGE_FIELDS() {
+        return ['image', 'imagePath', 'imageUrl', 'thumbnail', 'imageSource'];
+    }
+
+    // ============================
+    // Export
+    // ============================
+
+    static withoutImages(record) {
+        const copy = { ...record };
+        CellarIO.IMAGE_FIELDS.forEach(field => delete copy[field]);
+        if (copy.purchases) {
+            copy.purchases = {};
+            Object.entries(record.purchases).forEach(([id, { receipt, ...lot }]) => {
+                copy.purchases[id] = lot;
+            });
+        }
+        return copy;
+    }
+
+    static toCSV(wines, archive, { includeImages = false } = {}) {
+        const columns = CellarIO.COLUMNS.filter(column => includeImages || column.key !== 'imageUrl');
+        const rows = [
+            ...wines.map(wine => ({ ...wine, status: 'cellar' })),
+            ...archive.map(wine => ({ ...wine, status: 'archive' }))
+        ];
+
+        const lines = [columns.map(column => column.header)];
+        rows.forEach(row => lines.push(columns.map(column => row[column.key])));
+        return lines.map(line => line.map(CellarIO.csvCell).join(',')).join('\r\n');
+    }
+
+    // Text starting with a formula character gets a leading ' so spreadsheets
+    // show it instead of evaluating it (CSV injection)
+    static csvCell(value) {
+        if (value === null || value === undefined) return '';
+        let str = String(value);
+        if (typeof value === 'string' && /^[=+\-@\t\r]/.test(str)) str = `'${str}`;
+        return /[",\r\n;]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+    }
+
+    static toBackup({ wines, archive, locations, consumption, cellarName }, { includeImages = false } = {}) {
+        const strip = (records) => includeImages ? records : records.map(CellarIO.withoutImages);
+        return {
+            app: 'the-cork',
+            version: CellarIO.BACKUP_VERSION,
+            exportedAt: new Date().toISOString(),
+            cellar: cellarName || null,
+            includesImages: includeImages,
+            wines: strip(wines),
+            archive: strip(archive),
+            locations,
+            consumption
+        };
+    }
+
+    // ============================
+    // Import
+    // ============================
+
+    // RFC 4180 CSV; the delimiter is guessed from the header line (Dutch Excel uses ';')
+    static parseCSV(text) {
+        const content = text.replace(/^\uFEFF/, '');
+        const firstLine = content.split(/\r?\n/, 1)[0];
+        const delimiter = [';', '\t', ','].reduce((best, candidate) =>
+            firstLine.split(candidate).length > firstLine.split(best).length ? candidate : best, ',');
+
+        const rows = [];
+        let row = [];
+        let cell = '';
+        let quoted = false;
+
+        for (let i = 0; i < content.length; i++) {
+            const char = content[i];
+            if (quoted) {
+                if (char === '"' && content[i + 1] === '"') {
+                    cell += '"';
+                    i++;
+                } else if (char === '"') {
+                    quoted = false;
+                } else {
+                    cell += char;
+                }
+            } else if (char === '"') {
+                quoted = true;
+            } else if (char === delimiter) {
+                row.push(cell);
+                cell = '';
+            } else if (char === '\n' || char === '\r') {
+                if (char === '\r' && content[i + 1] === '\n') i++;
+                row.push(cell);
+                rows.push(row);
+                row = [];
+                cell = '';
+            } else {
+                cell += char;
+            }
+        }
+        if (cell !== '' || row.length > 0) {
+            row.push(cell);
+            rows.push(row);
+        }
+
+        const nonEmpty = rows.filter(r => r.some(value => value.trim() !== ''));
+        const [headers = [], ...data] = nonEmpty;
+        return { headers: headers.map(header => header.trim()), rows: data };
+    }
+
+    // Best guess of which CSV column holds each wine field: { field: columnIndex }
+    static guessMapping(headers) {
+        const normalized = headers.map(header => CellarIO.normalizeText(header));
+        const mapping = {};
+        CellarIO.COLUMNS.forEach(column => {
+            const index = normalized.findIndex((header, i) =>
+                !Object.values(mapping).includes(i) &&
+                column.aliases.some(alias => header === CellarIO.normalizeText(alias)));
+            if (index !== -1) mapping[column.key] = index;
+        });
+        return mapping;
+    }
+
+    static rowToRecord(row, mapping) {
+        const record = {};
+        Object.entries(mapping).forEach(([field, index]) => {
+            if (index === null || index === undefined || index === '') return;
+            const value = row[index];
+            if (value !== undefined && value.trim() !== '') record[field] = value.trim();
+        });
+        return record;
+    }
+
+    static normalizeText(value) {
+        return String(value || '')
+            .toLowerCase()
+            .normalize('NFD')
+            .replace(/[\u0300-\u036f]/g, '')
+            .replace(/\s+/g, ' ')
+            .trim();
+    }
+
+    static toNumber(value) {
+        if (typeof value === 'number') return Number.isFinite(value) ? value : null;
+        if (typeof value !== 'string') return null;
+        // "€ 1.250,50" and "1,250.50" both mean 1250.5
+        let str = value.replace(/[^\d,.-]/g, '');
+        if (str.includes(',') && str.includes('.')) {
+            str = str.lastIndexOf(',') > str.lastIndexOf('.')
+                ? str.replace(/\./g, '').replace(',', '.')
+                : str.replace(/,/g, '');
+        } else {
+            str = str.replace(',', '.');
+        }
+        const num = parseFloat(str);
+        return Number.isFinite(num) ? num : null;
+    }
+
+    static normalizeType(value) {
+        const str = CellarIO.normalizeText(value);
+        if (!str) return null;
+        const aliases = {
+            red: ['red', 'rood', 'rode', 'rouge', 'rosso', 'tinto'],
+            white: ['white', 'wit', 'witte', 'blanc', 'bianco', 'blanco'],
+            'rosé': ['rose', 'rosado', 'rosato'],
+            sparkling: ['sparkling', 'mousserend', 'bubbels', 'champagne', 'cava', 'prosecco', 'cremant', 'sekt'],
+            dessert: ['dessert', 'zoet', 'sweet', 'port', 'sauternes', 'fortified', 'versterkt']
+        };
+        return Object.keys(aliases).find(type => aliases[type].some(alias => str.includes(alias))) || null;
+    }
+
+    static normalizeDate(value) {
+        if (!value) return null;
+        // 31-12-2023 / 31/12/2023 are day-first here
+        const dayFirst = String(value).match(/^(\d{1,2})[-/.](\d{1,2})[-/.](\d{4})$/);
+        const date = dayFirst
+            ? new Date(Number(dayFirst[3]), Number(dayFirst[2]) - 1, Number(dayFirst[1]), 12)
+            : new Date(value);
+        return Number.isNaN(date.getTime()) ? null : date.toISOString();
+    }
+
+    // Coerce an imported record into the shape WineCellar.handleFormSubmit stores.
+    // Returns { wine, errors, warnings }; a record with errors must not be imported.
+    // Errors and warnings are { key, field, value } with key a message key
+    static normalizeRecord(raw) {
+        const errors = [];
+        const warnings = [];
+        const text = (value, max = 200) => {
+            if (value === null || value === undefined) return null;
+            const str = String(value).trim();
+            return str ? str.substring(0, max) : null;
+        };
+        const scale = (field) => {
+            if (raw[field] === undefined || raw[field] === null || raw[field] === '') return 3;
+            const num = CellarIO.toNumber(String(raw[field]));
+            if (num === null) {
+                warnings.push({ key: 'import.notANumber', field });
+                return 3;
+            }
+            return Math.min(5, Math.max(1, Math.round(num)));
+        };
+        const wholeYear = (field) => {
+            if (!raw[field]) return null;
+            const num = CellarIO.toNumber(String(raw[field]));
+            if (num === null || !Number.isInteger(num) || num < 1900 || num > 2200) {
+                warnings.push({ key: 'import.ignored', field, value: raw[field] });
+                return null;
+            }
+            return num;
+        };
+
+        const name = text(raw.name);
+        if (!name) errors.push({ key: 'import.nameMissing' });
+
+        let type = CellarIO.WINE_TYPES.includes(raw.type) ? raw.type : CellarIO.normalizeType(raw.type);
+        if (!type) {
+            if (raw.type) warnings.push({ key: 'import.unknownType', value: raw.type });
+            type = 'red';
+        }
+
+        const price = raw.price !== undefined && raw.price !== null && raw.price !== ''
+            ? CellarIO.toNumber(String(raw.price))
+            : null;
+        if (raw.price && (price === null || price < 0 || price >= 100000)) warnings.push({ key: 'import.ignored', field: 'price', value: raw.price });
+
+        const quantity = raw.quantity !== undefined && raw.quantity !== '' ? CellarIO.toNumber(String(raw.quantity)) : 1;
+        if (quantity === null || quantity < 1) errors.push({ key: 'import.quantityInvalid', value: raw.quantity });
+
+        let drinkFrom = wholeYear('drinkFrom');
+        let drinkUntil = wholeYear('drinkUntil');
+        if (drinkFrom && drinkUntil && drinkFrom > drinkUntil) [drinkFrom, drinkUntil] = [drinkUntil, drinkFrom];
+
+        const barcode = Barcode.normalize(raw.barcode);
+        if (raw.barcode && !barcode) warnings.push({ key: 'import.ignored', field: 'barcode', value: raw.barcode });
+
+        const year = wholeYear('year');
+        const rating = raw.rating ? Math.round(CellarIO.toNumber(String(raw.rating)) || 0) : null;
+        const rebuy = CellarIO.normalizeText(raw.rebuy);
+        const rebuyValue = { yes: 'yes', ja: 'yes', maybe: 'maybe', misschien: 'maybe', no: 'no', nee: 'no' }[rebuy] || null;
+
+        const wine = {
+            name,
+            producer: text(raw.producer),
+            type,
+            year: year ? String(year) : null,
+            drinkFrom,
+            drinkUntil: drinkUntil || null,
+            region: text(raw.region),
+            grape: text(raw.grape),
+            boldness: scale('boldness'),
+            tannins: scale('tannins'),
+            acidity: scale('acidity'),
+            price: price !== null && price >= 0 && price < 100000 ? Math.round(price * 100) / 100 : null,
+            quantity: quantity !== null && quantity >= 1 ? Math.round(quantity) : 1,
+            store: text(raw.store),
+            barcode,
+            notes: text(raw.notes, 5000),
+            addedAt: CellarIO.normalizeDate(raw.addedAt) || new Date().toISOString(),
+            rating: rating >= 1 && rating <= 5 ? rating : null,
+            rebuy: rebuyValue,
+            archiveNotes: text(raw.archiveNotes, 5000),
+            archivedAt: CellarIO.normalizeDate(raw.archivedAt)
+        };
+        if (wine.drinkFrom && !wine.drinkUntil) {
+            warnings.push({ key: 'import.drinkFromIgnored' });
+            wine.drinkFrom = null;
+        }
+
+        // Photos are only carried over as links (or everything from a JSON backup)
+        CellarIO.IMAGE_FIELDS.forEach(field => {
+            if (raw[field]) wine[field] = raw[field];
+        });
+        if (typeof wine.imageUrl === 'string' && !/^https:\/\//.test(wine.imageUrl)) delete wine.imageUrl;
+
+        const purchases = CellarIO.normalizePurchases(raw.purchases);
+        if (purchases) wine.purchases = purchases;
+
+        return { wine, errors, warnings };
+    }
+
+    // Purchase lots of a JSON backup as a purchases map; lots the database would refuse are left out
+    static normalizePurchases(purchases) {
+        if (!purchases || typeof purchases !== 'object') return null;
+
+        const image = (value, max) => typeof value === 'string' && value.length <= max && /^(data:image\/|https:\/\/)/.test(value);
+        const lots = {};
+        Object.values(purchases).forEach(lot => {
+            if (!lot || typeof lot.id !== 'string' || !/^[^.#$[\]/]+$/.test(lot.id)) return;
+            if (!Number.isInteger(lot.quantity) || lot.quantity < 1) return;
+
+            const entry = { id: lot.id, quantity: lot.quantity };
+            if (/^[0-9]{4}-[0-9]{2}-[0-9]{2}$/.test(lot.date || '')) entry.date = lot.date;
+            if (typeof lot.store === 'string' && lot.store.trim()) entry.store = lot.store.trim().substring(0, 200);
+            if (typeof lot.price === 'number' && lot.price >= 0 && lot.price < 100000) entry.price = lot.price;
+
+            const receipt = {};
+            if (image(lot.receipt?.image, 1500000)) receipt.image = lot.receipt.image;
+            if (image(lot.receipt?.imageUrl, 2000)) receipt.imageUrl = lot.receipt.imageUrl;
+            if (image(lot.receipt?.thumbnail, 60000)) receipt.thumbnail = lot.receipt.thumbnail;
+            if (typeof lot.receipt?.imagePath === 'string' && lot.receipt.imagePath.length <= 500) receipt.imagePath = lot.receipt.imagePath;
+            if (Object.keys(receipt).length > 0) entry.receipt = receipt;
+
+            lots[entry.id] = entry;
+        });
+        return Object.keys(lots).length > 0 ? lots : null;
+    }
+
+    static isArchiveStatus(value) {
+        return ['archive', 'archief', 'archived', 'gearchiveerd', 'gedronken'].includes(CellarIO.normalizeText(value));
+    }
+
+    // Wines are the same when producer, name and vintage match (ignoring case and accents)
+    static duplicateKey(wine) {
+        return [wine.producer, wine.name, wine.year].map(CellarIO.normalizeText).join('|');
+    }
+
+    // Throws an error with code NOT_A_BACKUP or NEWER_BACKUP
+    static validateBackup(data) {
+        const fail = (code, message) => {
+            const error = new Error(message);
+            error.code = code;
+            throw error;
+        };
+        if (!data || data.app !== 'the-cork' || !Array.isArray(data.wines)) {
+            fail('NOT_A_BACKUP', 'Not a backup of The Cork');
+        }
+        if (data.version > CellarIO.BACKUP_VERSION) {
+            fail('NEWER_BACKUP', 'Backup made by a newer version of The Cork');
+        }
+        return data;
+    }
+
+    // ============================
+    // CellarTracker & Vivino
+    // ============================
+
+    static get FORMATS() {
+        return {
+            cellartracker: { label: 'CellarTracker', required: ['iwine', 'wine', 'vintage'] },
+            vivino: { label: 'Vivino', required: ['winery', 'wine name', 'vintage'] }
+        };
+    }
+
+    // 'cellartracker', 'vivino' or null for any other spreadsheet
+    static detectFormat(headers) {
+        const normalized = headers.map(header => CellarIO.normalizeText(header));
+        return Object.keys(CellarIO.FORMATS).find(format =>
+            CellarIO.FORMATS[format].required.every(header => normalized.includes(header))) || null;
+    }
+
+    // Rows of a known export as { raw, target } records for normalizeRecord
+    static convertExport(format, headers, rows) {
+        const objects = rows.map(row => {
+            const object = {};
+            headers.forEach((header, index) => {
+                const value = (row[index] || '').trim();
+                if (value !== '') object[header] = value;
+            });
+            return object;
+        });
+        return format === 'cellartracker' ? CellarIO.fromCellarTracker(objects) : CellarIO.fromVivino(objects);
+    }
+
+    // 100-point scores to the 1-5 stars of the archive
+    static scoreToStars(score) {
+        const num = CellarIO.toNumber(score);
+        if (num === null || num <= 0) return null;
+        if (num <= 5) return Math.max(1, Math.round(num));
+        if (num >= 95) return 5;
+        if (num >= 90) return 4;
+        if (num >= 85) return 3;
+        if (num >= 80) return 2;
+        return 1;
+    }
+
+    static rebuyFromRating(rating) {
+        if (!rating) return null;
+        if (rating >= 4) return 'yes';
+        return rating >= 3 ? 'maybe' : 'no';
+    }
+
+    // Bins like "A3", "3-4", "R3C4" or "3/4" as { row, column }
+    static parseBin(bin) {
+        const str = String(bin || '').trim().toUpperCase();
+        let match = str.match(/^([A-Z])\s*-?\s*(\d{1,3})$/);
+        if (match) return { row: match[1].charCodeAt(0) - 64, column: Number(match[2]) };
+        match = str.match(/^R?\s*(\d{1,3})\s*(?:[-/.,:]|C|\s)\s*(\d{1,3})$/);
+        if (match) return { row: Number(match[1]), column: Number(match[2]) };
+        return null;
+    }
+
+    // Leftover columns end up in the notes so nothing from the export is lost
+    static appendExtras(notes, source, object, used) {
+        const extras = Object.entries(object)
+            .filter(([header]) => !used.includes(header))
+            .map(([header, value]) => `${header}: ${value}`);
+        if (extras.length === 0) return notes || null;
+        return [notes, `Overige gegevens (${source}):\n${extras.join('\n')}`].filter(Boolean).join('\n\n');
+    }
+
+    static joinParts(...parts) {
+        const unique = [];
+        parts.filter(Boolean).forEach(part => {
+            if (!unique.some(existing => CellarIO.normalizeText(existing) === CellarIO.normalizeText(part))) unique.push(part);
+        });
+        return unique.join(', ') || null;
+    }
+
+    // CellarTracker writes dates month first (1/31/2023)
+    static cellarTrackerDate(value) {
+        const match = String(value || '').match(/^(\d{1,2})\/(\d{1,2})\/(\d{4})$/);
+        if (!match) return CellarIO.normalizeDate(value);
+        return new Date(Number(match[3]), Number(match[1]) - 1, Number(match[2]), 12).toISOString();
+    }
+
+    // "My Cellar" / bottle list exports have one row per wine or per bottle; the "Consumed"
+    // export lists opened bottles, which become archive entries
+    static fromCellarTracker(objects) {
+        const used = [
+            'iWine', 'Wine', 'Producer', 'Vintage', 'Color', 'Category', 'Type', 'Varietal', 'MasterVarietal',
+            'Country', 'Region', 'SubRegion', 'Appellation', 'BeginConsume', 'EndConsume', 'PScore', 'MY',
+            'Price', 'Quantity', 'Location', 'Bin', 'Store', 'PurchaseDate', 'BottleNote', 'Consumed',
+            'ConsumptionNote', 'TastingNotes', 'iInventory'
+        ];
+        const wines = new Map();
+        const archive = [];
+
+        objects.forEach(object => {
+            const producer = object.Producer || null;
+            const vintage = object.Vintage && object.Vintage !== '1001' ? object.Vintage : null; // 1001 is NV
+            // The Wine column repeats the producer in front of the actual name
+            let name = object.Wine || null;
+            if (name && producer && name.toLowerCase().startsWith(producer.toLowerCase() + ' ')) {
+                name = name.substring(producer.length + 1);
+            }
+
+            const category = CellarIO.normalizeText(object.Category);
+            let type = object.Color;
+            if (category.includes('sparkling')) type = 'sparkling';
+            else if (category.includes('sweet') || category.includes('dessert') || category.includes('fortified')) type = 'dessert';
+
+            const rating = CellarIO.scoreToStars(object.PScore || object.MY);
+            const raw = {
+                name,
+                producer,
+                type,
+                year: vintage,
+                region: CellarIO.joinParts(object.Appellation || object.SubRegion, object.Region, object.Country),
+                grape: object.Varietal || object.MasterVarietal || null,
+                drinkFrom: object.BeginConsume || null,
+                drinkUntil: object.EndConsume || null,
+                price: object.Price || null,
+                store: object.Store || null,
+                addedAt: CellarIO.cellarTrackerDate(object.PurchaseDate),
+                rating,
+                rebuy: CellarIO.rebuyFromRating(rating)
+            };
+
+            if (object.Consumed) {
+                archive.push({
+                    raw: {
+                        ...raw,
+                        notes: CellarIO.appendExtras(object.TastingNotes || object.BottleNote, 'CellarTracker', object, used),
+                        archiveNotes: object.ConsumptionNote || null,
+                        archivedAt: CellarIO.cellarTrackerDate(object.Consumed)
+                    },
+                    target: 'archive'
+                });
+                return;
+            }
+
+            // Bottles of the same wine are grouped, each adding to its location
+            const key = object.iWine || CellarIO.duplicateKey(raw);
+            const quantity = Math.max(1, Math.round(CellarIO.toNumber(object.Quantity) || 1));
+            let entry = wines.get(key);
+            if (!entry) {
+                // Scores only exist on archive entries, so a cellar wine keeps them in its notes
+                const cellarUsed = used.filter(header => header !== 'PScore' && header !== 'MY');
+                entry = {
+                    ...raw,
+                    quantity: 0,
+                    notes: CellarIO.appendExtras(object.BottleNote || object.TastingNotes, 'CellarTracker', object, cellarUsed),
+                    bottleLocations: []
+                };
+                wines.set(key, entry);
+            }
+            entry.quantity += quantity;
+
+            if (object.Location) {
+                const bin = CellarIO.parseBin(object.Bin);
+                const existing = entry.bottleLocations.find(l => l.name === object.Location);
+                if (existing) {
+                    existing.count += quantity;
+                } else {
+                    entry.bottleLocations.push({ name: object.Location, count: quantity, ...bin });
+                }
+                // One bin per location fits in a wine record, any other bins are noted
+                const binUsed = existing && bin && (existing.row !== bin.row || existing.column !== bin.column);
+                if (object.Bin && (!bin || binUsed)) {
+                    entry.notes = [entry.notes, `Vak: ${object.Location} ${object.Bin}`].filter(Boolean).join('\n');
+                }
+            }
+        });
+
+        return [
+            ...Array.from(wines.values()).map(raw => ({ raw, target: 'wines' })),
+            ...archive
+        ];
+    }
+
+    // Vivino's data export: full_wine_list.csv holds every scanned or rated wine (archive),
+    // cellar.csv the bottles in the Vivino cellar
+    static fromVivino(objects) {
+        const used = [
+            'Winery', 'Wine name', 'Vintage', 'Region', 'Country', 'Wine type', 'Personal Note',
+            'Drinking Window', 'Scan date', 'Label image', 'User cellar count'
+        ];
+
+        return objects.map(object => {
+            const rating = CellarIO.scoreToStars(object['Your rating']);
+            const window = String(object['Drinking Window'] || '').match(/\d{4}/g) || [];
+            const scanned = CellarIO.normalizeDate(String(object['Scan date'] || '').replace(' ', 'T'));
+            const inCellar = CellarIO.toNumber(object['User cellar count']) > 0;
+
+            // A rating or review of a wine that is still in the cellar stays in its notes
+            const notesUsed = inCellar ? used : [...used, 'Your rating', 'Your review'];
+            const raw = {
+                name: object['Wine name'] || null,
+                producer: object.Winery || null,
+                type: object['Wine type'] || null,
+                year: /^\d{4}$/.test(object.Vintage || '') ? object.Vintage : null,
+                region: CellarIO.joinParts(object.Region, object.Country),
+                drinkFrom: window[0] || null,
+                drinkUntil: window[1] || window[0] || null,
+                notes: CellarIO.appendExtras(object['Personal Note'], 'Vivino', object, notesUsed),
+                addedAt: scanned,
+                imageUrl: object['Label image'] || null
+            };
+
+            if (inCellar) {
+                return { raw: { ...raw, quantity: object['User cellar count'] }, target: 'wines' };
+            }
+            return {
+                raw: {
+                    ...raw,
+                    rating,
+                    rebuy: CellarIO.rebuyFromRating(rating),
+                    archiveNotes: object['Your review'] || null,
+                    archivedAt: scanned
+                },
+                target: 'archive'
+            };
+        });
+    }
+}
@@ -22,7 +22,9 @@ const CONFIG = {
     // ============================
     FUNCTIONS: {
         analyzeWineLabel: "https://europe-west1-the-cork-claude.cloudfunctions.net/analyzeWineLabel",
+        analyzeReceipt: "https://europe-west1-the-cork-claude.cloudfunctions.net/analyzeReceipt",
         searchWineImage: "https://europe-west1-the-cork-claude.cloudfunctions.net/searchWineImage",
+        pairFood: "https://europe-west1-the-cork-claude.cloudfunctions.net/pairFood",
         health: "https://europe-west1-the-cork-claude.cloudfunctions.net/health"
     }
 };
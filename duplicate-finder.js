@@ -0,0 +1,104 @@
+// ============================
+// The Cork - Duplicate Finder
+// Recognizes the same wine written in different ways
+// ("Ch. Margaux" / "Château Margaux", typos from the AI)
+// ============================
+
+class DuplicateFinder {
+    // Scores from this value on are treated as the same wine
+    static get THRESHOLD() {
+        return 0.8;
+    }
+
+    // Words on a label that say nothing about which wine it is
+    static get NOISE_WORDS() {
+        return [
+            'chateau', 'ch', 'domaine', 'dom', 'weingut', 'tenuta', 'bodega', 'bodegas', 'cantina',
+            'azienda', 'agricola', 'quinta', 'clos', 'maison', 'winery', 'wines', 'wine', 'estate',
+            'vineyards', 'vin', 'vino', 'wijn', 'the', 'de', 'du', 'des', 'la', 'le', 'les', 'di', 'del', 'della'
+        ];
+    }
+
+    // A name made only of noise words ("Clos du Château") keeps all its words
+    static words(text) {
+        const words = SearchIndex.tokenize(text);
+        const meaningful = words.filter(word => !DuplicateFinder.NOISE_WORDS.includes(word));
+        return meaningful.length > 0 ? meaningful : words;
+    }
+
+    static sameWord(a, b) {
+        if (a === b) return true;
+        const max = SearchIndex.tolerance(Math.min(a.length, b.length));
+        return max > 0 && SearchIndex.distance(a, b, max) <= max;
+    }
+
+    // 0-1: the share of words (allowing typos) found in the other text, for the text that
+    // matches worst, so "Reserva" is not the same as "Gran Reserva"
+    static similarity(a, b) {
+        const wordsA = DuplicateFinder.words(a);
+        const wordsB = DuplicateFinder.words(b);
+        if (wordsA.length === 0 && wordsB.length === 0) return 1;
+        if (wordsA.length === 0 || wordsB.length === 0) return 0;
+
+        const found = (words, other) => words.filter(word => other.some(candidate => DuplicateFinder.sameWord(word, candidate))).length;
+        return Math.min(found(wordsA, wordsB) / wordsA.length, found(wordsB, wordsA) / wordsB.length);
+    }
+
+    static vintage(wine) {
+        return parseInt(wine.year, 10) || null;
+    }
+
+    // 0-1 how sure we are that a and b are the same wine; 0 below THRESHOLD
+    static score(a, b) {
+        if (a.barcode && b.barcode) {
+            return a.barcode === b.barcode && DuplicateFinder.vintage(a) === DuplicateFinder.vintage(b) ? 1 : 0;
+        }
+        if (a.type && b.type && a.type !== b.type) return 0;
+        if (DuplicateFinder.vintage(a) !== DuplicateFinder.vintage(b)) return 0;
+
+        const name = DuplicateFinder.similarity(a.name, b.name);
+        const separate = a.producer && b.producer
+            ? (name + DuplicateFinder.similarity(a.producer, b.producer)) / 2
+            : name;
+        // The AI sometimes puts the producer in the name: "Château Margaux Grand Vin"
+        const combined = DuplicateFinder.similarity(
+            [a.producer, a.name].filter(Boolean).join(' '),
+            [b.producer, b.name].filter(Boolean).join(' ')
+        );
+
+        const score = Math.max(separate, combined);
+        return score >= DuplicateFinder.THRESHOLD ? score : 0;
+    }
+
+    // Records that are probably the same wine, as [{ record, score }], best first
+    static matches(wine, records) {
+        return records
+            .filter(record => record.id !== wine.id)
+            .map(record => ({ record, score: DuplicateFinder.score(wine, record) }))
+            .filter(match => match.score > 0)
+            .sort((a, b) => b.score - a.score);
+    }
+
+    // Groups of two or more records that are the same wine, oldest record first
+    static groups(records) {
+        const parent = records.map((_, index) => index);
+        const find = (index) => (parent[index] === index ? index : (parent[index] = find(parent[index])));
+
+        for (let i = 0; i < records.length; i++) {
+            for (let j = i + 1; j < records.length; j++) {
+                if (DuplicateFinder.score(records[i], records[j]) > 0) parent[find(j)] = find(i);
+            }
+        }
+
+        const groups = new Map();
+        records.forEach((record, index) => {
+            const root = find(index);
+            if (!groups.has(root)) groups.set(root, []);
+            groups.get(root).push(record);
+        });
+
+        return Array.from(groups.values())
+            .filter(group => group.length > 1)
+            .map(group => group.sort((a, b) => (a.addedAt || '').localeCompare(b.addedAt || '')));
+    }
+}
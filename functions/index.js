@@ -1,6 +1,18 @@
 const functions = require('firebase-functions');
 const admin = require('firebase-admin');
 const { OpenAI } = require('openai');
+const sharp = require('sharp');
+const {
+    cleanString,
+    clampScale,
+    normalizeType,
+    normalizeYear,
+    normalizeWineData,
+    normalizeReceiptDate,
+    normalizeReceiptItem,
+    PAIRING_MAX_RESULTS,
+    normalizePairings
+} = require('./normalize');
 
 admin.initializeApp();
 
@@ -32,6 +44,95 @@ const verifyAuth = async (req, res) => {
 // ================================
 // OpenAI Vision API - Analyze Wine Label
 // ================================
+
+// A photo of a mixed case is cut off at this many wines
+const LABEL_MAX_WINES = 12;
+
+// The fields asked for every wine on the photo
+const LABEL_WINE_SCHEMA = `{
+    "name": "wine name",
+    "producer": "producer/house name",
+    "year": year as number or null,
+    "region": "region, country",
+    "grape": "grape variety/varieties",
+    "type": "red/white/rosé/sparkling/dessert",
+    "characteristics": {
+        "boldness": 1-5,
+        "tannins": 1-5,
+        "acidity": 1-5
+    },
+    "notes": "brief tasting notes or description",
+    "estimatedPrice": "estimated price range in euros",
+    "drinkFrom": first year the wine is ready to drink, as number,
+    "drinkUntil": last year before the wine is past its peak, as number,
+    "confidence": {
+        "name": 0-1, "producer": 0-1, "type": 0-1, "year": 0-1, "region": 0-1, "grape": 0-1,
+        "boldness": 0-1, "tannins": 0-1, "acidity": 0-1, "price": 0-1, "notes": 0-1,
+        "drinkFrom": 0-1, "drinkUntil": 0-1
+    }
+}`;
+
+// Languages of the app's interface; tasting notes and advice are written in the user's one
+const NOTE_LANGUAGES = { nl: 'Dutch', en: 'English' };
+
+// The language name for a request's language code, Dutch for anything unknown
+const noteLanguage = (language) => NOTE_LANGUAGES[language] || NOTE_LANGUAGES.nl;
+
+const labelInstructions = (language) => `If you cannot determine a value, use null. For type, make your best guess based on the wine name/region.
+Suggest the drinking window from the vintage, region, grape and style (e.g. a young Barolo needs years, a Provence rosé should be drunk within two years).
+For confidence, use 1 for values printed on the label and lower values for values you inferred.
+Write the tasting notes in ${noteLanguage(language)}; keep names, regions and grapes as printed on the label.
+Only respond with the JSON, no other text.`;
+
+const labelPrompt = (multiple, language) => multiple
+    ? `This photo can show several wine bottles. Analyze every readable label and extract the following information in JSON format:
+{
+    "wines": [
+        one object per distinct wine (at most ${LABEL_MAX_WINES}), each shaped like
+        ${LABEL_WINE_SCHEMA.replace(/\n/g, '\n        ')}
+    ]
+}
+
+Identical bottles (same producer, name and vintage) are one wine with an extra field "bottles": the number of bottles.
+${labelInstructions(language)}`
+    : `Analyze this wine label image and extract the following information in JSON format:
+${LABEL_WINE_SCHEMA}
+
+${labelInstructions(language)}`;
+
+// Ask gpt-4o about a photo; returns the text of the answer
+const askVision = async (openai, prompt, imageBase64, maxTokens) => {
+    const response = await openai.chat.completions.create({
+        model: "gpt-4o",
+        messages: [
+            {
+                role: "user",
+                content: [
+                    {
+                        type: "text",
+                        text: prompt
+                    },
+                    {
+                        type: "image_url",
+                        image_url: {
+                            url: imageBase64.startsWith('data:') ? imageBase64 : `data:image/jpeg;base64,${imageBase64}`
+                        }
+                    }
+                ]
+            }
+        ],
+        max_tokens: maxTokens
+    });
+
+    return response.choices[0].message.content;
+};
+
+// The JSON object in an answer, also when the model wrapped it in text or a code block
+const parseJsonAnswer = (content) => {
+    const jsonMatch = content.match(/\{[\s\S]*\}/);
+    return JSON.parse(jsonMatch ? jsonMatch[0] : content);
+};
+
 exports.analyzeWineLabel = functions.https.onRequest(async (req, res) => {
     // CORS headers
     res.set('Access-Control-Allow-Origin', '*');
@@ -59,83 +160,182 @@ exports.analyzeWineLabel = functions.https.onRequest(async (req, res) => {
     }
 
     try {
-        const { imageBase64 } = req.body;
+        // multiple: the photo shows several bottles, answer with a list of wines;
+        // language: 'nl' or 'en', the language of the tasting notes
+        const { imageBase64, multiple, language } = req.body;
         if (!imageBase64) {
             res.status(400).json({ error: 'No image provided' });
             return;
         }
 
         const openai = new OpenAI({ apiKey: openaiKey });
+        const content = await askVision(openai, labelPrompt(multiple, language), imageBase64, multiple ? 4000 : 1000);
 
-        const response = await openai.chat.completions.create({
-            model: "gpt-4o",
-            messages: [
-                {
-                    role: "user",
-                    content: [
-                        {
-                            type: "text",
-                            text: `Analyze this wine label image and extract the following information in JSON format:
+        // Parse JSON from response
+        let wineData;
+        try {
+            wineData = parseJsonAnswer(content);
+        } catch (parseError) {
+            console.error('JSON parse error:', parseError);
+            res.status(500).json({ error: 'Failed to parse wine data', raw: content });
+            return;
+        }
+
+        if (multiple) {
+            const found = Array.isArray(wineData.wines) ? wineData.wines : [wineData];
+            const wines = found.slice(0, LABEL_MAX_WINES).map(raw => ({
+                ...normalizeWineData(raw),
+                bottles: Math.min(99, Math.max(1, parseInt(raw?.bottles, 10) || 1))
+            }));
+            res.json({ success: true, wines: wines.filter(wine => wine.data.name || wine.data.producer) });
+            return;
+        }
+
+        const { data, confidence } = normalizeWineData(wineData);
+        res.json({ success: true, data, confidence });
+
+    } catch (error) {
+        console.error('OpenAI error:', error);
+        res.status(500).json({ error: 'Failed to analyze image', message: error.message });
+    }
+});
+
+// ================================
+// OpenAI Vision API - Analyze Receipt
+// ================================
+
+// Lines of a receipt after this many are left out
+const RECEIPT_MAX_ITEMS = 20;
+
+const receiptPrompt = (language) => `This photo shows a receipt from a wine shop or supermarket. Extract the wines that were bought in JSON format:
 {
-    "name": "wine name",
-    "producer": "producer/house name",
-    "year": year as number or null,
-    "region": "region, country",
-    "grape": "grape variety/varieties",
-    "type": "red/white/rosé/sparkling/dessert",
-    "characteristics": {
-        "boldness": 1-5,
-        "tannins": 1-5,
-        "acidity": 1-5
-    },
-    "notes": "brief tasting notes or description",
-    "estimatedPrice": "estimated price range in euros"
+    "store": "name of the shop as printed on the receipt",
+    "date": "purchase date as YYYY-MM-DD",
+    "items": [
+        one object per wine line (at most ${RECEIPT_MAX_ITEMS}), each shaped like
+        ${LABEL_WINE_SCHEMA.replace(/\n/g, '\n        ')}
+        with two extra fields:
+        "quantity": number of bottles on this line,
+        "unitPrice": price paid per bottle in euros, after discounts on that line
+    ]
 }
 
-If you cannot determine a value, use null. For type, make your best guess based on the wine name/region.
-Only respond with the JSON, no other text.`
-                        },
-                        {
-                            type: "image_url",
-                            image_url: {
-                                url: imageBase64.startsWith('data:') ? imageBase64 : `data:image/jpeg;base64,${imageBase64}`
-                            }
-                        }
-                    ]
-                }
-            ],
-            max_tokens: 1000
-        });
+Leave out everything that is not wine: bags, deposits, food, discounts on the whole receipt and totals.
+Receipt lines are abbreviated ("CH MARGAUX 15 75CL"): write out the wine name and producer in full when you recognize them.
+Use the prices printed on the receipt, never estimates; use null for estimatedPrice.
+${labelInstructions(language)}`;
 
-        const content = response.choices[0].message.content;
+exports.analyzeReceipt = functions.https.onRequest(async (req, res) => {
+    // CORS headers
+    res.set('Access-Control-Allow-Origin', '*');
+    res.set('Access-Control-Allow-Methods', 'POST, OPTIONS');
+    res.set('Access-Control-Allow-Headers', 'Content-Type, Authorization');
 
-        // Parse JSON from response
-        let wineData;
+    if (req.method === 'OPTIONS') {
+        res.status(204).send('');
+        return;
+    }
+
+    if (req.method !== 'POST') {
+        res.status(405).json({ error: 'Method not allowed' });
+        return;
+    }
+
+    // Verify user is authenticated
+    const user = await verifyAuth(req, res);
+    if (!user) return;
+
+    const openaiKey = getOpenAIKey();
+    if (!openaiKey) {
+        res.status(500).json({ error: 'OpenAI API not configured' });
+        return;
+    }
+
+    try {
+        const { imageBase64, language } = req.body;
+        if (!imageBase64) {
+            res.status(400).json({ error: 'No image provided' });
+            return;
+        }
+
+        const openai = new OpenAI({ apiKey: openaiKey });
+        const content = await askVision(openai, receiptPrompt(language), imageBase64, 6000);
+
+        let receipt;
         try {
-            // Try to extract JSON from the response
-            const jsonMatch = content.match(/\{[\s\S]*\}/);
-            if (jsonMatch) {
-                wineData = JSON.parse(jsonMatch[0]);
-            } else {
-                wineData = JSON.parse(content);
-            }
+            receipt = parseJsonAnswer(content);
         } catch (parseError) {
             console.error('JSON parse error:', parseError);
-            res.status(500).json({ error: 'Failed to parse wine data', raw: content });
+            res.status(500).json({ error: 'Failed to parse receipt', raw: content });
             return;
         }
 
-        res.json({ success: true, data: wineData });
+        const items = (Array.isArray(receipt.items) ? receipt.items : [])
+            .slice(0, RECEIPT_MAX_ITEMS)
+            .map(normalizeReceiptItem)
+            .filter(item => item.data.name || item.data.producer);
+
+        res.json({
+            success: true,
+            store: cleanString(receipt.store),
+            date: normalizeReceiptDate(receipt.date),
+            items
+        });
 
     } catch (error) {
         console.error('OpenAI error:', error);
-        res.status(500).json({ error: 'Failed to analyze image', message: error.message });
+        res.status(500).json({ error: 'Failed to analyze receipt', message: error.message });
     }
 });
 
 // ================================
 // Google Image Search - Find Wine Image
 // ================================
+
+// Match the client's compressImage output: max 800px, JPEG quality 0.7
+const IMAGE_MAX_SIZE = 800;
+const IMAGE_QUALITY = 70;
+const IMAGE_CANDIDATES = 4;
+const IMAGE_FETCH_TIMEOUT = 8000;
+const IMAGE_MAX_BYTES = 8 * 1024 * 1024;
+
+// Download one search result and turn it into a resized JPEG data URL.
+// Returns null for anything that is unreachable, too large or not an image.
+const fetchImageAsJpeg = async (url) => {
+    const controller = new AbortController();
+    const timeout = setTimeout(() => controller.abort(), IMAGE_FETCH_TIMEOUT);
+
+    try {
+        const response = await fetch(url, {
+            signal: controller.signal,
+            headers: { 'User-Agent': 'TheCork/2.0 (+https://the-cork-claude.web.app)' }
+        });
+        if (!response.ok) return null;
+
+        const contentType = response.headers.get('content-type') || '';
+        if (!contentType.startsWith('image/')) return null;
+
+        const contentLength = parseInt(response.headers.get('content-length'), 10);
+        if (contentLength > IMAGE_MAX_BYTES) return null;
+
+        const buffer = Buffer.from(await response.arrayBuffer());
+        if (buffer.length === 0 || buffer.length > IMAGE_MAX_BYTES) return null;
+
+        const jpeg = await sharp(buffer)
+            .rotate()
+            .resize(IMAGE_MAX_SIZE, IMAGE_MAX_SIZE, { fit: 'inside', withoutEnlargement: true })
+            .flatten({ background: '#ffffff' })
+            .jpeg({ quality: IMAGE_QUALITY })
+            .toBuffer();
+
+        return `data:image/jpeg;base64,${jpeg.toString('base64')}`;
+    } catch (error) {
+        console.log('Skipping image candidate:', url, error.message);
+        return null;
+    } finally {
+        clearTimeout(timeout);
+    }
+};
 exports.searchWineImage = functions.https.onRequest(async (req, res) => {
     // CORS headers
     res.set('Access-Control-Allow-Origin', '*');
@@ -161,7 +361,7 @@ exports.searchWineImage = functions.https.onRequest(async (req, res) => {
 
     if (!googleApiKey || !googleCx) {
         // Return null image - the app will use the user's photo instead
-        res.json({ success: true, imageUrl: null, message: 'Google Image Search not configured' });
+        res.json({ success: true, imageBase64: null, message: 'Google Image Search not configured' });
         return;
     }
 
@@ -173,23 +373,264 @@ exports.searchWineImage = functions.https.onRequest(async (req, res) => {
         }
 
         const searchQuery = `${query} wine bottle`;
-        const url = `https://www.googleapis.com/customsearch/v1?key=${googleApiKey}&cx=${googleCx}&q=${encodeURIComponent(searchQuery)}&searchType=image&num=1&imgType=photo`;
+        const url = `https://www.googleapis.com/customsearch/v1?key=${googleApiKey}&cx=${googleCx}&q=${encodeURIComponent(searchQuery)}&searchType=image&num=${IMAGE_CANDIDATES}&imgType=photo`;
 
         const response = await fetch(url);
         const data = await response.json();
 
-        if (data.items && data.items.length > 0) {
-            res.json({ success: true, imageUrl: data.items[0].link });
-        } else {
-            res.json({ success: true, imageUrl: null, message: 'No images found' });
+        // Try the results in order and return the first one that is a usable image
+        for (const item of data.items || []) {
+            const imageBase64 = await fetchImageAsJpeg(item.link);
+            if (!imageBase64) continue;
+
+            res.json({
+                success: true,
+                imageBase64,
+                source: {
+                    imageUrl: item.link,
+                    pageUrl: item.image?.contextLink || null,
+                    title: item.title || null,
+                    site: item.displayLink || null
+                }
+            });
+            return;
         }
 
+        res.json({ success: true, imageBase64: null, message: 'No images found' });
+
     } catch (error) {
         console.error('Google search error:', error);
         res.status(500).json({ error: 'Failed to search images', message: error.message });
     }
 });
 
+// ================================
+// Food pairing
+// ================================
+
+const PAIRING_MAX_WINES = 300;
+
+// Only the fields that matter for a pairing are sent to OpenAI
+const pairingWine = (wine) => ({
+    id: cleanString(wine.id, 100),
+    name: cleanString(wine.name),
+    producer: cleanString(wine.producer),
+    type: normalizeType(wine.type).value,
+    year: normalizeYear(wine.year).value,
+    grape: cleanString(wine.grape),
+    region: cleanString(wine.region),
+    boldness: clampScale(wine.boldness).value,
+    tannins: clampScale(wine.tannins).value,
+    acidity: clampScale(wine.acidity).value
+});
+
+exports.pairFood = functions.https.onRequest(async (req, res) => {
+    // CORS headers
+    res.set('Access-Control-Allow-Origin', '*');
+    res.set('Access-Control-Allow-Methods', 'POST, OPTIONS');
+    res.set('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+
+    if (req.method === 'OPTIONS') {
+        res.status(204).send('');
+        return;
+    }
+
+    if (req.method !== 'POST') {
+        res.status(405).json({ error: 'Method not allowed' });
+        return;
+    }
+
+    // Verify user is authenticated
+    const user = await verifyAuth(req, res);
+    if (!user) return;
+
+    const openaiKey = getOpenAIKey();
+    if (!openaiKey) {
+        res.status(500).json({ error: 'OpenAI API not configured' });
+        return;
+    }
+
+    try {
+        const dish = cleanString(req.body.dish, 500);
+        if (!dish) {
+            res.status(400).json({ error: 'No dish provided' });
+            return;
+        }
+
+        const wines = (Array.isArray(req.body.wines) ? req.body.wines : [])
+            .slice(0, PAIRING_MAX_WINES)
+            .map(pairingWine)
+            .filter(wine => wine.id && wine.name);
+        if (wines.length === 0) {
+            res.status(400).json({ error: 'No wines provided' });
+            return;
+        }
+
+        const openai = new OpenAI({ apiKey: openaiKey });
+
+        const response = await openai.chat.completions.create({
+            model: "gpt-4o",
+            response_format: { type: "json_object" },
+            messages: [
+                {
+                    role: "system",
+                    content: `You are a sommelier who picks bottles from the user's own cellar to go with a dish.
+Only choose wines from the list you are given and refer to them by their id.
+Respond in JSON:
+{
+    "pairings": [
+        { "id": "wine id from the list", "score": 0-100 for how well it pairs, "reason": "one or two sentences why" }
+    ],
+    "advice": "one sentence on the style of wine that suits the dish best, also if none of the wines fits"
+}
+Return at most ${PAIRING_MAX_RESULTS} pairings, best first, and leave out wines that clash with the dish.
+Write the reasons and advice in ${noteLanguage(req.body.language)}.`
+                },
+                {
+                    role: "user",
+                    content: `Dish: ${dish}\n\nWines in my cellar:\n${JSON.stringify(wines)}`
+                }
+            ],
+            max_tokens: 800
+        });
+
+        const content = response.choices[0].message.content;
+
+        let result;
+        try {
+            result = JSON.parse(content);
+        } catch (parseError) {
+            console.error('JSON parse error:', parseError);
+            res.status(500).json({ error: 'Failed to parse pairings', raw: content });
+            return;
+        }
+
+        const wineIds = new Set(wines.map(wine => wine.id));
+        res.json({
+            success: true,
+            dish,
+            pairings: normalizePairings(result.pairings, wineIds),
+            advice: cleanString(result.advice, 300)
+        });
+
+    } catch (error) {
+        console.error('OpenAI error:', error);
+        res.status(500).json({ error: 'Failed to pair wines', message: error.message });
+    }
+});
+
+// ================================
+// Drinking window alerts (daily)
+// ================================
+
+const DRINK_WINDOW_CONCURRENCY = 20;
+
+// Same rules as WineCellar.drinkWindowStatus: the window runs from 1 January of
+// drinkFrom through 31 December of drinkUntil, and its last year is "drink soon"
+const drinkWindowStatus = (wine, year) => {
+    if (!wine || !wine.drinkUntil) return null;
+    if (year > wine.drinkUntil) return 'past';
+    if (wine.drinkFrom && year < wine.drinkFrom) return 'hold';
+    if (year === wine.drinkUntil) return 'soon';
+    return 'ready';
+};
+
+// Compare each wine's status with the one stored on the previous run and
+// return the wines that changed. Wines seen for the first time are only recorded.
+const checkDrinkWindows = async (root, year) => {
+    const db = admin.database();
+    const [winesSnapshot, stateSnapshot] = await Promise.all([
+        db.ref(`${root}/wines`).once('value'),
+        db.ref(`${root}/drinkWindowState`).once('value')
+    ]);
+
+    const previous = stateSnapshot.val() || {};
+    const state = {};
+    const changes = [];
+
+    Object.values(winesSnapshot.val() || {}).forEach(wine => {
+        const status = drinkWindowStatus(wine, year);
+        if (!status) return;
+        state[wine.id] = status;
+        if (previous[wine.id] && previous[wine.id] !== status) {
+            changes.push({ wineId: wine.id, wineName: wine.name, year: wine.year || null, status });
+        }
+    });
+
+    await db.ref(`${root}/drinkWindowState`).set(state);
+    return changes;
+};
+
+const notifyDrinkWindowChanges = (userIds, cellarId, changes) => {
+    if (changes.length === 0) return Promise.resolve();
+
+    const createdAt = new Date().toISOString();
+    const updates = {};
+    userIds.forEach(uid => {
+        changes.forEach(change => {
+            const key = admin.database().ref(`users/${uid}/notifications`).push().key;
+            updates[`users/${uid}/notifications/${key}`] = {
+                type: 'drinkWindow',
+                cellarId,
+                ...change,
+                createdAt,
+                read: false
+            };
+        });
+    });
+    return admin.database().ref().update(updates);
+};
+
+// Run worker over items, at most DRINK_WINDOW_CONCURRENCY at a time
+const inBatches = async (items, worker) => {
+    for (let i = 0; i < items.length; i += DRINK_WINDOW_CONCURRENCY) {
+        await Promise.all(items.slice(i, i + DRINK_WINDOW_CONCURRENCY).map(worker));
+    }
+};
+
+exports.drinkWindowAlerts = functions
+    .runWith({ timeoutSeconds: 540 })
+    .pubsub
+    .schedule('every day 08:00')
+    .timeZone('Europe/Amsterdam')
+    .onRun(async () => {
+        const year = new Date().getFullYear();
+        const sharedCellars = new Set();
+        let pageToken;
+        let notified = 0;
+
+        do {
+            const page = await admin.auth().listUsers(1000, pageToken);
+            await inBatches(page.users, async (user) => {
+                try {
+                    const changes = await checkDrinkWindows(`users/${user.uid}`, year);
+                    await notifyDrinkWindowChanges([user.uid], 'personal', changes);
+                    notified += changes.length;
+
+                    const cellars = (await admin.database().ref(`users/${user.uid}/cellars`).once('value')).val() || {};
+                    Object.keys(cellars).forEach(cellarId => sharedCellars.add(cellarId));
+                } catch (error) {
+                    console.error('Drink window check failed for user', user.uid, error);
+                }
+            });
+            pageToken = page.pageToken;
+        } while (pageToken);
+
+        await inBatches([...sharedCellars], async (cellarId) => {
+            try {
+                const changes = await checkDrinkWindows(`cellars/${cellarId}`, year);
+                const members = (await admin.database().ref(`cellars/${cellarId}/members`).once('value')).val() || {};
+                await notifyDrinkWindowChanges(Object.keys(members), cellarId, changes);
+                notified += changes.length;
+            } catch (error) {
+                console.error('Drink window check failed for cellar', cellarId, error);
+            }
+        });
+
+        console.log(`Drink window alerts: ${notified} change(s) notified`);
+        return null;
+    });
+
 // ================================
 // Health check endpoint
 // ================================
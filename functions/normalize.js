@@ -0,0 +1,270 @@
+// ================================
+// Wine data normalization
+// Coerces OpenAI responses into the shapes the app stores
+// ================================
+
+// Wine types the cellar knows about (must match the <select id="wineType"> options)
+const WINE_TYPES = ['red', 'white', 'rosé', 'sparkling', 'dessert'];
+
+// Common spellings the model (or a label) may use for each type
+const WINE_TYPE_ALIASES = {
+    red: 'red', rood: 'red', rouge: 'red', rosso: 'red', tinto: 'red',
+    white: 'white', wit: 'white', blanc: 'white', bianco: 'white', blanco: 'white',
+    'rosé': 'rosé', rose: 'rosé', 'rosado': 'rosé', 'rosato': 'rosé',
+    sparkling: 'sparkling', mousserend: 'sparkling', champagne: 'sparkling', cava: 'sparkling',
+    prosecco: 'sparkling', cremant: 'sparkling', 'crémant': 'sparkling', sekt: 'sparkling',
+    dessert: 'dessert', sweet: 'dessert', zoet: 'dessert', port: 'dessert', sauternes: 'dessert'
+};
+
+const MIN_YEAR = 1900;
+const MAX_PRICE = 100000;
+
+const cleanString = (value, maxLength = 200) => {
+    if (value === null || value === undefined) return null;
+    const str = String(value).replace(/\s+/g, ' ').trim();
+    if (!str || /^(null|unknown|onbekend|n\/a|-)$/i.test(str)) return null;
+    return str.substring(0, maxLength);
+};
+
+const toNumber = (value) => {
+    if (typeof value === 'number') return Number.isFinite(value) ? value : null;
+    if (typeof value !== 'string') return null;
+    const match = value.replace(',', '.').match(/-?\d+(\.\d+)?/);
+    return match ? parseFloat(match[0]) : null;
+};
+
+const clampScale = (value) => {
+    const num = toNumber(value);
+    if (num === null) return { value: 3, adjusted: true };
+    const clamped = Math.min(5, Math.max(1, Math.round(num)));
+    return { value: clamped, adjusted: clamped !== num };
+};
+
+const normalizeType = (value) => {
+    const str = cleanString(value, 40);
+    if (!str) return { value: 'red', adjusted: true };
+    const lower = str.toLowerCase();
+    if (WINE_TYPES.includes(lower)) return { value: lower, adjusted: false };
+    const alias = Object.keys(WINE_TYPE_ALIASES).find(key => lower.includes(key));
+    return alias
+        ? { value: WINE_TYPE_ALIASES[alias], adjusted: true }
+        : { value: 'red', adjusted: true };
+};
+
+const normalizeYear = (value) => {
+    const num = toNumber(value);
+    const maxYear = new Date().getFullYear() + 1;
+    if (num === null || !Number.isInteger(num) || num < MIN_YEAR || num > maxYear) {
+        return { value: null, adjusted: value !== null && value !== undefined };
+    }
+    return { value: num, adjusted: false };
+};
+
+// Accepts "€15-20", "15 - 20 euro", "ca. €25", 25 or { min, max }
+const normalizePrice = (value) => {
+    let min = null;
+    let max = null;
+
+    if (value && typeof value === 'object') {
+        min = toNumber(value.min);
+        max = toNumber(value.max);
+    } else if (typeof value === 'number') {
+        min = max = toNumber(value);
+    } else if (typeof value === 'string') {
+        const numbers = (value.replace(/(\d),(\d)/g, '$1.$2').match(/\d+(\.\d+)?/g) || []).map(parseFloat);
+        if (numbers.length > 0) {
+            min = Math.min(...numbers);
+            max = Math.max(...numbers);
+        }
+    }
+
+    if (min === null && max !== null) min = max;
+    if (max === null && min !== null) max = min;
+    if (min === null || min <= 0 || max > MAX_PRICE) {
+        return { price: null, priceMin: null, priceMax: null };
+    }
+
+    const round = (n) => Math.round(n * 100) / 100;
+    return { price: round((min + max) / 2), priceMin: round(min), priceMax: round(max) };
+};
+
+// Drinking window as whole years; a window needs at least an end year.
+// Windows that start before the vintage or run longer than MAX_DRINK_YEARS are treated as guesses
+const MAX_DRINK_YEARS = 60;
+
+const normalizeDrinkWindow = (fromValue, untilValue, vintage) => {
+    const asYear = (value) => {
+        const num = toNumber(value);
+        return num !== null && Number.isInteger(num) && num >= MIN_YEAR && num <= 2200 ? num : null;
+    };
+
+    let from = asYear(fromValue);
+    let until = asYear(untilValue);
+    if (from === null && until === null) {
+        return { drinkFrom: null, drinkUntil: null, adjusted: fromValue != null || untilValue != null };
+    }
+
+    let adjusted = false;
+    if (from !== null && until !== null && from > until) {
+        [from, until] = [until, from];
+        adjusted = true;
+    }
+    if (vintage && from !== null && from < vintage) {
+        from = vintage;
+        adjusted = true;
+    }
+    if (vintage && until !== null && until - vintage > MAX_DRINK_YEARS) {
+        until = vintage + MAX_DRINK_YEARS;
+        adjusted = true;
+    }
+    if (until === null || (from !== null && from > until)) {
+        return { drinkFrom: null, drinkUntil: null, adjusted: true };
+    }
+
+    return { drinkFrom: from, drinkUntil: until, adjusted };
+};
+
+const normalizeConfidence = (value) => {
+    const num = toNumber(value);
+    if (num === null) return null;
+    // Some responses use percentages instead of 0-1
+    const fraction = num > 1 ? num / 100 : num;
+    return Math.min(1, Math.max(0, Math.round(fraction * 100) / 100));
+};
+
+// Coerce the raw model output into the shape WineCellar.handleFormSubmit stores,
+// together with a 0-1 confidence per field so the form can highlight guesses.
+const normalizeWineData = (raw) => {
+    const input = raw && typeof raw === 'object' ? raw : {};
+    const characteristics = input.characteristics && typeof input.characteristics === 'object'
+        ? input.characteristics
+        : {};
+    const reported = input.confidence && typeof input.confidence === 'object' ? input.confidence : {};
+
+    const type = normalizeType(input.type);
+    const year = normalizeYear(input.year);
+    const boldness = clampScale(characteristics.boldness ?? input.boldness);
+    const tannins = clampScale(characteristics.tannins ?? input.tannins);
+    const acidity = clampScale(characteristics.acidity ?? input.acidity);
+    const price = normalizePrice(input.estimatedPrice ?? input.price);
+    const drinkWindow = normalizeDrinkWindow(input.drinkFrom, input.drinkUntil, year.value);
+
+    const data = {
+        name: cleanString(input.name),
+        producer: cleanString(input.producer),
+        type: type.value,
+        year: year.value,
+        region: cleanString(input.region),
+        grape: cleanString(input.grape),
+        boldness: boldness.value,
+        tannins: tannins.value,
+        acidity: acidity.value,
+        price: price.price,
+        priceMin: price.priceMin,
+        priceMax: price.priceMax,
+        notes: cleanString(input.notes ?? input.description, 1000),
+        drinkFrom: drinkWindow.drinkFrom,
+        drinkUntil: drinkWindow.drinkUntil
+    };
+
+    // Values we had to invent or correct are never more than a guess
+    const adjusted = {
+        type: type.adjusted,
+        year: year.adjusted,
+        boldness: boldness.adjusted,
+        tannins: tannins.adjusted,
+        acidity: acidity.adjusted,
+        drinkFrom: drinkWindow.adjusted,
+        drinkUntil: drinkWindow.adjusted
+    };
+
+    const confidence = {};
+    ['name', 'producer', 'type', 'year', 'region', 'grape', 'boldness', 'tannins', 'acidity', 'price', 'notes', 'drinkFrom', 'drinkUntil'].forEach(field => {
+        if (data[field] === null) {
+            confidence[field] = 0;
+            return;
+        }
+        let score = normalizeConfidence(reported[field]);
+        if (score === null) score = 0.5;
+        if (adjusted[field]) score = Math.min(score, 0.3);
+        confidence[field] = score;
+    });
+
+    return { data, confidence };
+};
+
+// ================================
+// Receipts
+// ================================
+
+// "2024-05-12", "12-05-2024", "12/05/24" or "12.05.2024" -> "2024-05-12"; null for anything else or a future date
+const normalizeReceiptDate = (value) => {
+    const str = cleanString(value, 40);
+    if (!str) return null;
+
+    let match = str.match(/^(\d{4})-(\d{1,2})-(\d{1,2})/);
+    let [year, month, day] = match ? [match[1], match[2], match[3]] : [];
+    if (!match) {
+        match = str.match(/^(\d{1,2})[-/.](\d{1,2})[-/.](\d{2}|\d{4})$/);
+        if (!match) return null;
+        [day, month, year] = [match[1], match[2], match[3].length === 2 ? `20${match[3]}` : match[3]];
+    }
+
+    const date = new Date(Date.UTC(Number(year), Number(month) - 1, Number(day)));
+    if (date.getUTCDate() !== Number(day) || date.getUTCMonth() !== Number(month) - 1) return null;
+    if (date.getUTCFullYear() < 2000 || date.getTime() > Date.now() + 24 * 60 * 60 * 1000) return null;
+    return date.toISOString().slice(0, 10);
+};
+
+// A receipt line as { data, confidence, quantity }; data.price is the price paid per bottle
+const normalizeReceiptItem = (raw) => {
+    const input = raw && typeof raw === 'object' ? raw : {};
+    const { data, confidence } = normalizeWineData({ ...input, estimatedPrice: null });
+    const quantity = Math.min(99, Math.max(1, Math.round(toNumber(input.quantity) || 1)));
+
+    let unitPrice = toNumber(input.unitPrice);
+    if (unitPrice === null && toNumber(input.totalPrice) !== null) unitPrice = toNumber(input.totalPrice) / quantity;
+    const paid = unitPrice !== null && unitPrice > 0 && unitPrice < MAX_PRICE ? Math.round(unitPrice * 100) / 100 : null;
+
+    data.price = paid;
+    data.priceMin = paid;
+    data.priceMax = paid;
+    confidence.price = paid === null ? 0 : 1;
+    return { data, confidence, quantity };
+};
+
+// ================================
+// Food pairing
+// ================================
+
+const PAIRING_MAX_RESULTS = 5;
+
+// Keep suggestions for wines that were actually sent, best first
+const normalizePairings = (raw, wineIds) => {
+    const seen = new Set();
+    const pairings = (Array.isArray(raw) ? raw : [])
+        .map(item => ({
+            id: cleanString(item?.id, 100),
+            score: Math.min(100, Math.max(0, Math.round(toNumber(item?.score) || 0))),
+            reason: cleanString(item?.reason, 300)
+        }))
+        .filter(item => {
+            if (!item.id || !wineIds.has(item.id) || seen.has(item.id)) return false;
+            seen.add(item.id);
+            return true;
+        });
+
+    return pairings.sort((a, b) => b.score - a.score).slice(0, PAIRING_MAX_RESULTS);
+};
+
+module.exports = {
+    cleanString,
+    clampScale,
+    normalizeType,
+    normalizeYear,
+    normalizeWineData,
+    normalizeReceiptDate,
+    normalizeReceiptItem,
+    PAIRING_MAX_RESULTS,
+    normalizePairings
+};
@@ -0,0 +1,23 @@
+/**
+ * Loads the WineCellar class from app.js, so the unit tests can run its methods
+ * on an instance whose DOM, Firebase and UI calls are stubbed
+ */
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const classes = require('./browser-classes');
+
+// app.js only touches the document to wait for the page to load
+function loadWineCellar() {
+    const filename = path.join(__dirname, '..', '..', 'app.js');
+    global.document = { addEventListener: () => {} };
+    try {
+        vm.runInThisContext(fs.readFileSync(filename, 'utf8'), { filename });
+    } finally {
+        delete global.document;
+    }
+    return vm.runInThisContext('WineCellar');
+}
+
+module.exports = { ...classes, WineCellar: loadWineCellar() };
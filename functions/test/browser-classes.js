@@ -0,0 +1,33 @@
+/**
+ * Loads the app's helper classes (plain browser scripts in the project root)
+ * so the unit tests can use them without a browser
+ */
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const ROOT = path.join(__dirname, '..', '..');
+
+// Classes in load order; a class only needs the ones before it
+const FILES = {
+    LocalStore: 'local-store.js',
+    SearchIndex: 'search-index.js',
+    TasteProfile: 'taste-profile.js',
+    DuplicateFinder: 'duplicate-finder.js',
+    Barcode: 'barcode.js',
+    PurchaseLots: 'purchase-lots.js',
+    CellarIO: 'cellar-io.js'
+};
+
+// Run as scripts in this realm, so their arrays and objects compare with deepStrictEqual
+function loadBrowserClasses() {
+    Object.values(FILES).forEach(file => {
+        const filename = path.join(ROOT, file);
+        vm.runInThisContext(fs.readFileSync(filename, 'utf8'), { filename });
+    });
+    // Top-level classes are shared by every script, but are no properties of the global object
+    return vm.runInThisContext(`({ ${Object.keys(FILES).join(', ')} })`);
+}
+
+module.exports = loadBrowserClasses();
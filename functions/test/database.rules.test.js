@@ -0,0 +1,349 @@
+/**
+ * Realtime Database security rules tests
+ * Run against the emulator: npm run test:rules
+ */
+
+const fs = require('fs');
+const path = require('path');
+const {
+    initializeTestEnvironment,
+    assertSucceeds,
+    assertFails
+} = require('@firebase/rules-unit-testing');
+
+const PROJECT_ID = 'thecork-rules-test';
+const RULES = fs.readFileSync(path.join(__dirname, '..', '..', 'database.rules.json'), 'utf8');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+function wine(id, overrides = {}) {
+    return {
+        id,
+        name: 'Barolo Riserva',
+        producer: 'Giacomo Conterno',
+        type: 'red',
+        year: '2015',
+        boldness: 5,
+        tannins: 4,
+        acidity: 3,
+        price: 45,
+        quantity: 2,
+        revision: 1,
+        updatedAt: new Date().toISOString(),
+        updatedBy: 'alice',
+        ...overrides
+    };
+}
+
+describe('database.rules.json', () => {
+    let testEnv;
+
+    before(async () => {
+        testEnv = await initializeTestEnvironment({
+            projectId: PROJECT_ID,
+            database: { rules: RULES }
+        });
+    });
+
+    after(async () => {
+        await testEnv.cleanup();
+    });
+
+    beforeEach(async () => {
+        await testEnv.clearDatabase();
+    });
+
+    function db(uid) {
+        return uid
+            ? testEnv.authenticatedContext(uid).database()
+            : testEnv.unauthenticatedContext().database();
+    }
+
+    function seed(data) {
+        return testEnv.withSecurityRulesDisabled(context => context.database().ref().set(data));
+    }
+
+    // ============================
+    // Personal cellar
+    // ============================
+
+    describe('personal cellar', () => {
+        it('lets a user read and write their own wines', async () => {
+            const alice = db('alice');
+            await assertSucceeds(alice.ref('users/alice/wines/w1').set(wine('w1')));
+            await assertSucceeds(alice.ref('users/alice/wines').once('value'));
+        });
+
+        it('keeps other users out', async () => {
+            await seed({ users: { alice: { wines: { w1: wine('w1') } } } });
+            await assertFails(db('bob').ref('users/alice/wines').once('value'));
+            await assertFails(db('bob').ref('users/alice/wines/w2').set(wine('w2')));
+            await assertFails(db(null).ref('users/alice').once('value'));
+        });
+
+        it('requires the record id to match its key', async () => {
+            await assertFails(db('alice').ref('users/alice/wines/w1').set(wine('w2')));
+        });
+
+        it('rejects a zero or fractional quantity', async () => {
+            const alice = db('alice');
+            await assertFails(alice.ref('users/alice/wines/w1').set(wine('w1', { quantity: 0 })));
+            await assertFails(alice.ref('users/alice/wines/w1').set(wine('w1', { quantity: 1.5 })));
+        });
+
+        it('rejects taste scales outside 1-5', async () => {
+            const alice = db('alice');
+            await assertFails(alice.ref('users/alice/wines/w1').set(wine('w1', { boldness: 6 })));
+            await assertFails(alice.ref('users/alice/wines/w1').set(wine('w1', { tannins: 0 })));
+            await assertFails(alice.ref('users/alice/wines/w1').set(wine('w1', { acidity: 2.5 })));
+        });
+
+        it('rejects unknown wine types and negative prices', async () => {
+            const alice = db('alice');
+            await assertFails(alice.ref('users/alice/wines/w1').set(wine('w1', { type: 'orange' })));
+            await assertFails(alice.ref('users/alice/wines/w1').set(wine('w1', { price: -1 })));
+        });
+
+        it('rejects oversized inline images', async () => {
+            const image = 'data:image/jpeg;base64,' + 'A'.repeat(1500001);
+            await assertFails(db('alice').ref('users/alice/wines/w1').set(wine('w1', { image })));
+        });
+
+        it('only accepts image data URLs and https links for images', async () => {
+            const alice = db('alice');
+            await assertSucceeds(alice.ref('users/alice/wines/w1').set(wine('w1', { thumbnail: 'data:image/jpeg;base64,AAAA', imageUrl: 'https://example.com/w1.jpg' })));
+            await assertFails(alice.ref('users/alice/wines/w1/thumbnail').set('x" onerror="alert(1)'));
+            await assertFails(alice.ref('users/alice/wines/w1/imageUrl').set('javascript:alert(1)'));
+            await assertFails(alice.ref('users/alice/wines/w1/image').set('http://example.com/w1.jpg'));
+            await assertFails(alice.ref('users/alice/wines/w1/purchases/l1/receipt/thumbnail').set('data:text/html,<script>'));
+        });
+
+        it('validates bottle counts per location', async () => {
+            const alice = db('alice');
+            const locations = { rack: { count: 2, row: 3, column: 1 } };
+            await assertSucceeds(alice.ref('users/alice/wines/w1').set(wine('w1', { locations })));
+            await assertFails(alice.ref('users/alice/wines/w1/locations/rack/count').set(0.5));
+            await assertFails(alice.ref('users/alice/wines/w1/locations/rack/row').set(0));
+        });
+
+        it('validates locations', async () => {
+            const alice = db('alice');
+            await assertSucceeds(alice.ref('users/alice/locations/l1').set({ id: 'l1', name: 'Wijnkoelkast', rows: 6, columns: 8 }));
+            await assertFails(alice.ref('users/alice/locations/l2').set({ id: 'l2', name: '' }));
+            await assertFails(alice.ref('users/alice/locations/l3').set({ id: 'l3', name: 'Rek', rows: 1000 }));
+        });
+
+        it('allows partial updates of a single field', async () => {
+            await seed({ users: { alice: { wines: { w1: wine('w1') } } } });
+            await assertSucceeds(db('alice').ref('users/alice/wines/w1').update({ quantity: 3, revision: 2 }));
+            await assertFails(db('alice').ref('users/alice/wines/w1').update({ quantity: -1 }));
+        });
+    });
+
+    describe('archive', () => {
+        it('accepts a rated entry', async () => {
+            const entry = wine('a1', { rating: 4, rebuy: 'yes', archiveNotes: 'Mooi', archivedAt: new Date().toISOString() });
+            await assertSucceeds(db('alice').ref('users/alice/archive/a1').set(entry));
+        });
+
+        it('accepts an entry without rating', async () => {
+            const entry = wine('a1', { rebuy: 'maybe', archivedAt: new Date().toISOString() });
+            await assertSucceeds(db('alice').ref('users/alice/archive/a1').set(entry));
+        });
+
+        it('rejects a rating above 5 and unknown rebuy values', async () => {
+            const alice = db('alice');
+            await assertFails(alice.ref('users/alice/archive/a1').set(wine('a1', { rating: 6 })));
+            await assertFails(alice.ref('users/alice/archive/a1').set(wine('a1', { rebuy: 'never' })));
+        });
+    });
+
+    describe('purchase lots', () => {
+        const lot = (id, overrides = {}) => ({ id, date: '2024-03-02', store: 'Gall & Gall', price: 12.5, quantity: 6, ...overrides });
+
+        it('accepts lots with a receipt photo', async () => {
+            const receipt = { imagePath: 'users/alice/images/w1-receipt-1.jpg', imageUrl: 'https://example.com/r.jpg', thumbnail: 'data:image/jpeg;base64,AAAA' };
+            const purchases = { l1: lot('l1'), l2: lot('l2', { date: '2025-01-10', price: 15, quantity: 2, receipt }) };
+            await assertSucceeds(db('alice').ref('users/alice/wines/w1').set(wine('w1', { purchases })));
+            await assertSucceeds(db('alice').ref('users/alice/archive/a1').set(wine('a1', { purchases })));
+        });
+
+        it('rejects lots with an invalid date, price or quantity', async () => {
+            const alice = db('alice');
+            await assertFails(alice.ref('users/alice/wines/w1').set(wine('w1', { purchases: { l1: lot('l1', { date: '02-03-2024' }) } })));
+            await assertFails(alice.ref('users/alice/wines/w1').set(wine('w1', { purchases: { l1: lot('l1', { price: -2 }) } })));
+            await assertFails(alice.ref('users/alice/wines/w1').set(wine('w1', { purchases: { l1: lot('l1', { quantity: 0 }) } })));
+            await assertFails(alice.ref('users/alice/wines/w1').set(wine('w1', { purchases: { l1: lot('l2') } })));
+        });
+
+        it('rejects unknown fields on a lot', async () => {
+            await assertFails(db('alice').ref('users/alice/wines/w1').set(wine('w1', { purchases: { l1: lot('l1', { remaining: 3 }) } })));
+        });
+    });
+
+    describe('consumption log', () => {
+        const event = (overrides = {}) => ({ id: 'e1', wineId: 'w1', consumedAt: '2024-05-12', rating: 4, ...overrides });
+
+        it('accepts an opened bottle', async () => {
+            await assertSucceeds(db('alice').ref('users/alice/consumption/e1').set(event({ occasion: 'Verjaardag', drankBy: 'Anna' })));
+        });
+
+        it('rejects invalid dates and ratings', async () => {
+            const alice = db('alice');
+            await assertFails(alice.ref('users/alice/consumption/e1').set(event({ consumedAt: '12-05-2024' })));
+            await assertFails(alice.ref('users/alice/consumption/e1').set(event({ rating: 6 })));
+            await assertFails(alice.ref('users/alice/consumption/e1').set(event({ wineId: null })));
+        });
+    });
+
+    // ============================
+    // Barcode lookup tables
+    // ============================
+
+    describe('barcodes', () => {
+        const entry = (overrides = {}) => ({
+            name: 'Barolo Riserva',
+            producer: 'Giacomo Conterno',
+            type: 'red',
+            year: '2015',
+            updatedAt: new Date().toISOString(),
+            updatedBy: 'alice',
+            ...overrides
+        });
+
+        it('keeps a personal table with prices and stores', async () => {
+            const alice = db('alice');
+            await assertSucceeds(alice.ref('users/alice/barcodes/8712345678906').set(entry({ price: 12.5, store: 'Gall & Gall' })));
+            await assertFails(db('bob').ref('users/alice/barcodes/8712345678906').once('value'));
+        });
+
+        it('only accepts EAN/UPC codes as keys', async () => {
+            await assertFails(db('alice').ref('users/alice/barcodes/abc').set(entry()));
+            await assertFails(db('alice').ref('barcodes/123').set(entry()));
+        });
+
+        it('validates barcodes saved with wines', async () => {
+            const alice = db('alice');
+            await assertSucceeds(alice.ref('users/alice/wines/w1').set(wine('w1', { barcode: '8712345678906' })));
+            await assertFails(alice.ref('users/alice/wines/w2').set(wine('w2', { barcode: 'EAN 87123' })));
+        });
+
+        it('shares wine data with every signed-in user', async () => {
+            await assertSucceeds(db('alice').ref('barcodes/8712345678906').set(entry()));
+            await assertSucceeds(db('bob').ref('barcodes/8712345678906').once('value'));
+            await assertFails(db().ref('barcodes/8712345678906').once('value'));
+        });
+
+        it('keeps prices and notes out of the shared table', async () => {
+            await assertFails(db('alice').ref('barcodes/8712345678906').set(entry({ price: 12.5 })));
+            await assertFails(db('alice').ref('barcodes/8712345678906').set(entry({ notes: 'Kerst met Anna' })));
+        });
+
+        it('only lets the first user change a shared entry', async () => {
+            await seed({ barcodes: { '8712345678906': entry() } });
+            await assertSucceeds(db('alice').ref('barcodes/8712345678906').set(entry({ year: '2016' })));
+            await assertFails(db('bob').ref('barcodes/8712345678906').set(entry({ updatedBy: 'bob' })));
+            await assertFails(db('bob').ref('barcodes/0012345678905').set(entry()));
+        });
+    });
+
+    // ============================
+    // Shared cellars
+    // ============================
+
+    describe('shared cellars', () => {
+        const now = new Date().toISOString();
+
+        function sharedCellar(extra = {}) {
+            return {
+                cellars: {
+                    c1: {
+                        info: { name: 'Samen', owner: 'alice', createdAt: now },
+                        members: {
+                            alice: { role: 'owner' },
+                            bob: { role: 'editor' },
+                            carol: { role: 'viewer' }
+                        },
+                        invites: {
+                            good: { role: 'editor', expiresAt: Date.now() + 7 * DAY },
+                            old: { role: 'editor', expiresAt: Date.now() - DAY }
+                        },
+                        wines: { w1: wine('w1') },
+                        ...extra
+                    }
+                }
+            };
+        }
+
+        it('lets the owner create a cellar with themselves as owner', async () => {
+            await assertSucceeds(db('alice').ref().update({
+                'cellars/c2/info': { name: 'Nieuw', owner: 'alice', createdAt: now },
+                'cellars/c2/members/alice': { role: 'owner', joinedAt: now },
+                'users/alice/cellars/c2': { name: 'Nieuw', role: 'owner' }
+            }));
+        });
+
+        it('does not let anyone take over an existing cellar', async () => {
+            await seed(sharedCellar());
+            await assertFails(db('dave').ref('cellars/c1/info/owner').set('dave'));
+            await assertFails(db('dave').ref('cellars/c1/members/dave').set({ role: 'owner' }));
+        });
+
+        it('lets members read and only editors write wines', async () => {
+            await seed(sharedCellar());
+            await assertSucceeds(db('carol').ref('cellars/c1/wines').once('value'));
+            await assertFails(db('carol').ref('cellars/c1/wines/w2').set(wine('w2', { updatedBy: 'carol' })));
+            await assertSucceeds(db('bob').ref('cellars/c1/wines/w2').set(wine('w2', { updatedBy: 'bob' })));
+            await assertSucceeds(db('alice').ref('cellars/c1/wines/w1').remove());
+        });
+
+        it('lets only editors manage locations', async () => {
+            await seed(sharedCellar());
+            const location = { id: 'l1', name: 'Kelderrek' };
+            await assertFails(db('carol').ref('cellars/c1/locations/l1').set(location));
+            await assertSucceeds(db('bob').ref('cellars/c1/locations/l1').set(location));
+            await assertSucceeds(db('carol').ref('cellars/c1/locations').once('value'));
+        });
+
+        it('keeps non-members out', async () => {
+            await seed(sharedCellar());
+            await assertFails(db('dave').ref('cellars/c1/wines').once('value'));
+            await assertFails(db('dave').ref('cellars/c1/members').once('value'));
+            await assertFails(db('dave').ref('cellars/c1/wines/w2').set(wine('w2')));
+        });
+
+        it('validates shared wines like personal ones', async () => {
+            await seed(sharedCellar());
+            await assertFails(db('bob').ref('cellars/c1/wines/w1/quantity').set(0));
+        });
+
+        it('lets a user join with a valid invite', async () => {
+            await seed(sharedCellar());
+            await assertSucceeds(db('dave').ref('cellars/c1/members/dave').set({ role: 'editor', invite: 'good', joinedAt: now }));
+            await assertSucceeds(db('dave').ref('cellars/c1/wines').once('value'));
+        });
+
+        it('rejects expired invites, unknown tokens and upgraded roles', async () => {
+            await seed(sharedCellar());
+            const dave = db('dave');
+            await assertFails(dave.ref('cellars/c1/members/dave').set({ role: 'editor', invite: 'old' }));
+            await assertFails(dave.ref('cellars/c1/members/dave').set({ role: 'editor', invite: 'missing' }));
+            await assertFails(dave.ref('cellars/c1/members/dave').set({ role: 'owner', invite: 'good' }));
+            await assertFails(dave.ref('cellars/c1/members/erin').set({ role: 'editor', invite: 'good' }));
+        });
+
+        it('only lets the owner manage members and invites', async () => {
+            await seed(sharedCellar());
+            await assertSucceeds(db('alice').ref('cellars/c1/members/carol/role').set('editor'));
+            await assertFails(db('bob').ref('cellars/c1/members/carol/role').set('editor'));
+            await assertFails(db('bob').ref('cellars/c1/invites/new').set({ role: 'editor', expiresAt: Date.now() + DAY }));
+            await assertSucceeds(db('alice').ref('cellars/c1/invites/new').set({ role: 'viewer', expiresAt: Date.now() + DAY }));
+        });
+
+        it('lets members leave but not remove others', async () => {
+            await seed(sharedCellar());
+            await assertSucceeds(db('carol').ref('cellars/c1/members/carol').remove());
+            await assertFails(db('bob').ref('cellars/c1/members/carol').remove());
+        });
+    });
+});
@@ -0,0 +1,48 @@
+/**
+ * Barcode: EAN/UPC check digits and normalization
+ */
+
+const assert = require('assert');
+const { Barcode } = require('../browser-classes');
+
+describe('Barcode', () => {
+    describe('hasValidCheckDigit', () => {
+        it('accepts valid EAN-13, EAN-8, UPC-A and GTIN-14 codes', () => {
+            ['4006381333931', '96385074', '036000291452', '10012345678902'].forEach(code => {
+                assert.ok(Barcode.hasValidCheckDigit(code), code);
+            });
+        });
+
+        it('rejects a wrong check digit', () => {
+            assert.ok(!Barcode.hasValidCheckDigit('4006381333932'));
+            assert.ok(!Barcode.hasValidCheckDigit('96385075'));
+        });
+    });
+
+    describe('normalize', () => {
+        it('strips spaces and dashes', () => {
+            assert.strictEqual(Barcode.normalize('4006381 333931'), '4006381333931');
+            assert.strictEqual(Barcode.normalize('9638-5074'), '96385074');
+        });
+
+        it('writes UPC-A as EAN-13', () => {
+            assert.strictEqual(Barcode.normalize('0 36000 29145 2'), '0036000291452');
+        });
+
+        it('expands UPC-E to UPC-A', () => {
+            assert.strictEqual(Barcode.expandUpcE('04252614'), '042100005264');
+            assert.strictEqual(Barcode.normalize('04252614', 'upc_e'), '0042100005264');
+            assert.strictEqual(Barcode.normalize('04252614'), '0042100005264');
+        });
+
+        it('keeps a valid EAN-8 as it is', () => {
+            assert.strictEqual(Barcode.normalize('96385074', 'ean_8'), '96385074');
+        });
+
+        it('rejects anything that is not an EAN/UPC', () => {
+            [null, '', 'abc', '12345', '4006381333932', '12345678', '123456789012345'].forEach(code => {
+                assert.strictEqual(Barcode.normalize(code), null, String(code));
+            });
+        });
+    });
+});
@@ -0,0 +1,193 @@
+/**
+ * CellarIO: CSV export and parsing, record normalization, backups and CellarTracker/Vivino exports
+ */
+
+const assert = require('assert');
+const { CellarIO } = require('../browser-classes');
+
+describe('CellarIO', () => {
+    describe('csvCell', () => {
+        it('quotes cells with delimiters, quotes and line breaks', () => {
+            assert.strictEqual(CellarIO.csvCell('Rood, vol'), '"Rood, vol"');
+            assert.strictEqual(CellarIO.csvCell('"Grand Vin"'), '"""Grand Vin"""');
+            assert.strictEqual(CellarIO.csvCell(null), '');
+        });
+
+        it('keeps spreadsheets from running formulas', () => {
+            ['=HYPERLINK("x")', '+31', '-1', '@SUM(A1)', '\tx'].forEach(value => {
+                assert.ok(CellarIO.csvCell(value).replace(/^"/, '').startsWith("'"), value);
+            });
+            assert.strictEqual(CellarIO.csvCell(-1), '-1');
+        });
+    });
+
+    describe('parseCSV', () => {
+        it('reads quoted cells with delimiters, quotes and line breaks', () => {
+            const { headers, rows } = CellarIO.parseCSV('name,notes\r\n"Barolo, Riserva","Zegt ""wow""\nlang"\r\n');
+            assert.deepStrictEqual(headers, ['name', 'notes']);
+            assert.deepStrictEqual(rows, [['Barolo, Riserva', 'Zegt "wow"\nlang']]);
+        });
+
+        it('guesses the delimiter and skips a byte order mark and empty lines', () => {
+            const { headers, rows } = CellarIO.parseCSV('\uFEFFnaam;prijs\n\nRioja;12,50\n;\n');
+            assert.deepStrictEqual(headers, ['naam', 'prijs']);
+            assert.deepStrictEqual(rows, [['Rioja', '12,50']]);
+        });
+
+        it('reads back its own export', () => {
+            const wines = [{ name: 'Barolo, Riserva', producer: 'Conterno', type: 'red', year: '2015', quantity: 2, price: 45 }];
+            const { headers, rows } = CellarIO.parseCSV(CellarIO.toCSV(wines, []));
+            const record = CellarIO.rowToRecord(rows[0], CellarIO.guessMapping(headers));
+            assert.strictEqual(record.status, 'cellar');
+            assert.strictEqual(record.name, 'Barolo, Riserva');
+            assert.strictEqual(record.price, '45');
+        });
+    });
+
+    describe('toNumber', () => {
+        it('reads Dutch and English number formats', () => {
+            assert.strictEqual(CellarIO.toNumber('€ 1.250,50'), 1250.5);
+            assert.strictEqual(CellarIO.toNumber('1,250.50'), 1250.5);
+            assert.strictEqual(CellarIO.toNumber('12,5'), 12.5);
+            assert.strictEqual(CellarIO.toNumber('n.v.t.'), null);
+        });
+    });
+
+    describe('normalizeRecord', () => {
+        it('coerces a spreadsheet row into a wine', () => {
+            const { wine, errors, warnings } = CellarIO.normalizeRecord({
+                name: ' Barolo ', type: 'Rood', year: '2015', price: '€ 45,00', quantity: '3', boldness: '4.6', drinkFrom: '2025', drinkUntil: '2020'
+            });
+            assert.deepStrictEqual(errors, []);
+            assert.deepStrictEqual(warnings, []);
+            assert.strictEqual(wine.name, 'Barolo');
+            assert.strictEqual(wine.type, 'red');
+            assert.strictEqual(wine.year, '2015');
+            assert.strictEqual(wine.price, 45);
+            assert.strictEqual(wine.quantity, 3);
+            assert.strictEqual(wine.boldness, 5);
+            assert.deepStrictEqual([wine.drinkFrom, wine.drinkUntil], [2020, 2025]);
+        });
+
+        it('refuses a record without a name or with an invalid quantity', () => {
+            assert.deepStrictEqual(CellarIO.normalizeRecord({ type: 'red' }).errors, [{ key: 'import.nameMissing' }]);
+            assert.strictEqual(CellarIO.normalizeRecord({ name: 'Rioja', quantity: '0' }).errors[0].key, 'import.quantityInvalid');
+        });
+
+        it('warns about values it leaves out', () => {
+            const { wine, warnings } = CellarIO.normalizeRecord({ name: 'Rioja', type: 'oranje', price: 'gratis', barcode: '123', year: '15' });
+            assert.strictEqual(wine.type, 'red');
+            assert.strictEqual(wine.price, null);
+            assert.strictEqual(wine.barcode, null);
+            assert.strictEqual(wine.year, null);
+            assert.deepStrictEqual(warnings.map(warning => warning.field || warning.key), ['import.unknownType', 'price', 'barcode', 'year']);
+        });
+
+        it('reads day-first dates and archive fields', () => {
+            const { wine } = CellarIO.normalizeRecord({ name: 'Rioja', archivedAt: '31-12-2023', rating: '4', rebuy: 'Misschien' });
+            assert.strictEqual(wine.archivedAt.slice(0, 10), '2023-12-31');
+            assert.strictEqual(wine.rating, 4);
+            assert.strictEqual(wine.rebuy, 'maybe');
+        });
+
+        it('only keeps https image links', () => {
+            assert.strictEqual(CellarIO.normalizeRecord({ name: 'Rioja', imageUrl: 'https://example.com/a.jpg' }).wine.imageUrl, 'https://example.com/a.jpg');
+            assert.strictEqual(CellarIO.normalizeRecord({ name: 'Rioja', imageUrl: 'javascript:alert(1)' }).wine.imageUrl, undefined);
+        });
+    });
+
+    describe('backup round trip', () => {
+        const receipt = { imagePath: 'users/alice/images/w1-receipt-1.jpg', imageUrl: 'https://example.com/r.jpg', thumbnail: 'data:image/jpeg;base64,AAAA' };
+        const wine = {
+            id: 'w1', name: 'Barolo', type: 'red', year: '2015', quantity: 3, price: 50, store: 'Mitra',
+            purchases: {
+                l1: { id: 'l1', date: '2022-05-01', store: 'Gall & Gall', price: 45, quantity: 2 },
+                l2: { id: 'l2', date: '2024-01-10', store: 'Mitra', price: 50, quantity: 1, receipt }
+            }
+        };
+        const restore = (backup) => CellarIO.normalizeRecord(JSON.parse(JSON.stringify(backup)).wines[0]).wine;
+
+        it('keeps purchase lots and their receipts', () => {
+            const backup = CellarIO.toBackup({ wines: [wine], archive: [], locations: [], consumption: [] }, { includeImages: true });
+            assert.deepStrictEqual(restore(backup).purchases, wine.purchases);
+        });
+
+        it('leaves receipt photos out of a backup without images', () => {
+            const backup = CellarIO.toBackup({ wines: [wine], archive: [], locations: [], consumption: [] });
+            assert.strictEqual(restore(backup).purchases.l2.receipt, undefined);
+            assert.strictEqual(restore(backup).purchases.l2.price, 50);
+        });
+
+        it('drops lots the database would refuse', () => {
+            const purchases = {
+                a: { id: 'a', quantity: 0 },
+                b: { id: 'b/c', quantity: 1 },
+                c: { id: 'c', quantity: 1, date: '01-05-2022', price: -3, receipt: { thumbnail: 'javascript:alert(1)' } }
+            };
+            assert.deepStrictEqual(CellarIO.normalizePurchases(purchases), { c: { id: 'c', quantity: 1 } });
+            assert.strictEqual(CellarIO.normalizePurchases('lots'), null);
+        });
+    });
+
+    describe('validateBackup', () => {
+        it('rejects files that are no backup or come from a newer version', () => {
+            assert.throws(() => CellarIO.validateBackup({ wines: [] }), error => error.code === 'NOT_A_BACKUP');
+            assert.throws(() => CellarIO.validateBackup({ app: 'the-cork', version: CellarIO.BACKUP_VERSION + 1, wines: [] }), error => error.code === 'NEWER_BACKUP');
+        });
+    });
+
+    describe('detectFormat', () => {
+        it('recognizes CellarTracker and Vivino exports', () => {
+            assert.strictEqual(CellarIO.detectFormat(['iWine', 'Wine', 'Vintage', 'Producer']), 'cellartracker');
+            assert.strictEqual(CellarIO.detectFormat(['Winery', 'Wine name', 'Vintage']), 'vivino');
+            assert.strictEqual(CellarIO.detectFormat(['name', 'year']), null);
+        });
+    });
+
+    describe('fromCellarTracker', () => {
+        const bottle = {
+            iWine: '1', Wine: 'Giacomo Conterno Barolo', Producer: 'Giacomo Conterno', Vintage: '2015', Color: 'Red',
+            Category: 'Dry', Country: 'Italy', Region: 'Piedmont', Price: '45', Location: 'Kelder', Bin: 'A3'
+        };
+
+        it('groups bottles of one wine and strips the producer from the name', () => {
+            const records = CellarIO.fromCellarTracker([bottle, { ...bottle, Bin: 'A3' }]);
+            assert.strictEqual(records.length, 1);
+            const { raw, target } = records[0];
+            assert.strictEqual(target, 'wines');
+            assert.strictEqual(raw.name, 'Barolo');
+            assert.strictEqual(raw.quantity, 2);
+            assert.strictEqual(raw.region, 'Piedmont, Italy');
+            assert.deepStrictEqual(raw.bottleLocations, [{ name: 'Kelder', count: 2, row: 1, column: 3 }]);
+        });
+
+        it('turns consumed bottles into rated archive entries', () => {
+            const [record] = CellarIO.fromCellarTracker([{ ...bottle, Vintage: '1001', Consumed: '1/31/2023', PScore: '92' }]);
+            assert.strictEqual(record.target, 'archive');
+            assert.strictEqual(record.raw.year, null);
+            assert.strictEqual(record.raw.rating, 4);
+            assert.strictEqual(record.raw.rebuy, 'yes');
+            assert.strictEqual(record.raw.archivedAt.slice(0, 10), '2023-01-31');
+        });
+    });
+
+    describe('fromVivino', () => {
+        const wine = { Winery: 'Cloudy Bay', 'Wine name': 'Sauvignon Blanc', Vintage: '2022', Region: 'Marlborough', Country: 'New Zealand', 'Wine type': 'White Wine' };
+
+        it('puts wines with a cellar count in the cellar', () => {
+            const [record] = CellarIO.fromVivino([{ ...wine, 'User cellar count': '2', 'Drinking Window': '2023 - 2026' }]);
+            assert.strictEqual(record.target, 'wines');
+            assert.strictEqual(record.raw.quantity, '2');
+            assert.deepStrictEqual([record.raw.drinkFrom, record.raw.drinkUntil], ['2023', '2026']);
+            assert.strictEqual(CellarIO.normalizeRecord(record.raw).wine.type, 'white');
+        });
+
+        it('archives rated wines with their review', () => {
+            const [record] = CellarIO.fromVivino([{ ...wine, 'Your rating': '3.5', 'Your review': 'Fris', Extra: 'x' }]);
+            assert.strictEqual(record.target, 'archive');
+            assert.strictEqual(record.raw.rating, 4);
+            assert.strictEqual(record.raw.archiveNotes, 'Fris');
+            assert.ok(record.raw.notes.includes('Extra: x'));
+        });
+    });
+});
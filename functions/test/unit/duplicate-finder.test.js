@@ -0,0 +1,65 @@
+/**
+ * DuplicateFinder: scoring two records as the same wine
+ */
+
+const assert = require('assert');
+const { DuplicateFinder } = require('../browser-classes');
+
+describe('DuplicateFinder', () => {
+    describe('similarity', () => {
+        it('ignores noise words and abbreviations', () => {
+            assert.strictEqual(DuplicateFinder.similarity('Ch. Margaux', 'Château Margaux'), 1);
+        });
+
+        it('tolerates typos', () => {
+            assert.strictEqual(DuplicateFinder.similarity('Chateau Margaux', 'Chateau Marguax'), 1);
+        });
+
+        it('scores by the text that matches worst', () => {
+            assert.strictEqual(DuplicateFinder.similarity('Reserva', 'Gran Reserva'), 0.5);
+        });
+
+        it('compares names of only noise words on all their words', () => {
+            assert.strictEqual(DuplicateFinder.similarity('Clos du Château', 'Domaine de la Maison'), 0);
+            assert.strictEqual(DuplicateFinder.similarity('Clos du Château', 'Clos du Chateau'), 1);
+        });
+    });
+
+    describe('score', () => {
+        const wine = { name: 'Margaux', producer: 'Château Margaux', type: 'red', year: '2015' };
+
+        it('matches the same wine written differently', () => {
+            assert.ok(DuplicateFinder.score(wine, { name: 'Margaux', producer: 'Ch. Margaux', type: 'red', year: 2015 }) >= DuplicateFinder.THRESHOLD);
+        });
+
+        it('finds the producer written in the name', () => {
+            assert.ok(DuplicateFinder.score(wine, { name: 'Château Margaux Margaux', type: 'red', year: '2015' }) > 0);
+        });
+
+        it('never matches another vintage or type', () => {
+            assert.strictEqual(DuplicateFinder.score(wine, { ...wine, year: '2016' }), 0);
+            assert.strictEqual(DuplicateFinder.score(wine, { ...wine, type: 'white' }), 0);
+        });
+
+        it('decides on the barcode when both have one', () => {
+            assert.strictEqual(DuplicateFinder.score({ ...wine, barcode: '8710000000001' }, { ...wine, barcode: '8710000000002' }), 0);
+            assert.strictEqual(DuplicateFinder.score({ ...wine, barcode: '8710000000001' }, { name: 'Other', year: '2015', barcode: '8710000000001' }), 1);
+        });
+
+        it('returns 0 below the threshold', () => {
+            assert.strictEqual(DuplicateFinder.score({ ...wine, name: 'Pavillon Rouge' }, wine), 0);
+        });
+    });
+
+    describe('matches', () => {
+        it('lists other records best first', () => {
+            const records = [
+                { id: 'a', name: 'Margaux', producer: 'Château Margaux', year: '2015' },
+                { id: 'b', name: 'Margau', producer: 'Chateau Margaux', year: '2015' },
+                { id: 'c', name: 'Barolo', producer: 'Conterno', year: '2015' }
+            ];
+            const matches = DuplicateFinder.matches(records[0], records);
+            assert.deepStrictEqual(matches.map(match => match.record.id), ['b']);
+        });
+    });
+});
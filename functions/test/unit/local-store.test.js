@@ -0,0 +1,104 @@
+/**
+ * LocalStore: replaying queued writes over a synced snapshot and bottle counts per location
+ */
+
+const assert = require('assert');
+const { LocalStore } = require('../browser-classes');
+
+describe('LocalStore', () => {
+    describe('applyPendingWrites', () => {
+        const snapshot = [{ id: 'w1', name: 'Barolo', quantity: 2 }, { id: 'w2', name: 'Rioja', quantity: 1 }];
+
+        it('keeps unsynced sets, updates and removes on top of the snapshot', () => {
+            const queue = [
+                { op: 'set', path: 'wines/w3', value: { id: 'w3', name: 'Cava', quantity: 6 } },
+                { op: 'update', path: 'wines/w1', value: { name: 'Barolo Riserva' } },
+                { op: 'remove', path: 'wines/w2' }
+            ];
+            assert.deepStrictEqual(LocalStore.applyPendingWrites('wines', snapshot, queue), [
+                { id: 'w1', name: 'Barolo Riserva', quantity: 2 },
+                { id: 'w3', name: 'Cava', quantity: 6 }
+            ]);
+        });
+
+        it('ignores writes to other collections and updates of unknown records', () => {
+            const queue = [
+                { op: 'remove', path: 'archive/w1' },
+                { op: 'update', path: 'wines/w9', value: { name: 'Gone' } }
+            ];
+            assert.deepStrictEqual(LocalStore.applyPendingWrites('wines', snapshot, queue), snapshot);
+        });
+
+        it('replaces everything on a write to the whole collection', () => {
+            const queue = [{ op: 'set', path: 'wines', value: { w5: { id: 'w5', name: 'Port', quantity: 1 } } }];
+            assert.deepStrictEqual(LocalStore.applyPendingWrites('wines', snapshot, queue), [{ id: 'w5', name: 'Port', quantity: 1 }]);
+        });
+
+        it('leaves the snapshot itself unchanged', () => {
+            LocalStore.applyPendingWrites('wines', snapshot, [{ op: 'update', path: 'wines/w1', value: { quantity: 5 } }]);
+            assert.strictEqual(snapshot[0].quantity, 2);
+        });
+
+        it('adds a queued increment to the snapshot count, but not below its minimum', () => {
+            const queue = [
+                { op: 'increment', path: 'wines/w1', value: { field: 'quantity', delta: 3, stamp: { updatedBy: 'u1' } } },
+                { op: 'increment', path: 'wines/w2', value: { field: 'quantity', delta: -4, min: 0 } }
+            ];
+            const [first, second] = LocalStore.applyPendingWrites('wines', snapshot, queue);
+            assert.deepStrictEqual(first, { id: 'w1', name: 'Barolo', quantity: 5, updatedBy: 'u1', revision: 1 });
+            assert.strictEqual(second.quantity, 0);
+        });
+
+        it('skips an increment that is being sent, as the snapshot may already count it', () => {
+            const queue = [{ op: 'increment', path: 'wines/w1', value: { field: 'quantity', delta: 1 }, inFlight: true }];
+            assert.deepStrictEqual(LocalStore.applyPendingWrites('wines', snapshot, queue), snapshot);
+        });
+    });
+
+    describe('applyBottleChange', () => {
+        const wine = { id: 'w1', quantity: 5, revision: 2, locations: { home: { count: 3, row: 1, column: 2 } } };
+
+        it('counts bottles outside any location as unassigned', () => {
+            assert.deepStrictEqual(LocalStore.bottleLocations(wine), {
+                home: { count: 3, row: 1, column: 2 },
+                [LocalStore.UNASSIGNED]: { count: 2 }
+            });
+        });
+
+        it('adds and removes bottles at a location', () => {
+            const added = LocalStore.applyBottleChange(wine, { location: 'shed', delta: 2, stamp: { updatedBy: 'u1' } });
+            assert.strictEqual(added.quantity, 7);
+            assert.deepStrictEqual(added.locations.shed, { count: 2 });
+            assert.strictEqual(added.updatedBy, 'u1');
+            assert.strictEqual(added.revision, 3);
+
+            const removed = LocalStore.applyBottleChange(wine, { location: 'home', delta: -3 });
+            assert.strictEqual(removed.quantity, 2);
+            assert.strictEqual(removed.locations.home, undefined);
+        });
+
+        it('never moves more bottles than the source holds', () => {
+            const moved = LocalStore.applyBottleChange(wine, { from: 'home', to: 'shed', count: 10 });
+            assert.strictEqual(moved.quantity, 5);
+            assert.strictEqual(moved.locations.home, undefined);
+            assert.deepStrictEqual(moved.locations.shed, { count: 3 });
+        });
+
+        it('puts only the target location in the bin', () => {
+            const moved = LocalStore.applyBottleChange(wine, { from: LocalStore.UNASSIGNED, to: 'shed', count: 1, bin: { row: 4, column: 5 } });
+            assert.deepStrictEqual(moved.locations.shed, { count: 1, row: 4, column: 5 });
+            assert.deepStrictEqual(moved.locations.home, { count: 3, row: 1, column: 2 });
+            assert.deepStrictEqual(moved.locations[LocalStore.UNASSIGNED], { count: 1 });
+        });
+
+        it('returns null when no bottles would be left', () => {
+            assert.strictEqual(LocalStore.applyBottleChange({ id: 'w2', quantity: 1 }, { location: LocalStore.UNASSIGNED, delta: -1 }), null);
+        });
+
+        it('keeps the record when a queued bottle change would empty it', () => {
+            const queue = [{ op: 'bottles', path: 'wines/w2', value: { location: LocalStore.UNASSIGNED, delta: -1 } }];
+            const records = [{ id: 'w2', quantity: 1 }];
+            assert.deepStrictEqual(LocalStore.applyPendingWrites('wines', records, queue), records);
+        });
+    });
+});
@@ -0,0 +1,177 @@
+/**
+ * Normalization of OpenAI responses (functions/normalize.js)
+ */
+
+const assert = require('assert');
+const {
+    normalizeWineData,
+    normalizeReceiptDate,
+    normalizeReceiptItem,
+    normalizePairings,
+    PAIRING_MAX_RESULTS
+} = require('../../normalize');
+
+describe('normalizeWineData', () => {
+    it('maps a label response onto the wine fields', () => {
+        const { data } = normalizeWineData({
+            name: '  Barolo   Riserva ',
+            producer: 'Giacomo Conterno',
+            type: 'Red',
+            year: '2015',
+            region: 'Piemonte, Italië',
+            grape: 'Nebbiolo',
+            characteristics: { boldness: 5, tannins: '4', acidity: 3 },
+            estimatedPrice: '€40-50',
+            drinkFrom: 2022,
+            drinkUntil: 2040,
+            description: 'Krachtig'
+        });
+        assert.deepStrictEqual(data, {
+            name: 'Barolo Riserva',
+            producer: 'Giacomo Conterno',
+            type: 'red',
+            year: 2015,
+            region: 'Piemonte, Italië',
+            grape: 'Nebbiolo',
+            boldness: 5,
+            tannins: 4,
+            acidity: 3,
+            price: 45,
+            priceMin: 40,
+            priceMax: 50,
+            notes: 'Krachtig',
+            drinkFrom: 2022,
+            drinkUntil: 2040
+        });
+    });
+
+    it('turns placeholders into null with zero confidence', () => {
+        const { data, confidence } = normalizeWineData({ name: 'Rioja', producer: 'unknown', region: 'n/a', grape: '-' });
+        assert.deepStrictEqual([data.producer, data.region, data.grape], [null, null, null]);
+        assert.deepStrictEqual([confidence.producer, confidence.region, confidence.grape], [0, 0, 0]);
+    });
+
+    it('recognizes type aliases but marks them as a guess', () => {
+        const { data, confidence } = normalizeWineData({ name: 'Cava Brut', type: 'Cava', confidence: { type: 0.9 } });
+        assert.strictEqual(data.type, 'sparkling');
+        assert.strictEqual(confidence.type, 0.3);
+        assert.strictEqual(normalizeWineData({ name: 'X', type: 'orange' }).data.type, 'red');
+    });
+
+    it('drops impossible vintages and clamps taste scales', () => {
+        const { data, confidence } = normalizeWineData({ name: 'X', year: 1850, boldness: 9, tannins: 'zacht', acidity: 2.4 });
+        assert.strictEqual(data.year, null);
+        assert.deepStrictEqual([data.boldness, data.tannins, data.acidity], [5, 3, 2]);
+        assert.ok(confidence.boldness <= 0.3 && confidence.tannins <= 0.3);
+    });
+
+    it('reads prices as a range, a number or an object', () => {
+        assert.strictEqual(normalizeWineData({ price: 'ca. €12,50' }).data.price, 12.5);
+        assert.strictEqual(normalizeWineData({ price: 20 }).data.priceMax, 20);
+        assert.deepStrictEqual(
+            (({ price, priceMin, priceMax }) => [price, priceMin, priceMax])(normalizeWineData({ price: { min: 10, max: 14 } }).data),
+            [12, 10, 14]
+        );
+        assert.strictEqual(normalizeWineData({ price: 'gratis' }).data.price, null);
+    });
+
+    it('repairs drinking windows that start before the vintage or run backwards', () => {
+        const swapped = normalizeWineData({ year: 2015, drinkFrom: 2030, drinkUntil: 2020 }).data;
+        assert.deepStrictEqual([swapped.drinkFrom, swapped.drinkUntil], [2020, 2030]);
+
+        const early = normalizeWineData({ year: 2015, drinkFrom: 2010, drinkUntil: 2100 }).data;
+        assert.deepStrictEqual([early.drinkFrom, early.drinkUntil], [2015, 2075]);
+
+        const noEnd = normalizeWineData({ year: 2015, drinkFrom: 2020 }).data;
+        assert.deepStrictEqual([noEnd.drinkFrom, noEnd.drinkUntil], [null, null]);
+    });
+
+    it('reads confidences given as percentages', () => {
+        const { confidence } = normalizeWineData({ name: 'Rioja', confidence: { name: 85 } });
+        assert.strictEqual(confidence.name, 0.85);
+    });
+
+    it('survives a response that is no object', () => {
+        const { data } = normalizeWineData(null);
+        assert.strictEqual(data.name, null);
+        assert.strictEqual(data.type, 'red');
+    });
+});
+
+describe('normalizeReceiptItem', () => {
+    it('uses the price paid per bottle, never an estimate', () => {
+        const { data, confidence, quantity } = normalizeReceiptItem({ name: 'Rioja', quantity: '3', unitPrice: '€ 8,99', estimatedPrice: '€20' });
+        assert.strictEqual(quantity, 3);
+        assert.deepStrictEqual([data.price, data.priceMin, data.priceMax], [8.99, 8.99, 8.99]);
+        assert.strictEqual(confidence.price, 1);
+    });
+
+    it('divides a line total by the number of bottles', () => {
+        const { data } = normalizeReceiptItem({ name: 'Cava', quantity: 6, totalPrice: 50 });
+        assert.strictEqual(data.price, 8.33);
+    });
+
+    it('keeps the quantity between 1 and 99', () => {
+        assert.strictEqual(normalizeReceiptItem({ name: 'Rioja', quantity: 0 }).quantity, 1);
+        assert.strictEqual(normalizeReceiptItem({ name: 'Rioja', quantity: 250 }).quantity, 99);
+        assert.strictEqual(normalizeReceiptItem({ name: 'Rioja', quantity: 'zes' }).quantity, 1);
+    });
+
+    it('leaves out prices it cannot read with zero confidence', () => {
+        const { data, confidence } = normalizeReceiptItem({ name: 'Rioja', unitPrice: -4, estimatedPrice: 12 });
+        assert.strictEqual(data.price, null);
+        assert.strictEqual(confidence.price, 0);
+        assert.strictEqual(normalizeReceiptItem(null).data.price, null);
+    });
+});
+
+describe('normalizeReceiptDate', () => {
+    it('reads ISO and day-first dates', () => {
+        assert.strictEqual(normalizeReceiptDate('2024-05-12'), '2024-05-12');
+        assert.strictEqual(normalizeReceiptDate('12-05-2024'), '2024-05-12');
+        assert.strictEqual(normalizeReceiptDate('12/05/24'), '2024-05-12');
+    });
+
+    it('refuses impossible and future dates', () => {
+        assert.strictEqual(normalizeReceiptDate('31-02-2024'), null);
+        assert.strictEqual(normalizeReceiptDate('12-05-1999'), null);
+        assert.strictEqual(normalizeReceiptDate(`${new Date().getFullYear() + 1}-01-01`), null);
+        assert.strictEqual(normalizeReceiptDate('gisteren'), null);
+    });
+});
+
+describe('normalizePairings', () => {
+    const wineIds = new Set(['w1', 'w2', 'w3', 'w4', 'w5', 'w6']);
+
+    it('keeps one suggestion per wine that was sent', () => {
+        const pairings = normalizePairings([
+            { id: 'w1', score: 80, reason: 'Past bij lam' },
+            { id: 'w9', score: 90, reason: 'Onbekend' },
+            { id: 'w1', score: 70, reason: 'Dubbel' },
+            { score: 60 }
+        ], wineIds);
+        assert.deepStrictEqual(pairings, [{ id: 'w1', score: 80, reason: 'Past bij lam' }]);
+    });
+
+    it('rounds scores into 0-100 and sorts the best first', () => {
+        const pairings = normalizePairings([
+            { id: 'w1', score: -5 },
+            { id: 'w2', score: '250' },
+            { id: 'w3', score: 64.6 },
+            { id: 'w4', score: 'hoog' }
+        ], wineIds);
+        assert.deepStrictEqual(pairings.map(item => [item.id, item.score]), [['w2', 100], ['w3', 65], ['w1', 0], ['w4', 0]]);
+    });
+
+    it('returns at most the maximum number of pairings', () => {
+        const raw = Array.from(wineIds, (id, index) => ({ id, score: index }));
+        const pairings = normalizePairings(raw, wineIds);
+        assert.strictEqual(pairings.length, PAIRING_MAX_RESULTS);
+        assert.strictEqual(pairings[0].id, 'w6');
+    });
+
+    it('survives an answer without a list', () => {
+        assert.deepStrictEqual(normalizePairings({ id: 'w1' }, wineIds), []);
+        assert.deepStrictEqual(normalizePairings([null], wineIds), []);
+    });
+});
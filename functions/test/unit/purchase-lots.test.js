@@ -0,0 +1,73 @@
+/**
+ * PurchaseLots: bottles left per lot and their value
+ */
+
+const assert = require('assert');
+const { PurchaseLots } = require('../browser-classes');
+
+describe('PurchaseLots', () => {
+    const lots = [
+        { id: '1', date: '2022-05-01', price: 10, quantity: 6 },
+        { id: '2', date: '2023-05-01', price: 12, quantity: 3 },
+        { id: '3', date: '2024-05-01', quantity: 2 }
+    ];
+
+    describe('create', () => {
+        it('keeps only known fields and at least one bottle', () => {
+            const lot = PurchaseLots.create({ id: 'x', date: '2024-03-02', store: '', price: -1, quantity: 0 });
+            assert.deepStrictEqual(lot, { id: 'x', date: '2024-03-02', quantity: 1 });
+        });
+    });
+
+    describe('list', () => {
+        it('sorts lots oldest first', () => {
+            const purchases = { b: { id: 'b', date: '2024-01-01', quantity: 1 }, a: { id: 'a', date: '2023-01-01', quantity: 1 } };
+            assert.deepStrictEqual(PurchaseLots.list({ purchases }).map(lot => lot.id), ['a', 'b']);
+        });
+
+        it('builds the implicit lot of a wine without purchases', () => {
+            const [lot] = PurchaseLots.list({ addedAt: '2021-02-03T10:00:00.000Z', store: 'Gall & Gall', price: 9.5 }, 4);
+            assert.deepStrictEqual(lot, { id: PurchaseLots.LEGACY_ID, date: '2021-02-03', store: 'Gall & Gall', price: 9.5, quantity: 4 });
+        });
+    });
+
+    describe('remaining', () => {
+        it('opens the oldest bottles first', () => {
+            assert.deepStrictEqual(PurchaseLots.remaining(lots, 4).map(lot => lot.remaining), [0, 2, 2]);
+        });
+
+        it('gives bottles above what was bought to the newest lot', () => {
+            assert.deepStrictEqual(PurchaseLots.remaining(lots, 13).map(lot => lot.remaining), [6, 3, 4]);
+        });
+
+        it('leaves nothing when every bottle is opened', () => {
+            assert.deepStrictEqual(PurchaseLots.remaining(lots, 0).map(lot => lot.remaining), [0, 0, 0]);
+        });
+    });
+
+    describe('value', () => {
+        it('only counts remaining bottles with a known price', () => {
+            // 2 of lot 1, 3 of lot 2 and 2 of lot 3 without a price
+            assert.deepStrictEqual(PurchaseLots.value(lots, 7), { value: 2 * 10 + 3 * 12, bottles: 5 });
+        });
+    });
+
+    describe('priceChange', () => {
+        it('compares the first and last known price', () => {
+            assert.deepStrictEqual(PurchaseLots.priceChange(lots), { first: 10, last: 12, percent: 20 });
+            assert.strictEqual(PurchaseLots.priceChange(lots.slice(0, 1)), null);
+        });
+    });
+
+    describe('addChanges', () => {
+        it('turns the implicit lot into a real one and updates price and store', () => {
+            const wine = { addedAt: '2021-02-03T10:00:00.000Z', price: 9.5 };
+            const lot = PurchaseLots.create({ id: 'new', date: '2024-01-01', store: 'Mitra', price: 11, quantity: 2 });
+            const changes = PurchaseLots.addChanges(wine, lot, 3);
+            assert.deepStrictEqual(Object.keys(changes.purchases), [PurchaseLots.LEGACY_ID, 'new']);
+            assert.strictEqual(changes.purchases[PurchaseLots.LEGACY_ID].quantity, 3);
+            assert.strictEqual(changes.price, 11);
+            assert.strictEqual(changes.store, 'Mitra');
+        });
+    });
+});
@@ -0,0 +1,77 @@
+/**
+ * WineCellar.saveReceipt: saving the lines of a scanned receipt
+ */
+
+const assert = require('assert');
+const { WineCellar } = require('../browser-app');
+
+describe('saveReceipt', () => {
+    let elements;
+    let app;
+    let savedWines;
+    let uploads;
+    let purchases;
+    let failOn;
+
+    const line = (name, match = '') => ({ status: 'ready', wine: { name, quantity: 1, price: 10 }, match });
+
+    beforeEach(() => {
+        elements = {
+            saveReceiptBtn: { disabled: false },
+            receiptStore: { value: 'Mitra' },
+            receiptDate: { value: '2026-10-01' }
+        };
+        global.document = { getElementById: id => elements[id] };
+
+        savedWines = [];
+        uploads = 0;
+        purchases = 0;
+        failOn = null;
+        app = Object.create(WineCellar.prototype);
+        Object.assign(app, {
+            wines: [{ id: 'w1', name: 'Barolo', quantity: 2 }],
+            archive: [],
+            toasts: [],
+            canEdit: () => true,
+            t: key => key,
+            showToast(message) { this.toasts.push(message); },
+            storeReceiptImage: async () => { uploads++; return { imageUrl: 'https://example.com/receipt.jpg' }; },
+            addPurchase: async () => { purchases++; return true; },
+            primaryLocation: () => null,
+            saveWine: async (wine) => {
+                if (wine.name === failOn) {
+                    failOn = null;
+                    throw new Error('offline');
+                }
+                savedWines.push(wine.name);
+            },
+            renderWineList: () => {},
+            updateStats: () => {},
+            updateSearchVisibility: () => {},
+            closeModal: () => {},
+            renderReceiptItems: () => {}
+        });
+    });
+
+    afterEach(() => {
+        delete global.document;
+    });
+
+    it('only saves the remaining lines when saving again after a failure', async () => {
+        const state = { image: 'data:image/jpeg;base64,AAAA', items: [line('Barolo', 'wine:w1'), line('Rioja'), line('Cava'), line('Port')] };
+        state.items[3].status = 'discarded';
+        app.receiptState = state;
+
+        failOn = 'Cava';
+        await app.saveReceipt();
+        assert.deepStrictEqual(state.items.map(item => item.wine.name), ['Cava', 'Port']);
+        assert.deepStrictEqual(app.toasts, ['common.saveFailed']);
+        assert.strictEqual(elements.saveReceiptBtn.disabled, false);
+
+        await app.saveReceipt();
+        assert.deepStrictEqual(savedWines, ['Rioja', 'Cava']);
+        assert.strictEqual(purchases, 1);
+        assert.strictEqual(uploads, 1);
+        assert.strictEqual(app.receiptState, null);
+    });
+});
@@ -0,0 +1,77 @@
+/**
+ * SearchIndex: accent folding and typo tolerant matching
+ */
+
+const assert = require('assert');
+const { SearchIndex } = require('../browser-classes');
+
+describe('SearchIndex', () => {
+    describe('fold', () => {
+        it('drops accents and case', () => {
+            assert.strictEqual(SearchIndex.fold('Château Grüner Véltliner'), 'chateau gruner veltliner');
+        });
+
+        it('spells out ligatures', () => {
+            assert.strictEqual(SearchIndex.fold('Œuvre Æble Weißburgunder'), 'oeuvre aeble weissburgunder');
+        });
+
+        it('treats missing text as empty', () => {
+            assert.strictEqual(SearchIndex.fold(null), '');
+            assert.deepStrictEqual(SearchIndex.tokenize(undefined), []);
+        });
+    });
+
+    describe('distance', () => {
+        it('counts a swapped pair of letters as one typo', () => {
+            assert.strictEqual(SearchIndex.distance('merlto', 'merlot', 2), 1);
+        });
+
+        it('gives up above the maximum', () => {
+            assert.strictEqual(SearchIndex.distance('riesling', 'rioja', 1), 2);
+        });
+    });
+
+    describe('matchToken', () => {
+        it('ranks exact matches above prefixes, inner matches and typos', () => {
+            const exact = SearchIndex.matchToken('merlot', 'merlot').score;
+            const prefix = SearchIndex.matchToken('merl', 'merlot').score;
+            const inner = SearchIndex.matchToken('lot', 'merlot').score;
+            const typo = SearchIndex.matchToken('merlto', 'merlot').score;
+            assert.ok(exact > prefix && prefix > inner && inner > typo && typo > 0);
+        });
+
+        it('allows typos only in longer words', () => {
+            assert.strictEqual(SearchIndex.matchToken('rso', 'rose'), null);
+            assert.ok(SearchIndex.matchToken('savignon', 'sauvignon'));
+            assert.ok(SearchIndex.matchToken('savignon', 'sauvignons'));
+        });
+    });
+
+    describe('search', () => {
+        const wines = [
+            { name: 'Sauvignon Blanc', producer: 'Cloudy Bay', region: 'Marlborough' },
+            { name: 'Château Margaux', producer: 'Château Margaux', region: 'Bordeaux' },
+            { name: 'Barolo', producer: 'Giacomo Conterno', grape: 'Nebbiolo', notes: 'Margaux-achtig' }
+        ];
+
+        it('finds wines without accents and with typos', () => {
+            const hits = new SearchIndex().search(wines, 'chateau marguax');
+            assert.strictEqual(hits[0].record, wines[1]);
+        });
+
+        it('needs every word to match', () => {
+            assert.deepStrictEqual(new SearchIndex().search(wines, 'sauvignon bordeaux'), []);
+        });
+
+        it('ranks a match in the name above one in the notes', () => {
+            const hits = new SearchIndex().search(wines, 'margaux');
+            assert.deepStrictEqual(hits.map(hit => hit.record), [wines[1], wines[2]]);
+        });
+    });
+
+    describe('matchRanges', () => {
+        it('returns ranges in the original text', () => {
+            assert.deepStrictEqual(SearchIndex.matchRanges('Œuvre de Château', 'chateau'), [{ start: 9, end: 16 }]);
+        });
+    });
+});
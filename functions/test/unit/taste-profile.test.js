@@ -0,0 +1,66 @@
+/**
+ * TasteProfile: predicted ratings, favourites and liked characteristics
+ */
+
+const assert = require('assert');
+const { TasteProfile } = require('../browser-classes');
+
+describe('TasteProfile', () => {
+    const rated = [
+        { name: 'Barolo', type: 'red', grape: 'Nebbiolo', region: 'Piemonte, Italy', rating: 5, boldness: 5 },
+        { name: 'Barbaresco', type: 'red', grape: 'Nebbiolo', region: 'Piemonte, Italy', rating: 4, boldness: 4 },
+        { name: 'Chablis', type: 'white', grape: 'Chardonnay', region: 'Bourgogne, France', rating: 2, boldness: 2 },
+        { name: 'Pomerol', type: 'red', grape: 'Merlot', rating: 1 },
+        { name: 'Unrated', type: 'red', grape: 'Nebbiolo', rating: 0 }
+    ];
+    const profile = new TasteProfile(rated);
+
+    it('only learns from ratings of 1-5', () => {
+        assert.strictEqual(profile.wines.length, 4);
+        assert.strictEqual(profile.mean, 3);
+        assert.ok(profile.isReady);
+        assert.ok(!new TasteProfile(rated.slice(0, 2)).isReady);
+    });
+
+    describe('predict', () => {
+        it('rates a wine like the bottles it shares grape and region with', () => {
+            const prediction = profile.predict({ type: 'red', grape: 'Nebbiolo', region: 'Langhe, Piemonte, Italy' });
+            assert.strictEqual(prediction.rating, 3.6);
+            assert.strictEqual(prediction.confidence, 'high');
+            assert.deepStrictEqual(prediction.reasons.map(reason => [reason.label, reason.average]), [['Nebbiolo', 4.5], ['Piemonte', 4.5]]);
+        });
+
+        it('is less confident with fewer matching ratings', () => {
+            const prediction = profile.predict({ type: 'red' });
+            assert.strictEqual(prediction.rating, 3.2);
+            assert.strictEqual(prediction.confidence, 'medium');
+        });
+
+        it('falls back to the average for wines unlike anything rated', () => {
+            assert.deepStrictEqual(profile.predict({ type: 'rosé', grape: 'Grenache' }), { rating: 3, confidence: 'low', reasons: [] });
+        });
+    });
+
+    it('ranks wines by their predicted rating', () => {
+        const ranked = profile.rank([{ name: 'A', grape: 'Merlot' }, { name: 'B', grape: 'Nebbiolo' }]);
+        assert.deepStrictEqual(ranked.map(entry => entry.wine.name), ['B', 'A']);
+    });
+
+    describe('favourites', () => {
+        it('lists only liked features, best first', () => {
+            assert.deepStrictEqual(profile.favourites('grape'), [{ label: 'Nebbiolo', average: 4.5, count: 2 }]);
+            assert.deepStrictEqual(profile.favourites('region').map(stat => stat.label), ['Piemonte']);
+        });
+
+        it('returns at most the limit', () => {
+            const many = ['Syrah', 'Grenache', 'Nebbiolo'].map(grape => ({ grape, rating: 5 })).concat([{ grape: 'Merlot', rating: 1 }]);
+            assert.strictEqual(new TasteProfile(many).favourites('grape', 2).length, 2);
+        });
+    });
+
+    describe('likedCharacteristics', () => {
+        it('averages the characteristics of bottles rated 4 or more', () => {
+            assert.deepStrictEqual(profile.likedCharacteristics(), { boldness: 4.5, tannins: null, acidity: null });
+        });
+    });
+});
@@ -0,0 +1,84 @@
+// ============================
+// The Cork - Translations
+// Looks up interface texts in the message catalogs (messages-nl.js, messages-en.js)
+// and formats numbers, prices and dates for the chosen language
+// ============================
+
+// Filled by the message catalogs: { language: { key: text } }
+const I18N_MESSAGES = {};
+
+class I18n {
+    static get LANGUAGES() {
+        return {
+            nl: { name: 'Nederlands', locale: 'nl-NL' },
+            en: { name: 'English', locale: 'en-GB' }
+        };
+    }
+
+    // Texts missing from a catalog fall back to this language
+    static get FALLBACK() {
+        return 'nl';
+    }
+
+    // The saved language, otherwise the browser's: Dutch for Dutch browsers, English for the rest
+    static detect(saved) {
+        if (saved && I18n.LANGUAGES[saved]) return saved;
+        const browser = (typeof navigator !== 'undefined' && navigator.language) || '';
+        return browser.toLowerCase().startsWith('nl') ? 'nl' : 'en';
+    }
+
+    constructor(language) {
+        this.language = I18n.LANGUAGES[language] ? language : I18n.FALLBACK;
+        this.locale = I18n.LANGUAGES[this.language].locale;
+        this.plurals = new Intl.PluralRules(this.locale);
+    }
+
+    // The text for key with {name} placeholders filled in. A text can be { one, other },
+    // picked by params.count
+    t(key, params = {}) {
+        let message = I18N_MESSAGES[this.language]?.[key] ?? I18N_MESSAGES[I18n.FALLBACK]?.[key];
+        if (message === undefined) {
+            console.warn('Missing translation:', key);
+            return key;
+        }
+        if (typeof message === 'object') {
+            message = message[this.plurals.select(params.count ?? 0)] ?? message.other;
+        }
+        return message.replace(/\{(\w+)\}/g, (match, name) => (params[name] ?? match).toString());
+    }
+
+    // Fill in elements marked with data-i18n (text) and data-i18n-{placeholder,title,aria-label,alt}
+    apply(root = document) {
+        if (root === document) document.documentElement.lang = this.language;
+        root.querySelectorAll('[data-i18n]').forEach(el => {
+            el.textContent = this.t(el.dataset.i18n);
+        });
+        ['placeholder', 'title', 'aria-label', 'alt'].forEach(attribute => {
+            root.querySelectorAll(`[data-i18n-${attribute}]`).forEach(el => {
+                el.setAttribute(attribute, this.t(el.getAttribute(`data-i18n-${attribute}`)));
+            });
+        });
+    }
+
+    formatNumber(value, options = {}) {
+        return Number(value).toLocaleString(this.locale, options);
+    }
+
+    // Euros with cents, or whole euros with digits = 0
+    formatPrice(amount, digits = 2) {
+        return Number(amount).toLocaleString(this.locale, {
+            style: 'currency',
+            currency: 'EUR',
+            minimumFractionDigits: digits,
+            maximumFractionDigits: digits
+        });
+    }
+
+    // value is a Date, an ISO timestamp or a 'YYYY-MM-DD' day (read as local time, not UTC)
+    formatDate(value, options = { day: 'numeric', month: 'long', year: 'numeric' }) {
+        const date = typeof value === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(value)
+            ? new Date(`${value}T00:00`)
+            : new Date(value);
+        return date.toLocaleString(this.locale, options);
+    }
+}
@@ -0,0 +1,260 @@
+// ============================
+// The Cork - Local Storage
+// IndexedDB cache of the cellar plus a durable queue
+// of writes that still have to reach Firebase
+// ============================
+
+class LocalStore {
+    constructor(userId, cellarId = 'personal') {
+        // One database per user and cellar so accounts on a shared device never mix
+        this.dbName = cellarId === 'personal' ? `thecork-${userId}` : `thecork-${userId}-${cellarId}`;
+        this.db = null;
+    }
+
+    static get VERSION() {
+        return 3;
+    }
+
+    static get COLLECTIONS() {
+        return ['wines', 'archive', 'locations', 'consumption'];
+    }
+
+    // Location id for bottles that have not been put anywhere in particular
+    static get UNASSIGNED() {
+        return 'unassigned';
+    }
+
+    static isSupported() {
+        return typeof indexedDB !== 'undefined';
+    }
+
+    open() {
+        return new Promise((resolve, reject) => {
+            const request = indexedDB.open(this.dbName, LocalStore.VERSION);
+
+            request.onupgradeneeded = () => {
+                const db = request.result;
+                LocalStore.COLLECTIONS.forEach(name => {
+                    if (!db.objectStoreNames.contains(name)) {
+                        db.createObjectStore(name, { keyPath: 'id' });
+                    }
+                });
+                if (!db.objectStoreNames.contains('queue')) {
+                    db.createObjectStore('queue', { keyPath: 'seq', autoIncrement: true });
+                }
+            };
+
+            request.onsuccess = () => {
+                this.db = request.result;
+                resolve(this);
+            };
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    close() {
+        if (this.db) {
+            this.db.close();
+            this.db = null;
+        }
+    }
+
+    // Run fn against the given stores inside one transaction and resolve when it commits
+    transaction(storeNames, mode, fn) {
+        return new Promise((resolve, reject) => {
+            const tx = this.db.transaction(storeNames, mode);
+            let result;
+            tx.oncomplete = () => resolve(result);
+            tx.onerror = () => reject(tx.error);
+            tx.onabort = () => reject(tx.error);
+            result = fn(tx);
+        });
+    }
+
+    getAll(storeName) {
+        return new Promise((resolve, reject) => {
+            const request = this.db.transaction(storeName, 'readonly').objectStore(storeName).getAll();
+            request.onsuccess = () => resolve(request.result || []);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    replaceAll(storeName, records) {
+        return this.transaction(storeName, 'readwrite', (tx) => {
+            const store = tx.objectStore(storeName);
+            store.clear();
+            records.forEach(record => store.put(record));
+        });
+    }
+
+    // ============================
+    // Write Queue
+    // ============================
+
+    // Persist a pending write and apply it to the local cache in the same transaction.
+    // A write looks like { op: 'set' | 'update' | 'revise' | 'increment' | 'bottles' | 'remove', root, path: 'wines/<id>', value }
+    // where root is the cellar's database path (users/<uid> or cellars/<id>)
+    enqueue(write) {
+        const entry = {
+            op: write.op,
+            root: write.root,
+            path: write.path,
+            value: write.value,
+            queuedAt: new Date().toISOString()
+        };
+        const [collection] = write.path.split('/');
+        const storeNames = LocalStore.COLLECTIONS.includes(collection) ? ['queue', collection] : ['queue'];
+
+        return this.transaction(storeNames, 'readwrite', (tx) => {
+            const request = tx.objectStore('queue').add(entry);
+            request.onsuccess = () => { entry.seq = request.result; };
+            if (storeNames.length > 1) {
+                this.applyToStore(tx.objectStore(collection), write);
+            }
+            return entry;
+        });
+    }
+
+    dequeue(seq) {
+        return this.transaction('queue', 'readwrite', (tx) => {
+            tx.objectStore('queue').delete(seq);
+        });
+    }
+
+    getQueue() {
+        return this.getAll('queue').then(entries => entries.sort((a, b) => a.seq - b.seq));
+    }
+
+    applyToStore(store, write) {
+        const [, id] = write.path.split('/');
+
+        if (!id) {
+            // Whole collection write
+            store.clear();
+            if (write.op !== 'remove') {
+                Object.values(write.value || {}).forEach(record => store.put(record));
+            }
+            return;
+        }
+
+        if (write.op === 'remove') {
+            store.delete(id);
+        } else if (write.op === 'set') {
+            store.put(write.value);
+        } else {
+            const request = store.get(id);
+            request.onsuccess = () => {
+                if (request.result) store.put(LocalStore.applyChange(request.result, write));
+            };
+        }
+    }
+
+    // Result of an 'update', 'revise', 'increment' or 'bottles' write on a single record
+    static applyChange(record, write) {
+        if (write.op === 'increment') {
+            const { field, delta, min, stamp } = write.value;
+            const next = (record[field] || 0) + delta;
+            return {
+                ...record,
+                ...stamp,
+                [field]: min !== undefined ? Math.max(min, next) : next,
+                revision: (record.revision || 0) + 1
+            };
+        }
+        if (write.op === 'revise') {
+            const { changes, baseRevision, stamp } = write.value;
+            return { ...record, ...changes, ...stamp, revision: baseRevision + 1 };
+        }
+        if (write.op === 'bottles') {
+            return LocalStore.applyBottleChange(record, write.value) || record;
+        }
+        return { ...record, ...write.value };
+    }
+
+    // Bottle counts per location. Bottles counted in quantity but not in any location
+    // (wines from before locations existed, or edited by an older client) are unassigned
+    static bottleLocations(record) {
+        const locations = {};
+        Object.entries(record.locations || {}).forEach(([locationId, entry]) => {
+            if (entry && entry.count > 0) locations[locationId] = { ...entry };
+        });
+
+        const assigned = Object.values(locations).reduce((sum, entry) => sum + entry.count, 0);
+        const unassigned = (record.quantity || 0) - assigned;
+        if (unassigned > 0) {
+            const entry = locations[LocalStore.UNASSIGNED];
+            locations[LocalStore.UNASSIGNED] = { count: (entry?.count || 0) + unassigned };
+        }
+        return locations;
+    }
+
+    // Add or remove bottles at one location ({ location, delta }) or move them
+    // ({ from, to, count }), optionally putting them in a bin ({ row, column }).
+    // Returns null when the change would leave the wine without bottles
+    static applyBottleChange(record, { location, delta, from, to, count, bin, stamp }) {
+        const locations = LocalStore.bottleLocations(record);
+        const setCount = (locationId, value) => {
+            if (value > 0) {
+                locations[locationId] = { ...locations[locationId], count: value };
+            } else {
+                delete locations[locationId];
+            }
+        };
+
+        let target = location;
+        if (from !== undefined) {
+            // Never move more bottles than the source still holds
+            const available = locations[from]?.count || 0;
+            const moved = Math.min(count, available);
+            setCount(from, available - moved);
+            setCount(to, (locations[to]?.count || 0) + moved);
+            target = to;
+        } else {
+            setCount(location, (locations[location]?.count || 0) + delta);
+        }
+
+        if (bin && locations[target]) {
+            locations[target] = { ...locations[target], row: bin.row ?? null, column: bin.column ?? null };
+        }
+
+        const quantity = Object.values(locations).reduce((sum, entry) => sum + entry.count, 0);
+        if (quantity < 1) return null;
+
+        return {
+            ...record,
+            ...stamp,
+            locations,
+            quantity,
+            revision: (record.revision || 0) + 1
+        };
+    }
+
+    // Apply pending writes on top of a server snapshot so unsynced local changes
+    // are not lost when a (stale) snapshot arrives before the queue is replayed
+    static applyPendingWrites(collection, records, queue) {
+        const byId = new Map(records.map(record => [record.id, record]));
+
+        queue.forEach(write => {
+            const [writeCollection, id] = write.path.split('/');
+            if (writeCollection !== collection) return;
+
+            // A counter change that is being sent is already reflected in the snapshot once committed
+            if ((write.op === 'increment' || write.op === 'bottles') && write.inFlight) return;
+
+            if (!id) {
+                byId.clear();
+                if (write.op !== 'remove') {
+                    Object.values(write.value || {}).forEach(record => byId.set(record.id, record));
+                }
+            } else if (write.op === 'remove') {
+                byId.delete(id);
+            } else if (write.op === 'set') {
+                byId.set(id, write.value);
+            } else if (byId.has(id)) {
+                byId.set(id, LocalStore.applyChange(byId.get(id), write));
+            }
+        });
+
+        return Array.from(byId.values());
+    }
+}
@@ -0,0 +1,519 @@
+// ============================
+// The Cork - English Texts
+// ============================
+
+I18N_MESSAGES.en = {
+    // App
+    'app.title': 'The Cork - Wine Cellar',
+
+    // Header buttons
+    'nav.stats': 'Statistics',
+    'nav.pairing': 'Food pairing',
+    'nav.shopping': 'Shopping list',
+    'nav.archive': 'Archive',
+    'nav.settings': 'Settings',
+
+    // Login screen
+    'login.welcome': 'Welcome to The Cork',
+    'login.intro': 'Sign in with your Google account to manage your wine cellar and sync it across all your devices.',
+
+    // Shared
+    'common.offline': 'You\'re offline - please try again later',
+    'common.delete': 'Delete',
+    'common.deleteFailed': 'Could not delete',
+    'common.unknown': 'Unknown',
+    'common.bottles': { one: '{count} bottle', other: '{count} bottles' },
+    'common.wait': 'Please wait…',
+    'common.saveFailed': 'Could not save',
+    'common.save': 'Save',
+    'common.copy': 'Copy',
+    'common.notesOptional': 'Notes (optional)',
+
+    // Wine fields
+    'field.name': 'Name',
+    'field.producer': 'Producer',
+    'field.type': 'Type',
+    'field.year': 'Year',
+    'field.drinkWindow': 'Drinking window',
+    'field.region': 'Region',
+    'field.country': 'Country',
+    'field.grape': 'Grape',
+    'field.boldness': 'Body',
+    'field.tannins': 'Tannins',
+    'field.acidity': 'Acidity',
+    'field.price': 'Price',
+    'field.quantity': 'Quantity',
+    'field.store': 'Store',
+    'field.barcode': 'Barcode',
+    'field.notes': 'Notes',
+    'field.image': 'Photo',
+    'field.status': 'Cellar or archive',
+    'field.drinkFrom': 'Drink from',
+    'field.drinkUntil': 'Drink until',
+    'field.addedAt': 'Added on',
+    'field.rating': 'Rating',
+    'field.rebuy': 'Buy again',
+    'field.archiveNotes': 'Review',
+    'field.archivedAt': 'Archived on',
+    'field.imageUrl': 'Photo (link)',
+    'field.bottleCount': 'Number of bottles',
+    'field.priceEuro': 'Price (€)',
+    'field.location': 'Location',
+    'field.date': 'Date',
+
+    // Wine types
+    'type.red': 'Red',
+    'type.white': 'White',
+    'type.rosé': 'Rosé',
+    'type.sparkling': 'Sparkling',
+    'type.dessert': 'Dessert',
+
+    // Drinking window
+    'drink.past': 'Past its peak',
+    'drink.soon': 'Drink soon',
+    'drink.ready': 'Drink now',
+    'drink.hold': 'Keep',
+    'drink.until': 'until {year}',
+    'drink.badgeTitle': 'Drink {window}',
+    'drink.notifications': '{count} wines have a new drinking status',
+    'drink.status': 'Drinking status',
+    'drink.all': 'All wines',
+    'drink.unknown': 'No drinking window',
+
+    // Sign-in
+    'auth.signedInAs': 'Signed in as {name}',
+    'auth.signedInAsHtml': 'Signed in as {name}',
+    'auth.signInFailed': 'Sign-in failed: {error}',
+    'auth.signedOut': 'Signed out',
+    'auth.signInWithGoogle': 'Sign in with Google',
+    'auth.signOut': 'Sign out',
+
+    // Sync status
+    'sync.unavailable': 'Cloud sync unavailable - using local storage',
+    'sync.local': 'Local storage',
+    'sync.localDetails': 'Not configured - Cloud sync is not available',
+    'sync.signedOut': 'Not signed in',
+    'sync.signedOutDetails': 'Not signed in',
+    'sync.connecting': 'Connecting...',
+    'sync.connectingDetails': 'Connecting to the cloud...',
+    'sync.synced': 'Cloud sync',
+    'sync.syncedDetails': '✓ Connected - Your wines are synced automatically',
+    'sync.syncing': 'Syncing...',
+    'sync.syncingDetails': 'Syncing...',
+    'sync.error': 'Sync error',
+    'sync.errorDetails': '⚠️ Sync error - Please try again later',
+    'sync.disconnected': 'Offline',
+    'sync.disconnectedDetails': 'Offline - Changes are kept on this device',
+    'sync.pending': { one: '({count} change waiting to sync)', other: '({count} changes waiting to sync)' },
+
+    // Settings
+    'settings.language': 'Language',
+    'settings.account': 'Account & Cloud Sync',
+    'settings.accountSynced': 'Your wine cellar is synced with your Google account.',
+    'settings.accountDevices': 'All your wines are available on all your devices.',
+    'settings.cellar': 'Cellar',
+    'settings.cellarIntro': 'Share a cellar with your housemates, so you all keep track of the same wines.',
+    'settings.locations': 'Locations',
+    'settings.locationsIntro': 'Keep track of where your bottles are: a wine fridge, a rack in the cellar or at friends. Enter rows and slots to also remember the spot in the rack.',
+    'settings.importExport': 'Import & export',
+    'settings.importExportIntro': 'Download your cellar and archive as CSV for a spreadsheet or as a JSON backup, or read wines from a file. Exports from CellarTracker and Vivino are recognized.',
+    'settings.duplicates': 'Duplicate wines',
+    'settings.duplicatesIntro': 'Find wines that are in your cellar or archive twice, for example with a different spelling or a typo, and merge them into one wine.',
+    'settings.findDuplicates': 'Find duplicate wines',
+    'settings.ai': 'AI wine recognition',
+    'settings.aiActive': '✓ Automatic label recognition active',
+    'settings.aiIntro': 'Take a photo of a wine label and the app automatically recognizes the wine, grape variety and region, and gives tasting notes.',
+    'settings.about': 'About The Cork',
+    'settings.aboutText': 'The Cork uses GPT-4 Vision to read wine labels and automatically look up wine characteristics, tasting notes and price information.',
+    'settings.version': 'Version 2.0 - Now with cloud sync and an archive.',
+
+    // Shared cellars
+    'cellar.readOnly': 'You can only view this cellar',
+    'cellar.accessLost': 'You no longer have access to this cellar',
+    'cellar.nameMissing': 'Give the cellar a name',
+    'cellar.created': 'Cellar "{name}" created',
+    'cellar.createFailed': 'Could not create the cellar',
+    'cellar.personal': 'My cellar',
+    'cellar.personalOf': 'My cellar ({name})',
+    'cellar.sharedName': 'Shared cellar',
+    'cellar.newNamePlaceholder': 'Name of the new shared cellar',
+    'cellar.create': 'Create',
+    'cellar.copyWines': 'Take along the current wines and archive',
+
+    // Invites
+    'invite.shareText': 'Join my wine cellar "{name}"',
+    'invite.createFailed': 'Could not create the invite',
+    'invite.linkCopied': 'Link copied',
+    'invite.invalid': 'This invite has expired or is invalid',
+    'invite.joined': 'You have joined "{name}"',
+    'invite.joinedUnnamed': 'You have joined the cellar',
+    'invite.acceptFailed': 'Could not accept the invite',
+    'invite.create': 'Invite',
+
+    // Cellar members
+    'members.owner': 'Owner',
+    'members.editor': 'Editor',
+    'members.viewer': 'Viewer',
+    'members.you': '(you)',
+    'members.thisMember': 'This member',
+    'members.roleFailed': 'Could not change the role',
+    'members.ownerCannotLeave': 'The owner cannot leave the cellar',
+    'members.confirmLeave': 'Are you sure you want to leave this cellar?',
+    'members.confirmRemove': 'Remove {name} from the cellar?',
+    'members.left': 'You left the cellar',
+    'members.leave': 'Leave cellar',
+
+    // Bottle locations
+    'location.unassigned': 'No fixed place',
+    'location.unknown': 'Unknown location',
+    'location.row': 'row {row}',
+    'location.column': 'slot {column}',
+    'location.nameMissing': 'Give the location a name',
+    'location.added': 'Location "{name}" added',
+    'location.inUse': 'Move the bottles at this location first',
+    'location.moved': 'Moved to {name}',
+    'location.namePlaceholder': 'e.g. Wine fridge',
+    'location.add': 'Add',
+    'location.rowsPlaceholder': 'Rows (optional)',
+    'location.columnsPlaceholder': 'Slots (optional)',
+    'location.rowPlaceholder': 'Row',
+    'location.columnPlaceholder': 'Slot',
+    'location.from': 'From',
+    'location.to': 'To',
+    'location.move': 'Move',
+
+    // Add and edit form
+    'form.addTitle': 'Add Wine',
+    'form.addSubmit': 'Add to Cellar',
+    'form.editTitle': 'Edit Wine',
+    'form.editSubmit': 'Save Changes',
+    'form.drinkWindowInvalid': 'The drinking window starts after it ends',
+    'form.barcodeInvalid': 'This barcode is not valid',
+    'form.wineDeleted': 'This wine has been deleted in the meantime',
+    'form.updated': 'Wine updated!',
+    'form.added': 'Wine added to cellar!',
+    'form.addPhoto': 'Tap to add photo',
+    'form.photoPreview': 'Wine label preview',
+    'form.camera': 'Camera',
+    'form.gallery': 'Gallery',
+    'form.batchScan': 'Scan several bottles at once',
+    'form.receiptScan': 'Scan a receipt',
+    'form.nameLabel': 'Wine Name *',
+    'form.namePlaceholder': 'e.g., Grand Vin 2015',
+    'form.producerLabel': 'Producer / House',
+    'form.producerPlaceholder': 'e.g., Château Margaux',
+    'form.regionPlaceholder': 'e.g., Bordeaux, France',
+    'form.grapeLabel': 'Grape Variety',
+    'form.grapePlaceholder': 'e.g., Cabernet Sauvignon',
+    'form.characteristics': 'Characteristics',
+    'form.light': 'Light',
+    'form.bold': 'Bold',
+    'form.smooth': 'Smooth',
+    'form.tannic': 'Tannic',
+    'form.soft': 'Soft',
+    'form.acidic': 'Acidic',
+    'form.storePlaceholder': 'e.g., Albert Heijn, Gall & Gall',
+    'form.barcodePlaceholder': 'EAN on the label (scanned from the photo)',
+    'form.tastingNotes': 'Tasting Notes',
+    'form.notesPlaceholder': 'Your personal notes...',
+
+    // Label scanning
+    'scan.demoRunning': 'AI not available - demo mode...',
+    'scan.demoMode': 'Demo mode: Cloud Functions not configured yet',
+    'scan.analyzing': 'Analyzing wine with AI...',
+    'scan.searchingPhoto': 'Searching for a product photo...',
+    'scan.recognizedWithPhoto': 'Wine recognized with product photo!',
+    'scan.recognizedNoPhoto': 'Wine recognized! No product photo found.',
+    'scan.recognizedPhotoUnavailable': 'Wine recognized! Product photo not available.',
+    'scan.recognizedCheck': 'Wine recognized! Please check the details.',
+    'scan.unauthorized': 'Not authorized. Please sign in again.',
+    'scan.tooManyRequests': 'Too many requests. Please try again later.',
+    'scan.notConfigured': 'AI service not configured.',
+    'scan.failed': 'Could not analyze the image. Please enter the details by hand.',
+    'scan.readingLabel': 'Reading label...',
+
+    // Photos
+    'image.credit': 'Photo: {site}',
+    'image.unreadable': 'This photo could not be read',
+
+    // Barcodes
+    'barcode.recognized': 'Wine recognized by its barcode',
+    'barcode.boughtBefore': 'You have bought this bottle before',
+
+    // Batch scanning
+    'batch.nothingFound': 'No wine recognized in this photo',
+    'batch.addTo': 'Add to {name} ({bottles})',
+    'batch.newWine': 'New wine',
+    'batch.waiting': 'Waiting for analysis…',
+    'batch.scanning': 'Analyzing wine with AI…',
+    'batch.retry': 'Retry',
+    'batch.discard': 'Leave out',
+    'batch.restore': 'Put back',
+    'batch.thisPhoto': 'This photo',
+    'batch.discarded': '{name} will not be saved',
+    'batch.bottleCount': 'Number of bottles',
+    'batch.pricePlaceholder': 'Price (€)',
+    'batch.mergeLabel': 'New or existing wine',
+    'batch.busy': { one: '{count} photo in progress', other: '{count} photos in progress' },
+    'batch.new': '{count} new',
+    'batch.merged': { one: '{count} added to an existing wine', other: '{count} added to existing wines' },
+    'batch.failed': '{count} not recognized',
+    'batch.empty': 'No photos chosen yet',
+    'batch.save': { one: 'Save {count} bottle', other: 'Save {count} bottles' },
+    'batch.nameMissing': 'Give every new wine a name',
+    'batch.added': { one: '{count} wine added', other: '{count} wines added' },
+    'batch.nothingSaved': 'Nothing saved',
+    'batch.title': 'Scan Bottles',
+    'batch.intro': 'Choose photos of all the bottles you bought. Then check each wine: adjust it, add it to a wine that is already in your cellar or leave it out.',
+    'batch.multiple': 'Several bottles in one photo',
+    'batch.pick': 'Choose photos…',
+    'batch.store': 'Bought at',
+    'batch.storePlaceholder': 'Store (optional)',
+
+    // Receipt scanning
+    'receipt.reading': 'Reading the receipt with AI…',
+    'receipt.nothingFound': 'No wines found on this receipt',
+    'receipt.boughtAgain': 'Bought again: {name} (archive)',
+    'receipt.thisLine': 'This line',
+    'receipt.unitPrice': 'Price per bottle',
+    'receipt.unitPricePlaceholder': 'Price per bottle (€)',
+    'receipt.matched': { one: '{count} for a wine you already had', other: '{count} for wines you already had' },
+    'receipt.total': 'total {total}',
+    'receipt.intro': 'Take a photo of the receipt from the wine shop. Then check each wine: add it to a wine you already have, add it as a new wine or leave it out. Store, date and price come from the receipt.',
+    'receipt.pick': 'Photo of the receipt…',
+
+    // Edit conflicts
+    'conflict.youElsewhere': 'you on another device',
+    'conflict.someoneElse': 'someone else',
+    'conflict.intro': 'This wine was changed by {who}{when} in the meantime. Choose which version to keep for each field.',
+    'conflict.mine': 'Your version:',
+    'conflict.theirs': 'Other version:',
+    'conflict.submit': 'Merge and save',
+    'conflict.noPhoto': 'No photo',
+    'conflict.clash': 'A change clashes with another change. Please try again.',
+    'conflict.changedElsewhere': 'This wine was also changed on another device',
+
+    // Duplicates
+    'duplicate.introOne': 'This wine is already in your cellar. Add the bottles to it?',
+    'duplicate.introMany': 'This wine looks like wines already in your cellar. Add the bottles to one of them?',
+    'duplicate.addTo': 'Add to',
+    'duplicate.separate': 'Keep separate',
+    'duplicate.separateDetails': 'as a different lot',
+    'duplicate.bottlesAdded': { one: '{count} bottle added to {name}', other: '{count} bottles added to {name}' },
+    'duplicate.none': 'No duplicate wines found',
+    'duplicate.merge': 'Merge',
+    'duplicate.added': 'added {date}',
+    'duplicate.archived': 'archived {date}',
+    'duplicate.merged': '{count} wines merged',
+    'duplicate.mergeFailed': 'Could not merge',
+    'duplicate.intro': 'Choose which wine to keep in each group. Bottles, empty fields and the drinking log of the other wines move to that wine; the others are deleted afterwards.',
+
+    // Search
+    'search.results': { one: '{count} result', other: '{count} results' },
+    'search.inArchive': '{count} in archive',
+    'search.noResults': 'No wines found for "{query}"',
+    'search.noFilterResults': 'No wines match the filters',
+    'search.noDrinkResults': 'No wines with this drinking status',
+    'search.archiveTitle': 'In the archive',
+    'search.placeholder': 'Search, or filter: type:red year:<2015 price:>30',
+
+    // Filters
+    'filter.all': 'All',
+    'filter.toggle': 'Filters',
+    'filter.allTypes': 'All types',
+    'filter.from': 'from',
+    'filter.to': 'to',
+    'filter.clear': 'Clear filters',
+
+    // Sorting
+    'sort.label': 'Sort',
+    'sort.added': 'Newest first',
+    'sort.year': 'Year (oldest first)',
+    'sort.price': 'Price (highest first)',
+    'sort.liking': 'Expected liking',
+    'sort.urgency': 'Drinking urgency',
+
+    // Wine list
+    'list.noDetails': 'No details',
+    'list.emptyTitle': 'Your cellar is empty',
+    'list.emptyHint': 'Tap + to add your first bottle',
+
+    // Wine details
+    'detail.noRegion': 'Region not specified',
+    'detail.profile': 'Profile',
+    'detail.opened': 'Opened bottles',
+    'detail.purchases': 'Purchases',
+    'detail.inCellar': 'In Cellar',
+    'detail.edit': 'Edit',
+
+    // Purchase lots
+    'purchase.priceChange': 'Price {first} → {last} ({percent}%)',
+    'purchase.unknownDate': 'Unknown date',
+    'purchase.remaining': '{count} left in the cellar',
+    'purchase.receipt': 'receipt',
+    'purchase.added': { one: '{count} bottle added', other: '{count} bottles added' },
+    'purchase.add': 'Add purchase',
+    'purchase.date': 'Bought on',
+    'purchase.storePlaceholder': 'e.g., Gall & Gall',
+    'purchase.price': 'Price per bottle (€)',
+    'purchase.pricePlaceholder': '0.00',
+    'purchase.receiptPhoto': 'Photo of the receipt (optional)',
+
+    // Opening bottles
+    'consume.with': 'with {name}',
+    'consume.opened': 'Cheers! Bottle recorded',
+    'consume.lastBottle': 'Last bottle! Wine archived',
+    'consume.title': 'Bottle Opened',
+    'consume.date': 'When',
+    'consume.occasion': 'Occasion (optional)',
+    'consume.occasionPlaceholder': 'e.g., Birthday, dinner',
+    'consume.drankBy': 'With whom',
+    'consume.drankByPlaceholder': 'e.g., Anna and Pieter',
+    'consume.ratingQuestion': 'How was this bottle?',
+    'consume.rebuyQuestion': 'This was the last bottle. Would you buy this wine again?',
+    'consume.notesPlaceholder': 'How did it taste, what did it go with...',
+
+    // Archive
+    'archive.selectRating': 'Select a rating',
+    'archive.rating1': 'Poor',
+    'archive.rating2': 'Fair',
+    'archive.rating3': 'Good',
+    'archive.rating4': 'Very good',
+    'archive.rating5': 'Excellent!',
+    'archive.deleted': 'Wine deleted',
+    'archive.archived': 'Wine archived!',
+    'archive.count': { one: '{count} wine', other: '{count} wines' },
+    'archive.rebuy.yes': 'Again',
+    'archive.rebuy.maybe': 'Maybe',
+    'archive.rebuy.no': 'Not again',
+    'archive.rebuyBadge.yes': 'Buy again',
+    'archive.rebuyBadge.maybe': 'Maybe',
+    'archive.rebuyBadge.no': 'Not again',
+    'archive.archivedOn': 'Archived on {date}',
+    'archive.restored': 'Wine moved back to the cellar!',
+    'archive.deleteConfirm': 'Are you sure you want to permanently delete this wine from the archive?',
+    'archive.removed': 'Wine removed from the archive',
+    'archive.noResults': 'No wines found',
+    'archive.title': 'Archive Wine',
+    'archive.ratingQuestion': 'How did you like this wine?',
+    'archive.rebuyQuestion': 'Would you buy this wine again?',
+    'archive.notesPlaceholder': 'Your experience with this wine...',
+    'archive.deleteOnly': 'Just delete',
+    'archive.confirm': 'Archive',
+    'archive.searchPlaceholder': 'Search the archive...',
+    'archive.allRatings': 'All ratings',
+    'archive.notAgain': 'Not again',
+    'archive.empty': 'Your archive is empty',
+    'archive.emptyHint': 'Deleted wines with a rating show up here',
+    'archive.review': 'My Review',
+    'archive.restore': 'Restore',
+
+    // Buy again
+    'rebuy.yesShort': 'Definitely again',
+    'rebuy.maybeShort': 'Maybe again',
+    'rebuy.yes': 'Definitely',
+    'rebuy.maybe': 'Maybe',
+    'rebuy.answerYes': 'Yes!',
+    'rebuy.answerNo': 'No',
+
+    // Statistics
+    'stats.bottles': 'bottles',
+    'stats.value': 'cellar value',
+    'stats.averagePrice': 'avg. per bottle',
+    'stats.byType': 'By type',
+    'stats.byCountry': 'By country',
+    'stats.byRegion': 'By region',
+    'stats.byGrape': 'By grape',
+    'stats.byVintage': 'By vintage',
+    'stats.ratingByRegion': 'Avg. rating by region',
+    'stats.ratingByGrape': 'Avg. rating by grape',
+    'stats.noData': 'No data yet',
+    'stats.otherStores': 'Other',
+    'stats.spendByStore': 'Spending by store',
+    'stats.totalByStore': 'Total by store',
+    'stats.openedByMonth': 'Opened by month',
+
+    // Taste profile
+    'taste.nothingSimilar': 'Nothing similar rated yet',
+    'taste.reason': '{label}: average {average} over {bottles}',
+    'taste.notReady': 'Rate at least {count} bottles when opening or archiving them, and The Cork learns what you like.',
+    'taste.tooFewRatings': 'Not enough ratings yet',
+    'taste.summary': 'You gave {bottles} an average of {average}.',
+    'taste.likedScales': 'The wines you liked best had an average {scales} (out of 5).',
+    'taste.favouriteGrapes': 'Favourite grapes',
+    'taste.favouriteRegions': 'Favourite regions',
+    'taste.cellarEmpty': 'Your cellar is empty',
+    'taste.noRebuys': 'No wines you want to buy again yet',
+    'taste.open': 'Your taste profile and recommendations',
+    'taste.title': 'Taste Profile',
+    'taste.fromCellar': 'From your cellar',
+    'taste.fromCellarIntro': 'Bottles you will probably enjoy the most.',
+    'taste.rebuyIntro': 'Wines from your archive that you want to buy again and are no longer in your cellar.',
+
+    // Shopping list
+    'shopping.empty': 'Nothing to buy yet. Choose "Buy again?" when archiving to put wines on this list.',
+    'shopping.unknownStore': 'Unknown store',
+    'shopping.lastPrice': 'last {price}',
+    'shopping.bought': 'Bought',
+    'shopping.restocked': '{name} is back in your cellar',
+    'shopping.listEmpty': 'The shopping list is empty',
+    'shopping.copied': 'Shopping list copied',
+    'shopping.copyFailed': 'Could not copy',
+    'shopping.intro': 'Wines from your archive that you want to buy again, by the store where you bought them. Tick off a wine once you\'ve bought it and it goes back into your cellar.',
+    'shopping.includeMaybe': 'Also show "maybe"',
+
+    // Food pairing
+    'pairing.cellarEmpty': 'Your cellar is still empty',
+    'pairing.dishMissing': 'Describe the dish first',
+    'pairing.unavailable': 'AI not available',
+    'pairing.thinking': 'The sommelier is thinking...',
+    'pairing.failed': 'Could not look for a wine. Please try again later.',
+    'pairing.find': 'Find a wine',
+    'pairing.noMatch': 'No bottle in your cellar goes well with this',
+    'pairing.title': 'What\'s for dinner?',
+    'pairing.intro': 'Describe the dish and we will pick the best matching bottles from your cellar.',
+    'pairing.placeholder': 'e.g., Ossobuco with risotto milanese',
+
+    // Export
+    'export.fileName': 'cellar',
+    'export.exported': '{count} wines exported',
+    'export.backupDownloaded': 'Backup downloaded',
+    'export.json': 'JSON backup',
+    'export.includePhotos': 'Include photos',
+
+    // Import
+    'import.readOnly': 'You can\'t add anything to this cellar',
+    'import.invalidJson': 'This file is not valid JSON',
+    'import.notABackup': 'This is not a backup of The Cork',
+    'import.newerBackup': 'This backup comes from a newer version of The Cork',
+    'import.nothingFound': 'No wines found in this file',
+    'import.formatExport': '{format} export',
+    'import.skipColumn': '— Do not import —',
+    'import.column': 'Column {number}',
+    'import.skipped': '{count} duplicates skipped',
+    'import.withErrors': '{count} with errors',
+    'import.statusError': 'Error',
+    'import.statusDuplicate': 'Duplicate',
+    'import.statusArchive': 'Archive',
+    'import.statusCellar': 'Cellar',
+    'import.unnamed': 'Unnamed wine',
+    'import.notANumber': '{field} is not a number, 3 used',
+    'import.ignored': '{field} "{value}" ignored',
+    'import.nameMissing': 'Name is missing',
+    'import.unknownType': 'Unknown type "{value}", red used',
+    'import.quantityInvalid': 'Quantity "{value}" is not valid',
+    'import.drinkFromIgnored': 'Drinking window without an end year ignored',
+    'import.nothingToImport': 'Nothing to import',
+    'import.submit': 'Import {count}',
+    'import.imported': { one: '{count} wine imported', other: '{count} wines imported' },
+    'import.failed': 'Import failed',
+    'import.button': 'Import…',
+    'import.title': 'Import',
+    'import.columns': 'Columns',
+    'import.columnsIntro': 'Choose which column belongs to which field.',
+    'import.duplicatesIntro': 'A wine is a duplicate when its producer, name and year already exist.',
+    'import.skip': 'Skip',
+    'import.merge': 'Add the bottles to the existing wine',
+    'import.addAnyway': 'Add as a new wine anyway',
+    'import.preview': 'Preview'
+};
@@ -0,0 +1,520 @@
+// ============================
+// The Cork - Dutch Texts
+// The default language: texts missing from another catalog are taken from here
+// ============================
+
+I18N_MESSAGES.nl = {
+    // App
+    'app.title': 'The Cork - Wijnkelder',
+
+    // Header buttons
+    'nav.stats': 'Statistieken',
+    'nav.pairing': 'Wijn bij eten',
+    'nav.shopping': 'Boodschappenlijst',
+    'nav.archive': 'Archief',
+    'nav.settings': 'Instellingen',
+
+    // Login screen
+    'login.welcome': 'Welkom bij The Cork',
+    'login.intro': 'Log in met je Google account om je wijnkelder te beheren en te synchroniseren tussen al je apparaten.',
+
+    // Shared
+    'common.offline': 'Je bent offline - probeer het later opnieuw',
+    'common.delete': 'Verwijderen',
+    'common.deleteFailed': 'Verwijderen mislukt',
+    'common.unknown': 'Onbekend',
+    'common.bottles': { one: '{count} fles', other: '{count} flessen' },
+    'common.wait': 'Even geduld…',
+    'common.saveFailed': 'Opslaan mislukt',
+    'common.save': 'Opslaan',
+    'common.copy': 'Kopieer',
+    'common.notesOptional': 'Notities (optioneel)',
+
+    // Wine fields
+    'field.name': 'Naam',
+    'field.producer': 'Producent',
+    'field.type': 'Type',
+    'field.year': 'Jaar',
+    'field.drinkWindow': 'Drinkvenster',
+    'field.region': 'Regio',
+    'field.country': 'Land',
+    'field.grape': 'Druif',
+    'field.boldness': 'Body',
+    'field.tannins': 'Tannines',
+    'field.acidity': 'Zuurgraad',
+    'field.price': 'Prijs',
+    'field.quantity': 'Aantal',
+    'field.store': 'Winkel',
+    'field.barcode': 'Barcode',
+    'field.notes': 'Notities',
+    'field.image': 'Foto',
+    'field.status': 'Kelder of archief',
+    'field.drinkFrom': 'Drinken vanaf',
+    'field.drinkUntil': 'Drinken tot',
+    'field.addedAt': 'Toegevoegd op',
+    'field.rating': 'Beoordeling',
+    'field.rebuy': 'Opnieuw kopen',
+    'field.archiveNotes': 'Recensie',
+    'field.archivedAt': 'Gearchiveerd op',
+    'field.imageUrl': 'Foto (link)',
+    'field.bottleCount': 'Aantal flessen',
+    'field.priceEuro': 'Prijs (€)',
+    'field.location': 'Locatie',
+    'field.date': 'Datum',
+
+    // Wine types
+    'type.red': 'Rood',
+    'type.white': 'Wit',
+    'type.rosé': 'Rosé',
+    'type.sparkling': 'Mousserend',
+    'type.dessert': 'Dessert',
+
+    // Drinking window
+    'drink.past': 'Over hoogtepunt',
+    'drink.soon': 'Snel drinken',
+    'drink.ready': 'Nu drinken',
+    'drink.hold': 'Bewaren',
+    'drink.until': 't/m {year}',
+    'drink.badgeTitle': 'Drinken {window}',
+    'drink.notifications': '{count} wijnen hebben een nieuwe drinkstatus',
+    'drink.status': 'Drinkstatus',
+    'drink.all': 'Alle wijnen',
+    'drink.unknown': 'Geen drinkvenster',
+
+    // Sign-in
+    'auth.signedInAs': 'Ingelogd als {name}',
+    'auth.signedInAsHtml': 'Ingelogd als {name}',
+    'auth.signInFailed': 'Inloggen mislukt: {error}',
+    'auth.signedOut': 'Uitgelogd',
+    'auth.signInWithGoogle': 'Inloggen met Google',
+    'auth.signOut': 'Uitloggen',
+
+    // Sync status
+    'sync.unavailable': 'Cloud sync niet beschikbaar - lokale opslag wordt gebruikt',
+    'sync.local': 'Lokale opslag',
+    'sync.localDetails': 'Niet geconfigureerd - Cloud sync is niet beschikbaar',
+    'sync.signedOut': 'Niet ingelogd',
+    'sync.signedOutDetails': 'Niet ingelogd',
+    'sync.connecting': 'Verbinden...',
+    'sync.connectingDetails': 'Verbinden met cloud...',
+    'sync.synced': 'Cloud sync',
+    'sync.syncedDetails': '✓ Verbonden - Je wijnen worden automatisch gesynchroniseerd',
+    'sync.syncing': 'Synchroniseren...',
+    'sync.syncingDetails': 'Synchroniseren...',
+    'sync.error': 'Sync fout',
+    'sync.errorDetails': '⚠️ Synchronisatie fout - Probeer later opnieuw',
+    'sync.disconnected': 'Offline',
+    'sync.disconnectedDetails': 'Offline - Wijzigingen worden op dit apparaat bewaard',
+    'sync.pending': { one: '({count} wijziging wacht op synchronisatie)', other: '({count} wijzigingen wachten op synchronisatie)' },
+
+    // Settings
+    'settings.language': 'Taal',
+    'settings.account': 'Account & cloudsync',
+    'settings.accountSynced': 'Je wijnkelder wordt gesynchroniseerd met je Google account.',
+    'settings.accountDevices': 'Al je wijnen zijn beschikbaar op al je apparaten.',
+    'settings.cellar': 'Kelder',
+    'settings.cellarIntro': 'Deel een kelder met je huisgenoten, zodat jullie dezelfde wijnen bijhouden.',
+    'settings.locations': 'Locaties',
+    'settings.locationsIntro': 'Houd bij waar je flessen liggen: een wijnkoelkast, een rek in de kelder of bij vrienden. Geef rijen en vakken op om ook de plek in het rek te onthouden.',
+    'settings.importExport': 'Importeren & exporteren',
+    'settings.importExportIntro': 'Download je kelder en archief als CSV voor een spreadsheet of als JSON back-up, of lees wijnen in uit een bestand. Exports van CellarTracker en Vivino worden herkend.',
+    'settings.duplicates': 'Dubbele wijnen',
+    'settings.duplicatesIntro': 'Zoek wijnen die twee keer in je kelder of archief staan, bijvoorbeeld met een andere schrijfwijze of een tikfout, en voeg ze samen tot één wijn.',
+    'settings.findDuplicates': 'Dubbele wijnen zoeken',
+    'settings.ai': 'AI-wijnherkenning',
+    'settings.aiActive': '✓ Automatische labelherkenning actief',
+    'settings.aiIntro': 'Maak een foto van een wijnetiket en de app herkent automatisch de wijn, druivensoort, regio, en geeft proefnotities.',
+    'settings.about': 'Over The Cork',
+    'settings.aboutText': 'The Cork gebruikt GPT-4 Vision om wijnetiketten te lezen en automatisch wijnkenmerken, proefnotities en prijsinformatie op te halen.',
+    'settings.version': 'Versie 2.0 - Nu met cloud sync en archief functie.',
+
+    // Shared cellars
+    'cellar.readOnly': 'Je hebt alleen leesrechten voor deze kelder',
+    'cellar.accessLost': 'Je hebt geen toegang meer tot deze kelder',
+    'cellar.nameMissing': 'Geef de kelder een naam',
+    'cellar.created': 'Kelder "{name}" aangemaakt',
+    'cellar.createFailed': 'Kelder aanmaken mislukt',
+    'cellar.personal': 'Mijn kelder',
+    'cellar.personalOf': 'Mijn kelder ({name})',
+    'cellar.sharedName': 'Gedeelde kelder',
+    'cellar.newNamePlaceholder': 'Naam nieuwe gedeelde kelder',
+    'cellar.create': 'Maak',
+    'cellar.copyWines': 'Huidige wijnen en archief meenemen',
+
+    // Invites
+    'invite.shareText': 'Doe mee met mijn wijnkelder "{name}"',
+    'invite.createFailed': 'Uitnodiging maken mislukt',
+    'invite.linkCopied': 'Link gekopieerd',
+    'invite.invalid': 'Deze uitnodiging is verlopen of ongeldig',
+    'invite.joined': 'Je bent toegevoegd aan "{name}"',
+    'invite.joinedUnnamed': 'Je bent toegevoegd aan de kelder',
+    'invite.acceptFailed': 'Uitnodiging accepteren mislukt',
+    'invite.create': 'Uitnodigen',
+
+    // Cellar members
+    'members.owner': 'Eigenaar',
+    'members.editor': 'Bewerker',
+    'members.viewer': 'Kijker',
+    'members.you': '(jij)',
+    'members.thisMember': 'Dit lid',
+    'members.roleFailed': 'Rol wijzigen mislukt',
+    'members.ownerCannotLeave': 'De eigenaar kan de kelder niet verlaten',
+    'members.confirmLeave': 'Weet je zeker dat je deze kelder wilt verlaten?',
+    'members.confirmRemove': '{name} verwijderen uit de kelder?',
+    'members.left': 'Je hebt de kelder verlaten',
+    'members.leave': 'Kelder verlaten',
+
+    // Bottle locations
+    'location.unassigned': 'Geen vaste plek',
+    'location.unknown': 'Onbekende locatie',
+    'location.row': 'rij {row}',
+    'location.column': 'vak {column}',
+    'location.nameMissing': 'Geef de locatie een naam',
+    'location.added': 'Locatie "{name}" toegevoegd',
+    'location.inUse': 'Verplaats eerst de flessen op deze locatie',
+    'location.moved': 'Verplaatst naar {name}',
+    'location.namePlaceholder': 'bijv. Wijnkoelkast',
+    'location.add': 'Toevoegen',
+    'location.rowsPlaceholder': 'Rijen (optioneel)',
+    'location.columnsPlaceholder': 'Vakken (optioneel)',
+    'location.rowPlaceholder': 'Rij',
+    'location.columnPlaceholder': 'Vak',
+    'location.from': 'Van',
+    'location.to': 'Naar',
+    'location.move': 'Verplaats',
+
+    // Add and edit form
+    'form.addTitle': 'Wijn toevoegen',
+    'form.addSubmit': 'Toevoegen aan kelder',
+    'form.editTitle': 'Wijn bewerken',
+    'form.editSubmit': 'Wijzigingen opslaan',
+    'form.drinkWindowInvalid': 'Het drinkvenster begint na het einde',
+    'form.barcodeInvalid': 'Deze barcode klopt niet',
+    'form.wineDeleted': 'Deze wijn is intussen verwijderd',
+    'form.updated': 'Wijn bijgewerkt!',
+    'form.added': 'Wijn toegevoegd aan de kelder!',
+    'form.addPhoto': 'Tik om een foto toe te voegen',
+    'form.photoPreview': 'Voorbeeld van het etiket',
+    'form.camera': 'Camera',
+    'form.gallery': 'Galerij',
+    'form.batchScan': 'Meerdere flessen tegelijk scannen',
+    'form.receiptScan': 'Kassabon scannen',
+    'form.nameLabel': 'Naam van de wijn *',
+    'form.namePlaceholder': 'bijv. Grand Vin 2015',
+    'form.producerLabel': 'Producent / Huis',
+    'form.producerPlaceholder': 'bijv. Château Margaux',
+    'form.regionPlaceholder': 'bijv. Bordeaux, Frankrijk',
+    'form.grapeLabel': 'Druivensoort',
+    'form.grapePlaceholder': 'bijv. Cabernet Sauvignon',
+    'form.characteristics': 'Kenmerken',
+    'form.light': 'Licht',
+    'form.bold': 'Krachtig',
+    'form.smooth': 'Zacht',
+    'form.tannic': 'Stroef',
+    'form.soft': 'Mild',
+    'form.acidic': 'Fris',
+    'form.storePlaceholder': 'bijv. Albert Heijn, Gall & Gall',
+    'form.barcodePlaceholder': 'EAN op het etiket (wordt gescand van de foto)',
+    'form.tastingNotes': 'Proefnotities',
+    'form.notesPlaceholder': 'Je persoonlijke notities...',
+
+    // Label scanning
+    'scan.demoRunning': 'AI niet beschikbaar - demo modus...',
+    'scan.demoMode': 'Demo modus: Cloud Functions nog niet geconfigureerd',
+    'scan.analyzing': 'Wijn analyseren met AI...',
+    'scan.searchingPhoto': 'Zoeken naar productfoto...',
+    'scan.recognizedWithPhoto': 'Wijn herkend met productfoto!',
+    'scan.recognizedNoPhoto': 'Wijn herkend! Geen productfoto gevonden.',
+    'scan.recognizedPhotoUnavailable': 'Wijn herkend! Productfoto niet beschikbaar.',
+    'scan.recognizedCheck': 'Wijn herkend! Controleer de gegevens.',
+    'scan.unauthorized': 'Niet geautoriseerd. Log opnieuw in.',
+    'scan.tooManyRequests': 'Te veel verzoeken. Probeer het later.',
+    'scan.notConfigured': 'AI service niet geconfigureerd.',
+    'scan.failed': 'Kan afbeelding niet analyseren. Voer handmatig in.',
+    'scan.readingLabel': 'Etiket lezen...',
+
+    // Photos
+    'image.credit': 'Foto: {site}',
+    'image.unreadable': 'Deze foto kan niet worden gelezen',
+
+    // Barcodes
+    'barcode.recognized': 'Wijn herkend aan de barcode',
+    'barcode.boughtBefore': 'Deze fles had je al eens gekocht',
+
+    // Batch scanning
+    'batch.nothingFound': 'Geen wijn herkend op deze foto',
+    'batch.addTo': 'Optellen bij {name} ({bottles})',
+    'batch.newWine': 'Nieuwe wijn',
+    'batch.waiting': 'Wacht op analyse…',
+    'batch.scanning': 'Wijn analyseren met AI…',
+    'batch.retry': 'Opnieuw',
+    'batch.discard': 'Weglaten',
+    'batch.restore': 'Terugzetten',
+    'batch.thisPhoto': 'Deze foto',
+    'batch.discarded': '{name} wordt niet opgeslagen',
+    'batch.bottleCount': 'Aantal flessen',
+    'batch.pricePlaceholder': 'Prijs (€)',
+    'batch.mergeLabel': 'Nieuwe of bestaande wijn',
+    'batch.busy': { one: '{count} foto bezig', other: '{count} foto\'s bezig' },
+    'batch.new': '{count} nieuw',
+    'batch.merged': '{count} opgeteld bij bestaande wijnen',
+    'batch.failed': '{count} niet herkend',
+    'batch.empty': 'Nog geen foto\'s gekozen',
+    'batch.save': { one: '{count} fles opslaan', other: '{count} flessen opslaan' },
+    'batch.nameMissing': 'Geef elke nieuwe wijn een naam',
+    'batch.added': { one: '{count} wijn toegevoegd', other: '{count} wijnen toegevoegd' },
+    'batch.nothingSaved': 'Niets opgeslagen',
+    'batch.title': 'Flessen scannen',
+    'batch.intro': 'Kies foto\'s van alle flessen die je gekocht hebt. Controleer daarna elke wijn: pas hem aan, tel hem op bij een wijn die al in je kelder ligt of laat hem weg.',
+    'batch.multiple': 'Meerdere flessen op één foto',
+    'batch.pick': 'Foto\'s kiezen…',
+    'batch.store': 'Gekocht bij',
+    'batch.storePlaceholder': 'Winkel (optioneel)',
+
+    // Receipt scanning
+    'receipt.reading': 'Bon lezen met AI…',
+    'receipt.nothingFound': 'Geen wijnen gevonden op deze bon',
+    'receipt.boughtAgain': 'Opnieuw gekocht: {name} (archief)',
+    'receipt.thisLine': 'Deze regel',
+    'receipt.unitPrice': 'Prijs per fles',
+    'receipt.unitPricePlaceholder': 'Prijs per fles (€)',
+    'receipt.matched': '{count} bij wijnen die je al had',
+    'receipt.total': 'totaal {total}',
+    'receipt.intro': 'Maak een foto van de kassabon van de wijnwinkel. Controleer daarna elke wijn: tel hem op bij een wijn die je al hebt, voeg hem toe als nieuwe wijn of laat hem weg. Winkel, datum en prijs komen van de bon.',
+    'receipt.pick': 'Foto van de bon…',
+
+    // Edit conflicts
+    'conflict.youElsewhere': 'jou op een ander apparaat',
+    'conflict.someoneElse': 'iemand anders',
+    'conflict.intro': 'Deze wijn is intussen gewijzigd door {who}{when}. Kies per veld welke versie je wilt bewaren.',
+    'conflict.mine': 'Jouw versie:',
+    'conflict.theirs': 'Andere versie:',
+    'conflict.submit': 'Samenvoegen en opslaan',
+    'conflict.noPhoto': 'Geen foto',
+    'conflict.clash': 'Een wijziging botst met een andere wijziging. Probeer opnieuw.',
+    'conflict.changedElsewhere': 'Deze wijn is ook op een ander apparaat gewijzigd',
+
+    // Duplicates
+    'duplicate.introOne': 'Deze wijn ligt al in je kelder. Wil je de flessen daarbij optellen?',
+    'duplicate.introMany': 'Deze wijn lijkt op wijnen die al in je kelder liggen. Wil je de flessen bij een ervan optellen?',
+    'duplicate.addTo': 'Optellen bij',
+    'duplicate.separate': 'Apart bewaren',
+    'duplicate.separateDetails': 'als een andere partij',
+    'duplicate.bottlesAdded': { one: '{count} fles toegevoegd aan {name}', other: '{count} flessen toegevoegd aan {name}' },
+    'duplicate.none': 'Geen dubbele wijnen gevonden',
+    'duplicate.merge': 'Samenvoegen',
+    'duplicate.added': 'toegevoegd {date}',
+    'duplicate.archived': 'gearchiveerd {date}',
+    'duplicate.merged': '{count} wijnen samengevoegd',
+    'duplicate.mergeFailed': 'Samenvoegen mislukt',
+    'duplicate.intro': 'Kies per groep welke wijn je bewaart. Flessen, lege velden en de drinklog van de andere wijnen gaan naar die wijn; daarna worden de andere verwijderd.',
+
+    // Search
+    'search.results': { one: '{count} resultaat', other: '{count} resultaten' },
+    'search.inArchive': '{count} in archief',
+    'search.noResults': 'Geen wijnen gevonden voor "{query}"',
+    'search.noFilterResults': 'Geen wijnen die aan de filters voldoen',
+    'search.noDrinkResults': 'Geen wijnen met deze drinkstatus',
+    'search.archiveTitle': 'In het archief',
+    'search.placeholder': 'Zoek, of filter: type:red year:<2015 price:>30',
+
+    // Filters
+    'filter.all': 'Alle',
+    'filter.toggle': 'Filters',
+    'filter.allTypes': 'Alle types',
+    'filter.from': 'van',
+    'filter.to': 'tot',
+    'filter.clear': 'Filters wissen',
+
+    // Sorting
+    'sort.label': 'Sorteren',
+    'sort.added': 'Nieuwste eerst',
+    'sort.year': 'Jaar (oudste eerst)',
+    'sort.price': 'Prijs (hoogste eerst)',
+    'sort.liking': 'Verwachte waardering',
+    'sort.urgency': 'Drinkurgentie',
+
+    // Wine list
+    'list.noDetails': 'Geen details',
+    'list.emptyTitle': 'Je kelder is leeg',
+    'list.emptyHint': 'Tik op + om je eerste fles toe te voegen',
+
+    // Wine details
+    'detail.noRegion': 'Regio onbekend',
+    'detail.profile': 'Profiel',
+    'detail.opened': 'Geopende flessen',
+    'detail.purchases': 'Aankopen',
+    'detail.inCellar': 'In de kelder',
+    'detail.edit': 'Bewerken',
+
+    // Purchase lots
+    'purchase.priceChange': 'Prijs {first} → {last} ({percent}%)',
+    'purchase.unknownDate': 'Onbekende datum',
+    'purchase.remaining': 'nog {count} in de kelder',
+    'purchase.receipt': 'bon',
+    'purchase.added': { one: '{count} fles toegevoegd', other: '{count} flessen toegevoegd' },
+    'purchase.add': 'Aankoop toevoegen',
+    'purchase.date': 'Gekocht op',
+    'purchase.storePlaceholder': 'bijv. Gall & Gall',
+    'purchase.price': 'Prijs per fles (€)',
+    'purchase.pricePlaceholder': '0,00',
+    'purchase.receiptPhoto': 'Foto van de bon (optioneel)',
+
+    // Opening bottles
+    'consume.with': 'met {name}',
+    'consume.opened': 'Proost! Fles bijgeschreven',
+    'consume.lastBottle': 'Laatste fles! Wijn gearchiveerd',
+    'consume.title': 'Fles geopend',
+    'consume.date': 'Wanneer',
+    'consume.occasion': 'Gelegenheid (optioneel)',
+    'consume.occasionPlaceholder': 'bijv. Verjaardag, etentje',
+    'consume.drankBy': 'Met wie',
+    'consume.drankByPlaceholder': 'bijv. Anna en Pieter',
+    'consume.ratingQuestion': 'Hoe was deze fles?',
+    'consume.rebuyQuestion': 'Dit was de laatste fles. Zou je deze wijn opnieuw kopen?',
+    'consume.notesPlaceholder': 'Hoe smaakte hij, waar paste hij bij...',
+
+    // Archive
+    'archive.selectRating': 'Selecteer een beoordeling',
+    'archive.rating1': 'Slecht',
+    'archive.rating2': 'Matig',
+    'archive.rating3': 'Goed',
+    'archive.rating4': 'Heel goed',
+    'archive.rating5': 'Uitstekend!',
+    'archive.deleted': 'Wijn verwijderd',
+    'archive.archived': 'Wijn gearchiveerd!',
+    'archive.count': { one: '{count} wijn', other: '{count} wijnen' },
+    'archive.rebuy.yes': 'Opnieuw',
+    'archive.rebuy.maybe': 'Misschien',
+    'archive.rebuy.no': 'Niet meer',
+    'archive.rebuyBadge.yes': 'Opnieuw kopen',
+    'archive.rebuyBadge.maybe': 'Misschien',
+    'archive.rebuyBadge.no': 'Niet meer',
+    'archive.archivedOn': 'Gearchiveerd op {date}',
+    'archive.restored': 'Wijn teruggezet naar kelder!',
+    'archive.deleteConfirm': 'Weet je zeker dat je deze wijn definitief wilt verwijderen uit het archief?',
+    'archive.removed': 'Wijn verwijderd uit archief',
+    'archive.noResults': 'Geen wijnen gevonden',
+    'archive.title': 'Wijn archiveren',
+    'archive.ratingQuestion': 'Hoe vond je deze wijn?',
+    'archive.rebuyQuestion': 'Zou je deze wijn opnieuw kopen?',
+    'archive.notesPlaceholder': 'Je ervaring met deze wijn...',
+    'archive.deleteOnly': 'Alleen verwijderen',
+    'archive.confirm': 'Archiveren',
+    'archive.searchPlaceholder': 'Zoek in archief...',
+    'archive.allRatings': 'Alle beoordelingen',
+    'archive.notAgain': 'Niet opnieuw',
+    'archive.empty': 'Je archief is leeg',
+    'archive.emptyHint': 'Verwijderde wijnen met een beoordeling verschijnen hier',
+    'archive.review': 'Mijn review',
+    'archive.restore': 'Terugzetten',
+
+    // Buy again
+    'rebuy.yesShort': 'Zeker opnieuw',
+    'rebuy.maybeShort': 'Misschien opnieuw',
+    'rebuy.yes': 'Zeker',
+    'rebuy.maybe': 'Misschien',
+    'rebuy.answerYes': 'Ja!',
+    'rebuy.answerNo': 'Nee',
+
+    // Statistics
+    'stats.bottles': 'flessen',
+    'stats.value': 'kelderwaarde',
+    'stats.averagePrice': 'gem. per fles',
+    'stats.byType': 'Per type',
+    'stats.byCountry': 'Per land',
+    'stats.byRegion': 'Per regio',
+    'stats.byGrape': 'Per druif',
+    'stats.byVintage': 'Per jaargang',
+    'stats.ratingByRegion': 'Gem. beoordeling per regio',
+    'stats.ratingByGrape': 'Gem. beoordeling per druif',
+    'stats.noData': 'Nog geen gegevens',
+    'stats.otherStores': 'Overig',
+    'stats.spendByStore': 'Uitgaven per winkel',
+    'stats.totalByStore': 'Totaal per winkel',
+    'stats.openedByMonth': 'Geopend per maand',
+
+    // Taste profile
+    'taste.nothingSimilar': 'Nog niets vergelijkbaars beoordeeld',
+    'taste.reason': '{label}: gemiddeld {average} over {bottles}',
+    'taste.notReady': 'Beoordeel minstens {count} flessen bij het openen of archiveren, dan leert The Cork wat je lekker vindt.',
+    'taste.tooFewRatings': 'Nog te weinig beoordelingen',
+    'taste.summary': 'Je gaf {bottles} gemiddeld {average}.',
+    'taste.likedScales': 'De wijnen die je het best vond hadden gemiddeld {scales} (op 5).',
+    'taste.favouriteGrapes': 'Favoriete druiven',
+    'taste.favouriteRegions': 'Favoriete regio\'s',
+    'taste.cellarEmpty': 'Je kelder is leeg',
+    'taste.noRebuys': 'Nog geen wijnen die je opnieuw wilt kopen',
+    'taste.open': 'Jouw smaakprofiel en aanraders',
+    'taste.title': 'Smaakprofiel',
+    'taste.fromCellar': 'Uit je kelder',
+    'taste.fromCellarIntro': 'Flessen die je waarschijnlijk het meest gaat waarderen.',
+    'taste.rebuyIntro': 'Wijnen uit je archief die je opnieuw wilt kopen en niet meer in je kelder liggen.',
+
+    // Shopping list
+    'shopping.empty': 'Nog niets om te kopen. Kies bij het archiveren "Opnieuw kopen?" om wijnen op deze lijst te zetten.',
+    'shopping.unknownStore': 'Onbekende winkel',
+    'shopping.lastPrice': 'laatst {price}',
+    'shopping.bought': 'Gekocht',
+    'shopping.restocked': '{name} staat weer in je kelder',
+    'shopping.listEmpty': 'De boodschappenlijst is leeg',
+    'shopping.copied': 'Boodschappenlijst gekopieerd',
+    'shopping.copyFailed': 'Kopiëren mislukt',
+    'shopping.intro': 'Wijnen uit je archief die je opnieuw wilt kopen, per winkel waar je ze kocht. Vink een wijn af als je hem gekocht hebt, dan komt hij weer in je kelder.',
+    'shopping.includeMaybe': 'Ook "misschien" tonen',
+
+    // Food pairing
+    'pairing.cellarEmpty': 'Je kelder is nog leeg',
+    'pairing.dishMissing': 'Beschrijf eerst het gerecht',
+    'pairing.unavailable': 'AI niet beschikbaar',
+    'pairing.thinking': 'Sommelier denkt na...',
+    'pairing.failed': 'Kan geen wijn zoeken. Probeer het later.',
+    'pairing.find': 'Zoek een wijn',
+    'pairing.noMatch': 'Geen fles in je kelder die hier goed bij past',
+    'pairing.title': 'Wat eten we?',
+    'pairing.intro': 'Beschrijf het gerecht en we zoeken de best passende flessen uit je kelder.',
+    'pairing.placeholder': 'bijv. Ossobuco met risotto milanese',
+
+    // Export
+    'export.fileName': 'kelder',
+    'export.exported': '{count} wijnen geëxporteerd',
+    'export.backupDownloaded': 'Back-up gedownload',
+    'export.json': 'JSON back-up',
+    'export.includePhotos': 'Foto\'s meenemen',
+
+    // Import
+    'import.readOnly': 'Je kunt in deze kelder niets toevoegen',
+    'import.invalidJson': 'Dit bestand is geen geldige JSON',
+    'import.notABackup': 'Dit is geen back-up van The Cork',
+    'import.newerBackup': 'Deze back-up komt uit een nieuwere versie van The Cork',
+    'import.nothingFound': 'Geen wijnen gevonden in dit bestand',
+    'import.formatExport': '{format}-export',
+    'import.skipColumn': '— Niet importeren —',
+    'import.column': 'Kolom {number}',
+    'import.skipped': '{count} dubbel overgeslagen',
+    'import.withErrors': '{count} met fouten',
+    'import.statusError': 'Fout',
+    'import.statusDuplicate': 'Dubbel',
+    'import.statusArchive': 'Archief',
+    'import.statusCellar': 'Kelder',
+    'import.unnamed': 'Naamloze wijn',
+    'import.notANumber': '{field} is geen getal, 3 gebruikt',
+    'import.ignored': '{field} "{value}" genegeerd',
+    'import.nameMissing': 'Naam ontbreekt',
+    'import.unknownType': 'Onbekend type "{value}", rood gebruikt',
+    'import.quantityInvalid': 'Aantal "{value}" is ongeldig',
+    'import.drinkFromIgnored': 'Drinkvenster zonder einddatum genegeerd',
+    'import.nothingToImport': 'Niets om te importeren',
+    'import.submit': '{count} importeren',
+    'import.imported': { one: '{count} wijn geïmporteerd', other: '{count} wijnen geïmporteerd' },
+    'import.failed': 'Importeren mislukt',
+    'import.button': 'Importeren…',
+    'import.title': 'Importeren',
+    'import.columns': 'Kolommen',
+    'import.columnsIntro': 'Kies welke kolom bij welk veld hoort.',
+    'import.duplicatesIntro': 'Een wijn is dubbel als producent, naam en jaar al voorkomen.',
+    'import.skip': 'Overslaan',
+    'import.merge': 'Flessen bij bestaande wijn optellen',
+    'import.addAnyway': 'Toch als nieuwe wijn toevoegen',
+    'import.preview': 'Voorbeeld'
+};
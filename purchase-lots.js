@@ -0,0 +1,98 @@
+// ============================
+// The Cork - Purchase Lots
+// Every time a wine is bought is a lot with its own date, store,
+// unit price and bottle count, so buying it again keeps the history
+// ============================
+
+class PurchaseLots {
+    // Wines from before lots existed have one implicit lot built from their own fields
+    static get LEGACY_ID() {
+        return 'initial';
+    }
+
+    // { id, date, store, price, quantity, receipt }; receipt is the stored photo fields
+    static create({ id, date, store, price, quantity, receipt } = {}) {
+        const lot = {
+            id: id || Date.now().toString(),
+            date: date || new Date().toISOString().slice(0, 10),
+            quantity: Math.max(1, parseInt(quantity, 10) || 1)
+        };
+        if (store) lot.store = store;
+        if (typeof price === 'number' && price >= 0) lot.price = price;
+        if (receipt && Object.keys(receipt).length > 0) lot.receipt = receipt;
+        return lot;
+    }
+
+    // Lots of a wine, oldest first; legacyQuantity is how many bottles the implicit lot holds
+    static list(wine, legacyQuantity = 1) {
+        const lots = Object.values(wine.purchases || {});
+        if (lots.length === 0) {
+            return [{
+                id: PurchaseLots.LEGACY_ID,
+                date: (wine.addedAt || '').slice(0, 10),
+                store: wine.store || null,
+                price: typeof wine.price === 'number' ? wine.price : null,
+                quantity: Math.max(1, legacyQuantity)
+            }];
+        }
+        return lots.sort((a, b) => (a.date || '').localeCompare(b.date || '') || a.id.localeCompare(b.id));
+    }
+
+    static latest(wine) {
+        const lots = PurchaseLots.list(wine);
+        return lots[lots.length - 1];
+    }
+
+    // Bottles still in the cellar per lot: the oldest bottles are opened first,
+    // anything above what was bought (a count corrected by hand) counts as the newest lot
+    static remaining(lots, quantity) {
+        let left = quantity;
+        const result = lots.map(lot => ({ ...lot, remaining: 0 }));
+        for (let i = result.length - 1; i >= 0 && left > 0; i--) {
+            result[i].remaining = Math.min(result[i].quantity || 0, left);
+            left -= result[i].remaining;
+        }
+        if (left > 0 && result.length > 0) result[result.length - 1].remaining += left;
+        return result;
+    }
+
+    // { value, bottles } of the remaining bottles that have a known price
+    static value(lots, quantity) {
+        return PurchaseLots.remaining(lots, quantity)
+            .filter(lot => typeof lot.price === 'number')
+            .reduce((total, lot) => ({
+                value: total.value + lot.price * lot.remaining,
+                bottles: total.bottles + lot.remaining
+            }), { value: 0, bottles: 0 });
+    }
+
+    // First and last known unit price with the change in percent, or null for a single price
+    static priceChange(lots) {
+        const prices = lots.filter(lot => typeof lot.price === 'number' && lot.price > 0).map(lot => lot.price);
+        if (prices.length < 2) return null;
+        const first = prices[0];
+        const last = prices[prices.length - 1];
+        return { first, last, percent: Math.round((last - first) / first * 100) };
+    }
+
+    // The purchases map with the given lots added; the implicit lot of an older wine becomes a real one
+    static withLots(wine, lots, legacyQuantity = 1) {
+        const purchases = {};
+        [...PurchaseLots.list(wine, legacyQuantity), ...lots].forEach(lot => {
+            const entry = {};
+            Object.entries(lot).forEach(([key, value]) => {
+                if (value !== null && value !== undefined && value !== '') entry[key] = value;
+            });
+            purchases[entry.id] = entry;
+        });
+        return purchases;
+    }
+
+    // Changes that add a lot to a wine; price and store keep showing the latest purchase
+    static addChanges(wine, lot, legacyQuantity = 1) {
+        const changes = { purchases: PurchaseLots.withLots(wine, [lot], legacyQuantity) };
+        if (typeof lot.price === 'number') changes.price = lot.price;
+        if (lot.store) changes.store = lot.store;
+        return changes;
+    }
+}
@@ -0,0 +1,177 @@
+// ============================
+// The Cork - Search
+// Accent-insensitive, typo tolerant search over wines
+// and archive entries, ranked by where the words match
+// ============================
+
+class SearchIndex {
+    constructor() {
+        // Tokens per record object; edited wines are new objects, so they are indexed again
+        this.cache = new WeakMap();
+    }
+
+    // Searchable fields and how much a match in each counts
+    static get FIELDS() {
+        return {
+            name: 5,
+            producer: 4,
+            grape: 3,
+            region: 3,
+            year: 2,
+            store: 1,
+            notes: 1,
+            archiveNotes: 1
+        };
+    }
+
+    static get WORD() {
+        return /[\p{L}\p{M}\p{N}]+/gu;
+    }
+
+    // "Château Œuvre" -> "chateau oeuvre"
+    static fold(text) {
+        return String(text || '')
+            .toLowerCase()
+            .replace(/œ/g, 'oe')
+            .replace(/æ/g, 'ae')
+            .replace(/ß/g, 'ss')
+            .normalize('NFD')
+            .replace(/[\u0300-\u036f]/g, '');
+    }
+
+    static tokenize(text) {
+        return SearchIndex.fold(text).match(SearchIndex.WORD) || [];
+    }
+
+    // Edit distance with transpositions, giving up once it exceeds max
+    static distance(a, b, max) {
+        if (Math.abs(a.length - b.length) > max) return max + 1;
+
+        let previous2 = null;
+        let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+        for (let i = 1; i <= a.length; i++) {
+            const current = [i];
+            let rowMin = i;
+            for (let j = 1; j <= b.length; j++) {
+                const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+                let value = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+                if (previous2 && i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+                    value = Math.min(value, previous2[j - 2] + 1);
+                }
+                current.push(value);
+                rowMin = Math.min(rowMin, value);
+            }
+            if (rowMin > max) return max + 1;
+            previous2 = previous;
+            previous = current;
+        }
+        return previous[b.length];
+    }
+
+    // Typos allowed for a search word of this length
+    static tolerance(length) {
+        if (length >= 8) return 2;
+        return length >= 4 ? 1 : 0;
+    }
+
+    // How well a search word matches a word of the record (0 = no match), and which part of it
+    static matchToken(queryToken, token) {
+        if (token === queryToken) return { score: 1, start: 0, end: token.length };
+        if (token.startsWith(queryToken)) return { score: 0.8, start: 0, end: queryToken.length };
+
+        if (queryToken.length >= 3) {
+            const index = token.indexOf(queryToken);
+            if (index !== -1) return { score: 0.6, start: index, end: index + queryToken.length };
+        }
+
+        const max = SearchIndex.tolerance(queryToken.length);
+        if (max > 0) {
+            // Compare with the whole word and with its start, so "savignon" finds "sauvignon" and "sauvignons"
+            const whole = SearchIndex.distance(queryToken, token, max);
+            const start = token.length > queryToken.length
+                ? SearchIndex.distance(queryToken, token.substring(0, queryToken.length + 1), max)
+                : whole;
+            const typos = Math.min(whole, start);
+            if (typos <= max) return { score: 0.5 - 0.1 * typos, start: 0, end: token.length };
+        }
+        return null;
+    }
+
+    entry(record) {
+        let entry = this.cache.get(record);
+        if (!entry) {
+            entry = [];
+            Object.entries(SearchIndex.FIELDS).forEach(([field, weight]) => {
+                SearchIndex.tokenize(record[field]).forEach(token => entry.push({ token, weight }));
+            });
+            this.cache.set(record, entry);
+        }
+        return entry;
+    }
+
+    score(record, queryTokens) {
+        const tokens = this.entry(record);
+        let total = 0;
+
+        for (const queryToken of queryTokens) {
+            let best = 0;
+            tokens.forEach(({ token, weight }) => {
+                const match = SearchIndex.matchToken(queryToken, token);
+                if (match) best = Math.max(best, match.score * weight);
+            });
+            // Every search word has to match somewhere
+            if (best === 0) return 0;
+            total += best;
+        }
+        return total;
+    }
+
+    // Records matching every word of the query as [{ record, score }], best first
+    search(records, query) {
+        const queryTokens = SearchIndex.tokenize(query);
+        if (queryTokens.length === 0) return records.map(record => ({ record, score: 0 }));
+
+        return records
+            .map(record => ({ record, score: this.score(record, queryTokens) }))
+            .filter(hit => hit.score > 0)
+            .sort((a, b) => b.score - a.score);
+    }
+
+    // Character ranges of text that match the query, in the original (unfolded) text
+    static matchRanges(text, query) {
+        const queryTokens = SearchIndex.tokenize(query);
+        const ranges = [];
+        if (!text || queryTokens.length === 0) return ranges;
+
+        for (const word of String(text).matchAll(SearchIndex.WORD)) {
+            // Folded characters mapped back to where they came from in the word ("œ" folds to two)
+            let folded = '';
+            const starts = [];
+            const ends = [];
+            let offset = 0;
+            for (const char of word[0]) {
+                const foldedChar = SearchIndex.fold(char);
+                if (foldedChar.length === 0 && ends.length > 0) {
+                    // A separate accent belongs to the letter before it
+                    ends[ends.length - 1] = offset + char.length;
+                }
+                for (let k = 0; k < foldedChar.length; k++) {
+                    starts.push(offset);
+                    ends.push(offset + char.length);
+                }
+                folded += foldedChar;
+                offset += char.length;
+            }
+
+            let best = null;
+            queryTokens.forEach(queryToken => {
+                const match = SearchIndex.matchToken(queryToken, folded);
+                if (match && (!best || match.score > best.score)) best = match;
+            });
+            if (best) {
+                ranges.push({ start: word.index + starts[best.start], end: word.index + ends[best.end - 1] });
+            }
+        }
+        return ranges;
+    }
+}
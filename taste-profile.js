@@ -0,0 +1,157 @@
+// ============================
+// The Cork - Taste Profile
+// Learns from rated bottles which grapes, regions and styles
+// someone likes, and predicts how they will rate other wines
+// ============================
+
+class TasteProfile {
+    // ratedWines: wine records with a rating of 1-5 (archive entries or opened bottles)
+    constructor(ratedWines) {
+        this.wines = ratedWines.filter(wine => wine.rating >= 1 && wine.rating <= 5);
+        this.mean = this.wines.length > 0
+            ? this.wines.reduce((sum, wine) => sum + wine.rating, 0) / this.wines.length
+            : 3;
+
+        // Per feature ("grape:nebbiolo") the summed deviation from the average rating
+        this.stats = new Map();
+        this.wines.forEach(wine => {
+            TasteProfile.features(wine).forEach(feature => {
+                const stat = this.stats.get(feature.id) || { ...feature, sum: 0, total: 0, count: 0 };
+                stat.sum += wine.rating - this.mean;
+                stat.total += wine.rating;
+                stat.count += 1;
+                this.stats.set(feature.id, stat);
+            });
+        });
+    }
+
+    // Fewer ratings than this say too little about someone's taste
+    static get MIN_RATINGS() {
+        return 3;
+    }
+
+    // Imaginary average-rated bottles added to every feature, so one great bottle doesn't dominate
+    static get PRIOR() {
+        return 2;
+    }
+
+    // How much each kind of feature says about the rating
+    static get WEIGHTS() {
+        return {
+            grape: 1,
+            region: 0.8,
+            producer: 0.8,
+            type: 0.5,
+            country: 0.4,
+            boldness: 0.6,
+            tannins: 0.6,
+            acidity: 0.6
+        };
+    }
+
+    // Characteristics rated on a 1-5 scale; their feature label is the value alone
+    static get SCALES() {
+        return ['boldness', 'tannins', 'acidity'];
+    }
+
+    static features(wine) {
+        const features = [];
+        const add = (kind, value) => {
+            if (value === null || value === undefined || value === '') return;
+            const key = String(value).toLowerCase().trim();
+            if (key) features.push({ id: `${kind}:${key}`, kind, label: String(value) });
+        };
+
+        add('type', wine.type);
+        add('producer', wine.producer);
+
+        const regionParts = (wine.region || '').split(',').map(part => part.trim()).filter(Boolean);
+        add('region', regionParts.length > 1 ? regionParts[regionParts.length - 2] : regionParts[0]);
+        if (regionParts.length > 1) add('country', regionParts[regionParts.length - 1]);
+
+        (wine.grape || '').split(/,|\/|&| en | and /)
+            .map(grape => grape.trim())
+            .filter(Boolean)
+            .forEach(grape => add('grape', grape));
+
+        TasteProfile.SCALES.forEach(scale => add(scale, wine[scale] || null));
+        return features;
+    }
+
+    get isReady() {
+        return this.wines.length >= TasteProfile.MIN_RATINGS;
+    }
+
+    effect(stat) {
+        return stat.sum / (stat.count + TasteProfile.PRIOR);
+    }
+
+    // Expected rating as { rating, confidence: 'low' | 'medium' | 'high', reasons }, where reasons
+    // are the features that moved the prediction most, e.g. { label: 'Nebbiolo', average: 4.5 }
+    predict(wine) {
+        const features = TasteProfile.features(wine);
+        let weighted = 0;
+        let matchedWeight = 0;
+        let support = 0;
+        const contributions = [];
+
+        features.forEach(feature => {
+            const stat = this.stats.get(feature.id);
+            if (!stat) return;
+
+            const weight = TasteProfile.WEIGHTS[feature.kind];
+            const contribution = this.effect(stat) * weight;
+            weighted += contribution;
+            matchedWeight += weight;
+            support += stat.count;
+            contributions.push({
+                kind: feature.kind,
+                label: feature.label,
+                average: stat.total / stat.count,
+                count: stat.count,
+                contribution
+            });
+        });
+
+        // Features never rated before leave the prediction at the average
+        const rating = matchedWeight > 0 ? this.mean + weighted / matchedWeight : this.mean;
+        let confidence = 'low';
+        if (support >= 8) confidence = 'high';
+        else if (support >= 3) confidence = 'medium';
+
+        return {
+            rating: Math.round(Math.min(5, Math.max(1, rating)) * 10) / 10,
+            confidence,
+            reasons: contributions
+                .sort((a, b) => Math.abs(b.contribution) - Math.abs(a.contribution))
+                .slice(0, 2)
+        };
+    }
+
+    // Wines best first, as [{ wine, prediction }]
+    rank(wines) {
+        return wines
+            .map(wine => ({ wine, prediction: this.predict(wine) }))
+            .sort((a, b) => b.prediction.rating - a.prediction.rating);
+    }
+
+    // Best liked grapes, regions, ... as [{ label, average, count }]
+    favourites(kind, limit = 5) {
+        return Array.from(this.stats.values())
+            .filter(stat => stat.kind === kind && this.effect(stat) > 0)
+            .sort((a, b) => this.effect(b) - this.effect(a))
+            .slice(0, limit)
+            .map(stat => ({ label: stat.label, average: stat.total / stat.count, count: stat.count }));
+    }
+
+    // Average body, tannins and acidity of the bottles rated 4 or 5 stars
+    likedCharacteristics() {
+        const liked = this.wines.filter(wine => wine.rating >= 4);
+        const result = {};
+        TasteProfile.SCALES.forEach(scale => {
+            const values = liked.map(wine => wine[scale]).filter(Boolean);
+            result[scale] = values.length > 0 ? values.reduce((sum, v) => sum + v, 0) / values.length : null;
+        });
+        return result;
+    }
+}